@@ -0,0 +1,121 @@
+// adapters/mssql.js
+// SQL Server adapter: wraps an mssql connection pool behind the common adapter API
+// (query / run / insert / execute / transaction) used by store.js.
+const sql = require("mssql");
+
+function bindParams(request, text, params) {
+  for (const [name, value] of Object.entries(params || {})) {
+    if (!text.includes("@" + name)) continue;
+    // mssql infers Int/BigInt/Float/NVarChar/Bit/DateTime/TVP from the JS value
+    request.input(name, value === undefined ? null : value);
+  }
+  return request;
+}
+
+// build a table-valued parameter, e.g. tableParam("TagSlugList", [["Slug", sql.NVarChar(100)]], ["a", "b"])
+function tableParam(typeName, columns, rows) {
+  const tvp = new sql.Table(typeName);
+  for (const [name, type] of columns) tvp.columns.add(name, type);
+  for (const row of rows) tvp.rows.add(...(Array.isArray(row) ? row : [row]));
+  return tvp;
+}
+
+// query helpers shared by the pool and by an open transaction
+function makeHandle(newRequest, adapter) {
+  const handle = {
+    dialect: "mssql",
+
+    async query(text, params) {
+      const r = await bindParams(newRequest(), text, params).query(text);
+      return r.recordset || [];
+    },
+
+    async run(text, params) {
+      const r = await bindParams(newRequest(), text, params).query(text);
+      const rowsAffected = (r.rowsAffected || []).reduce((a, b) => a + b, 0);
+      return { rowsAffected };
+    },
+
+    async insert(table, values) {
+      const cols = Object.keys(values);
+      const text = `
+        INSERT INTO ${table} (${cols.join(", ")})
+        OUTPUT INSERTED.*
+        VALUES (${cols.map((c) => "@" + c).join(", ")});
+      `;
+      const r = await bindParams(newRequest(), text, values).query(text);
+      return r.recordset[0];
+    },
+
+    async execute(procName, params) {
+      const request = newRequest();
+      for (const [name, value] of Object.entries(params || {})) request.input(name, value);
+      const r = await request.execute(procName);
+      return r.recordset || [];
+    },
+
+    // run a raw multi-statement batch (DDL)
+    async exec(script) {
+      await newRequest().batch(script);
+    },
+  };
+  Object.assign(handle, adapter.dialectHelpers);
+  return handle;
+}
+
+class MssqlAdapter {
+  constructor(config) {
+    this.config = config;
+    this.pool = null;
+    this.dialect = "mssql";
+    this.dialectHelpers = {
+      types: sql,
+      tableParam,
+      now: () => "SYSDATETIME()",
+      len: (expr) => `LEN(${expr})`,
+      concat: (...parts) => `(${parts.join(" + ")})`,
+      stringAgg: (expr, sep = ",") => `STRING_AGG(${expr}, '${sep}')`,
+      page: (offsetParam, limitParam) => `OFFSET ${offsetParam} ROWS FETCH NEXT ${limitParam} ROWS ONLY`,
+    };
+    Object.assign(this, this.dialectHelpers);
+  }
+
+  async connect() {
+    if (!this.pool) this.pool = await sql.connect(this.config);
+    return this.pool;
+  }
+
+  async handle() {
+    const pool = await this.connect();
+    return makeHandle(() => pool.request(), this);
+  }
+
+  async query(text, params) { return (await this.handle()).query(text, params); }
+  async run(text, params) { return (await this.handle()).run(text, params); }
+  async insert(table, values) { return (await this.handle()).insert(table, values); }
+  async execute(procName, params) { return (await this.handle()).execute(procName, params); }
+  async exec(script) { return (await this.handle()).exec(script); }
+
+  async transaction(fn) {
+    const pool = await this.connect();
+    const tx = new sql.Transaction(pool);
+    await tx.begin();
+    const handle = makeHandle(() => new sql.Request(tx), this);
+    handle.transaction = (inner) => inner(handle);
+    try {
+      const result = await fn(handle);
+      await tx.commit();
+      return result;
+    } catch (err) {
+      try { await tx.rollback(); } catch (e) { /* already rolled back */ }
+      throw err;
+    }
+  }
+
+  async close() {
+    if (this.pool) await this.pool.close();
+    this.pool = null;
+  }
+}
+
+module.exports = { MssqlAdapter };
@@ -0,0 +1,133 @@
+// adapters/sqlite.js
+// SQLite adapter: same API as adapters/mssql.js on top of a single sqlite3 connection.
+// Everything runs through one queue so an open transaction never interleaves with
+// statements from other requests.
+const sqlite3 = require("sqlite3");
+
+// sqlite3 wants "@Name" keys and rejects keys that do not appear in the statement
+function bindParams(text, params) {
+  const out = {};
+  const used = new Set((text.match(/@\w+/g) || []).map((p) => p.slice(1)));
+  for (const name of used) {
+    let value = params ? params[name] : undefined;
+    if (value === undefined) value = null;
+    if (typeof value === "boolean") value = value ? 1 : 0;
+    // same shape as CURRENT_TIMESTAMP so stored dates compare correctly as text
+    if (value instanceof Date) value = value.toISOString().replace("T", " ").replace(/\.\d+Z$/, "");
+    out["@" + name] = value;
+  }
+  return out;
+}
+
+class SqliteAdapter {
+  constructor(config) {
+    this.config = config;
+    this.db = null;
+    this.dialect = "sqlite";
+    this.queue = Promise.resolve();
+    this.dialectHelpers = {
+      now: () => "CURRENT_TIMESTAMP",
+      len: (expr) => `LENGTH(${expr})`,
+      concat: (...parts) => `(${parts.join(" || ")})`,
+      stringAgg: (expr, sep = ",") => `GROUP_CONCAT(${expr}, '${sep}')`,
+      page: (offsetParam, limitParam) => `LIMIT ${limitParam} OFFSET ${offsetParam}`,
+    };
+    Object.assign(this, this.dialectHelpers);
+  }
+
+  connect() {
+    if (this.db) return Promise.resolve(this.db);
+    return new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(this.config.filename, (err) => {
+        if (err) return reject(err);
+        db.configure("busyTimeout", 5000);
+        this.db = db;
+        db.exec("PRAGMA foreign_keys = ON;", (e) => (e ? reject(e) : resolve(db)));
+      });
+    });
+  }
+
+  // serialize work on the single connection
+  exclusive(fn) {
+    const run = this.queue.then(() => this.connect()).then(fn);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  rawAll(text, params) {
+    return new Promise((resolve, reject) => {
+      this.db.all(text, bindParams(text, params), (err, rows) => (err ? reject(err) : resolve(rows || [])));
+    });
+  }
+
+  rawRun(text, params) {
+    return new Promise((resolve, reject) => {
+      this.db.run(text, bindParams(text, params), function (err) {
+        if (err) return reject(err);
+        resolve({ rowsAffected: this.changes, lastId: this.lastID });
+      });
+    });
+  }
+
+  rawExec(script) {
+    return new Promise((resolve, reject) => {
+      this.db.exec(script, (err) => (err ? reject(err) : resolve()));
+    });
+  }
+
+  // handle used inside a transaction: talks to the connection directly (queue is already held)
+  makeHandle() {
+    const handle = {
+      dialect: "sqlite",
+      query: (text, params) => this.rawAll(text, params),
+      run: (text, params) => this.rawRun(text, params),
+      insert: (table, values) => this.rawInsert(table, values),
+      exec: (script) => this.rawExec(script),
+      execute: (procName) => Promise.reject(new Error(`Stored procedures are not supported on SQLite (${procName})`)),
+    };
+    handle.transaction = (inner) => inner(handle);
+    return Object.assign(handle, this.dialectHelpers);
+  }
+
+  async rawInsert(table, values) {
+    const cols = Object.keys(values);
+    const text = `
+      INSERT INTO ${table} (${cols.join(", ")})
+      VALUES (${cols.map((c) => "@" + c).join(", ")})
+      RETURNING *;
+    `;
+    const rows = await this.rawAll(text, values);
+    return rows[0];
+  }
+
+  query(text, params) { return this.exclusive(() => this.rawAll(text, params)); }
+  run(text, params) { return this.exclusive(() => this.rawRun(text, params)); }
+  insert(table, values) { return this.exclusive(() => this.rawInsert(table, values)); }
+  exec(script) { return this.exclusive(() => this.rawExec(script)); }
+  execute(procName) { return this.makeHandle().execute(procName); }
+
+  transaction(fn) {
+    return this.exclusive(async () => {
+      await this.rawExec("BEGIN IMMEDIATE;");
+      try {
+        const result = await fn(this.makeHandle());
+        await this.rawExec("COMMIT;");
+        return result;
+      } catch (err) {
+        try { await this.rawExec("ROLLBACK;"); } catch (e) { /* already rolled back */ }
+        throw err;
+      }
+    });
+  }
+
+  close() {
+    return this.exclusive(
+      () => new Promise((resolve, reject) => {
+        this.db.close((err) => (err ? reject(err) : resolve()));
+        this.db = null;
+      })
+    );
+  }
+}
+
+module.exports = { SqliteAdapter };
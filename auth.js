@@ -0,0 +1,139 @@
+// auth.js
+// Local accounts: scrypt password hashes, session tokens and the folder permission model.
+// Roles cap what a user can do anywhere; grants on folders (FolderGrants) decide where,
+// and are inherited down the tree until a grant on a deeper folder overrides them.
+const crypto = require("crypto");
+
+const ROLES = ["viewer", "editor", "admin"];
+// what a grant can give; "none" blocks a subtree below a wider grant
+const GRANT_ACCESS = ["none", "view", "edit"];
+// effective access, weakest first. "traverse": the folder is only visible because
+// something below it is readable (its name shows, its files do not)
+const ACCESS_LEVELS = ["none", "traverse", "view", "edit"];
+// the most a grant can give each role
+const ROLE_CAP = { viewer: "view", editor: "edit", admin: "edit" };
+
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.Role) >= ROLES.indexOf(role);
+}
+
+function atLeast(level, wanted) {
+  return ACCESS_LEVELS.indexOf(level) >= ACCESS_LEVELS.indexOf(wanted);
+}
+
+function validUsername(name) {
+  return /^[A-Za-z0-9._@-]{1,64}$/.test(String(name || ""));
+}
+
+/* ============================================================
+   PASSWORDS / TOKENS
+============================================================ */
+function scrypt(password, salt, { N, r, p, keylen }) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), salt, keylen, { N, r, p, maxmem: 64 * 1024 * 1024 }, (err, key) =>
+      err ? reject(err) : resolve(key)
+    );
+  });
+}
+
+// "scrypt$N$r$p$<salt b64>$<hash b64>", parameters kept so they can be raised later
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, SCRYPT);
+  return ["scrypt", SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString("base64"), key.toString("base64")].join("$");
+}
+
+async function verifyPassword(password, stored) {
+  const parts = String(stored || "").split("$");
+  if (parts.length !== 6 || parts[0] !== "scrypt") return false;
+  const [, N, r, p, salt, hash] = parts;
+  const expected = Buffer.from(hash, "base64");
+  const key = await scrypt(password, Buffer.from(salt, "base64"), {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+    keylen: expected.length,
+  });
+  return crypto.timingSafeEqual(key, expected);
+}
+
+// the cookie carries the token; only its hash is stored, so a leaked DB can't be replayed
+function newSessionToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function sessionId(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i < 0) continue;
+    const name = part.slice(0, i).trim();
+    if (!name || name in cookies) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch {
+      cookies[name] = part.slice(i + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+/* ============================================================
+   FOLDER ACCESS
+   `grants` are the user's FolderGrants rows with the folder's FullPath.
+============================================================ */
+function isAncestorOrSelf(ancestor, fullPath) {
+  return fullPath === ancestor || fullPath.startsWith(ancestor + "/");
+}
+
+// access of `user` to the folder at fullPath: the grant on the folder itself or its nearest
+// ancestor decides (capped by the role); no grant above the folder means no access
+function folderAccess(user, grants, fullPath) {
+  if (!user) return "none";
+  if (user.Role === "admin") return "edit";
+
+  let nearest = null;
+  for (const g of grants) {
+    if (isAncestorOrSelf(g.FullPath, fullPath) && (!nearest || g.FullPath.length > nearest.FullPath.length)) nearest = g;
+  }
+  if (nearest && nearest.Access !== "none") {
+    const cap = ROLE_CAP[user.Role] || "view";
+    return atLeast(nearest.Access, cap) ? cap : nearest.Access;
+  }
+  // folders above a readable one stay visible so it can be reached
+  const below = grants.some((g) => g.Access !== "none" && g.FullPath.startsWith(fullPath + "/"));
+  return below ? "traverse" : "none";
+}
+
+// true when the folder and every folder below it give at least `wanted`
+// (deleting or zipping a subtree must not reach into folders with narrower grants)
+function subtreeAccess(user, grants, fullPath, wanted) {
+  if (!atLeast(folderAccess(user, grants, fullPath), wanted)) return false;
+  return grants
+    .filter((g) => g.FullPath.startsWith(fullPath + "/"))
+    .every((g) => atLeast(folderAccess(user, grants, g.FullPath), wanted));
+}
+
+module.exports = {
+  ROLES,
+  GRANT_ACCESS,
+  MIN_PASSWORD_LENGTH,
+  hasRole,
+  atLeast,
+  validUsername,
+  hashPassword,
+  verifyPassword,
+  newSessionToken,
+  sessionId,
+  parseCookies,
+  folderAccess,
+  subtreeAccess,
+  isAncestorOrSelf,
+};
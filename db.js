@@ -1,27 +1,49 @@
 // db.js
-const sql = require("mssql");
+// Picks the storage adapter from config. DB_CLIENT=sqlite runs on a local app.db file
+// (laptop / tests, no SQL Server needed); the default stays the Docker SQL Server.
+const path = require("path");
+
+const client = (process.env.DB_CLIENT || "mssql").toLowerCase();
 
 const config = {
-  user: 'sa',
-  password: '144g144gG@',      // same as in docker run and SSMS
-  server: 'localhost',         // host machine talking to Docker
-  port: 1433,                  // from -p 1433:1433
-  database: 'TaggedFileBrowser233',     // the DB you created
-  options: {
-    encrypt: true,             // matches "Encrypt: Mandatory"
-    trustServerCertificate: true
-  }
+  mssql: {
+    user: process.env.MSSQL_USER || 'sa',
+    password: process.env.MSSQL_PASSWORD || '144g144gG@',      // same as in docker run and SSMS
+    server: process.env.MSSQL_SERVER || 'localhost',         // host machine talking to Docker
+    port: parseInt(process.env.MSSQL_PORT || "1433", 10),     // from -p 1433:1433
+    database: process.env.MSSQL_DATABASE || 'TaggedFileBrowser233',     // the DB you created
+    options: {
+      encrypt: true,             // matches "Encrypt: Mandatory"
+      trustServerCertificate: true
+    }
+  },
+  sqlite: {
+    filename: process.env.SQLITE_FILE || path.join(__dirname, "app.db"),
+  },
 };
 
-let pool = null;
+let db = null;
+
+function createAdapter() {
+  if (client === "sqlite") {
+    const { SqliteAdapter } = require("./adapters/sqlite");
+    return new SqliteAdapter(config.sqlite);
+  }
+  if (client === "mssql") {
+    const { MssqlAdapter } = require("./adapters/mssql");
+    return new MssqlAdapter(config.mssql);
+  }
+  throw new Error(`Unknown DB_CLIENT "${client}" (expected "mssql" or "sqlite")`);
+}
 
-async function getPool() {
-  if (pool) return pool;
-  pool = await sql.connect(config);
-  return pool;
+async function getDb() {
+  if (db) return db;
+  db = createAdapter();
+  return db;
 }
 
 module.exports = {
-  sql,
-  getPool,
+  client,
+  config,
+  getDb,
 };
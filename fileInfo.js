@@ -0,0 +1,617 @@
+// fileInfo.js
+// Content inspection on ingest: the MIME type from magic bytes (the extension only decides
+// between look-alikes such as zip/docx or plain text/csv) and a few metadata fields per kind:
+// image size + EXIF date/camera, audio duration + tags, PDF pages + title, text line count.
+// Parsers are deliberately small and forgiving: anything they can't read is simply left out.
+const fs = require("fs");
+const fsPromises = fs.promises;
+const path = require("path");
+const zlib = require("zlib");
+
+const HEAD_BYTES = 256 * 1024;
+// how much of an MP3 may be ID3 tag (embedded cover art) before we give up on the audio header
+const ID3_MAX_BYTES = 8 * 1024 * 1024;
+// PDFs are scanned as text for /Type /Page and /Title; only this much of the file is read,
+// and compressed object streams are inflated up to this much in total
+const PDF_SCAN_BYTES = 16 * 1024 * 1024;
+
+const EXTENSION_TYPES = {
+  ".txt": "text/plain",
+  ".log": "text/plain",
+  ".md": "text/markdown",
+  ".csv": "text/csv",
+  ".tsv": "text/tab-separated-values",
+  ".html": "text/html",
+  ".htm": "text/html",
+  ".css": "text/css",
+  ".js": "text/javascript",
+  ".json": "application/json",
+  ".xml": "application/xml",
+  ".yaml": "application/yaml",
+  ".yml": "application/yaml",
+  ".svg": "image/svg+xml",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".bmp": "image/bmp",
+  ".tif": "image/tiff",
+  ".tiff": "image/tiff",
+  ".ico": "image/x-icon",
+  ".heic": "image/heic",
+  ".avif": "image/avif",
+  ".mp3": "audio/mpeg",
+  ".wav": "audio/wav",
+  ".flac": "audio/flac",
+  ".ogg": "audio/ogg",
+  ".opus": "audio/ogg",
+  ".m4a": "audio/mp4",
+  ".mp4": "video/mp4",
+  ".m4v": "video/mp4",
+  ".mov": "video/quicktime",
+  ".mkv": "video/x-matroska",
+  ".webm": "video/webm",
+  ".avi": "video/x-msvideo",
+  ".pdf": "application/pdf",
+  ".zip": "application/zip",
+  ".gz": "application/gzip",
+  ".7z": "application/x-7z-compressed",
+  ".rar": "application/vnd.rar",
+  ".epub": "application/epub+zip",
+  ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".pptx": "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  ".odt": "application/vnd.oasis.opendocument.text",
+  ".ods": "application/vnd.oasis.opendocument.spreadsheet",
+  ".doc": "application/msword",
+  ".xls": "application/vnd.ms-excel",
+  ".ppt": "application/vnd.ms-powerpoint",
+  ".exe": "application/vnd.microsoft.portable-executable",
+  ".dll": "application/vnd.microsoft.portable-executable",
+};
+
+const GENERIC_TYPE = "application/octet-stream";
+// formats that are zip archives / OLE compound files inside
+const ZIP_BASED = new Set([
+  "application/epub+zip",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  "application/vnd.oasis.opendocument.text",
+  "application/vnd.oasis.opendocument.spreadsheet",
+]);
+const OLE_BASED = new Set(["application/msword", "application/vnd.ms-excel", "application/vnd.ms-powerpoint"]);
+// application/* and image/* types that are really text
+const TEXT_TYPES = new Set(["application/json", "application/xml", "application/yaml", "image/svg+xml"]);
+
+function isTextType(mimeType) {
+  return String(mimeType).startsWith("text/") || TEXT_TYPES.has(mimeType);
+}
+
+/* ============================================================
+   MIME TYPE
+============================================================ */
+function ascii(buf, start, end) {
+  return buf.toString("latin1", start, Math.min(end, buf.length));
+}
+
+function startsWith(buf, bytes, offset = 0) {
+  if (buf.length < offset + bytes.length) return false;
+  return bytes.every((b, i) => buf[offset + i] === b);
+}
+
+// MPEG audio frame header at `o` (frame sync, valid version/layer/bitrate/sample rate)
+function isMpegFrame(buf, o) {
+  if (o + 4 > buf.length || buf[o] !== 0xff || (buf[o + 1] & 0xe0) !== 0xe0) return false;
+  const version = (buf[o + 1] >> 3) & 3;
+  const layer = (buf[o + 1] >> 1) & 3;
+  const bitrate = buf[o + 2] >> 4;
+  const rate = (buf[o + 2] >> 2) & 3;
+  return version !== 1 && layer !== 0 && bitrate !== 0 && bitrate !== 15 && rate !== 3;
+}
+
+// magic numbers, first match wins; containers (zip, OLE) are refined by the extension in sniffMimeType
+function sniffMagic(head) {
+  if (startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+  if (startsWith(head, [0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (/^GIF8[79]a$/.test(ascii(head, 0, 6))) return "image/gif";
+  if (ascii(head, 0, 4) === "RIFF") {
+    const kind = ascii(head, 8, 12);
+    if (kind === "WEBP") return "image/webp";
+    if (kind === "WAVE") return "audio/wav";
+    if (kind === "AVI ") return "video/x-msvideo";
+  }
+  if (ascii(head, 0, 2) === "BM" && head.length >= 26 && [12, 40, 56, 108, 124].includes(head.readUInt32LE(14))) {
+    return "image/bmp";
+  }
+  if (startsWith(head, [0x49, 0x49, 0x2a, 0x00]) || startsWith(head, [0x4d, 0x4d, 0x00, 0x2a])) return "image/tiff";
+  if (ascii(head, 4, 8) === "ftyp") {
+    const brand = ascii(head, 8, 12);
+    if (["heic", "heix", "heim", "heis", "mif1", "msf1"].includes(brand)) return "image/heic";
+    if (brand === "avif" || brand === "avis") return "image/avif";
+    if (brand === "M4A " || brand === "M4B ") return "audio/mp4";
+    if (brand === "qt  ") return "video/quicktime";
+    return "video/mp4";
+  }
+  if (startsWith(head, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return ascii(head, 0, 64).includes("webm") ? "video/webm" : "video/x-matroska";
+  }
+  if (ascii(head, 0, 5) === "%PDF-") return "application/pdf";
+  if (ascii(head, 0, 3) === "ID3" || isMpegFrame(head, 0)) return "audio/mpeg";
+  if (ascii(head, 0, 4) === "fLaC") return "audio/flac";
+  if (ascii(head, 0, 4) === "OggS") return "audio/ogg";
+  if (startsWith(head, [0x50, 0x4b, 0x03, 0x04]) || startsWith(head, [0x50, 0x4b, 0x05, 0x06])) return "application/zip";
+  if (startsWith(head, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) return "application/x-ole-storage";
+  if (startsWith(head, [0x1f, 0x8b])) return "application/gzip";
+  if (startsWith(head, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])) return "application/x-7z-compressed";
+  if (ascii(head, 0, 6) === "Rar!\x1a\x07") return "application/vnd.rar";
+  if (ascii(head, 0, 2) === "MZ" && head.length >= 64) return "application/vnd.microsoft.portable-executable";
+  return null;
+}
+
+// no NUL bytes and valid UTF-8 (a multi-byte character cut off at the end of `head` is fine)
+function looksLikeText(head) {
+  if (head.includes(0)) return false;
+  const decoder = new TextDecoder("utf-8", { fatal: true });
+  for (let cut = 0; cut <= 3 && cut < head.length; cut++) {
+    try {
+      decoder.decode(head.subarray(0, head.length - cut));
+      return true;
+    } catch {}
+  }
+  return false;
+}
+
+// MIME type from the first bytes of a file and its name
+function sniffMimeType(head, name) {
+  const byExt = EXTENSION_TYPES[path.extname(name || "").toLowerCase()] || null;
+  const magic = sniffMagic(head);
+
+  if (magic === "application/zip") return byExt && ZIP_BASED.has(byExt) ? byExt : magic;
+  if (magic === "application/x-ole-storage") return byExt && OLE_BASED.has(byExt) ? byExt : GENERIC_TYPE;
+  if (magic) return magic;
+  if (!head.length) return byExt || GENERIC_TYPE;
+  if (looksLikeText(head)) {
+    // csv, json, svg, html... can only be told apart by the extension
+    return byExt && isTextType(byExt) ? byExt : "text/plain";
+  }
+  return byExt && !isTextType(byExt) ? byExt : GENERIC_TYPE;
+}
+
+/* ============================================================
+   IMAGES
+============================================================ */
+// EXIF/TIFF structure: IFD0 (camera, date, TIFF size) and the Exif sub-IFD (original date)
+function parseExif(tiff) {
+  const meta = {};
+  const order = ascii(tiff, 0, 2);
+  if (order !== "II" && order !== "MM") return meta;
+  const le = order === "II";
+  const u16 = (o) => (le ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o));
+  const u32 = (o) => (le ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o));
+
+  function readIfd(offset) {
+    const values = new Map();
+    if (!offset || offset + 2 > tiff.length) return values;
+    const count = u16(offset);
+    for (let i = 0; i < count; i++) {
+      const e = offset + 2 + i * 12;
+      if (e + 12 > tiff.length) break;
+      const tag = u16(e);
+      const type = u16(e + 2);
+      const n = u32(e + 4);
+      if (type === 2) {
+        const at = n <= 4 ? e + 8 : u32(e + 8);
+        values.set(tag, ascii(tiff, at, at + n).replace(/\0.*$/s, "").trim());
+      } else if (type === 3) {
+        values.set(tag, u16(e + 8));
+      } else if (type === 4) {
+        values.set(tag, u32(e + 8));
+      }
+    }
+    return values;
+  }
+
+  try {
+    const ifd0 = readIfd(u32(4));
+    const exif = readIfd(ifd0.get(0x8769));
+    const date = exif.get(0x9003) || exif.get(0x9004) || ifd0.get(0x0132);
+    if (date && /^\d{4}:\d\d:\d\d \d\d:\d\d:\d\d/.test(date)) {
+      meta.TakenAt = date.slice(0, 19).replace(/^(\d{4}):(\d\d):(\d\d)/, "$1-$2-$3");
+    }
+    if (ifd0.get(0x010f)) meta.CameraMake = ifd0.get(0x010f);
+    if (ifd0.get(0x0110)) meta.CameraModel = ifd0.get(0x0110);
+    // 1 = upright; 2..8 flip/rotate (used when drawing thumbnails)
+    if (ifd0.get(0x0112) > 1 && ifd0.get(0x0112) <= 8) meta.Orientation = ifd0.get(0x0112);
+    const width = exif.get(0xa002) || ifd0.get(0x0100);
+    const height = exif.get(0xa003) || ifd0.get(0x0101);
+    if (width && height) {
+      meta.Width = width;
+      meta.Height = height;
+    }
+  } catch {
+    // truncated or odd EXIF: keep what was read
+  }
+  return meta;
+}
+
+function jpegInfo(buf) {
+  const meta = {};
+  let o = 2;
+  while (o + 4 <= buf.length) {
+    if (buf[o] !== 0xff) break;
+    const marker = buf[o + 1];
+    if (marker === 0xff) {
+      o++;
+      continue;
+    }
+    const len = buf.readUInt16BE(o + 2);
+    if (marker === 0xe1 && ascii(buf, o + 4, o + 10) === "Exif\0\0") {
+      Object.assign(meta, parseExif(buf.subarray(o + 10, o + 2 + len)));
+    }
+    // SOF0..SOF15 except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker) && o + 9 <= buf.length) {
+      meta.Height = buf.readUInt16BE(o + 5);
+      meta.Width = buf.readUInt16BE(o + 7);
+      break;
+    }
+    if (marker === 0xda) break;
+    o += 2 + len;
+  }
+  return meta;
+}
+
+function webpInfo(buf) {
+  const chunk = ascii(buf, 12, 16);
+  if (chunk === "VP8 " && buf.length >= 30) {
+    return { Width: buf.readUInt16LE(26) & 0x3fff, Height: buf.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === "VP8L" && buf.length >= 25) {
+    const bits = buf.readUInt32LE(21);
+    return { Width: (bits & 0x3fff) + 1, Height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === "VP8X" && buf.length >= 30) {
+    return { Width: buf.readUIntLE(24, 3) + 1, Height: buf.readUIntLE(27, 3) + 1 };
+  }
+  return {};
+}
+
+function imageInfo(mimeType, head) {
+  switch (mimeType) {
+    case "image/png":
+      return ascii(head, 12, 16) === "IHDR" ? { Width: head.readUInt32BE(16), Height: head.readUInt32BE(20) } : {};
+    case "image/gif":
+      return { Width: head.readUInt16LE(6), Height: head.readUInt16LE(8) };
+    case "image/bmp":
+      return { Width: head.readInt32LE(18), Height: Math.abs(head.readInt32LE(22)) };
+    case "image/webp":
+      return webpInfo(head);
+    case "image/jpeg":
+      return jpegInfo(head);
+    case "image/tiff":
+      return parseExif(head);
+    default:
+      return {};
+  }
+}
+
+/* ============================================================
+   AUDIO
+============================================================ */
+// ID3v2 text frame: first byte is the encoding
+function decodeId3Text(data) {
+  const enc = data[0];
+  let body = data.subarray(1);
+  let text;
+  if (enc === 0) text = body.toString("latin1");
+  else if (enc === 3) text = body.toString("utf8");
+  else {
+    let bigEndian = enc === 2;
+    if (body[0] === 0xff && body[1] === 0xfe) body = body.subarray(2);
+    else if (body[0] === 0xfe && body[1] === 0xff) {
+      body = body.subarray(2);
+      bigEndian = true;
+    }
+    body = Buffer.from(body.subarray(0, body.length - (body.length % 2)));
+    if (bigEndian) body.swap16();
+    text = body.toString("utf16le");
+  }
+  return text.replace(/\0.*$/s, "").trim();
+}
+
+const ID3_FRAMES = {
+  TIT2: "Title", TT2: "Title",
+  TPE1: "Artist", TP1: "Artist",
+  TALB: "Album", TAL: "Album",
+  TYER: "Year", TYE: "Year", TDRC: "Year",
+};
+
+function syncsafe(buf, o) {
+  return ((buf[o] & 0x7f) << 21) | ((buf[o + 1] & 0x7f) << 14) | ((buf[o + 2] & 0x7f) << 7) | (buf[o + 3] & 0x7f);
+}
+
+// total ID3v2 tag size at the start of a file (0 when there is none)
+function id3Size(buf) {
+  if (ascii(buf, 0, 3) !== "ID3" || buf.length < 10) return 0;
+  return 10 + syncsafe(buf, 6) + (buf[5] & 0x10 ? 10 : 0);
+}
+
+function id3Tags(buf) {
+  const meta = {};
+  const version = buf[3];
+  const end = Math.min(id3Size(buf), buf.length);
+  const idLen = version === 2 ? 3 : 4;
+  const hdrLen = version === 2 ? 6 : 10;
+  let o = 10;
+  if (buf[5] & 0x40) o += version === 4 ? syncsafe(buf, 10) : buf.readUInt32BE(10) + 4;
+
+  while (o + hdrLen <= end) {
+    const id = ascii(buf, o, o + idLen);
+    if (!/^[A-Z0-9]+$/.test(id)) break;
+    const size =
+      version === 2 ? buf.readUIntBE(o + 3, 3) : version === 4 ? syncsafe(buf, o + 4) : buf.readUInt32BE(o + 4);
+    const key = ID3_FRAMES[id];
+    if (key && !meta[key] && size > 1) {
+      const value = decodeId3Text(buf.subarray(o + hdrLen, Math.min(end, o + hdrLen + size)));
+      if (value) meta[key] = key === "Year" ? value.slice(0, 4) : value;
+    }
+    o += hdrLen + size;
+  }
+  return meta;
+}
+
+const MPEG_BITRATES = {
+  "1-1": [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  "1-2": [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  "1-3": [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  "2-1": [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  "2-2": [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+MPEG_BITRATES["2-3"] = MPEG_BITRATES["2-2"];
+const MPEG_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+// duration of the MPEG audio starting at `start`: Xing/Info or VBRI frame count, else constant bitrate
+function mp3Duration(buf, start, fileSize) {
+  let o = start;
+  const limit = Math.min(buf.length - 4, start + 64 * 1024);
+  while (o < limit && !isMpegFrame(buf, o)) o++;
+  if (o >= limit) return null;
+
+  const versionBits = (buf[o + 1] >> 3) & 3;
+  const layer = 4 - ((buf[o + 1] >> 1) & 3);
+  const v1 = versionBits === 3;
+  const kbps = MPEG_BITRATES[`${v1 ? 1 : 2}-${layer}`][buf[o + 2] >> 4];
+  const rate = MPEG_RATES[versionBits][(buf[o + 2] >> 2) & 3];
+  const mono = buf[o + 3] >> 6 === 3;
+  const samplesPerFrame = layer === 1 ? 384 : layer === 3 && !v1 ? 576 : 1152;
+
+  const xing = o + 4 + (v1 ? (mono ? 17 : 32) : mono ? 9 : 17);
+  const tag = ascii(buf, xing, xing + 4);
+  if ((tag === "Xing" || tag === "Info") && xing + 12 <= buf.length && buf.readUInt32BE(xing + 4) & 1) {
+    return (buf.readUInt32BE(xing + 8) * samplesPerFrame) / rate;
+  }
+  if (ascii(buf, o + 36, o + 40) === "VBRI" && o + 54 <= buf.length) {
+    return (buf.readUInt32BE(o + 50) * samplesPerFrame) / rate;
+  }
+  return ((fileSize - o) * 8) / (kbps * 1000);
+}
+
+function wavDuration(buf) {
+  let byteRate = 0;
+  let o = 12;
+  while (o + 8 <= buf.length) {
+    const id = ascii(buf, o, o + 4);
+    const size = buf.readUInt32LE(o + 4);
+    if (id === "fmt " && o + 20 <= buf.length) byteRate = buf.readUInt32LE(o + 16);
+    if (id === "data") return byteRate ? size / byteRate : null;
+    o += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+const VORBIS_COMMENTS = { TITLE: "Title", ARTIST: "Artist", ALBUM: "Album", DATE: "Year" };
+
+// "KEY=value" comment list shared by FLAC and Ogg Vorbis/Opus (little endian lengths)
+function vorbisComments(buf, o) {
+  const meta = {};
+  try {
+    o += 4 + buf.readUInt32LE(o); // vendor string
+    const count = buf.readUInt32LE(o);
+    o += 4;
+    for (let i = 0; i < count && o + 4 <= buf.length; i++) {
+      const len = buf.readUInt32LE(o);
+      const entry = buf.toString("utf8", o + 4, Math.min(buf.length, o + 4 + len));
+      o += 4 + len;
+      const eq = entry.indexOf("=");
+      const key = VORBIS_COMMENTS[entry.slice(0, eq).toUpperCase()];
+      if (key && !meta[key]) meta[key] = key === "Year" ? entry.slice(eq + 1, eq + 5) : entry.slice(eq + 1).trim();
+    }
+  } catch {}
+  return meta;
+}
+
+function flacInfo(buf) {
+  const meta = {};
+  let o = 4;
+  while (o + 4 <= buf.length) {
+    const last = buf[o] & 0x80;
+    const type = buf[o] & 0x7f;
+    const len = buf.readUIntBE(o + 1, 3);
+    const d = o + 4;
+    if (type === 0 && d + 18 <= buf.length) {
+      const rate = (buf[d + 10] << 12) | (buf[d + 11] << 4) | (buf[d + 12] >> 4);
+      const samples = (buf[d + 13] & 0x0f) * 2 ** 32 + buf.readUInt32BE(d + 14);
+      if (rate && samples) meta.DurationSec = samples / rate;
+    } else if (type === 4) {
+      Object.assign(meta, vorbisComments(buf, d));
+    }
+    if (last) break;
+    o = d + len;
+  }
+  return meta;
+}
+
+// Ogg Vorbis/Opus: rate and tags from the first pages, length from the last page's granule position
+async function oggInfo(fd, head, size) {
+  const meta = {};
+  let rate = 0;
+  const vorbis = head.indexOf("\x01vorbis", 0, "latin1");
+  const opus = head.indexOf("OpusHead", 0, "latin1");
+  if (vorbis >= 0 && vorbis + 16 <= head.length) rate = head.readUInt32LE(vorbis + 12);
+  else if (opus >= 0) rate = 48000;
+
+  const comments = vorbis >= 0 ? head.indexOf("\x03vorbis", 0, "latin1") : head.indexOf("OpusTags", 0, "latin1");
+  if (comments >= 0) Object.assign(meta, vorbisComments(head, comments + (vorbis >= 0 ? 7 : 8)));
+
+  const tail = await readAt(fd, Math.max(0, size - 64 * 1024), 64 * 1024);
+  const last = tail.lastIndexOf("OggS", tail.length, "latin1");
+  if (rate && last >= 0 && last + 14 <= tail.length) {
+    const granule = tail.readUInt32LE(last + 6) + tail.readUInt32LE(last + 10) * 2 ** 32;
+    meta.DurationSec = granule / rate;
+  }
+  return meta;
+}
+
+async function audioInfo(fd, mimeType, head, size) {
+  if (mimeType === "audio/mpeg") {
+    const tagSize = id3Size(head);
+    // cover art can make the tag bigger than the head we already have
+    const buf = tagSize + 4096 > head.length && tagSize < ID3_MAX_BYTES ? await readAt(fd, 0, tagSize + 4096) : head;
+    const meta = tagSize ? id3Tags(buf) : {};
+    const duration = mp3Duration(buf, tagSize, size);
+    if (duration) meta.DurationSec = duration;
+    return meta;
+  }
+  if (mimeType === "audio/wav") {
+    const duration = wavDuration(head);
+    return duration ? { DurationSec: duration } : {};
+  }
+  if (mimeType === "audio/flac") return flacInfo(head);
+  if (mimeType === "audio/ogg") return oggInfo(fd, head, size);
+  return {};
+}
+
+/* ============================================================
+   PDF / TEXT
+============================================================ */
+// PDF literal string "(...)" or hex string "<...>", either may be UTF-16BE with a BOM
+function decodePdfString(raw, hex) {
+  let bytes;
+  if (hex) {
+    bytes = Buffer.from(raw.replace(/\s+/g, ""), "hex");
+  } else {
+    const text = raw.replace(/\\([nrtbf()\\]|[0-7]{1,3})/g, (m, c) => {
+      const map = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+      if (map[c]) return map[c];
+      if (/^[0-7]+$/.test(c)) return String.fromCharCode(parseInt(c, 8));
+      return c;
+    });
+    bytes = Buffer.from(text, "latin1");
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    const body = Buffer.from(bytes.subarray(2, bytes.length - (bytes.length % 2)));
+    return body.swap16().toString("utf16le").trim();
+  }
+  return bytes.toString("latin1").trim();
+}
+
+// PDF 1.5+ keeps most objects (page tree, info dictionary) in compressed object streams
+function inflateObjectStreams(text) {
+  const out = [];
+  let budget = PDF_SCAN_BYTES;
+  for (const m of text.matchAll(/\d+\s+\d+\s+obj\b([^]*?)stream\r?\n/g)) {
+    if (budget <= 0) break;
+    if (!/\/Type\s*\/ObjStm\b/.test(m[1]) || !/\/FlateDecode\b/.test(m[1])) continue;
+    const start = m.index + m[0].length;
+    const end = text.indexOf("endstream", start);
+    if (end < 0) continue;
+    try {
+      const inflated = zlib.inflateSync(Buffer.from(text.slice(start, end), "latin1"), { maxOutputLength: budget });
+      budget -= inflated.length;
+      out.push(inflated.toString("latin1"));
+    } catch {}
+  }
+  return out.join("\n");
+}
+
+async function pdfInfo(fd, size) {
+  const raw = (await readAt(fd, 0, Math.min(size, PDF_SCAN_BYTES))).toString("latin1");
+  const text = raw + "\n" + inflateObjectStreams(raw);
+  const meta = {};
+
+  // page objects, or the largest /Count of a page tree when pages sit in compressed object streams
+  const pages = (text.match(/\/Type\s*\/Page(?![a-zA-Z])/g) || []).length;
+  const counts = Array.from(text.matchAll(/\/Type\s*\/Pages\b[^>]*?\/Count\s+(\d+)|\/Count\s+(\d+)[^>]*?\/Type\s*\/Pages\b/g));
+  const treeCount = Math.max(0, ...counts.map((m) => Number(m[1] || m[2])));
+  if (pages || treeCount) meta.PageCount = Math.max(pages, treeCount);
+
+  const title = text.match(/\/Title\s*(?:\(((?:\\.|[^\\)])*)\)|<([0-9A-Fa-f\s]*)>)/);
+  if (title) {
+    const value = decodePdfString(title[1] != null ? title[1] : title[2], title[1] == null);
+    if (value) meta.Title = value;
+  }
+  return meta;
+}
+
+function countLines(physPath) {
+  return new Promise((resolve, reject) => {
+    let lines = 0;
+    let last = 0x0a;
+    fs.createReadStream(physPath)
+      .on("error", reject)
+      .on("data", (chunk) => {
+        for (let i = chunk.indexOf(0x0a); i !== -1; i = chunk.indexOf(0x0a, i + 1)) lines++;
+        if (chunk.length) last = chunk[chunk.length - 1];
+      })
+      .on("end", () => resolve(last === 0x0a ? lines : lines + 1));
+  });
+}
+
+/* ============================================================
+   INSPECT
+============================================================ */
+async function readAt(fd, position, length) {
+  const buf = Buffer.alloc(length);
+  const { bytesRead } = await fd.read(buf, 0, length, position);
+  return buf.subarray(0, bytesRead);
+}
+
+// keep finite numbers (rounded) and non-empty strings
+function cleanMetadata(meta) {
+  const out = {};
+  for (const [key, value] of Object.entries(meta)) {
+    if (typeof value === "number") {
+      if (Number.isFinite(value) && value > 0) out[key] = key === "DurationSec" ? Math.round(value * 10) / 10 : Math.round(value);
+    } else if (value != null && String(value).trim()) {
+      out[key] = String(value).trim().slice(0, 500);
+    }
+  }
+  return out;
+}
+
+// { mimeType, metadata } for a file on disk; `name` is the logical file name (for the extension)
+async function inspectFile(physPath, name = path.basename(physPath)) {
+  const fd = await fsPromises.open(physPath, "r");
+  try {
+    const { size } = await fd.stat();
+    const head = await readAt(fd, 0, Math.min(size, HEAD_BYTES));
+    const mimeType = sniffMimeType(head, name);
+
+    let meta = {};
+    try {
+      if (mimeType.startsWith("image/")) meta = imageInfo(mimeType, head);
+      else if (mimeType.startsWith("audio/")) meta = await audioInfo(fd, mimeType, head, size);
+      else if (mimeType === "application/pdf") meta = await pdfInfo(fd, size);
+      else if (isTextType(mimeType)) meta = { LineCount: await countLines(physPath) };
+    } catch (err) {
+      // unreadable metadata never fails the ingest
+      meta = {};
+    }
+    return { mimeType, metadata: cleanMetadata(meta) };
+  } finally {
+    await fd.close();
+  }
+}
+
+module.exports = { GENERIC_TYPE, sniffMimeType, inspectFile, isTextType };
@@ -0,0 +1,88 @@
+// httpRanges.js
+// Range and conditional request handling for file downloads (RFC 9110 sections 13 and 14):
+// Range / If-Range -> 206 partial content, If-None-Match / If-Modified-Since -> 304.
+
+// more ranges than this (after merging) are treated as abuse and the whole file is sent
+const MAX_RANGES = 50;
+
+// strong validator from size + mtime; the same file on disk always gives the same tag
+function fileEtag(stat) {
+  return `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+function parseEtagList(header) {
+  return String(header)
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+}
+
+// If-None-Match uses the weak comparison: W/"x" matches "x"
+function etagListMatches(header, etag) {
+  const bare = (t) => t.replace(/^W\//, "");
+  return parseEtagList(header).some((t) => t === "*" || bare(t) === bare(etag));
+}
+
+// HTTP dates have second precision
+function modifiedSince(header, mtime) {
+  const since = Date.parse(header);
+  if (Number.isNaN(since)) return true;
+  return Math.floor(mtime.getTime() / 1000) > Math.floor(since / 1000);
+}
+
+// true when the client's cached copy is current (send 304); If-None-Match wins over If-Modified-Since
+function isNotModified(headers, { etag, mtime }) {
+  if (headers["if-none-match"]) return etagListMatches(headers["if-none-match"], etag);
+  if (headers["if-modified-since"]) return !modifiedSince(headers["if-modified-since"], mtime);
+  return false;
+}
+
+// If-Range: the range applies only if the validator still matches (strong comparison for tags)
+function ifRangeMatches(header, { etag, mtime }) {
+  if (!header) return true;
+  const value = String(header).trim();
+  if (value.startsWith('"') || value.startsWith("W/")) return value === etag;
+  const date = Date.parse(value);
+  return !Number.isNaN(date) && Math.floor(date / 1000) === Math.floor(mtime.getTime() / 1000);
+}
+
+// "bytes=0-99, 200-, -50" for a file of `size` bytes ->
+//   { ranges: [{ start, end }] } (inclusive; in request order unless some overlap, then merged)
+//   { unsatisfiable: true }      (valid syntax, but nothing inside the file: 416)
+//   { malformed: true }          (not a bytes range we understand: ignore it, send everything)
+function parseRange(header, size) {
+  const match = /^\s*bytes\s*=\s*(.+)$/i.exec(String(header || ""));
+  if (!match) return { malformed: true };
+
+  const ranges = [];
+  for (const spec of match[1].split(",")) {
+    const part = spec.trim();
+    if (!part) continue; // "bytes=0-1,,5-6" (empty list elements are allowed)
+    const m = /^(\d*)-(\d*)$/.exec(part);
+    if (!m || (m[1] === "" && m[2] === "")) return { malformed: true };
+
+    if (m[1] === "") {
+      // suffix: the last N bytes
+      const length = Number(m[2]);
+      if (length > 0 && size > 0) ranges.push({ start: Math.max(0, size - length), end: size - 1 });
+      continue;
+    }
+    const start = Number(m[1]);
+    const end = m[2] === "" ? Infinity : Number(m[2]);
+    if (end < start) return { malformed: true };
+    if (start < size) ranges.push({ start, end: Math.min(end, size - 1) });
+  }
+  if (!ranges.length) return { unsatisfiable: true };
+
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  const merged = [{ ...sorted[0] }];
+  for (const r of sorted.slice(1)) {
+    const last = merged[merged.length - 1];
+    if (r.start <= last.end + 1) last.end = Math.max(last.end, r.end);
+    else merged.push({ ...r });
+  }
+  if (merged.length > MAX_RANGES) return { malformed: true };
+  return { ranges: merged.length === ranges.length ? ranges : merged };
+}
+
+module.exports = { fileEtag, isNotModified, ifRangeMatches, parseRange };
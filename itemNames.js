@@ -0,0 +1,19 @@
+// itemNames.js
+// Names of files and folders given by users (create, rename, bulk rename). A name is one path
+// segment: "..", separators and control characters would let the logical FullPath and the
+// folder on disk point at different places.
+
+const MAX_NAME_LENGTH = 255;
+
+function validItemName(name) {
+  return (
+    typeof name === "string" &&
+    !!name &&
+    name.length <= MAX_NAME_LENGTH &&
+    name !== "." &&
+    name !== ".." &&
+    !/[\/\\\x00-\x1f]/.test(name)
+  );
+}
+
+module.exports = { validItemName };
@@ -0,0 +1,120 @@
+// migrate.js
+// Versioned schema migrations. Files in ./migrations are named NNN_description.js and
+// export `up(db)`; applied versions are recorded in SchemaMigrations.
+//
+//   node migrate.js            apply pending migrations
+//   node migrate.js --dry-run  list pending migrations and print their SQL without applying
+const fs = require("fs");
+const path = require("path");
+const { getDb } = require("./db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+const MIGRATIONS_TABLE = {
+  mssql: `
+    IF OBJECT_ID(N'SchemaMigrations', N'U') IS NULL
+      CREATE TABLE SchemaMigrations (
+        Version   INT NOT NULL PRIMARY KEY,
+        Name      NVARCHAR(255) NOT NULL,
+        AppliedAt DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+      );
+  `,
+  sqlite: `
+    CREATE TABLE IF NOT EXISTS SchemaMigrations (
+      Version   INTEGER NOT NULL PRIMARY KEY,
+      Name      TEXT NOT NULL,
+      AppliedAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `,
+};
+
+function loadMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter((f) => /^\d+_.+\.js$/.test(f));
+  const migrations = files.map((file) => ({
+    version: parseInt(file, 10),
+    name: file.replace(/^\d+_/, "").replace(/\.js$/, ""),
+    file,
+    ...require(path.join(MIGRATIONS_DIR, file)),
+  }));
+  migrations.sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version} (${migrations[i - 1].file}, ${migrations[i].file})`);
+    }
+  }
+  return migrations;
+}
+
+async function appliedVersions(db) {
+  const exists =
+    db.dialect === "mssql"
+      ? await db.query("SELECT 1 AS x WHERE OBJECT_ID(N'SchemaMigrations', N'U') IS NOT NULL;")
+      : await db.query("SELECT 1 AS x FROM sqlite_master WHERE type = 'table' AND name = 'SchemaMigrations';");
+  if (!exists.length) return new Set();
+  const rows = await db.query("SELECT Version FROM SchemaMigrations;");
+  return new Set(rows.map((r) => r.Version));
+}
+
+// handle for --dry-run: reads go through, anything that would change the schema is only printed
+function dryRunHandle(db, log) {
+  const print = (text) => log(text.replace(/^\n+|\s+$/g, "") + "\n");
+  return Object.assign(Object.create(db), {
+    exec: async (script) => print(script),
+    run: async (text) => { print(text); return { rowsAffected: 0 }; },
+    insert: async (table, values) => { print(`INSERT INTO ${table} ${JSON.stringify(values)}`); return values; },
+    transaction: (fn) => fn(dryRunHandle(db, log)),
+  });
+}
+
+async function migrate({ dryRun = false, log = console.log } = {}) {
+  const db = await getDb();
+  const migrations = loadMigrations();
+  const applied = await appliedVersions(db);
+  const pending = migrations.filter((m) => !applied.has(m.version));
+
+  if (!pending.length) {
+    log("Schema is up to date (version " + (migrations.length ? migrations[migrations.length - 1].version : 0) + ")");
+    return { pending: [], applied: [] };
+  }
+
+  if (dryRun) {
+    const handle = dryRunHandle(db, log);
+    for (const m of pending) {
+      log(`-- [dry-run] ${m.file}`);
+      await m.up(handle);
+    }
+    return { pending: pending.map((m) => m.file), applied: [] };
+  }
+
+  await db.exec(MIGRATIONS_TABLE[db.dialect]);
+
+  const done = [];
+  for (const m of pending) {
+    log(`Applying migration ${m.file}`);
+    await db.transaction(async (tx) => {
+      await m.up(tx);
+      await tx.run("INSERT INTO SchemaMigrations (Version, Name) VALUES (@Version, @Name);", {
+        Version: m.version,
+        Name: m.name,
+      });
+    });
+    done.push(m.file);
+  }
+  return { pending: [], applied: done };
+}
+
+module.exports = { migrate, loadMigrations };
+
+if (require.main === module) {
+  const dryRun = process.argv.includes("--dry-run");
+  migrate({ dryRun })
+    .then(async () => {
+      const db = await getDb();
+      await db.close();
+    })
+    .catch((err) => {
+      console.error("Migration failed:", err);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,149 @@
+// migrations/001_initial_schema.js
+// Folders, Tags, Files and FileTags (formerly mazna.txt). Guarded so databases that
+// were created by hand before migrations existed are adopted as-is.
+
+async function upMssql(db) {
+  await db.exec(`
+    IF OBJECT_ID(N'Folders', N'U') IS NULL
+    BEGIN
+      CREATE TABLE Folders (
+        Id          INT IDENTITY(1,1) PRIMARY KEY,
+        Name        NVARCHAR(255) NOT NULL,
+        ParentId    INT NULL,
+        FullPath    NVARCHAR(1000) NOT NULL,   -- e.g. /root/folder/sub
+        CreatedAt   DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+      );
+    END;
+
+    -- No cascade here to avoid multiple cascade path problems.
+    IF OBJECT_ID(N'FK_Folders_Parent', N'F') IS NULL
+      ALTER TABLE Folders
+      ADD CONSTRAINT FK_Folders_Parent
+      FOREIGN KEY (ParentId) REFERENCES Folders(Id);
+
+    IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'UX_Folders_FullPath')
+      CREATE UNIQUE INDEX UX_Folders_FullPath ON Folders(FullPath);
+
+    IF OBJECT_ID(N'Tags', N'U') IS NULL
+    BEGIN
+      CREATE TABLE Tags (
+        Id        INT IDENTITY(1,1) PRIMARY KEY,
+        Name      NVARCHAR(100) NOT NULL,
+        Slug      NVARCHAR(100) NOT NULL UNIQUE,
+        ColorHex  CHAR(7) NULL,     -- e.g. #ff00aa
+        IconUrl   NVARCHAR(500) NULL
+      );
+    END;
+
+    IF OBJECT_ID(N'Files', N'U') IS NULL
+    BEGIN
+      CREATE TABLE Files (
+        Id          INT IDENTITY(1,1) PRIMARY KEY,
+        FolderId    INT NOT NULL,
+        Name        NVARCHAR(255) NOT NULL,
+        StoragePath NVARCHAR(1000) NOT NULL,   -- physical path on disk, forward slashes
+        SizeBytes   BIGINT NULL,
+        MimeType    NVARCHAR(255) NULL,
+        CreatedAt   DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+        UpdatedAt   DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+      );
+    END;
+
+    IF OBJECT_ID(N'FK_Files_Folder', N'F') IS NULL
+      ALTER TABLE Files
+      ADD CONSTRAINT FK_Files_Folder
+      FOREIGN KEY (FolderId) REFERENCES Folders(Id);
+
+    IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'IX_Files_Folder')
+      CREATE INDEX IX_Files_Folder ON Files(FolderId);
+    IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'IX_Files_Name')
+      CREATE INDEX IX_Files_Name ON Files(Name);
+
+    IF OBJECT_ID(N'FileTags', N'U') IS NULL
+    BEGIN
+      CREATE TABLE FileTags (
+        FileId  INT NOT NULL,
+        TagId   INT NOT NULL,
+        CONSTRAINT PK_FileTags PRIMARY KEY (FileId, TagId)
+      );
+    END;
+
+    IF OBJECT_ID(N'FK_FileTags_Files', N'F') IS NULL
+      ALTER TABLE FileTags
+      ADD CONSTRAINT FK_FileTags_Files
+      FOREIGN KEY (FileId) REFERENCES Files(Id) ON DELETE CASCADE;
+
+    IF OBJECT_ID(N'FK_FileTags_Tags', N'F') IS NULL
+      ALTER TABLE FileTags
+      ADD CONSTRAINT FK_FileTags_Tags
+      FOREIGN KEY (TagId) REFERENCES Tags(Id);
+
+    IF NOT EXISTS (SELECT 1 FROM Folders WHERE ParentId IS NULL)
+      INSERT INTO Folders (Name, ParentId, FullPath) VALUES (N'root', NULL, N'/root');
+  `);
+}
+
+// columns older app.db files were created without (ALTER TABLE cannot add non-constant defaults)
+const SQLITE_LATE_COLUMNS = {
+  Folders: { CreatedAt: "TEXT NULL" },
+  Tags: { IconUrl: "TEXT NULL" },
+  Files: { CreatedAt: "TEXT NULL", UpdatedAt: "TEXT NULL" },
+};
+
+async function upSqlite(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS Folders (
+      Id        INTEGER PRIMARY KEY AUTOINCREMENT,
+      Name      TEXT NOT NULL,
+      ParentId  INTEGER NULL REFERENCES Folders(Id),
+      FullPath  TEXT NOT NULL,
+      CreatedAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS UX_Folders_FullPath ON Folders(FullPath);
+
+    CREATE TABLE IF NOT EXISTS Tags (
+      Id       INTEGER PRIMARY KEY AUTOINCREMENT,
+      Name     TEXT NOT NULL,
+      Slug     TEXT NOT NULL UNIQUE,
+      ColorHex TEXT NULL,
+      IconUrl  TEXT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS Files (
+      Id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      FolderId    INTEGER NOT NULL REFERENCES Folders(Id),
+      Name        TEXT NOT NULL,
+      StoragePath TEXT NOT NULL,
+      SizeBytes   INTEGER NULL,
+      MimeType    TEXT NULL,
+      CreatedAt   TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UpdatedAt   TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS IX_Files_Folder ON Files(FolderId);
+    CREATE INDEX IF NOT EXISTS IX_Files_Name ON Files(Name);
+
+    CREATE TABLE IF NOT EXISTS FileTags (
+      FileId INTEGER NOT NULL REFERENCES Files(Id) ON DELETE CASCADE,
+      TagId  INTEGER NOT NULL REFERENCES Tags(Id),
+      PRIMARY KEY (FileId, TagId)
+    );
+  `);
+
+  for (const [table, cols] of Object.entries(SQLITE_LATE_COLUMNS)) {
+    const info = await db.query(`PRAGMA table_info(${table});`);
+    const have = new Set(info.map((c) => c.name));
+    for (const [col, def] of Object.entries(cols)) {
+      if (!have.has(col)) await db.exec(`ALTER TABLE ${table} ADD COLUMN ${col} ${def};`);
+    }
+  }
+
+  await db.exec(`
+    INSERT INTO Folders (Name, ParentId, FullPath)
+    SELECT 'root', NULL, '/root'
+    WHERE NOT EXISTS (SELECT 1 FROM Folders WHERE ParentId IS NULL);
+  `);
+}
+
+module.exports = {
+  up: (db) => (db.dialect === "mssql" ? upMssql(db) : upSqlite(db)),
+};
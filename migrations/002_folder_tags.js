@@ -0,0 +1,30 @@
+// migrations/002_folder_tags.js
+// FolderTags (previously created at startup by ensureFolderTagsTable).
+
+module.exports = {
+  async up(db) {
+    if (db.dialect === "mssql") {
+      await db.exec(`
+        IF OBJECT_ID(N'FolderTags', N'U') IS NULL
+        BEGIN
+          CREATE TABLE FolderTags (
+            FolderId INT NOT NULL,
+            TagId INT NOT NULL,
+            PRIMARY KEY (FolderId, TagId),
+            FOREIGN KEY (FolderId) REFERENCES Folders(Id) ON DELETE CASCADE,
+            FOREIGN KEY (TagId) REFERENCES Tags(Id) ON DELETE CASCADE
+          );
+        END;
+      `);
+      return;
+    }
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS FolderTags (
+        FolderId INTEGER NOT NULL REFERENCES Folders(Id) ON DELETE CASCADE,
+        TagId    INTEGER NOT NULL REFERENCES Tags(Id) ON DELETE CASCADE,
+        PRIMARY KEY (FolderId, TagId)
+      );
+    `);
+  },
+};
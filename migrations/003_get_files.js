@@ -0,0 +1,50 @@
+// migrations/003_get_files.js
+// TagSlugList table type and the GetFiles procedure used by GET /api/files on SQL Server.
+// SQLite has neither; store.listFiles runs the equivalent query inline there.
+
+module.exports = {
+  async up(db) {
+    if (db.dialect !== "mssql") return;
+
+    await db.exec(`
+      IF NOT EXISTS (SELECT 1 FROM sys.types WHERE name = N'TagSlugList' AND is_table_type = 1)
+        CREATE TYPE TagSlugList AS TABLE (Slug NVARCHAR(100) NOT NULL);
+    `);
+
+    // CREATE PROCEDURE has to be alone in its batch
+    await db.exec(`
+      CREATE OR ALTER PROCEDURE GetFiles
+        @FolderId INT = NULL,
+        @Search   NVARCHAR(255) = NULL,
+        @TagSlugs TagSlugList READONLY
+      AS
+      BEGIN
+        SET NOCOUNT ON;
+
+        DECLARE @TagCount INT = (SELECT COUNT(DISTINCT Slug) FROM @TagSlugs);
+
+        SELECT
+          f.Id, f.FolderId, f.Name, f.StoragePath, f.SizeBytes, f.MimeType, f.CreatedAt, f.UpdatedAt,
+          (SELECT STRING_AGG(t.Name + '|' + COALESCE(t.ColorHex, '') + '|' + t.Slug, ',')
+           FROM FileTags ft
+           INNER JOIN Tags t ON t.Id = ft.TagId
+           WHERE ft.FileId = f.Id) AS TagInfo
+        FROM Files f
+        WHERE (@FolderId IS NULL OR f.FolderId = @FolderId)
+          AND (@Search IS NULL OR f.Name LIKE '%' + @Search + '%')
+          -- file must carry every requested tag
+          AND (
+            @TagCount = 0
+            OR (
+              SELECT COUNT(DISTINCT t.Id)
+              FROM FileTags ft
+              INNER JOIN Tags t ON t.Id = ft.TagId
+              INNER JOIN @TagSlugs s ON s.Slug = t.Slug
+              WHERE ft.FileId = f.Id
+            ) = @TagCount
+          )
+        ORDER BY f.Name;
+      END;
+    `);
+  },
+};
@@ -0,0 +1,16 @@
+// migrations/004_drop_get_files.js
+// GET /api/files now builds its filter from the tagQuery.js expression (store.listFiles),
+// so the GetFiles procedure and its TagSlugList type are no longer used on SQL Server.
+
+module.exports = {
+  async up(db) {
+    if (db.dialect !== "mssql") return;
+
+    await db.exec(`
+      IF OBJECT_ID(N'GetFiles', N'P') IS NOT NULL
+        DROP PROCEDURE GetFiles;
+      IF EXISTS (SELECT 1 FROM sys.types WHERE name = N'TagSlugList' AND is_table_type = 1)
+        DROP TYPE TagSlugList;
+    `);
+  },
+};
@@ -0,0 +1,69 @@
+// migrations/005_trash.js
+// Trash: deleted files, folders and tags are kept (and moved to the trash directory on disk)
+// until restored or purged. Files/Folders/Tags get DeletedAt + TrashId; Trash has one row per
+// delete action with enough to put the item back.
+
+const COLUMNS = ["Files", "Folders", "Tags"];
+
+async function upMssql(db) {
+  for (const table of COLUMNS) {
+    await db.exec(`
+      IF COL_LENGTH(N'${table}', N'DeletedAt') IS NULL
+        ALTER TABLE ${table} ADD DeletedAt DATETIME2 NULL;
+      IF COL_LENGTH(N'${table}', N'TrashId') IS NULL
+        ALTER TABLE ${table} ADD TrashId INT NULL;
+    `);
+  }
+
+  await db.exec(`
+    IF OBJECT_ID(N'Trash', N'U') IS NULL
+    BEGIN
+      CREATE TABLE Trash (
+        Id           INT IDENTITY(1,1) PRIMARY KEY,
+        Kind         NVARCHAR(10) NOT NULL,      -- file | folder | tag
+        ItemId       INT NOT NULL,               -- Files.Id / Folders.Id / Tags.Id
+        Name         NVARCHAR(255) NOT NULL,
+        OriginalPath NVARCHAR(1000) NOT NULL,    -- logical path (/root/a/b.txt), or the slug for tags
+        TrashPath    NVARCHAR(1000) NULL,        -- physical location inside the trash directory
+        SizeBytes    BIGINT NULL,
+        DeletedAt    DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+      );
+    END;
+
+    IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'IX_Trash_DeletedAt')
+      CREATE INDEX IX_Trash_DeletedAt ON Trash(DeletedAt);
+    IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'IX_Files_TrashId')
+      CREATE INDEX IX_Files_TrashId ON Files(TrashId);
+    IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'IX_Folders_TrashId')
+      CREATE INDEX IX_Folders_TrashId ON Folders(TrashId);
+  `);
+}
+
+async function upSqlite(db) {
+  for (const table of COLUMNS) {
+    const info = await db.query(`PRAGMA table_info(${table});`);
+    const have = new Set(info.map((c) => c.name));
+    if (!have.has("DeletedAt")) await db.exec(`ALTER TABLE ${table} ADD COLUMN DeletedAt TEXT NULL;`);
+    if (!have.has("TrashId")) await db.exec(`ALTER TABLE ${table} ADD COLUMN TrashId INTEGER NULL;`);
+  }
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS Trash (
+      Id           INTEGER PRIMARY KEY AUTOINCREMENT,
+      Kind         TEXT NOT NULL,
+      ItemId       INTEGER NOT NULL,
+      Name         TEXT NOT NULL,
+      OriginalPath TEXT NOT NULL,
+      TrashPath    TEXT NULL,
+      SizeBytes    INTEGER NULL,
+      DeletedAt    TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS IX_Trash_DeletedAt ON Trash(DeletedAt);
+    CREATE INDEX IF NOT EXISTS IX_Files_TrashId ON Files(TrashId);
+    CREATE INDEX IF NOT EXISTS IX_Folders_TrashId ON Folders(TrashId);
+  `);
+}
+
+module.exports = {
+  up: (db) => (db.dialect === "mssql" ? upMssql(db) : upSqlite(db)),
+};
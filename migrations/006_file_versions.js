@@ -0,0 +1,51 @@
+// migrations/006_file_versions.js
+// FileVersions: earlier contents of a file (kept on overwrite, rename and restore), stored as
+// blobs under versions/<FileId>/. Files.MaxVersions overrides the global MAX_FILE_VERSIONS cap.
+
+async function upMssql(db) {
+  await db.exec(`
+    IF OBJECT_ID(N'FileVersions', N'U') IS NULL
+    BEGIN
+      CREATE TABLE FileVersions (
+        Id         INT IDENTITY(1,1) PRIMARY KEY,
+        FileId     INT NOT NULL,
+        VersionNo  INT NOT NULL,
+        Name       NVARCHAR(255) NOT NULL,     -- file name at the time
+        SizeBytes  BIGINT NULL,
+        BlobPath   NVARCHAR(1000) NOT NULL,    -- physical path of the saved content
+        Reason     NVARCHAR(20) NOT NULL,      -- upload | rename | restore
+        CreatedAt  DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+        CONSTRAINT UX_FileVersions_File_Version UNIQUE (FileId, VersionNo),
+        CONSTRAINT FK_FileVersions_Files FOREIGN KEY (FileId) REFERENCES Files(Id) ON DELETE CASCADE
+      );
+    END;
+
+    IF COL_LENGTH(N'Files', N'MaxVersions') IS NULL
+      ALTER TABLE Files ADD MaxVersions INT NULL;
+  `);
+}
+
+async function upSqlite(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS FileVersions (
+      Id        INTEGER PRIMARY KEY AUTOINCREMENT,
+      FileId    INTEGER NOT NULL REFERENCES Files(Id) ON DELETE CASCADE,
+      VersionNo INTEGER NOT NULL,
+      Name      TEXT NOT NULL,
+      SizeBytes INTEGER NULL,
+      BlobPath  TEXT NOT NULL,
+      Reason    TEXT NOT NULL,
+      CreatedAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (FileId, VersionNo)
+    );
+  `);
+
+  const info = await db.query("PRAGMA table_info(Files);");
+  if (!info.some((c) => c.name === "MaxVersions")) {
+    await db.exec("ALTER TABLE Files ADD COLUMN MaxVersions INTEGER NULL;");
+  }
+}
+
+module.exports = {
+  up: (db) => (db.dialect === "mssql" ? upMssql(db) : upSqlite(db)),
+};
@@ -0,0 +1,26 @@
+// migrations/007_content_hash.js
+// Files.ContentHash: SHA-256 (hex) of the file content, filled on upload and by the disk sync.
+// Indexed for the duplicate finder, which groups live files by it.
+
+async function upMssql(db) {
+  await db.exec(`
+    IF COL_LENGTH(N'Files', N'ContentHash') IS NULL
+      ALTER TABLE Files ADD ContentHash CHAR(64) NULL;
+  `);
+  await db.exec(`
+    IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'IX_Files_ContentHash')
+      CREATE INDEX IX_Files_ContentHash ON Files(ContentHash);
+  `);
+}
+
+async function upSqlite(db) {
+  const info = await db.query("PRAGMA table_info(Files);");
+  if (!info.some((c) => c.name === "ContentHash")) {
+    await db.exec("ALTER TABLE Files ADD COLUMN ContentHash TEXT NULL;");
+  }
+  await db.exec("CREATE INDEX IF NOT EXISTS IX_Files_ContentHash ON Files(ContentHash);");
+}
+
+module.exports = {
+  up: (db) => (db.dialect === "mssql" ? upMssql(db) : upSqlite(db)),
+};
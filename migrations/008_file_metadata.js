@@ -0,0 +1,42 @@
+// migrations/008_file_metadata.js
+// FileMetadata: name/value pairs read from file content on ingest (fileInfo.js), e.g. Width,
+// Height, TakenAt, DurationSec, PageCount. Files.InspectedAt marks rows whose MimeType and
+// metadata have been filled in, so the disk sync can catch up on older rows.
+
+async function upMssql(db) {
+  await db.exec(`
+    IF OBJECT_ID(N'FileMetadata', N'U') IS NULL
+    BEGIN
+      CREATE TABLE FileMetadata (
+        FileId INT NOT NULL,
+        Name   NVARCHAR(50) NOT NULL,
+        Value  NVARCHAR(500) NOT NULL,
+        CONSTRAINT PK_FileMetadata PRIMARY KEY (FileId, Name),
+        CONSTRAINT FK_FileMetadata_Files FOREIGN KEY (FileId) REFERENCES Files(Id) ON DELETE CASCADE
+      );
+    END;
+
+    IF COL_LENGTH(N'Files', N'InspectedAt') IS NULL
+      ALTER TABLE Files ADD InspectedAt DATETIME2 NULL;
+  `);
+}
+
+async function upSqlite(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS FileMetadata (
+      FileId INTEGER NOT NULL REFERENCES Files(Id) ON DELETE CASCADE,
+      Name   TEXT NOT NULL,
+      Value  TEXT NOT NULL,
+      PRIMARY KEY (FileId, Name)
+    );
+  `);
+
+  const info = await db.query("PRAGMA table_info(Files);");
+  if (!info.some((c) => c.name === "InspectedAt")) {
+    await db.exec("ALTER TABLE Files ADD COLUMN InspectedAt TEXT NULL;");
+  }
+}
+
+module.exports = {
+  up: (db) => (db.dialect === "mssql" ? upMssql(db) : upSqlite(db)),
+};
@@ -0,0 +1,45 @@
+// migrations/009_upload_sessions.js
+// UploadSessions: resumable (chunked) uploads in progress. Received chunks live on disk under
+// versions/.chunks/<Id>/; the row keeps what is needed to finish the upload after a restart.
+// Sessions without activity (UpdatedAt) for UPLOAD_SESSION_TTL_HOURS are expired.
+
+async function upMssql(db) {
+  await db.exec(`
+    IF OBJECT_ID(N'UploadSessions', N'U') IS NULL
+    BEGIN
+      CREATE TABLE UploadSessions (
+        Id         NVARCHAR(32) NOT NULL PRIMARY KEY,  -- random token, also the chunk directory name
+        FolderId   INT NULL,                           -- target folder (checked again on finish)
+        RelPath    NVARCHAR(1000) NOT NULL,            -- file name, optionally below sub-folders
+        SizeBytes  BIGINT NOT NULL,
+        ChunkSize  INT NOT NULL,
+        Sha256     NVARCHAR(64) NULL,                  -- expected hash of the whole file, if given
+        NewTags    NVARCHAR(1000) NULL,
+        TagSlugs   NVARCHAR(1000) NULL,
+        CreatedAt  DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+        UpdatedAt  DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+      );
+    END;
+  `);
+}
+
+async function upSqlite(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS UploadSessions (
+      Id        TEXT PRIMARY KEY,
+      FolderId  INTEGER NULL,
+      RelPath   TEXT NOT NULL,
+      SizeBytes INTEGER NOT NULL,
+      ChunkSize INTEGER NOT NULL,
+      Sha256    TEXT NULL,
+      NewTags   TEXT NULL,
+      TagSlugs  TEXT NULL,
+      CreatedAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UpdatedAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+module.exports = {
+  up: (db) => (db.dialect === "mssql" ? upMssql(db) : upSqlite(db)),
+};
@@ -0,0 +1,92 @@
+// migrations/010_users.js
+// Users (local accounts with a role), Sessions (login cookies, stored as a hash of the token)
+// and FolderGrants (per-folder access, inherited by subfolders). UploadSessions get the
+// UserId of the account that started them.
+
+async function upMssql(db) {
+  await db.exec(`
+    IF OBJECT_ID(N'Users', N'U') IS NULL
+    BEGIN
+      CREATE TABLE Users (
+        Id           INT IDENTITY(1,1) PRIMARY KEY,
+        Username     NVARCHAR(64) NOT NULL,
+        PasswordHash NVARCHAR(255) NOT NULL,     -- scrypt$N$r$p$salt$hash
+        Role         NVARCHAR(10) NOT NULL,      -- admin | editor | viewer
+        Disabled     BIT NOT NULL DEFAULT 0,
+        CreatedAt    DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+        LastLoginAt  DATETIME2 NULL
+      );
+    END;
+
+    IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'UX_Users_Username')
+      CREATE UNIQUE INDEX UX_Users_Username ON Users(Username);
+
+    IF OBJECT_ID(N'Sessions', N'U') IS NULL
+    BEGIN
+      CREATE TABLE Sessions (
+        Id         NVARCHAR(64) NOT NULL PRIMARY KEY,   -- SHA-256 of the cookie token
+        UserId     INT NOT NULL,
+        CreatedAt  DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+        ExpiresAt  DATETIME2 NOT NULL,
+        FOREIGN KEY (UserId) REFERENCES Users(Id) ON DELETE CASCADE
+      );
+    END;
+
+    IF OBJECT_ID(N'FolderGrants', N'U') IS NULL
+    BEGIN
+      CREATE TABLE FolderGrants (
+        FolderId  INT NOT NULL,
+        UserId    INT NOT NULL,
+        Access    NVARCHAR(10) NOT NULL,     -- none | view | edit
+        CreatedAt DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+        PRIMARY KEY (FolderId, UserId),
+        FOREIGN KEY (FolderId) REFERENCES Folders(Id) ON DELETE CASCADE,
+        FOREIGN KEY (UserId) REFERENCES Users(Id) ON DELETE CASCADE
+      );
+    END;
+
+    IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'IX_FolderGrants_User')
+      CREATE INDEX IX_FolderGrants_User ON FolderGrants(UserId);
+
+    IF COL_LENGTH(N'UploadSessions', N'UserId') IS NULL
+      ALTER TABLE UploadSessions ADD UserId INT NULL;
+  `);
+}
+
+async function upSqlite(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS Users (
+      Id           INTEGER PRIMARY KEY AUTOINCREMENT,
+      Username     TEXT NOT NULL COLLATE NOCASE,
+      PasswordHash TEXT NOT NULL,
+      Role         TEXT NOT NULL,
+      Disabled     INTEGER NOT NULL DEFAULT 0,
+      CreatedAt    TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      LastLoginAt  TEXT NULL
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS UX_Users_Username ON Users(Username);
+
+    CREATE TABLE IF NOT EXISTS Sessions (
+      Id        TEXT PRIMARY KEY,
+      UserId    INTEGER NOT NULL REFERENCES Users(Id) ON DELETE CASCADE,
+      CreatedAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      ExpiresAt TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS FolderGrants (
+      FolderId  INTEGER NOT NULL REFERENCES Folders(Id) ON DELETE CASCADE,
+      UserId    INTEGER NOT NULL REFERENCES Users(Id) ON DELETE CASCADE,
+      Access    TEXT NOT NULL,
+      CreatedAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (FolderId, UserId)
+    );
+    CREATE INDEX IF NOT EXISTS IX_FolderGrants_User ON FolderGrants(UserId);
+  `);
+
+  const info = await db.query("PRAGMA table_info(UploadSessions);");
+  if (!info.some((c) => c.name === "UserId")) await db.exec("ALTER TABLE UploadSessions ADD COLUMN UserId INTEGER NULL;");
+}
+
+module.exports = {
+  up: (db) => (db.dialect === "mssql" ? upMssql(db) : upSqlite(db)),
+};
@@ -0,0 +1,58 @@
+// migrations/011_shares.js
+// Shares: public links to a file or a folder. Token is the secret part of the URL (/s/<Token>);
+// the link works with the access of the user who created it, optionally behind a password,
+// until ExpiresAt and for at most MaxDownloads downloads.
+
+async function upMssql(db) {
+  await db.exec(`
+    IF OBJECT_ID(N'Shares', N'U') IS NULL
+    BEGIN
+      CREATE TABLE Shares (
+        Id           INT IDENTITY(1,1) PRIMARY KEY,
+        Token        NVARCHAR(64) NOT NULL,
+        Kind         NVARCHAR(10) NOT NULL,      -- file | folder
+        ItemId       INT NOT NULL,               -- Files.Id or Folders.Id
+        CreatedBy    INT NOT NULL,
+        PasswordHash NVARCHAR(255) NULL,         -- scrypt, like Users.PasswordHash
+        ExpiresAt    DATETIME2 NULL,
+        MaxDownloads INT NULL,
+        Downloads    INT NOT NULL DEFAULT 0,
+        Views        INT NOT NULL DEFAULT 0,
+        LastAccessAt DATETIME2 NULL,
+        CreatedAt    DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+        FOREIGN KEY (CreatedBy) REFERENCES Users(Id) ON DELETE CASCADE
+      );
+    END;
+
+    IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'UX_Shares_Token')
+      CREATE UNIQUE INDEX UX_Shares_Token ON Shares(Token);
+
+    IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'IX_Shares_Item')
+      CREATE INDEX IX_Shares_Item ON Shares(Kind, ItemId);
+  `);
+}
+
+async function upSqlite(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS Shares (
+      Id           INTEGER PRIMARY KEY AUTOINCREMENT,
+      Token        TEXT NOT NULL,
+      Kind         TEXT NOT NULL,
+      ItemId       INTEGER NOT NULL,
+      CreatedBy    INTEGER NOT NULL REFERENCES Users(Id) ON DELETE CASCADE,
+      PasswordHash TEXT NULL,
+      ExpiresAt    TEXT NULL,
+      MaxDownloads INTEGER NULL,
+      Downloads    INTEGER NOT NULL DEFAULT 0,
+      Views        INTEGER NOT NULL DEFAULT 0,
+      LastAccessAt TEXT NULL,
+      CreatedAt    TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS UX_Shares_Token ON Shares(Token);
+    CREATE INDEX IF NOT EXISTS IX_Shares_Item ON Shares(Kind, ItemId);
+  `);
+}
+
+module.exports = {
+  up: (db) => (db.dialect === "mssql" ? upMssql(db) : upSqlite(db)),
+};
@@ -0,0 +1,31 @@
+// migrations/012_file_ops.js
+// FileOps: commit records of journaled file operations. The disk steps of an operation are
+// written to journal/<Id>.jsonl before they run; the row is inserted in the same transaction as
+// the DB changes, so after a crash its presence tells whether to finish or undo the disk steps.
+
+async function upMssql(db) {
+  await db.exec(`
+    IF OBJECT_ID(N'FileOps', N'U') IS NULL
+    BEGIN
+      CREATE TABLE FileOps (
+        Id          NVARCHAR(36) NOT NULL PRIMARY KEY,   -- UUID, also the journal file name
+        Kind        NVARCHAR(20) NOT NULL,               -- rename | trash | restore | bulk-move | ...
+        CommittedAt DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+      );
+    END;
+  `);
+}
+
+async function upSqlite(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS FileOps (
+      Id          TEXT PRIMARY KEY,
+      Kind        TEXT NOT NULL,
+      CommittedAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+module.exports = {
+  up: (db) => (db.dialect === "mssql" ? upMssql(db) : upSqlite(db)),
+};
@@ -0,0 +1,58 @@
+// migrations/013_jobs.js
+// Jobs: the background work queue (folder syncs, cleanup of rows missing on disk, thumbnails,
+// maintenance). A job waits as 'queued' until RunAfter, is 'running' while a worker has it and
+// is deleted when done; one that used up MaxAttempts stays as 'failed'. Only one queued job
+// per DedupKey, so repeated requests for the same work coalesce.
+
+async function upMssql(db) {
+  await db.exec(`
+    IF OBJECT_ID(N'Jobs', N'U') IS NULL
+    BEGIN
+      CREATE TABLE Jobs (
+        Id          INT IDENTITY(1,1) PRIMARY KEY,
+        Type        NVARCHAR(40) NOT NULL,
+        Payload     NVARCHAR(MAX) NOT NULL DEFAULT N'{}',   -- JSON
+        DedupKey    NVARCHAR(450) NULL,
+        State       NVARCHAR(10) NOT NULL DEFAULT N'queued',  -- queued | running | failed
+        Attempts    INT NOT NULL DEFAULT 0,
+        MaxAttempts INT NOT NULL DEFAULT 5,
+        RunAfter    DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+        LastError   NVARCHAR(MAX) NULL,
+        CreatedAt   DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+        StartedAt   DATETIME2 NULL,
+        UpdatedAt   DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+      );
+    END;
+
+    IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'IX_Jobs_State_RunAfter')
+      CREATE INDEX IX_Jobs_State_RunAfter ON Jobs(State, RunAfter);
+
+    IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'UX_Jobs_DedupKey')
+      CREATE UNIQUE INDEX UX_Jobs_DedupKey ON Jobs(DedupKey) WHERE State = N'queued' AND DedupKey IS NOT NULL;
+  `);
+}
+
+async function upSqlite(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS Jobs (
+      Id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      Type        TEXT NOT NULL,
+      Payload     TEXT NOT NULL DEFAULT '{}',
+      DedupKey    TEXT NULL,
+      State       TEXT NOT NULL DEFAULT 'queued',
+      Attempts    INTEGER NOT NULL DEFAULT 0,
+      MaxAttempts INTEGER NOT NULL DEFAULT 5,
+      RunAfter    TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      LastError   TEXT NULL,
+      CreatedAt   TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      StartedAt   TEXT NULL,
+      UpdatedAt   TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS IX_Jobs_State_RunAfter ON Jobs(State, RunAfter);
+    CREATE UNIQUE INDEX IF NOT EXISTS UX_Jobs_DedupKey ON Jobs(DedupKey) WHERE State = 'queued' AND DedupKey IS NOT NULL;
+  `);
+}
+
+module.exports = {
+  up: (db) => (db.dialect === "mssql" ? upMssql(db) : upSqlite(db)),
+};
@@ -0,0 +1,36 @@
+// migrations/014_disk_ids.js
+// Files.DiskId / Folders.DiskId: "<device>:<inode>" of the item on disk, recorded by the
+// reconcile pass. An entry that shows up under a new path with the DiskId of a row whose path
+// is gone was moved or renamed outside the app, so the row follows it instead of being replaced.
+// The reconcile pass replaces the per-listing folder sync, so waiting sync jobs are dropped.
+
+const TABLES = ["Files", "Folders"];
+
+async function upMssql(db) {
+  for (const table of TABLES) {
+    await db.exec(`
+      IF COL_LENGTH(N'${table}', N'DiskId') IS NULL
+        ALTER TABLE ${table} ADD DiskId NVARCHAR(64) NULL;
+    `);
+    await db.exec(`
+      IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'IX_${table}_DiskId')
+        CREATE INDEX IX_${table}_DiskId ON ${table}(DiskId);
+    `);
+  }
+  await db.exec("DELETE FROM Jobs WHERE Type = N'sync-folder';");
+}
+
+async function upSqlite(db) {
+  for (const table of TABLES) {
+    const info = await db.query(`PRAGMA table_info(${table});`);
+    if (!info.some((c) => c.name === "DiskId")) {
+      await db.exec(`ALTER TABLE ${table} ADD COLUMN DiskId TEXT NULL;`);
+    }
+    await db.exec(`CREATE INDEX IF NOT EXISTS IX_${table}_DiskId ON ${table}(DiskId);`);
+  }
+  await db.exec("DELETE FROM Jobs WHERE Type = 'sync-folder';");
+}
+
+module.exports = {
+  up: (db) => (db.dialect === "mssql" ? upMssql(db) : upSqlite(db)),
+};
@@ -0,0 +1,55 @@
+// migrations/015_tag_hierarchy.js
+// Tags.ParentId nests tags (school/math/algebra); a child's Slug is its parent's Slug plus
+// "/" and its own part, so filtering by a tag can take everything below it by prefix.
+// TagGroups ("Project", "Status", ...) sort tags into categories; Tags.GroupId is set on a
+// tag and everything below it. In an Exclusive group an item carries at most one tag.
+
+async function upMssql(db) {
+  await db.exec(`
+    IF OBJECT_ID(N'TagGroups', N'U') IS NULL
+    BEGIN
+      CREATE TABLE TagGroups (
+        Id        INT IDENTITY(1,1) PRIMARY KEY,
+        Name      NVARCHAR(100) NOT NULL,
+        Exclusive BIT NOT NULL DEFAULT 0,
+        CreatedAt DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+      );
+    END;
+
+    IF COL_LENGTH(N'Tags', N'ParentId') IS NULL
+      ALTER TABLE Tags ADD ParentId INT NULL;
+
+    IF COL_LENGTH(N'Tags', N'GroupId') IS NULL
+      ALTER TABLE Tags ADD GroupId INT NULL;
+  `);
+  await db.exec(`
+    IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'IX_Tags_ParentId')
+      CREATE INDEX IX_Tags_ParentId ON Tags(ParentId);
+
+    IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'IX_Tags_GroupId')
+      CREATE INDEX IX_Tags_GroupId ON Tags(GroupId);
+  `);
+}
+
+async function upSqlite(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS TagGroups (
+      Id        INTEGER PRIMARY KEY AUTOINCREMENT,
+      Name      TEXT NOT NULL,
+      Exclusive INTEGER NOT NULL DEFAULT 0,
+      CreatedAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  const info = await db.query("PRAGMA table_info(Tags);");
+  for (const column of ["ParentId", "GroupId"]) {
+    if (!info.some((c) => c.name === column)) await db.exec(`ALTER TABLE Tags ADD COLUMN ${column} INTEGER NULL;`);
+  }
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS IX_Tags_ParentId ON Tags(ParentId);
+    CREATE INDEX IF NOT EXISTS IX_Tags_GroupId ON Tags(GroupId);
+  `);
+}
+
+module.exports = {
+  up: (db) => (db.dialect === "mssql" ? upMssql(db) : upSqlite(db)),
+};
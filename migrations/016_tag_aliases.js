@@ -0,0 +1,39 @@
+// migrations/016_tag_aliases.js
+// TagAliases: other slugs a tag answers to in filters and uploads. A renamed or moved tag keeps
+// its old slug here, a merged tag leaves its slug to the tag it was merged into, and synonyms
+// ("kitty" for "cats") are added by hand. An alias slug is never also the slug of a tag.
+
+async function upMssql(db) {
+  await db.exec(`
+    IF OBJECT_ID(N'TagAliases', N'U') IS NULL
+    BEGIN
+      CREATE TABLE TagAliases (
+        Id        INT IDENTITY(1,1) PRIMARY KEY,
+        TagId     INT NOT NULL,
+        Slug      NVARCHAR(100) NOT NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+        CONSTRAINT UQ_TagAliases_Slug UNIQUE (Slug)
+      );
+    END;
+  `);
+  await db.exec(`
+    IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'IX_TagAliases_TagId')
+      CREATE INDEX IX_TagAliases_TagId ON TagAliases(TagId);
+  `);
+}
+
+async function upSqlite(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS TagAliases (
+      Id        INTEGER PRIMARY KEY AUTOINCREMENT,
+      TagId     INTEGER NOT NULL,
+      Slug      TEXT NOT NULL UNIQUE,
+      CreatedAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS IX_TagAliases_TagId ON TagAliases(TagId);
+  `);
+}
+
+module.exports = {
+  up: (db) => (db.dialect === "mssql" ? upMssql(db) : upSqlite(db)),
+};
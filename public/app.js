@@ -1,21 +1,37 @@
 // public/app.js
 
 let currentFolder = null;
+// { Id, Username, Role } of the signed-in user
+let currentUser = null;
 let allTags = [];
 let selectedTagSlugs = new Set();
+// paging/sorting for the recursive search view (scope "below" / "all")
+let searchState = { page: 1, pageSize: 50, sort: "name", dir: "asc" };
 let uploadState = {
   files: [],
 };
+// "list" (table) or "grid" (thumbnail tiles)
+let viewMode = localStorage.getItem("viewMode") === "grid" ? "grid" : "list";
 
 // Small helpers
+// the session ended (expired, logged out elsewhere): back to the login page
+function redirectToLogin() {
+  location.href = "/login.html?next=" + encodeURIComponent(location.pathname + location.search);
+  throw new Error("Login required");
+}
+
 async function apiGet(url) {
   const res = await fetch(url);
+  if (res.status === 401) redirectToLogin();
   const text = await res.text().catch(() => "");
   if (!res.ok) {
     let parsed = text;
     try { parsed = JSON.parse(text); } catch (e) { /* keep raw text */ }
     const msg = parsed && parsed.error ? parsed.error : (typeof parsed === "string" ? parsed : JSON.stringify(parsed));
-    throw new Error(`GET ${url} failed: ${res.status} ${res.statusText} - ${msg}`);
+    const err = new Error(`GET ${url} failed: ${res.status} ${res.statusText} - ${msg}`);
+    err.status = res.status;
+    err.body = parsed;
+    throw err;
   }
   try {
     return JSON.parse(text);
@@ -30,12 +46,14 @@ async function apiPost(url, body) {
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify(body),
   });
+  if (res.status === 401) redirectToLogin();
   if (!res.ok) throw new Error(`POST ${url} failed`);
   return res.json();
 }
 
 async function apiDelete(url) {
   const res = await fetch(url, { method: "DELETE" });
+  if (res.status === 401) redirectToLogin();
   if (!res.ok) throw new Error(`DELETE ${url} failed`);
   return res.json();
 }
@@ -47,6 +65,7 @@ async function apiPatch(url, body) {
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify(body),
   });
+  if (res.status === 401) redirectToLogin();
   if (!res.ok) {
     const txt = await res.text();
     throw new Error(`PATCH ${url} failed: ${txt}`);
@@ -75,7 +94,9 @@ document.addEventListener("DOMContentLoaded", () => {
 
 async function initApp() {
   try {
+    await loadCurrentUser();
     await loadRoot();
+    document.getElementById("inheritTagsToggle").checked = localStorage.getItem("inheritTags") !== "0";
     await loadTags();
     await loadFolders();
     await loadFiles();
@@ -84,7 +105,17 @@ async function initApp() {
     setupFolderCreate();
     setupSettings();
     setupManualRefresh(); // <-- new
-    startAutoRefresh(); // <-- new: start polling on init
+    setupViewToggle();
+    setupTrashModal();
+    setupDuplicatesModal();
+    setupJobsModal();
+    setupPreviewModal();
+    setupAccountEvents();
+    setupUsersModal();
+    setupShareModals();
+    setupZipEvents();
+    setupBulkActions();
+    startLiveUpdates();
   } catch (err) {
     console.error("Init error:", err);
     alert("Failed to initialize app: " + err.message);
@@ -120,6 +151,7 @@ async function loadFolders() {
       loadFolders().catch(console.error);
       loadFiles().catch(console.error);
     });
+    makeDropTarget(li, f);
     folderList.appendChild(li);
   });
 }
@@ -127,6 +159,7 @@ async function loadFolders() {
 function renderBreadcrumb() {
   const el = document.getElementById("folderBreadcrumb");
   const backBtn = document.getElementById("btnBack");
+  applyFolderAccess();
   
   if (!currentFolder) {
     el.textContent = "/";
@@ -134,7 +167,7 @@ function renderBreadcrumb() {
     return;
   }
   
-  el.textContent = currentFolder.FullPath || "/root";
+  renderBreadcrumbSegments(el, currentFolder);
   
   // Show back button only if not at root
   if (currentFolder.ParentId != null) {
@@ -144,6 +177,35 @@ function renderBreadcrumb() {
   }
 }
 
+// one link per ancestor (navigate on click, drop items onto it); ids come with GET /api/folder/:id
+function renderBreadcrumbSegments(el, folder) {
+  el.innerHTML = "";
+  if (!folder.Breadcrumb) {
+    el.textContent = folder.FullPath || "/root";
+    apiGet(`/api/folder/${folder.Id}`)
+      .then((full) => {
+        if (currentFolder !== folder) return;
+        folder.Breadcrumb = full.Breadcrumb;
+        renderBreadcrumbSegments(el, folder);
+      })
+      .catch((err) => console.error("breadcrumb", err));
+    return;
+  }
+  folder.Breadcrumb.forEach((crumb, i) => {
+    el.appendChild(document.createTextNode("/"));
+    const a = document.createElement("a");
+    a.href = "#";
+    a.textContent = crumb.Name;
+    a.title = crumb.FullPath;
+    a.addEventListener("click", (e) => {
+      e.preventDefault();
+      if (crumb.Id && crumb.Id !== currentFolder.Id) navigateToFolder(crumb.Id).catch(console.error);
+    });
+    if (crumb.Id && i < folder.Breadcrumb.length - 1) makeDropTarget(a, crumb);
+    el.appendChild(a);
+  });
+}
+
 // Setup back button
 document.getElementById("btnBack").addEventListener("click", async () => {
   if (!currentFolder || currentFolder.ParentId == null) return;
@@ -162,20 +224,134 @@ document.getElementById("btnBack").addEventListener("click", async () => {
 
 /* ============================================================
    TAGS
+   Tags are shown as a tree (a tag's children below it, folded
+   by default) under a heading per tag group. In an exclusive
+   group checking a tag unchecks the others of the group.
 ============================================================ */
+let tagGroups = [];
+// open branches and folded groups, kept across reloads
+const openTagBranches = new Set(JSON.parse(localStorage.getItem("openTagBranches") || "[]"));
+const foldedTagGroups = new Set(JSON.parse(localStorage.getItem("foldedTagGroups") || "[]"));
+
 async function loadTags() {
-  allTags = await apiGet("/api/tags");
+  [allTags, tagGroups] = await Promise.all([apiGet("/api/tags"), apiGet("/api/tag-groups")]);
   renderTagFilters();
   renderUploadTagList();
 }
 
+function exclusiveGroupOf(tag) {
+  const group = tagGroups.find((g) => g.Id === tag.GroupId);
+  return group && group.Exclusive ? group : null;
+}
+
+// checkbox of a tag in an exclusive group: uncheck the others of the group in the same list
+function keepOnePerGroup(container, tag, cb) {
+  cb.addEventListener("change", () => {
+    if (!cb.checked || !exclusiveGroupOf(tag)) return;
+    container.querySelectorAll("input[type=checkbox][data-group-id]").forEach((other) => {
+      if (other !== cb && Number(other.dataset.groupId) === tag.GroupId) other.checked = false;
+    });
+  });
+  if (tag.GroupId != null) cb.dataset.groupId = tag.GroupId;
+}
+
+function toggleRemembered(set, key, id, on) {
+  if (on) set.add(id);
+  else set.delete(id);
+  localStorage.setItem(key, JSON.stringify([...set]));
+}
+
+// render tags (all of them, or the rows of a file/folder) into container; makeItem(tag) builds the bubble
+function renderTagTree(container, tags, makeItem) {
+  const ids = new Set(tags.map((t) => t.Id));
+  const children = new Map();
+  tags.forEach((t) => {
+    const parent = ids.has(t.ParentId) ? t.ParentId : null;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(t);
+  });
+  const byName = (a, b) => a.Name.localeCompare(b.Name);
+
+  const renderNode = (tag) => {
+    const node = document.createElement("div");
+    node.className = "tag-node";
+    const row = document.createElement("div");
+    row.className = "tag-node-row";
+    const kids = (children.get(tag.Id) || []).sort(byName);
+    const toggle = document.createElement("button");
+    toggle.className = "tag-toggle";
+    row.appendChild(toggle);
+    row.appendChild(makeItem(tag));
+    node.appendChild(row);
+    if (!kids.length) {
+      toggle.disabled = true;
+      return node;
+    }
+    const box = document.createElement("div");
+    box.className = "tag-children";
+    kids.forEach((k) => box.appendChild(renderNode(k)));
+    node.appendChild(box);
+    const show = (open) => {
+      box.classList.toggle("hidden", !open);
+      toggle.textContent = open ? "▾" : "▸";
+      toggle.title = open ? "Hide the tags below" : `${kids.length} tag(s) below`;
+    };
+    show(openTagBranches.has(tag.Id));
+    toggle.addEventListener("click", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const open = box.classList.contains("hidden");
+      toggleRemembered(openTagBranches, "openTagBranches", tag.Id, open);
+      show(open);
+    });
+    return node;
+  };
+
+  const roots = (children.get(null) || []).sort(byName);
+  if (!tagGroups.length) {
+    roots.forEach((t) => container.appendChild(renderNode(t)));
+    return;
+  }
+  // a tag whose group isn't known (yet) goes with the ungrouped ones
+  const known = new Set(tagGroups.map((g) => g.Id));
+  [...tagGroups, { Id: null, Name: "Other", Exclusive: false }].forEach((group) => {
+    const members = roots.filter((t) => (known.has(t.GroupId) ? t.GroupId : null) === group.Id);
+    if (!members.length) return;
+    const section = document.createElement("div");
+    section.className = "tag-group";
+    const title = document.createElement("button");
+    title.className = "tag-group-title";
+    const body = document.createElement("div");
+    body.className = "tag-group-body";
+    members.forEach((t) => body.appendChild(renderNode(t)));
+    const key = group.Id === null ? "other" : group.Id;
+    const show = (open) => {
+      body.classList.toggle("hidden", !open);
+      title.textContent = `${open ? "▾" : "▸"} ${group.Name}${group.Exclusive ? " (one per item)" : ""}`;
+    };
+    show(!foldedTagGroups.has(key));
+    title.addEventListener("click", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const open = body.classList.contains("hidden");
+      toggleRemembered(foldedTagGroups, "foldedTagGroups", key, !open);
+      show(open);
+    });
+    section.appendChild(title);
+    section.appendChild(body);
+    container.appendChild(section);
+  });
+}
+
 function renderTagFilters() {
 	const bar = document.getElementById("tagFilterBar");
 	bar.innerHTML = "";
 
-	allTags.forEach((tag) => {
+	// a tag takes the tags below it along as a filter (school matches school/math)
+	renderTagTree(bar, allTags, (tag) => {
 		const bubble = document.createElement("label");
 		bubble.className = "tag-bubble";
+		bubble.title = tag.Slug;
 
 		const color = tag.ColorHex || "#888888";
 		bubble.style.backgroundColor = color + "22";
@@ -218,7 +394,7 @@ function renderTagFilters() {
 			openTagEditor(tag);
 		});
 
-		bar.appendChild(bubble);
+		return bubble;
 	});
 
 	// append small create button at the end of filter bar
@@ -233,123 +409,185 @@ function renderTagFilters() {
 	bar.appendChild(createBtn);
 }
 
-function renderUploadTagList() {
-	const container = document.getElementById("uploadTagList");
-	container.innerHTML = "";
+/* ============================================================
+   FILES
+============================================================ */
+async function loadFiles() {
+  if (!currentFolder) return;
 
-	allTags.forEach((tag) => {
-		const wrapper = document.createElement("label");
-		wrapper.className = "tag-bubble upload-tag";
+  const search = document.getElementById("searchInput").value.trim();
+  const q = document.getElementById("queryInput").value.trim();
+  // the same q/tags filter is applied to files and subfolders on the server
+  const filterParams = listFilterParams();
 
-		const color = tag.ColorHex || "#888888";
-		wrapper.style.backgroundColor = color + "22";
-		wrapper.style.borderColor = color;
+  const scope = document.getElementById("searchScope").value;
 
-		const cb = document.createElement("input");
-		cb.type = "checkbox";
-		cb.className = "upload-tag-checkbox";
-		cb.dataset.slug = tag.Slug;
-		cb.dataset.id = tag.Id;
+  let files, folders, results;
+  try {
+    if (scope !== "folder") {
+      results = await apiGet(
+        `/api/search?scope=${scope}&folderId=${currentFolder.Id}` +
+        (search ? `&search=${encodeURIComponent(search)}` : "") +
+        filterParams +
+        `&sort=${searchState.sort}&dir=${searchState.dir}` +
+        `&page=${searchState.page}&pageSize=${searchState.pageSize}`
+      );
+    } else {
+      files = await apiGet(
+        `/api/files?folderId=${currentFolder.Id}` +
+        (search ? `&search=${encodeURIComponent(search)}` : "") +
+        filterParams
+      );
+      folders = await apiGet(`/api/folders?parentId=${currentFolder.Id}` + filterParams);
+    }
+  } catch (err) {
+    if (err.status === 400 && err.body && err.body.position != null) {
+      showQueryError(q, err.body);
+      return;
+    }
+    throw err;
+  }
 
-		// clicking checkbox toggles selection only
-		cb.addEventListener("click", (e) => {
-			e.stopPropagation();
-			// let the checkbox update then nothing else here (upload reads checked state)
-		});
+  showQueryError(q, null);
+  if (results) {
+    setSearchMode(true);
+    renderSearchPager(results);
+    renderFiles(results.items, [], { showPath: true });
+  } else {
+    setSearchMode(false);
+    renderFiles(files, folders);
+  }
+}
 
-		const dot = document.createElement("span");
-		dot.className = "tag-dot";
-		dot.style.backgroundColor = color;
+// "&q=..&tags=..&inherit=0" for the tag query, the tag filter bar and the inherit toggle
+function listFilterParams() {
+  const q = document.getElementById("queryInput").value.trim();
+  const tagsParam =
+    Array.from(selectedTagSlugs).length > 0
+      ? "&tags=" + encodeURIComponent(Array.from(selectedTagSlugs).join(","))
+      : "";
+  const inherit = document.getElementById("inheritTagsToggle").checked;
+  return (q ? `&q=${encodeURIComponent(q)}` : "") + tagsParam + (inherit ? "" : "&inherit=0");
+}
 
-		const span = document.createElement("span");
-		span.textContent = tag.Name;
+// toggle the Path column, pager and sortable headers used by the search view
+function setSearchMode(on) {
+  document.querySelectorAll(".file-table .path-col").forEach((th) => th.classList.toggle("hidden", !on));
+  document.getElementById("searchPager").classList.toggle("hidden", !on);
+  document.querySelectorAll(".file-table th[data-sort]").forEach((th) => {
+    th.classList.toggle("sortable", on);
+    th.classList.remove("sort-asc", "sort-desc");
+    if (on && th.dataset.sort === searchState.sort) th.classList.add("sort-" + searchState.dir);
+  });
+}
 
-		wrapper.appendChild(cb);
-		wrapper.appendChild(dot);
-		wrapper.appendChild(span);
+function renderSearchPager(results) {
+  const pages = Math.max(1, Math.ceil(results.total / results.pageSize));
+  const first = results.total ? (results.page - 1) * results.pageSize + 1 : 0;
+  const last = Math.min(results.total, results.page * results.pageSize);
+  document.getElementById("searchPagerInfo").textContent =
+    `${first}–${last} of ${results.total} (page ${results.page} / ${pages})`;
+  document.getElementById("btnPagePrev").disabled = results.page <= 1;
+  document.getElementById("btnPageNext").disabled = results.page >= pages;
+}
 
-		// clicking wrapper (not the checkbox) opens the tag editor — prevent checkbox toggle
-		wrapper.addEventListener("click", (e) => {
-			if (e.target === cb) return;
-			e.preventDefault();
-			e.stopPropagation();
-			openTagEditor(tag);
-		});
+// jump to a folder by id (used by search result paths)
+async function navigateToFolder(folderId) {
+  const folder = await apiGet(`/api/folder/${folderId}`);
+  currentFolder = folder;
+  document.getElementById("searchScope").value = "folder";
+  renderBreadcrumb();
+  await loadFolders();
+  await loadFiles();
+}
 
-		container.appendChild(wrapper);
-	});
+// show a query parse error under the filter input with a marker at the reported position
+function showQueryError(q, info) {
+  const box = document.getElementById("queryError");
+  const input = document.getElementById("queryInput");
+  box.innerHTML = "";
+  if (!info) {
+    box.classList.add("hidden");
+    input.classList.remove("invalid");
+    return;
+  }
 
-	// append small create button next to upload tag list
-	const createBtn = document.createElement("button");
-	createBtn.className = "tag-add-list";
-	createBtn.title = "Create tag";
-	createBtn.textContent = "+";
-	createBtn.addEventListener("click", (e) => {
-		e.stopPropagation();
-		openTagEditor(null); // create mode
-	});
-	container.appendChild(createBtn);
+  const pos = Math.min(info.position, q.length);
+  const len = Math.max(1, info.length || 1);
+  const msg = document.createElement("div");
+  msg.textContent = `${info.message} (at ${pos + 1})`;
+
+  const pre = document.createElement("pre");
+  pre.textContent = q + "\n" + " ".repeat(pos) + "^".repeat(Math.min(len, Math.max(1, q.length - pos)));
+
+  box.appendChild(msg);
+  box.appendChild(pre);
+  box.classList.remove("hidden");
+  input.classList.add("invalid");
+  // put the cursor at the problem
+  input.setSelectionRange(pos, Math.min(q.length, pos + len));
 }
 
-/* ============================================================
-   FILES
-============================================================ */
-async function loadFiles() {
-  if (!currentFolder) return;
+// greyed chips for InheritedTagInfo (tags that come from a parent folder)
+function appendInheritedTagChips(cell, tagInfo) {
+  if (!tagInfo) return;
+  tagInfo.split(",").forEach((p) => {
+    const [name, color, slug] = p.split("|").map((x) => x.trim());
+    if (!name) return;
 
-  const search = document.getElementById("searchInput").value.trim();
-  const tagsParam =
-    Array.from(selectedTagSlugs).length > 0
-      ? "&tags=" + encodeURIComponent(Array.from(selectedTagSlugs).join(","))
-      : "";
+    const wrapper = document.createElement("label");
+    wrapper.className = "tag-bubble inherited";
+    wrapper.title = "Inherited from a parent folder";
+    wrapper.style.borderColor = color || "#888888";
 
-  const url =
-    `/api/files?folderId=${currentFolder.Id}` +
-    (search ? `&search=${encodeURIComponent(search)}` : "") +
-    tagsParam;
+    const dot = document.createElement("span");
+    dot.className = "tag-dot";
+    dot.style.backgroundColor = color || "#888888";
 
-  const files = await apiGet(url);
-  
-  // Load subfolders too
-  let folders = await apiGet(`/api/folders?parentId=${currentFolder.Id}`);
-
-  // If tag filters are active, filter folders to only those matching selected tag slugs
-  if (selectedTagSlugs.size > 0) {
-    const selected = Array.from(selectedTagSlugs).map(s => String(s).toLowerCase());
-    folders = folders.filter(folder => {
-      if (!folder.TagInfo) return false;
-      // TagInfo may be "Name|Color" or "Name|Color|Slug" repeated with commas
-      const segments = String(folder.TagInfo).split(",").map(p => p.trim()).filter(Boolean);
-      const folderSlugs = new Set();
-
-      for (const seg of segments) {
-        const parts = seg.split("|").map(x => x.trim());
-        if (parts.length >= 3 && parts[2]) {
-          folderSlugs.add(parts[2].toLowerCase());
-        } else if (parts.length >= 1 && parts[0]) {
-          // fallback: derive slug from name if slug not provided
-          const derived = parts[0].toLowerCase().replace(/\s+/g, "-").replace(/[^a-z0-9\-]/g, "");
-          folderSlugs.add(derived);
-        }
-      }
+    const span = document.createElement("span");
+    span.textContent = name;
 
-      // require that folder contains all selected slugs
-      return selected.every(s => folderSlugs.has(s));
+    wrapper.appendChild(dot);
+    wrapper.appendChild(span);
+    wrapper.addEventListener("click", (e) => {
+      e.stopPropagation();
+      const t = allTags.find((tt) => tt.Slug === slug);
+      if (t) openTagEditor(t);
     });
-  }
+    cell.appendChild(wrapper);
+  });
+}
 
-  renderFiles(files, folders);
+// sidebar: grey out tags that are only inherited and name the folders they come from
+function markInheritedTag(wrapper, t) {
+  if (!t.Inherited) return;
+  if (!t.Selected) wrapper.classList.add("inherited");
+  const src = document.createElement("span");
+  src.className = "tag-source";
+  src.textContent = "from " + t.InheritedFrom.map((f) => f.FullPath).join(", ");
+  wrapper.appendChild(src);
 }
 
 // Update folder tag rendering to accept 2- or 3-part TagInfo entries
-function renderFiles(files, folders = []) {
+// options.showPath adds the clickable folder breadcrumb column (search results)
+function renderFiles(files, folders = [], options = {}) {
+  listedFiles = files;
+  const grid = viewMode === "grid";
+  document.querySelector(".file-table").classList.toggle("hidden", grid);
+  document.getElementById("fileGrid").classList.toggle("hidden", !grid);
+  if (grid) return renderGrid(files, folders);
+
   const body = document.getElementById("fileTableBody");
   body.innerHTML = "";
+  resetSelectionFor(`${currentFolder ? currentFolder.Id : ""}:${document.getElementById("searchScope").value}`);
+  selectionOrder = [];
 
   // Show folders first
   folders.forEach((folder) => {
     const tr = document.createElement("tr");
     tr.className = "folder-row";
+    tr.dataset.key = `folder:${folder.Id}`;
+    tr.appendChild(selectionCell("folder", folder));
 
     const tdName = document.createElement("td");
     tdName.textContent = "📁 " + folder.Name;
@@ -400,6 +638,8 @@ function renderFiles(files, folders = []) {
       });
     }
 
+    appendInheritedTagChips(tdTags, folder.InheritedTagInfo);
+
     // Add "plus" button to open folder tag sidebar
     const addTagBtn = document.createElement("button");
     addTagBtn.className = "tag-add";
@@ -424,6 +664,15 @@ function renderFiles(files, folders = []) {
       downloadFolderZip(folder);
     });
 
+    const btnShare = document.createElement("button");
+    btnShare.className = "btn-share needs-editor";
+    btnShare.textContent = "🔗";
+    btnShare.title = "Share link";
+    btnShare.addEventListener("click", (ev) => {
+      ev.stopPropagation();
+      openShareModal("folder", folder);
+    });
+
     const btnRename = document.createElement("button");
     btnRename.className = "btn-rename";
     btnRename.textContent = "✏️";
@@ -457,7 +706,7 @@ function renderFiles(files, folders = []) {
     btnDelete.title = "Delete folder";
     btnDelete.addEventListener("click", async (ev) => {
       ev.stopPropagation();
-      if (!confirm(`Delete folder "${folder.Name}" and ALL its contents?`)) return;
+      if (!confirm(`Move folder "${folder.Name}" and ALL its contents to the trash?`)) return;
       try {
         await apiDelete(`/api/folder/${folder.Id}`);
         await loadFolders();
@@ -469,6 +718,7 @@ function renderFiles(files, folders = []) {
     });
 
     tdActions.appendChild(btnDownload);
+    tdActions.appendChild(btnShare);
     tdActions.appendChild(btnRename);
     tdActions.appendChild(btnDelete);
 
@@ -483,6 +733,8 @@ function renderFiles(files, folders = []) {
       loadFolders().catch(console.error);
       loadFiles().catch(console.error);
     });
+    makeDraggable(tr, "folder", folder);
+    makeDropTarget(tr, folder);
 
     body.appendChild(tr);
   });
@@ -490,10 +742,35 @@ function renderFiles(files, folders = []) {
   // Then show files
   files.forEach((f) => {
     const tr = document.createElement("tr");
+    tr.dataset.key = `file:${f.Id}`;
+    tr.appendChild(selectionCell("file", f));
 
     const tdName = document.createElement("td");
     tdName.textContent = f.Name;
     tdName.className = "file-name-cell";
+    tdName.title = f.MimeType || "";
+    const summary = fileMetaSummary(f);
+    if (summary) {
+      const meta = document.createElement("div");
+      meta.className = "file-meta";
+      meta.textContent = summary;
+      tdName.appendChild(meta);
+    }
+
+    const tdPath = document.createElement("td");
+    tdPath.className = "file-path-cell";
+    (f.Breadcrumb || []).forEach((crumb, i) => {
+      if (i > 0) tdPath.appendChild(document.createTextNode(" / "));
+      const a = document.createElement("a");
+      a.href = "#";
+      a.textContent = crumb.Name;
+      a.title = crumb.FullPath;
+      a.addEventListener("click", (e) => {
+        e.preventDefault();
+        if (crumb.Id) navigateToFolder(crumb.Id).catch(console.error);
+      });
+      tdPath.appendChild(a);
+    });
 
     const tdSize = document.createElement("td");
     tdSize.textContent = formatBytes(f.SizeBytes);
@@ -537,6 +814,8 @@ function renderFiles(files, folders = []) {
       });
     }
 
+    appendInheritedTagChips(tdTags, f.InheritedTagInfo);
+
     // Add "plus in dotted circle" to open sidebar (add/remove tags)
     const addBtn = document.createElement("button");
     addBtn.className = "tag-add";
@@ -549,6 +828,12 @@ function renderFiles(files, folders = []) {
     tdTags.appendChild(addBtn);
 
     const tdActions = document.createElement("td");
+    const btnPreview = document.createElement("button");
+    btnPreview.className = "btn-preview";
+    btnPreview.textContent = "👁";
+    btnPreview.title = "Preview";
+    btnPreview.addEventListener("click", () => openPreview(f));
+
     const btnDownload = document.createElement("button");
     btnDownload.className = "btn-download"; // added class
     btnDownload.textContent = "⬇";
@@ -557,6 +842,12 @@ function renderFiles(files, folders = []) {
       window.location.href = `/download/${f.Id}`;
     });
 
+    const btnShare = document.createElement("button");
+    btnShare.className = "btn-share needs-editor";
+    btnShare.textContent = "🔗";
+    btnShare.title = "Share link";
+    btnShare.addEventListener("click", () => openShareModal("file", f));
+
     // rename button between download and delete
     const btnRename = document.createElement("button");
     btnRename.className = "btn-rename";
@@ -572,7 +863,7 @@ function renderFiles(files, folders = []) {
     btnDelete.textContent = "🗑";
     btnDelete.title = "Delete";
     btnDelete.addEventListener("click", async () => {
-      if (!confirm(`Delete "${f.Name}"?`)) return;
+      if (!confirm(`Move "${f.Name}" to the trash?`)) return;
       try {
         await apiDelete(`/api/file/${f.Id}`);
         await loadFiles();
@@ -587,816 +878,3274 @@ function renderFiles(files, folders = []) {
       openFileSidebar(f);
     });
 
+    tdActions.appendChild(btnPreview);
     tdActions.appendChild(btnDownload);
+    tdActions.appendChild(btnShare);
     tdActions.appendChild(btnRename);
     tdActions.appendChild(btnDelete);
 
     tr.appendChild(tdName);
+    if (options.showPath) tr.appendChild(tdPath);
     tr.appendChild(tdSize);
     tr.appendChild(tdTags);
     tr.appendChild(tdActions);
+    makeDraggable(tr, "file", f);
     body.appendChild(tr);
   });
-}
-
-// add rename helper that calls PATCH /api/file/:id
-async function renameFile(file) {
-  // preserve extension, prompt only for base name
-  const orig = file.Name || "";
-  const lastDot = orig.lastIndexOf(".");
-  const ext = lastDot > 0 ? orig.slice(lastDot) : "";
-  const base = lastDot > 0 ? orig.slice(0, lastDot) : orig;
 
-  const newBase = prompt("Rename file (extension will be kept):", base);
-  if (newBase == null) return; // cancelled
-  const trimmedBase = newBase.trim();
-  if (!trimmedBase) return;
-  const newFull = trimmedBase + ext;
-  if (newFull === orig) return;
-
-  try {
-    await apiPatch(`/api/file/${file.Id}`, { name: newFull });
-    // refresh file list and, if sidebar open for this file, refresh its tags/title
-    await loadFiles();
-    if (currentSidebarFile && currentSidebarFile.Id === file.Id) {
-      // update sidebar title to new name
-      currentSidebarFile.Name = newFull;
-      document.getElementById("fileSidebarTitle").textContent = newFull;
-    }
-  } catch (err) {
-    console.error("rename file", err);
-    alert("Failed to rename file");
-  }
+  syncSelectionBoxes();
 }
 
 /* ============================================================
-   SEARCH
+   SELECTION + ZIP DOWNLOADS
+   Rows of the file table can be checked (shift-click for a range) and
+   downloaded as one zip; "Zip results" zips everything the current
+   search/filter shows, across all pages.
 ============================================================ */
-function setupSearchEvents() {
-  const searchInput = document.getElementById("searchInput");
-  const btnSearch = document.getElementById("btnSearch");
-  const btnClear = document.getElementById("btnClearSearch");
+// "file:<id>" / "folder:<id>" -> { kind, id, name }
+const selectedItems = new Map();
+// the listing the selection belongs to (folder + search scope)
+let selectionContext = null;
+// keys of the rendered rows in order, for shift-click ranges
+let selectionOrder = [];
+let lastSelectedKey = null;
+
+// keep the selection while the same listing refreshes, drop it when it changes
+function resetSelectionFor(context) {
+  if (context === selectionContext) return;
+  selectionContext = context;
+  selectedItems.clear();
+  lastSelectedKey = null;
+}
 
-  btnSearch.addEventListener("click", () => {
-    loadFiles().catch(console.error);
+function selectionCell(kind, item) {
+  const key = `${kind}:${item.Id}`;
+  selectionOrder.push({ key, kind, item });
+
+  const td = document.createElement("td");
+  td.className = "select-col";
+  const box = document.createElement("input");
+  box.type = "checkbox";
+  box.dataset.key = key;
+  box.checked = selectedItems.has(key);
+  td.addEventListener("click", (e) => e.stopPropagation());
+  box.addEventListener("click", (e) => {
+    const keys = e.shiftKey && lastSelectedKey ? selectionRange(lastSelectedKey, key) : [key];
+    keys.forEach((k) => setSelected(k, box.checked));
+    lastSelectedKey = key;
+    syncSelectionBoxes();
   });
+  td.appendChild(box);
+  return td;
+}
 
-  btnClear.addEventListener("click", () => {
-    searchInput.value = "";
-    loadFiles().catch(console.error);
-  });
+// keys of the rendered rows from `from` to `to`, either direction
+function selectionRange(from, to) {
+  const keys = selectionOrder.map((r) => r.key);
+  const a = keys.indexOf(from);
+  const b = keys.indexOf(to);
+  if (a < 0 || b < 0) return [to];
+  return keys.slice(Math.min(a, b), Math.max(a, b) + 1);
+}
 
-  searchInput.addEventListener("keydown", (e) => {
-    if (e.key === "Enter") {
-      loadFiles().catch(console.error);
-    }
+function setSelected(key, on) {
+  const row = selectionOrder.find((r) => r.key === key);
+  if (on && row) selectedItems.set(key, { kind: row.kind, id: row.item.Id, name: row.item.Name });
+  else if (!on) selectedItems.delete(key);
+}
+
+// checkboxes, the select-all box and the selection bar after a change
+function syncSelectionBoxes() {
+  document.querySelectorAll("#fileTableBody .select-col input").forEach((box) => {
+    box.checked = selectedItems.has(box.dataset.key);
   });
+  const all = document.getElementById("selectAll");
+  const shown = selectionOrder.filter((r) => selectedItems.has(r.key)).length;
+  all.checked = shown > 0 && shown === selectionOrder.length;
+  all.indeterminate = shown > 0 && shown < selectionOrder.length;
+
+  const bar = document.getElementById("selectionBar");
+  bar.classList.toggle("hidden", selectedItems.size === 0);
+  document.getElementById("selectionInfo").textContent = selectionSummary() + " selected";
 }
 
-// Setup manual refresh button
-function setupManualRefresh() {
-  const btnRefresh = document.getElementById("btnRefresh");
-  if (btnRefresh) {
-    btnRefresh.addEventListener("click", () => {
-      loadFiles().catch(console.error);
-    });
-  }
+// "3 files, 1 folder"
+function selectionSummary() {
+  const files = Array.from(selectedItems.values()).filter((s) => s.kind === "file").length;
+  const folders = selectedItems.size - files;
+  return [files ? `${files} file${files === 1 ? "" : "s"}` : "", folders ? `${folders} folder${folders === 1 ? "" : "s"}` : ""]
+    .filter(Boolean)
+    .join(", ");
 }
 
-function setupFolderCreate() {
-  const input = document.getElementById("newFolderName");
-  const btn = document.getElementById("btnCreateFolder");
+// download through a hidden frame so the browser streams the zip to disk; only error
+// responses render (and fire "load") in the frame, attachments don't
+function frameDownload(method, url, fields) {
+  let frame = document.getElementById("downloadFrame");
+  if (!frame) {
+    frame = document.createElement("iframe");
+    frame.id = "downloadFrame";
+    frame.name = "downloadFrame";
+    frame.hidden = true;
+    frame.addEventListener("load", () => {
+      const text = (frame.contentDocument && frame.contentDocument.body && frame.contentDocument.body.textContent) || "";
+      if (!text) return;
+      let message = text;
+      try {
+        message = JSON.parse(text).error || text;
+      } catch {
+        // plain text error
+      }
+      alert("Download failed: " + message);
+    });
+    document.body.appendChild(frame);
+  }
 
-  btn.addEventListener("click", async () => {
-    const name = (input.value || "").trim();
-    if (!name) {
-      alert("Folder name required");
-      return;
-    }
-    try {
-      await apiPost("/api/folders", {
-        name,
-        parentId: currentFolder ? currentFolder.Id : null,
-      });
-      input.value = "";
-      await loadFolders();
-      await loadFiles(); // <-- added: refresh files after creating folder
-    } catch (err) {
-      console.error("create folder", err);
-      alert("Failed to create folder");
-    }
-  });
+  const form = document.createElement("form");
+  form.method = method;
+  form.action = url;
+  form.target = "downloadFrame";
+  for (const [name, value] of Object.entries(fields)) {
+    const input = document.createElement("input");
+    input.type = "hidden";
+    input.name = name;
+    input.value = value;
+    form.appendChild(input);
+  }
+  document.body.appendChild(form);
+  form.submit();
+  form.remove();
 }
 
-/* ============================================================
-   UPLOAD POPUP
-============================================================ */
-function setupUploadModal() {
-  const modal = document.getElementById("uploadModal");
-  const btnOpen = document.getElementById("btnOpenUpload");
-  const btnClose = document.getElementById("uploadClose");
-  const btnChooseFiles = document.getElementById("btnChooseFiles");
-  const btnChooseFolder = document.getElementById("btnChooseFolder");
-  const fileInput = document.getElementById("fileInput");
-  const folderInput = document.getElementById("folderInput");
-  const btnStartUpload = document.getElementById("btnStartUpload");
+function zipManifestWanted() {
+  return document.getElementById("zipManifest").checked;
+}
 
-  btnOpen.addEventListener("click", () => {
-    uploadState.files = [];
-    document.getElementById("uploadSelectedInfo").textContent =
-      "No files selected";
-    document.getElementById("uploadNewTags").value = "";
-    renderUploadTagList();
-    modal.classList.remove("hidden");
+function setupZipEvents() {
+  document.getElementById("selectAll").addEventListener("change", (e) => {
+    selectionOrder.forEach((r) => setSelected(r.key, e.target.checked));
+    syncSelectionBoxes();
   });
 
-  btnClose.addEventListener("click", () => {
-    modal.classList.add("hidden");
+  document.getElementById("btnClearSelection").addEventListener("click", () => {
+    selectedItems.clear();
+    lastSelectedKey = null;
+    syncSelectionBoxes();
   });
 
-  btnChooseFiles.addEventListener("click", () => {
-    fileInput.value = "";
-    fileInput.click();
+  document.getElementById("btnZipSelection").addEventListener("click", () => {
+    const items = Array.from(selectedItems.values());
+    frameDownload("POST", "/api/zip", {
+      files: items.filter((s) => s.kind === "file").map((s) => s.id).join(","),
+      folders: items.filter((s) => s.kind === "folder").map((s) => s.id).join(","),
+      manifest: zipManifestWanted() ? "1" : "0",
+    });
   });
 
-  btnChooseFolder.addEventListener("click", () => {
-    folderInput.value = "";
-    folderInput.click();
+  document.getElementById("btnZipResults").addEventListener("click", () => {
+    if (!currentFolder) return;
+    const params = new URLSearchParams(listFilterParams());
+    const search = document.getElementById("searchInput").value.trim();
+    const fields = { scope: document.getElementById("searchScope").value, folderId: currentFolder.Id };
+    if (search) fields.search = search;
+    params.forEach((value, name) => {
+      fields[name] = value;
+    });
+    if (zipManifestWanted()) fields.manifest = "1";
+    frameDownload("GET", "/api/zip/search", fields);
   });
 
-  fileInput.addEventListener("change", () => {
-    const arr = Array.from(fileInput.files || []);
-    uploadState.files = arr;
-    updateUploadSelectedInfo();
-  });
+  const manifest = document.getElementById("zipManifest");
+  manifest.checked = localStorage.getItem("zipManifest") === "1";
+  manifest.addEventListener("change", () => localStorage.setItem("zipManifest", manifest.checked ? "1" : "0"));
+}
 
-  folderInput.addEventListener("change", () => {
-    const arr = Array.from(folderInput.files || []);
-    uploadState.files = arr;
-    updateUploadSelectedInfo();
+/* ============================================================
+   BULK ACTIONS: tag, move, copy, rename or delete the selected rows
+   in one request each; the server answers with a report per item,
+   shown when something could not be done. Rows can also be dragged
+   onto folders and breadcrumb segments (Ctrl/Alt held: copy).
+============================================================ */
+const DRAG_TYPE = "application/x-tfb-items";
+let bulkMoveStack = []; // folders from the root down to the one the move/copy picker shows
+let bulkPickerAction = "move";
+
+function selectedList() {
+  return Array.from(selectedItems.values());
+}
+
+function bulkBody(items) {
+  return {
+    files: items.filter((s) => s.kind === "file").map((s) => s.id),
+    folders: items.filter((s) => s.kind === "folder").map((s) => s.id),
+  };
+}
+
+// post `items` ([{ kind, id }], the selection by default) to /api/bulk/<action> and refresh; with
+// dropDone the items that went through leave the selection (they are no longer in this listing),
+// failed ones stay selected for another try. Resolves the report (null when the request failed).
+async function runBulk(action, extra, title, { items = selectedList(), dropDone = false, showFailures = true } = {}) {
+  let report;
+  try {
+    report = await apiSend("POST", `/api/bulk/${action}`, { ...bulkBody(items), ...extra });
+  } catch (err) {
+    alert(`${title} failed: ${err.message}`);
+    return null;
+  }
+  if (dropDone) report.results.forEach((r) => r.ok && selectedItems.delete(`${r.kind}:${r.id}`));
+  await Promise.all([loadFolders(), loadFiles()]).catch((err) => console.error("refresh after bulk", err));
+  syncSelectionBoxes();
+  if (showFailures && !report.ok) showBulkReport(title, report);
+  return report;
+}
+
+// move or copy `items` into `folder`; names already taken there are settled by asking once
+async function placeItems(action, items, folder) {
+  const title = action === "copy" ? "Copy" : "Move";
+  const options = { dropDone: action === "move", showFailures: false };
+  const first = await runBulk(action, { targetFolderId: folder.Id }, title, { ...options, items });
+  if (!first) return;
+
+  let results = first.results.filter((r) => !r.conflict);
+  const conflicts = first.results.filter((r) => r.conflict);
+  const mode = conflicts.length ? await askConflictMode(conflicts, folder) : null;
+  if (mode) {
+    const again = await runBulk(action, { targetFolderId: folder.Id, conflict: mode }, title, { ...options, items: conflicts });
+    if (again) results = results.concat(again.results);
+  }
+  if (results.some((r) => !r.ok)) showBulkReport(title, { results });
+}
+
+// resolves "skip" / "rename" / "overwrite", or null when cancelled
+function askConflictMode(conflicts, folder) {
+  const modal = document.getElementById("conflictModal");
+  const names = conflicts.slice(0, 5).map((r) => r.name).join(", ") + (conflicts.length > 5 ? ", …" : "");
+  document.getElementById("conflictInfo").textContent =
+    `${conflicts.length === 1 ? "1 item has" : `${conflicts.length} items have`} the same name as ` +
+    `something already in "${folder.Name}": ${names}`;
+  modal.classList.remove("hidden");
+  return new Promise((resolve) => {
+    const buttons = modal.querySelectorAll("[data-conflict]");
+    buttons.forEach((b) => {
+      b.onclick = () => {
+        modal.classList.add("hidden");
+        buttons.forEach((x) => (x.onclick = null));
+        resolve(b.dataset.conflict || null);
+      };
+    });
   });
+}
 
-  btnStartUpload.addEventListener("click", async () => {
-    if (!uploadState.files.length) {
-      alert("No files selected");
-      return;
-    }
-    try {
-      await doUpload();
-      modal.classList.add("hidden");
-      await loadTags();
-      await loadFiles();
-    } catch (err) {
-      console.error("upload error", err);
-      alert("Upload failed");
-    }
+// rows and tiles can be dragged onto folders; dragging a selected row takes the whole selection
+function makeDraggable(el, kind, item) {
+  if (!currentUser || currentUser.Role === "viewer") return;
+  el.draggable = true;
+  el.addEventListener("dragstart", (e) => {
+    const items = selectedItems.has(`${kind}:${item.Id}`) ? selectedList() : [{ kind, id: item.Id, name: item.Name }];
+    e.dataTransfer.setData(DRAG_TYPE, JSON.stringify(items));
+    e.dataTransfer.effectAllowed = "copyMove";
   });
 }
 
-function updateUploadSelectedInfo() {
-  const info = document.getElementById("uploadSelectedInfo");
-  if (!uploadState.files.length) {
-    info.textContent = "No files selected";
-  } else if (uploadState.files.length === 1) {
-    info.textContent = uploadState.files[0].name;
-  } else {
-    info.textContent = `${uploadState.files.length} files selected`;
-  }
+// a folder (row, tile, folder list entry, breadcrumb segment) that takes dropped rows:
+// moved there, or copied with Ctrl (Alt on macOS) held
+function makeDropTarget(el, folder) {
+  const wantsCopy = (e) => e.ctrlKey || e.altKey;
+  el.addEventListener("dragover", (e) => {
+    if (!e.dataTransfer.types.includes(DRAG_TYPE)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = wantsCopy(e) ? "copy" : "move";
+    el.classList.add("drop-target");
+  });
+  el.addEventListener("dragleave", () => el.classList.remove("drop-target"));
+  el.addEventListener("drop", (e) => {
+    el.classList.remove("drop-target");
+    const data = e.dataTransfer.getData(DRAG_TYPE);
+    if (!data) return;
+    e.preventDefault();
+    // a folder dropped on itself stays where it is
+    const items = JSON.parse(data).filter((i) => !(i.kind === "folder" && i.id === folder.Id));
+    if (!items.length) return;
+    placeItems(wantsCopy(e) ? "copy" : "move", items, folder).catch((err) => console.error("drop", err));
+  });
 }
 
-function renderUploadTagList() {
-	const container = document.getElementById("uploadTagList");
-	container.innerHTML = "";
+function showBulkReport(title, report) {
+  const done = report.results.filter((r) => r.ok).length;
+  document.getElementById("bulkReportTitle").textContent = title;
+  document.getElementById("bulkReportInfo").textContent = `${done} of ${report.results.length} done.`;
+  const list = document.getElementById("bulkReportList");
+  list.innerHTML = "";
+  report.results.forEach((r) => {
+    const li = document.createElement("li");
+    li.classList.toggle("failed", !r.ok);
+    const label = document.createElement("div");
+    label.className = "trash-label";
+    const name = document.createElement("div");
+    name.textContent = `${r.kind === "folder" ? "📁" : "📄"} ${r.name || `#${r.id}`}` + (r.newName ? ` → ${r.newName}` : "");
+    const meta = document.createElement("div");
+    meta.className = "trash-meta";
+    meta.textContent = r.ok ? (r.unchanged ? "unchanged" : "done") : r.error;
+    label.appendChild(name);
+    label.appendChild(meta);
+    li.appendChild(label);
+    list.appendChild(li);
+  });
+  document.getElementById("bulkReportModal").classList.remove("hidden");
+}
 
-	allTags.forEach((tag) => {
-		const wrapper = document.createElement("label");
-		wrapper.className = "tag-bubble upload-tag";
+function openBulkTags() {
+  document.getElementById("bulkTagsTitle").textContent = `Tags for ${selectionSummary()}`;
+  const list = document.getElementById("bulkTagList");
+  list.innerHTML = "";
+  renderTagTree(list, allTags, (t) => {
+    const row = document.createElement("div");
+    row.className = "bulk-tag-row";
+    const name = document.createElement("span");
+    name.className = "tag-bubble";
+    name.style.backgroundColor = (t.ColorHex || "#888888") + "22";
+    name.style.borderColor = t.ColorHex || "#888888";
+    name.textContent = t.Name;
+    name.title = t.Slug;
+    const choice = document.createElement("select");
+    choice.dataset.tagId = t.Id;
+    [["", "—"], ["add", "Add"], ["remove", "Remove"]].forEach(([value, text]) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = text;
+      choice.appendChild(opt);
+    });
+    // one tag of an exclusive group can be added (it replaces the others on each item)
+    if (t.GroupId != null) choice.dataset.groupId = t.GroupId;
+    choice.addEventListener("change", () => {
+      if (choice.value !== "add" || !exclusiveGroupOf(t)) return;
+      list.querySelectorAll("select[data-group-id]").forEach((other) => {
+        if (other !== choice && Number(other.dataset.groupId) === t.GroupId && other.value === "add") other.value = "";
+      });
+    });
+    row.appendChild(name);
+    row.appendChild(choice);
+    return row;
+  });
+  document.getElementById("bulkTagsModal").classList.remove("hidden");
+}
 
-		const color = tag.ColorHex || "#888888";
-		wrapper.style.backgroundColor = color + "22";
-		wrapper.style.borderColor = color;
+async function openBulkMove(action) {
+  bulkPickerAction = action;
+  const verb = action === "copy" ? "Copy" : "Move";
+  document.getElementById("bulkMoveTitle").textContent = `${verb} ${selectionSummary()}`;
+  document.getElementById("btnApplyBulkMove").textContent = `${verb} here`;
+  bulkMoveStack = [await apiGet("/api/root-folder")];
+  document.getElementById("bulkMoveModal").classList.remove("hidden");
+  await renderBulkMovePicker();
+}
 
-		const cb = document.createElement("input");
-		cb.type = "checkbox";
-		cb.className = "upload-tag-checkbox";
-		cb.dataset.slug = tag.Slug;
-		cb.dataset.id = tag.Id;
+async function renderBulkMovePicker() {
+  const here = bulkMoveStack[bulkMoveStack.length - 1];
+  document.getElementById("bulkMovePath").textContent = bulkMoveStack.map((f) => f.Name).join(" / ");
+  document.getElementById("btnBulkMoveUp").disabled = bulkMoveStack.length < 2;
+  document.getElementById("btnApplyBulkMove").disabled = here.Access !== "edit";
 
-		// clicking checkbox toggles selection only
-		cb.addEventListener("click", (e) => {
-			e.stopPropagation();
-			// let the checkbox update then nothing else here (upload reads checked state)
-		});
+  const list = document.getElementById("bulkMoveFolders");
+  list.innerHTML = "";
+  const folders = await apiGet(`/api/folders?parentId=${here.Id}`);
+  folders.forEach((f) => {
+    const li = document.createElement("li");
+    li.textContent = "📁 " + f.Name;
+    // a selected folder can't take itself (or a copy of itself)
+    const selected = selectedItems.has(`folder:${f.Id}`);
+    li.classList.toggle("no-access", selected || f.Access !== "edit");
+    if (!selected) {
+      li.addEventListener("click", () => {
+        bulkMoveStack.push(f);
+        renderBulkMovePicker().catch((err) => console.error("move picker", err));
+      });
+    }
+    list.appendChild(li);
+  });
+  if (!folders.length) {
+    const li = document.createElement("li");
+    li.textContent = "No subfolders.";
+    list.appendChild(li);
+  }
+}
 
-		const dot = document.createElement("span");
-		dot.className = "tag-dot";
-		dot.style.backgroundColor = color;
+function openBulkRename() {
+  document.getElementById("bulkRenameTitle").textContent = `Rename ${selectionSummary()}`;
+  document.getElementById("bulkRenameModal").classList.remove("hidden");
+  document.getElementById("bulkRenamePattern").focus();
+}
 
-		const span = document.createElement("span");
-		span.textContent = tag.Name;
+function bulkRenameMode() {
+  return document.querySelector('input[name="bulkRenameMode"]:checked').value;
+}
 
-		wrapper.appendChild(cb);
-		wrapper.appendChild(dot);
-		wrapper.appendChild(span);
+function setupBulkActions() {
+  const modals = ["bulkTagsModal", "bulkMoveModal", "bulkRenameModal", "bulkReportModal"].map((id) => document.getElementById(id));
+  const closeAll = () => modals.forEach((m) => m.classList.add("hidden"));
+  modals.forEach((m) => {
+    m.addEventListener("click", (e) => {
+      if (e.target === m) m.classList.add("hidden");
+    });
+  });
+  ["bulkTagsClose", "bulkMoveClose", "bulkRenameClose", "bulkReportClose"].forEach((id) => {
+    document.getElementById(id).addEventListener("click", closeAll);
+  });
 
-		// clicking wrapper (not the checkbox) opens the tag editor — prevent checkbox toggle
-		wrapper.addEventListener("click", (e) => {
-			if (e.target === cb) return;
-			e.preventDefault();
-			e.stopPropagation();
-			openTagEditor(tag);
-		});
+  document.getElementById("btnBulkTags").addEventListener("click", openBulkTags);
+  document.getElementById("btnApplyBulkTags").addEventListener("click", async () => {
+    const add = [];
+    const remove = [];
+    document.querySelectorAll("#bulkTagList select").forEach((s) => {
+      if (s.value === "add") add.push(Number(s.dataset.tagId));
+      if (s.value === "remove") remove.push(Number(s.dataset.tagId));
+    });
+    if (!add.length && !remove.length) return alert("Choose tags to add or remove");
+    closeAll();
+    await runBulk("tags", { add, remove }, "Tags");
+  });
 
-		container.appendChild(wrapper);
-	});
+  ["move", "copy"].forEach((action) => {
+    document.getElementById(action === "copy" ? "btnBulkCopy" : "btnBulkMove").addEventListener("click", () => {
+      openBulkMove(action).catch((err) => {
+        console.error("open folder picker", err);
+        alert("Failed to load folders");
+      });
+    });
+  });
+  document.getElementById("btnBulkMoveUp").addEventListener("click", () => {
+    if (bulkMoveStack.length < 2) return;
+    bulkMoveStack.pop();
+    renderBulkMovePicker().catch((err) => console.error("move picker", err));
+  });
+  document.getElementById("btnApplyBulkMove").addEventListener("click", async () => {
+    const target = bulkMoveStack[bulkMoveStack.length - 1];
+    closeAll();
+    await placeItems(bulkPickerAction, selectedList(), target);
+  });
 
-	// append small create button next to upload tag list
-	const createBtn = document.createElement("button");
-	createBtn.className = "tag-add-list";
-	createBtn.title = "Create tag";
-	createBtn.textContent = "+";
-	createBtn.addEventListener("click", (e) => {
-		e.stopPropagation();
-		openTagEditor(null); // create mode
-	});
-	container.appendChild(createBtn);
+  document.querySelectorAll('input[name="bulkRenameMode"]').forEach((radio) => {
+    radio.addEventListener("change", () => {
+      const pattern = bulkRenameMode() === "pattern";
+      document.getElementById("bulkRenamePatternRow").classList.toggle("hidden", !pattern);
+      document.getElementById("bulkRenamePatternHelp").classList.toggle("hidden", !pattern);
+      document.getElementById("bulkRenameReplaceRows").classList.toggle("hidden", pattern);
+    });
+  });
+  document.getElementById("btnBulkRename").addEventListener("click", openBulkRename);
+  document.getElementById("btnApplyBulkRename").addEventListener("click", async () => {
+    const body = bulkRenameMode() === "pattern"
+      ? { pattern: document.getElementById("bulkRenamePattern").value }
+      : {
+          find: document.getElementById("bulkRenameFind").value,
+          replace: document.getElementById("bulkRenameReplace").value,
+          regex: document.getElementById("bulkRenameRegex").checked,
+          ignoreCase: document.getElementById("bulkRenameIgnoreCase").checked,
+        };
+    closeAll();
+    await runBulk("rename", body, "Rename");
+  });
+
+  document.getElementById("btnBulkDelete").addEventListener("click", async () => {
+    if (!confirm(`Move ${selectionSummary()} to the trash?`)) return;
+    await runBulk("delete", {}, "Delete", { dropDone: true });
+  });
 }
 
 /* ============================================================
-   TAG EDITOR / FILE SIDEBAR
+   GRID VIEW (thumbnail tiles)
 ============================================================ */
-
-// Replace openTagEditor to also support "create" mode when tag is null
-let currentEditingTag = null;
-function openTagEditor(tag) {
-	// tag == null => create mode
-	currentEditingTag = tag || null;
-	const modal = document.getElementById("tagEditorModal");
-	document.getElementById("tagEditName").value = tag ? tag.Name || "" : "";
-	document.getElementById("tagEditColor").value = tag ? tag.ColorHex || "#888888" : "#888888";
-	document.getElementById("tagEditColorHex").value = tag ? tag.ColorHex || "#888888" : "#888888";
-	// adjust modal title
-	const titleEl = document.querySelector("#tagEditorModal .modal-header h2");
-	if (titleEl) titleEl.textContent = tag ? "Edit Tag" : "Create Tag";
-	modal.classList.remove("hidden");
+// formats the server builds thumbnails for (thumbnails.js)
+const THUMBNAIL_TYPES = ["image/jpeg", "image/png", "image/gif", "image/bmp"];
+
+function fileIcon(mimeType) {
+  const type = (mimeType || "").split("/")[0];
+  if (type === "image") return "🖼";
+  if (type === "audio") return "🎵";
+  if (type === "video") return "🎬";
+  if (type === "text") return "📝";
+  return "📄";
 }
 
-document.getElementById("tagEditorClose").addEventListener("click", () => {
-  document.getElementById("tagEditorModal").classList.add("hidden");
-});
-
-document.getElementById("btnSaveTag").addEventListener("click", async () => {
-  if (!currentEditingTag) return;
-  const name = document.getElementById("tagEditName").value.trim();
-  const colorHex = document.getElementById("tagEditColorHex").value.trim();
-  try {
-    await apiPatch(`/api/tags/${currentEditingTag.Id}`, { name, colorHex });
-    document.getElementById("tagEditorModal").classList.add("hidden");
-    await loadTags();
-    await loadFiles();
-  } catch (err) {
-    console.error("save tag", err);
-    alert("Failed to save tag");
-  }
-});
+// direct tags as bubbles (clicking one opens the tag editor)
+function appendTagChips(cell, tagInfo) {
+  if (!tagInfo) return;
+  tagInfo.split(",").forEach((p) => {
+    const [name, color, slug] = p.split("|").map((x) => x.trim());
+    if (!name) return;
 
-document.getElementById("btnDeleteTag").addEventListener("click", async () => {
-  if (!currentEditingTag) return;
-  if (!confirm(`Delete tag "${currentEditingTag.Name}"?`)) return;
-  try {
-    await apiDelete(`/api/tags/${currentEditingTag.Id}`);
-    document.getElementById("tagEditorModal").classList.add("hidden");
-    currentEditingTag = null;
-    await loadTags();
-    await loadFiles();
-  } catch (err) {
-    console.error("delete tag", err);
-    alert("Failed to delete tag");
-  }
-});
+    const wrapper = document.createElement("label");
+    wrapper.className = "tag-bubble";
+    wrapper.style.backgroundColor = (color || "#888888") + "22";
+    wrapper.style.borderColor = color || "#888888";
 
-document.getElementById("tagEditColor").addEventListener("input", (e) => {
-  document.getElementById("tagEditColorHex").value = e.target.value;
-});
-document.getElementById("tagEditColorHex").addEventListener("input", (e) => {
-  const v = e.target.value;
-  if (/^#[0-9a-fA-F]{6}$/.test(v)) {
-    document.getElementById("tagEditColor").value = v;
-  }
-});
+    const dot = document.createElement("span");
+    dot.className = "tag-dot";
+    dot.style.backgroundColor = color || "#888888";
 
-// File sidebar
-let currentSidebarFile = null;
-async function openFileSidebar(file) {
-  currentSidebarFile = file;
-  currentSidebarFolder = null; // <-- ensure folder state cleared
-  const sidebar = document.getElementById("fileSidebar");
-  document.getElementById("fileSidebarTitle").textContent = file.Name;
-  const fileTagListEl = document.getElementById("fileTagList");
-  fileTagListEl.innerHTML = "<div class='loading'>Loading tags...</div>";
-  const saveBtn = document.getElementById("btnSaveFileTags");
-  saveBtn.disabled = true;
+    const span = document.createElement("span");
+    span.textContent = name;
 
-  // fetch tags with selection for this file
-  try {
-    const data = await apiGet(`/api/file/${file.Id}/tags`);
-    fileTagListEl.innerHTML = "";
-    // data: [{Id,Name,Slug,ColorHex, Selected}]
-    data.forEach((t) => {
-      const wrapper = document.createElement("label");
-      wrapper.className = "tag-bubble upload-tag";
-      wrapper.style.backgroundColor = (t.ColorHex || "#888888") + "22";
-      wrapper.style.borderColor = t.ColorHex || "#888888";
+    wrapper.appendChild(dot);
+    wrapper.appendChild(span);
+    wrapper.addEventListener("click", (e) => {
+      e.stopPropagation();
+      const t = allTags.find((tt) => tt.Slug === slug) || allTags.find((tt) => tt.Name === name);
+      if (t) openTagEditor(t);
+    });
+    cell.appendChild(wrapper);
+  });
+}
 
-      const cb = document.createElement("input");
-      cb.type = "checkbox";
-      cb.checked = !!t.Selected;
-      cb.dataset.id = t.Id;
+function gridTile({ icon, thumbnail, name, title, tagInfo, inheritedTagInfo, onOpen }) {
+  const tile = document.createElement("div");
+  tile.className = "grid-tile";
+  tile.title = title || name;
+
+  const preview = document.createElement("div");
+  preview.className = "grid-preview";
+  const showIcon = () => {
+    preview.innerHTML = "";
+    const span = document.createElement("span");
+    span.className = "grid-icon";
+    span.textContent = icon;
+    preview.appendChild(span);
+  };
+  if (thumbnail) {
+    const img = document.createElement("img");
+    img.loading = "lazy";
+    img.alt = name;
+    img.src = thumbnail;
+    // 202 (still being built) or no thumbnail: the next refresh tries again
+    img.addEventListener("error", showIcon);
+    preview.appendChild(img);
+  } else {
+    showIcon();
+  }
 
-      // prevent checkbox click from bubbling (so it won't open editor)
-      cb.addEventListener("click", (e) => {
-        e.stopPropagation();
-      });
+  const label = document.createElement("div");
+  label.className = "grid-name";
+  label.textContent = name;
 
-      const dot = document.createElement("span");
-      dot.className = "tag-dot";
-      dot.style.backgroundColor = t.ColorHex || "#888888";
+  const tags = document.createElement("div");
+  tags.className = "grid-tags";
+  appendTagChips(tags, tagInfo);
+  appendInheritedTagChips(tags, inheritedTagInfo);
 
-      const span = document.createElement("span");
-      span.textContent = t.Name;
+  tile.appendChild(preview);
+  tile.appendChild(label);
+  tile.appendChild(tags);
+  tile.addEventListener("click", onOpen);
+  return tile;
+}
 
-      wrapper.appendChild(cb);
-      wrapper.appendChild(dot);
-      wrapper.appendChild(span);
+function renderGrid(files, folders) {
+  const grid = document.getElementById("fileGrid");
+  grid.innerHTML = "";
 
-      // clicking label (not checkbox) opens tag editor — prevent label default toggle
-      wrapper.addEventListener("click", (e) => {
-        if (e.target === cb) return;
-        e.preventDefault();
-        e.stopPropagation();
-        openTagEditor(t);
-      });
+  folders.forEach((folder) => {
+    const tile = gridTile({
+      icon: "📁",
+      name: folder.Name,
+      tagInfo: folder.TagInfo,
+      inheritedTagInfo: folder.InheritedTagInfo,
+      onOpen: () => {
+        currentFolder = folder;
+        renderBreadcrumb();
+        loadFolders().catch(console.error);
+        loadFiles().catch(console.error);
+      },
+    });
+    tile.dataset.key = `folder:${folder.Id}`;
+    makeDraggable(tile, "folder", folder);
+    makeDropTarget(tile, folder);
+    grid.appendChild(tile);
+  });
 
-      fileTagListEl.appendChild(wrapper);
+  files.forEach((f) => {
+    const summary = fileMetaSummary(f);
+    const tile = gridTile({
+      icon: fileIcon(f.MimeType),
+      thumbnail:
+        THUMBNAIL_TYPES.includes(f.MimeType) && f.ContentHash ? `/api/file/${f.Id}/thumbnail?v=${f.ContentHash}` : null,
+      name: f.Name,
+      title: [f.Name, formatBytes(f.SizeBytes), summary].filter(Boolean).join("\n"),
+      tagInfo: f.TagInfo,
+      inheritedTagInfo: f.InheritedTagInfo,
+      onOpen: () => openPreview(f),
     });
+    tile.dataset.key = `file:${f.Id}`;
+    makeDraggable(tile, "file", f);
+    grid.appendChild(tile);
+  });
+}
 
-    saveBtn.disabled = false;
-    sidebar.classList.remove("hidden");
-  } catch (err) {
-    console.error("open sidebar", err);
-    fileTagListEl.innerHTML = "";
-    saveBtn.disabled = false;
-    alert("Failed to load file tags: " + (err && err.message ? err.message : String(err)));
-  }
+function formatDuration(seconds) {
+  const s = Math.round(Number(seconds));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const pad = (n) => String(n).padStart(2, "0");
+  return h ? `${h}:${pad(m)}:${pad(s % 60)}` : `${m}:${pad(s % 60)}`;
 }
 
-document.getElementById("fileSidebarClose").addEventListener("click", () => {
-  document.getElementById("fileSidebar").classList.add("hidden");
-});
+// one line under the file name: dimensions, duration, pages... from f.Metadata
+function fileMetaSummary(f) {
+  const m = f.Metadata || {};
+  const parts = [];
+  if (m.Width && m.Height) parts.push(`${m.Width}×${m.Height}`);
+  if (m.TakenAt) parts.push(m.TakenAt.slice(0, 10));
+  if (m.CameraModel) parts.push(m.CameraModel);
+  if (m.DurationSec) parts.push(formatDuration(m.DurationSec));
+  if (m.Artist || m.Title) parts.push([m.Artist, m.Title].filter(Boolean).join(" – "));
+  if (m.PageCount) parts.push(`${m.PageCount} page${m.PageCount === "1" ? "" : "s"}`);
+  if (m.LineCount) parts.push(`${m.LineCount} line${m.LineCount === "1" ? "" : "s"}`);
+  return parts.join(" · ");
+}
 
-// Folder sidebar (similar to file sidebar but for folders)
-let currentSidebarFolder = null;
-async function openFolderSidebar(folder) {
-  currentSidebarFolder = folder;
-  currentSidebarFile = null; // <-- ensure file state cleared
-  const sidebar = document.getElementById("fileSidebar");
-  document.getElementById("fileSidebarTitle").textContent = folder.Name + " (Folder)";
-  const fileTagListEl = document.getElementById("fileTagList");
-  fileTagListEl.innerHTML = "<div class='loading'>Loading tags...</div>";
-  const saveBtn = document.getElementById("btnSaveFileTags");
-  saveBtn.disabled = true;
+// add rename helper that calls PATCH /api/file/:id
+async function renameFile(file) {
+  // preserve extension, prompt only for base name
+  const orig = file.Name || "";
+  const lastDot = orig.lastIndexOf(".");
+  const ext = lastDot > 0 ? orig.slice(lastDot) : "";
+  const base = lastDot > 0 ? orig.slice(0, lastDot) : orig;
+
+  const newBase = prompt("Rename file (extension will be kept):", base);
+  if (newBase == null) return; // cancelled
+  const trimmedBase = newBase.trim();
+  if (!trimmedBase) return;
+  const newFull = trimmedBase + ext;
+  if (newFull === orig) return;
 
   try {
-    const data = await apiGet(`/api/folder/${folder.Id}/tags`);
-    fileTagListEl.innerHTML = "";
-    data.forEach((t) => {
-      const wrapper = document.createElement("label");
-      wrapper.className = "tag-bubble upload-tag";
-      wrapper.style.backgroundColor = (t.ColorHex || "#888888") + "22";
-      wrapper.style.borderColor = t.ColorHex || "#888888";
+    await apiPatch(`/api/file/${file.Id}`, { name: newFull });
+    // refresh file list and, if sidebar open for this file, refresh its tags/title
+    await loadFiles();
+    if (currentSidebarFile && currentSidebarFile.Id === file.Id) {
+      // update sidebar title to new name
+      currentSidebarFile.Name = newFull;
+      document.getElementById("fileSidebarTitle").textContent = newFull;
+      await loadFileDetails(currentSidebarFile);
+      await loadFileHistory(currentSidebarFile);
+    }
+  } catch (err) {
+    console.error("rename file", err);
+    alert("Failed to rename file");
+  }
+}
 
-      const cb = document.createElement("input");
-      cb.type = "checkbox";
-      cb.checked = !!t.Selected;
-      cb.dataset.id = t.Id;
+/* ============================================================
+   SEARCH
+============================================================ */
+function setupSearchEvents() {
+  const searchInput = document.getElementById("searchInput");
+  const queryInput = document.getElementById("queryInput");
+  const btnSearch = document.getElementById("btnSearch");
+  const btnClear = document.getElementById("btnClearSearch");
+
+  const scopeSelect = document.getElementById("searchScope");
+
+  // any new search starts again from the first page
+  const runSearch = () => {
+    searchState.page = 1;
+    loadFiles().catch(console.error);
+  };
+
+  btnSearch.addEventListener("click", runSearch);
+
+  btnClear.addEventListener("click", () => {
+    searchInput.value = "";
+    queryInput.value = "";
+    runSearch();
+  });
+
+  searchInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") runSearch();
+  });
+
+  queryInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") runSearch();
+  });
+
+  scopeSelect.addEventListener("change", runSearch);
+
+  const inheritToggle = document.getElementById("inheritTagsToggle");
+  inheritToggle.addEventListener("change", () => {
+    localStorage.setItem("inheritTags", inheritToggle.checked ? "1" : "0");
+    runSearch();
+  });
+
+  // sortable headers (search view only)
+  document.querySelectorAll(".file-table th[data-sort]").forEach((th) => {
+    th.addEventListener("click", () => {
+      if (scopeSelect.value === "folder") return;
+      const key = th.dataset.sort;
+      if (searchState.sort === key) {
+        searchState.dir = searchState.dir === "asc" ? "desc" : "asc";
+      } else {
+        searchState.sort = key;
+        searchState.dir = "asc";
+      }
+      runSearch();
+    });
+  });
+
+  document.getElementById("btnPagePrev").addEventListener("click", () => {
+    if (searchState.page <= 1) return;
+    searchState.page--;
+    loadFiles().catch(console.error);
+  });
+
+  document.getElementById("btnPageNext").addEventListener("click", () => {
+    searchState.page++;
+    loadFiles().catch(console.error);
+  });
+}
+
+// Setup manual refresh button
+function setupManualRefresh() {
+  const btnRefresh = document.getElementById("btnRefresh");
+  if (btnRefresh) {
+    btnRefresh.addEventListener("click", () => {
+      loadFiles().catch(console.error);
+    });
+  }
+}
+
+function setupViewToggle() {
+  const btn = document.getElementById("btnViewMode");
+  const update = () => {
+    btn.textContent = viewMode === "grid" ? "☰ List" : "▦ Grid";
+  };
+  update();
+  btn.addEventListener("click", () => {
+    viewMode = viewMode === "grid" ? "list" : "grid";
+    localStorage.setItem("viewMode", viewMode);
+    update();
+    loadFiles().catch(console.error);
+  });
+}
+
+function setupFolderCreate() {
+  const input = document.getElementById("newFolderName");
+  const btn = document.getElementById("btnCreateFolder");
+
+  btn.addEventListener("click", async () => {
+    const name = (input.value || "").trim();
+    if (!name) {
+      alert("Folder name required");
+      return;
+    }
+    try {
+      await apiPost("/api/folders", {
+        name,
+        parentId: currentFolder ? currentFolder.Id : null,
+      });
+      input.value = "";
+      await loadFolders();
+      await loadFiles(); // <-- added: refresh files after creating folder
+    } catch (err) {
+      console.error("create folder", err);
+      alert("Failed to create folder");
+    }
+  });
+}
+
+/* ============================================================
+   UPLOAD POPUP
+============================================================ */
+function setupUploadModal() {
+  const modal = document.getElementById("uploadModal");
+  const btnOpen = document.getElementById("btnOpenUpload");
+  const btnClose = document.getElementById("uploadClose");
+  const btnChooseFiles = document.getElementById("btnChooseFiles");
+  const btnChooseFolder = document.getElementById("btnChooseFolder");
+  const fileInput = document.getElementById("fileInput");
+  const folderInput = document.getElementById("folderInput");
+  const btnStartUpload = document.getElementById("btnStartUpload");
+
+  btnOpen.addEventListener("click", () => {
+    uploadState.files = [];
+    document.getElementById("uploadSelectedInfo").textContent =
+      "No files selected";
+    document.getElementById("uploadNewTags").value = "";
+    document.getElementById("uploadFileList").innerHTML = "";
+    renderUploadResults(null);
+    renderUploadTagList();
+    modal.classList.remove("hidden");
+  });
+
+  btnClose.addEventListener("click", () => {
+    modal.classList.add("hidden");
+  });
+
+  btnChooseFiles.addEventListener("click", () => {
+    fileInput.value = "";
+    fileInput.click();
+  });
+
+  btnChooseFolder.addEventListener("click", () => {
+    folderInput.value = "";
+    folderInput.click();
+  });
+
+  fileInput.addEventListener("change", () => {
+    const arr = Array.from(fileInput.files || []);
+    uploadState.files = arr;
+    updateUploadSelectedInfo();
+  });
+
+  folderInput.addEventListener("change", () => {
+    const arr = Array.from(folderInput.files || []);
+    uploadState.files = arr;
+    updateUploadSelectedInfo();
+  });
+
+  btnStartUpload.addEventListener("click", async () => {
+    if (!uploadState.files.length) {
+      alert("No files selected");
+      return;
+    }
+    btnStartUpload.disabled = true;
+    try {
+      const data = await doUpload();
+      renderUploadResults(data);
+      // keep the modal open when some files failed so the user can see which ones
+      if (!data.failed) modal.classList.add("hidden");
+      await loadTags();
+      await loadFiles();
+    } catch (err) {
+      console.error("upload error", err);
+      alert("Upload failed");
+    } finally {
+      btnStartUpload.disabled = false;
+    }
+  });
+}
+
+function updateUploadSelectedInfo() {
+  const info = document.getElementById("uploadSelectedInfo");
+  if (!uploadState.files.length) {
+    info.textContent = "No files selected";
+  } else if (uploadState.files.length === 1) {
+    info.textContent = uploadState.files[0].name;
+  } else {
+    info.textContent = `${uploadState.files.length} files selected`;
+  }
+}
+
+// show per-file upload results; pass null to clear
+function renderUploadResults(data) {
+  const row = document.getElementById("uploadResultsRow");
+  const summary = document.getElementById("uploadResultsSummary");
+  const list = document.getElementById("uploadResultsList");
+  list.innerHTML = "";
+
+  if (!data || !Array.isArray(data.files) || !data.failed) {
+    row.classList.add("hidden");
+    summary.textContent = "";
+    return;
+  }
+
+  summary.textContent = `${data.uploaded} uploaded, ${data.failed} failed:`;
+  data.files
+    .filter((f) => !f.ok)
+    .forEach((f) => {
+      const li = document.createElement("li");
+      li.className = "failed";
+      li.textContent = `${f.path || f.name} — ${f.error || "Failed"}`;
+      list.appendChild(li);
+    });
+  row.classList.remove("hidden");
+}
+
+function renderUploadTagList() {
+	const container = document.getElementById("uploadTagList");
+	container.innerHTML = "";
+
+	renderTagTree(container, allTags, (tag) => {
+		const wrapper = document.createElement("label");
+		wrapper.className = "tag-bubble upload-tag";
+		wrapper.title = tag.Slug;
+
+		const color = tag.ColorHex || "#888888";
+		wrapper.style.backgroundColor = color + "22";
+		wrapper.style.borderColor = color;
+
+		const cb = document.createElement("input");
+		cb.type = "checkbox";
+		cb.className = "upload-tag-checkbox";
+		cb.dataset.slug = tag.Slug;
+		cb.dataset.id = tag.Id;
+
+		// clicking checkbox toggles selection only
+		cb.addEventListener("click", (e) => {
+			e.stopPropagation();
+			// let the checkbox update then nothing else here (upload reads checked state)
+		});
+		keepOnePerGroup(container, tag, cb);
+
+		const dot = document.createElement("span");
+		dot.className = "tag-dot";
+		dot.style.backgroundColor = color;
+
+		const span = document.createElement("span");
+		span.textContent = tag.Name;
+
+		wrapper.appendChild(cb);
+		wrapper.appendChild(dot);
+		wrapper.appendChild(span);
+
+		// clicking wrapper (not the checkbox) opens the tag editor — prevent checkbox toggle
+		wrapper.addEventListener("click", (e) => {
+			if (e.target === cb) return;
+			e.preventDefault();
+			e.stopPropagation();
+			openTagEditor(tag);
+		});
+
+		return wrapper;
+	});
+
+	// append small create button next to upload tag list
+	const createBtn = document.createElement("button");
+	createBtn.className = "tag-add-list";
+	createBtn.title = "Create tag";
+	createBtn.textContent = "+";
+	createBtn.addEventListener("click", (e) => {
+		e.stopPropagation();
+		openTagEditor(null); // create mode
+	});
+	container.appendChild(createBtn);
+}
+
+/* ============================================================
+   TAG EDITOR / FILE SIDEBAR
+============================================================ */
+
+// Replace openTagEditor to also support "create" mode when tag is null
+let currentEditingTag = null;
+function openTagEditor(tag) {
+	// tag == null => create mode
+	currentEditingTag = tag || null;
+	const modal = document.getElementById("tagEditorModal");
+	document.getElementById("tagEditName").value = tag ? tag.Name || "" : "";
+	document.getElementById("tagEditColor").value = tag ? tag.ColorHex || "#888888" : "#888888";
+	document.getElementById("tagEditColorHex").value = tag ? tag.ColorHex || "#888888" : "#888888";
+	fillTagEditorSelects(tag);
+	document.getElementById("tagEditSlugRow").classList.toggle("hidden", !tag);
+	document.getElementById("tagEditExisting").classList.toggle("hidden", !tag);
+	if (tag) {
+		document.getElementById("tagEditSlug").textContent = `slug: ${tag.Slug}`;
+		document.getElementById("tagEditRegenerate").checked = false;
+		fillTagMergeSources(tag);
+		loadTagAliases(tag).catch((err) => console.error("load tag aliases", err));
+	}
+	// adjust modal title
+	const titleEl = document.querySelector("#tagEditorModal .modal-header h2");
+	if (titleEl) titleEl.textContent = tag ? "Edit Tag" : "Create Tag";
+	modal.classList.remove("hidden");
+}
+
+// parent choices leave out the tag itself and the tags below it
+function fillTagEditorSelects(tag) {
+	const parentSel = document.getElementById("tagEditParent");
+	parentSel.innerHTML = "";
+	parentSel.appendChild(new Option("— top level —", ""));
+	allTags
+		.filter((t) => !tag || (t.Slug !== tag.Slug && !t.Slug.startsWith(tag.Slug + "/")))
+		.sort((a, b) => a.Slug.localeCompare(b.Slug))
+		.forEach((t) => parentSel.appendChild(new Option(t.Slug, t.Id, false, !!tag && t.Id === tag.ParentId)));
+
+	const groupSel = document.getElementById("tagEditGroup");
+	groupSel.innerHTML = "";
+	groupSel.appendChild(new Option("— none —", ""));
+	tagGroups.forEach((g) => {
+		groupSel.appendChild(new Option(g.Name + (g.Exclusive ? " (exclusive)" : ""), g.Id, false, !!tag && g.Id === tag.GroupId));
+	});
+}
+
+function selectedId(selectId) {
+	const v = document.getElementById(selectId).value;
+	return v ? Number(v) : null;
+}
+
+document.getElementById("tagEditorClose").addEventListener("click", () => {
+  document.getElementById("tagEditorModal").classList.add("hidden");
+});
+
+document.getElementById("btnSaveTag").addEventListener("click", async () => {
+  if (!currentEditingTag) return;
+  const name = document.getElementById("tagEditName").value.trim();
+  const colorHex = document.getElementById("tagEditColorHex").value.trim();
+  const body = { name, colorHex, regenerateSlug: document.getElementById("tagEditRegenerate").checked };
+  // a moved tag takes the group of its new parent unless one is picked here
+  const parentId = selectedId("tagEditParent");
+  const groupId = selectedId("tagEditGroup");
+  if (parentId !== (currentEditingTag.ParentId || null)) body.parentId = parentId;
+  if (groupId !== (currentEditingTag.GroupId || null)) body.groupId = groupId;
+  try {
+    await apiSend("PATCH", `/api/tags/${currentEditingTag.Id}`, body);
+    document.getElementById("tagEditorModal").classList.add("hidden");
+    await loadTags();
+    await loadFiles();
+  } catch (err) {
+    console.error("save tag", err);
+    alert("Failed to save tag: " + err.message);
+  }
+});
+
+document.getElementById("btnDeleteTag").addEventListener("click", async () => {
+  if (!currentEditingTag) return;
+  if (!confirm(`Move tag "${currentEditingTag.Name}" to the trash?`)) return;
+  try {
+    await apiDelete(`/api/tags/${currentEditingTag.Id}`);
+    document.getElementById("tagEditorModal").classList.add("hidden");
+    currentEditingTag = null;
+    await loadTags();
+    await loadFiles();
+  } catch (err) {
+    console.error("delete tag", err);
+    alert("Failed to delete tag");
+  }
+});
+
+document.getElementById("tagEditColor").addEventListener("input", (e) => {
+  document.getElementById("tagEditColorHex").value = e.target.value;
+});
+document.getElementById("tagEditColorHex").addEventListener("input", (e) => {
+  const v = e.target.value;
+  if (/^#[0-9a-fA-F]{6}$/.test(v)) {
+    document.getElementById("tagEditColor").value = v;
+  }
+});
+
+/* ============================================================
+   TAG ALIASES AND MERGE (tag editor)
+============================================================ */
+async function loadTagAliases(tag) {
+  const list = document.getElementById("tagAliasList");
+  list.innerHTML = "";
+  const aliases = await apiGet(`/api/tags/${tag.Id}/aliases`);
+  aliases.forEach((a) => {
+    const li = document.createElement("li");
+    li.textContent = a.Slug;
+    const btnRemove = document.createElement("button");
+    btnRemove.className = "danger";
+    btnRemove.textContent = "✕";
+    btnRemove.title = "Remove alias";
+    btnRemove.addEventListener("click", async () => {
+      try {
+        await apiSend("DELETE", `/api/tags/${tag.Id}/aliases/${a.Id}`);
+      } catch (err) {
+        alert("Failed to remove alias: " + err.message);
+      }
+      await loadTagAliases(tag);
+    });
+    li.appendChild(btnRemove);
+    list.appendChild(li);
+  });
+  if (!aliases.length) list.innerHTML = "<li class='history-meta'>No aliases</li>";
+}
+
+// any tag but this one and the tags above it (those can't be merged into a tag below them)
+function fillTagMergeSources(tag) {
+  const sel = document.getElementById("tagMergeSource");
+  sel.innerHTML = "";
+  sel.appendChild(new Option("— pick a tag —", ""));
+  allTags
+    .filter((t) => t.Id !== tag.Id && !tag.Slug.startsWith(t.Slug + "/"))
+    .sort((a, b) => a.Slug.localeCompare(b.Slug))
+    .forEach((t) => sel.appendChild(new Option(t.Slug, t.Id)));
+}
+
+document.getElementById("btnAddTagAlias").addEventListener("click", async () => {
+  if (!currentEditingTag) return;
+  const input = document.getElementById("tagAliasName");
+  if (!input.value.trim()) return;
+  try {
+    await apiSend("POST", `/api/tags/${currentEditingTag.Id}/aliases`, { name: input.value.trim() });
+    input.value = "";
+  } catch (err) {
+    alert("Failed to add alias: " + err.message);
+  }
+  await loadTagAliases(currentEditingTag);
+});
+
+document.getElementById("btnMergeTag").addEventListener("click", async () => {
+  const sourceId = selectedId("tagMergeSource");
+  if (!currentEditingTag || !sourceId) return;
+  const source = allTags.find((t) => t.Id === sourceId);
+  const msg = `Merge "${source.Slug}" into "${currentEditingTag.Slug}"? Its files and folders get this tag, ` +
+    `the tags below it move here and "${source.Slug}" becomes an alias.`;
+  if (!confirm(msg)) return;
+  try {
+    currentEditingTag = await apiSend("POST", `/api/tags/${currentEditingTag.Id}/merge`, { sourceIds: [sourceId] });
+    await loadTags();
+    await loadFiles();
+    openTagEditor(currentEditingTag);
+  } catch (err) {
+    alert("Failed to merge tags: " + err.message);
+  }
+});
+
+/* ============================================================
+   TAG GROUPS (opened from the tag editor)
+============================================================ */
+const tagGroupsModal = document.getElementById("tagGroupsModal");
+
+document.getElementById("btnTagGroups").addEventListener("click", () => {
+  renderTagGroupList();
+  tagGroupsModal.classList.remove("hidden");
+});
+document.getElementById("tagGroupsClose").addEventListener("click", () => tagGroupsModal.classList.add("hidden"));
+
+// after a change: tag lists and the editor's group choices
+async function reloadTagGroups() {
+  await loadTags();
+  renderTagGroupList();
+  const picked = ["tagEditParent", "tagEditGroup"].map((id) => document.getElementById(id).value);
+  fillTagEditorSelects(currentEditingTag);
+  ["tagEditParent", "tagEditGroup"].forEach((id, i) => (document.getElementById(id).value = picked[i]));
+}
+
+async function changeTagGroup(method, url, body) {
+  try {
+    await apiSend(method, url, body);
+  } catch (err) {
+    alert("Failed to change tag groups: " + err.message);
+  }
+  await reloadTagGroups();
+}
+
+function renderTagGroupList() {
+  const list = document.getElementById("tagGroupList");
+  list.innerHTML = "";
+  tagGroups.forEach((g) => {
+    const li = document.createElement("li");
+
+    const name = document.createElement("input");
+    name.type = "text";
+    name.value = g.Name;
+    name.addEventListener("change", () => changeTagGroup("PATCH", `/api/tag-groups/${g.Id}`, { name: name.value.trim() }));
+
+    const exclusive = document.createElement("label");
+    const cb = document.createElement("input");
+    cb.type = "checkbox";
+    cb.checked = g.Exclusive;
+    cb.addEventListener("change", () => changeTagGroup("PATCH", `/api/tag-groups/${g.Id}`, { exclusive: cb.checked }));
+    exclusive.appendChild(cb);
+    exclusive.appendChild(document.createTextNode(" exclusive"));
+
+    const count = document.createElement("span");
+    count.className = "trash-meta";
+    count.textContent = `${allTags.filter((t) => t.GroupId === g.Id).length} tag(s)`;
+
+    const btnDelete = document.createElement("button");
+    btnDelete.className = "danger";
+    btnDelete.textContent = "Delete";
+    btnDelete.addEventListener("click", () => {
+      if (!confirm(`Delete group "${g.Name}"? Its tags stay, without a group.`)) return;
+      changeTagGroup("DELETE", `/api/tag-groups/${g.Id}`);
+    });
+
+    li.appendChild(name);
+    li.appendChild(exclusive);
+    li.appendChild(count);
+    li.appendChild(btnDelete);
+    list.appendChild(li);
+  });
+  if (!tagGroups.length) list.innerHTML = "<li class='trash-meta'>No groups yet</li>";
+}
+
+document.getElementById("btnAddTagGroup").addEventListener("click", async () => {
+  const nameEl = document.getElementById("newTagGroupName");
+  const exclusiveEl = document.getElementById("newTagGroupExclusive");
+  if (!nameEl.value.trim()) return alert("Group name required");
+  await changeTagGroup("POST", "/api/tag-groups", { name: nameEl.value.trim(), exclusive: exclusiveEl.checked });
+  nameEl.value = "";
+  exclusiveEl.checked = false;
+});
+
+// File sidebar
+let currentSidebarFile = null;
+async function openFileSidebar(file) {
+  currentSidebarFile = file;
+  currentSidebarFolder = null; // <-- ensure folder state cleared
+  document.getElementById("folderAccess").classList.add("hidden");
+  const sidebar = document.getElementById("fileSidebar");
+  document.getElementById("fileSidebarTitle").textContent = file.Name;
+  const fileTagListEl = document.getElementById("fileTagList");
+  fileTagListEl.innerHTML = "<div class='loading'>Loading tags...</div>";
+  const saveBtn = document.getElementById("btnSaveFileTags");
+  saveBtn.disabled = true;
+
+  // fetch tags with selection for this file
+  try {
+    const data = await apiGet(`/api/file/${file.Id}/tags`);
+    fileTagListEl.innerHTML = "";
+    // data: [{Id,Name,Slug,ColorHex,ParentId,GroupId, Selected}]
+    renderTagTree(fileTagListEl, data, (t) => {
+      const wrapper = document.createElement("label");
+      wrapper.className = "tag-bubble upload-tag";
+      wrapper.title = t.Slug;
+      wrapper.style.backgroundColor = (t.ColorHex || "#888888") + "22";
+      wrapper.style.borderColor = t.ColorHex || "#888888";
+
+      const cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.checked = !!t.Selected;
+      cb.dataset.id = t.Id;
+
+      // prevent checkbox click from bubbling (so it won't open editor)
+      cb.addEventListener("click", (e) => {
+        e.stopPropagation();
+      });
+      keepOnePerGroup(fileTagListEl, t, cb);
+
+      const dot = document.createElement("span");
+      dot.className = "tag-dot";
+      dot.style.backgroundColor = t.ColorHex || "#888888";
+
+      const span = document.createElement("span");
+      span.textContent = t.Name;
+
+      wrapper.appendChild(cb);
+      wrapper.appendChild(dot);
+      wrapper.appendChild(span);
+      markInheritedTag(wrapper, t);
+
+      // clicking label (not checkbox) opens tag editor — prevent label default toggle
+      wrapper.addEventListener("click", (e) => {
+        if (e.target === cb) return;
+        e.preventDefault();
+        e.stopPropagation();
+        openTagEditor(t);
+      });
+
+      return wrapper;
+    });
+
+    saveBtn.disabled = false;
+    sidebar.classList.remove("hidden");
+    await loadFileDetails(file);
+    await loadFileHistory(file);
+  } catch (err) {
+    console.error("open sidebar", err);
+    fileTagListEl.innerHTML = "";
+    saveBtn.disabled = false;
+    alert("Failed to load file tags: " + (err && err.message ? err.message : String(err)));
+  }
+}
+
+document.getElementById("fileSidebarClose").addEventListener("click", () => {
+  document.getElementById("fileSidebar").classList.add("hidden");
+});
+
+/* ============================================================
+   FILE DETAILS (file sidebar): type + metadata read on ingest
+============================================================ */
+const METADATA_LABELS = {
+  Width: "Width",
+  Height: "Height",
+  TakenAt: "Taken",
+  CameraMake: "Camera make",
+  CameraModel: "Camera model",
+  DurationSec: "Duration",
+  Title: "Title",
+  Artist: "Artist",
+  Album: "Album",
+  Year: "Year",
+  PageCount: "Pages",
+  LineCount: "Lines",
+};
+
+async function loadFileDetails(file) {
+  const box = document.getElementById("fileDetails");
+  const list = document.getElementById("fileDetailsList");
+  list.innerHTML = "";
+  box.classList.remove("hidden");
+
+  let info;
+  try {
+    info = await apiGet(`/api/file/${file.Id}`);
+  } catch (err) {
+    console.error("load file details", err);
+    box.classList.add("hidden");
+    return;
+  }
+
+  const rows = [
+    ["Type", info.MimeType || "unknown"],
+    ["Size", formatBytes(Number(info.SizeBytes))],
+  ];
+  for (const [key, value] of Object.entries(info.Metadata || {})) {
+    rows.push([METADATA_LABELS[key] || key, key === "DurationSec" ? formatDuration(value) : value]);
+  }
+  rows.forEach(([label, value]) => {
+    const dt = document.createElement("dt");
+    dt.textContent = label;
+    const dd = document.createElement("dd");
+    dd.textContent = value;
+    list.appendChild(dt);
+    list.appendChild(dd);
+  });
+}
+
+/* ============================================================
+   FILE VERSION HISTORY (file sidebar)
+============================================================ */
+// sqlite returns "YYYY-MM-DD HH:MM:SS" in UTC, mssql an ISO string
+function parseDbDate(value) {
+  const s = String(value || "");
+  return new Date(/^\d{4}-\d{2}-\d{2} /.test(s) ? s.replace(" ", "T") + "Z" : s);
+}
+
+const VERSION_REASONS = { upload: "replaced by upload", rename: "renamed", restore: "replaced by restore" };
+
+async function loadFileHistory(file) {
+  const box = document.getElementById("fileHistory");
+  const list = document.getElementById("fileHistoryList");
+  const diffEl = document.getElementById("fileHistoryDiff");
+  diffEl.classList.add("hidden");
+  list.innerHTML = "<li class='loading'>Loading history...</li>";
+  box.classList.remove("hidden");
+
+  let data;
+  try {
+    data = await apiGet(`/api/file/${file.Id}/versions`);
+  } catch (err) {
+    console.error("load file history", err);
+    list.innerHTML = "<li>Failed to load history</li>";
+    return;
+  }
+
+  const limitInput = document.getElementById("historyLimit");
+  limitInput.value = data.maxVersions == null ? "" : data.maxVersions;
+  limitInput.placeholder = data.defaultMaxVersions > 0 ? `default ${data.defaultMaxVersions}` : "default (all)";
+
+  list.innerHTML = "";
+  if (!data.items.length) {
+    list.innerHTML = "<li class='history-meta'>No earlier versions</li>";
+    return;
+  }
+
+  data.items.forEach((v) => {
+    const li = document.createElement("li");
+
+    const title = document.createElement("div");
+    title.textContent = `v${v.VersionNo} · ${v.Name}`;
+    const meta = document.createElement("div");
+    meta.className = "history-meta";
+    meta.textContent =
+      `${VERSION_REASONS[v.Reason] || v.Reason} ${parseDbDate(v.CreatedAt).toLocaleString()}` +
+      (v.SizeBytes != null ? ` · ${formatBytes(Number(v.SizeBytes))}` : "");
+
+    const actions = document.createElement("div");
+    actions.className = "history-actions";
+
+    const download = document.createElement("a");
+    download.href = `/api/file/${file.Id}/versions/${v.Id}/download`;
+    download.textContent = "Download";
+
+    const btnDiff = document.createElement("button");
+    btnDiff.textContent = "Diff";
+    btnDiff.addEventListener("click", () => showVersionDiff(file, v));
+
+    const btnRestore = document.createElement("button");
+    btnRestore.textContent = "Restore";
+    btnRestore.addEventListener("click", async () => {
+      if (!confirm(`Restore version ${v.VersionNo}? The current content is kept as a new version.`)) return;
+      try {
+        await apiPost(`/api/file/${file.Id}/versions/${v.Id}/restore`, {});
+        await loadFileDetails(file);
+        await loadFileHistory(file);
+        await loadFiles();
+      } catch (err) {
+        console.error("restore version", err);
+        alert("Failed to restore version");
+      }
+    });
+
+    actions.appendChild(download);
+    actions.appendChild(btnDiff);
+    actions.appendChild(btnRestore);
+    li.appendChild(title);
+    li.appendChild(meta);
+    li.appendChild(actions);
+    list.appendChild(li);
+  });
+}
+
+async function showVersionDiff(file, version) {
+  const diffEl = document.getElementById("fileHistoryDiff");
+  diffEl.innerHTML = "<div class='diff-title'>Loading diff...</div>";
+  diffEl.classList.remove("hidden");
+
+  let data;
+  try {
+    data = await apiGet(`/api/file/${file.Id}/versions/${version.Id}/diff`);
+  } catch (err) {
+    console.error("version diff", err);
+    diffEl.innerHTML = "<div class='diff-title'>Failed to load diff</div>";
+    return;
+  }
+
+  diffEl.innerHTML = "";
+  const title = document.createElement("div");
+  title.className = "diff-title";
+  diffEl.appendChild(title);
+
+  if (data.binary) title.textContent = `v${data.versionNo} → current: binary content, no text diff`;
+  else if (data.tooLarge) title.textContent = `v${data.versionNo} → current: too large to diff`;
+  else if (data.tooDifferent) title.textContent = `v${data.versionNo} → current: too many differences to show`;
+  else if (!data.hunks.length) title.textContent = `v${data.versionNo} → current: identical content`;
+  else title.textContent = `v${data.versionNo} → current: +${data.added} −${data.removed}`;
+
+  (data.hunks || []).forEach((hunk, i) => {
+    if (i > 0) {
+      const gap = document.createElement("div");
+      gap.className = "diff-gap";
+      gap.textContent = "⋯";
+      diffEl.appendChild(gap);
+    }
+    hunk.lines.forEach((l) => {
+      const row = document.createElement("div");
+      row.className = "diff-line" + (l.op === "+" ? " add" : l.op === "-" ? " del" : "");
+      row.textContent = `${l.op} ${l.text}`;
+      diffEl.appendChild(row);
+    });
+  });
+}
+
+document.getElementById("btnSaveHistoryLimit").addEventListener("click", async () => {
+  if (!currentSidebarFile) return;
+  const raw = document.getElementById("historyLimit").value.trim();
+  try {
+    await apiPatch(`/api/file/${currentSidebarFile.Id}/versions`, { maxVersions: raw === "" ? null : Number(raw) });
+    await loadFileHistory(currentSidebarFile);
+  } catch (err) {
+    console.error("save version limit", err);
+    alert("Failed to save version limit");
+  }
+});
+
+// Folder sidebar (similar to file sidebar but for folders)
+let currentSidebarFolder = null;
+async function openFolderSidebar(folder) {
+  currentSidebarFolder = folder;
+  currentSidebarFile = null; // <-- ensure file state cleared
+  document.getElementById("fileDetails").classList.add("hidden");
+  document.getElementById("fileHistory").classList.add("hidden");
+  loadFolderAccess(folder).catch((err) => console.error("load folder access", err));
+  const sidebar = document.getElementById("fileSidebar");
+  document.getElementById("fileSidebarTitle").textContent = folder.Name + " (Folder)";
+  const fileTagListEl = document.getElementById("fileTagList");
+  fileTagListEl.innerHTML = "<div class='loading'>Loading tags...</div>";
+  const saveBtn = document.getElementById("btnSaveFileTags");
+  saveBtn.disabled = true;
+
+  try {
+    const data = await apiGet(`/api/folder/${folder.Id}/tags`);
+    fileTagListEl.innerHTML = "";
+    renderTagTree(fileTagListEl, data, (t) => {
+      const wrapper = document.createElement("label");
+      wrapper.className = "tag-bubble upload-tag";
+      wrapper.title = t.Slug;
+      wrapper.style.backgroundColor = (t.ColorHex || "#888888") + "22";
+      wrapper.style.borderColor = t.ColorHex || "#888888";
+
+      const cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.checked = !!t.Selected;
+      cb.dataset.id = t.Id;
+
+      // prevent checkbox click from bubbling (so it won't open editor)
+      cb.addEventListener("click", (e) => {
+        e.stopPropagation();
+      });
+      keepOnePerGroup(fileTagListEl, t, cb);
+
+      const dot = document.createElement("span");
+      dot.className = "tag-dot";
+      dot.style.backgroundColor = t.ColorHex || "#888888";
+
+      const span = document.createElement("span");
+      span.textContent = t.Name;
+
+      wrapper.appendChild(cb);
+      wrapper.appendChild(dot);
+      wrapper.appendChild(span);
+      markInheritedTag(wrapper, t);
+
+      // clicking label (not checkbox) opens tag editor — prevent label default toggle
+      wrapper.addEventListener("click", (e) => {
+        if (e.target === cb) return;
+        e.preventDefault();
+        e.stopPropagation();
+        openTagEditor(t);
+      });
+
+      return wrapper;
+    });
+
+    saveBtn.disabled = false;
+    sidebar.classList.remove("hidden");
+  } catch (err) {
+    console.error("open folder sidebar", err);
+    fileTagListEl.innerHTML = "";
+    saveBtn.disabled = false;
+    alert("Failed to load folder tags: " + (err && err.message ? err.message : String(err)));
+  }
+}
+
+// Update save button to handle both files and folders
+document.getElementById("btnSaveFileTags").addEventListener("click", async () => {
+  const checks = Array.from(document.querySelectorAll("#fileTagList input[type=checkbox]"));
+  const tagIds = checks.filter(c => c.checked).map(c => parseInt(c.dataset.id, 10));
+
+  if (currentSidebarFile) {
+    try {
+      await apiPost(`/api/file/${currentSidebarFile.Id}/tags`, { tagIds });
+      document.getElementById("fileSidebar").classList.add("hidden");
+      await loadFiles();
+      await loadTags();
+    } catch (err) {
+      console.error("save file tags", err);
+      alert("Failed to save file tags");
+    }
+  } else if (currentSidebarFolder) {
+    try {
+      await apiPost(`/api/folder/${currentSidebarFolder.Id}/tags`, { tagIds });
+      document.getElementById("fileSidebar").classList.add("hidden");
+      await loadFiles();
+      await loadTags();
+    } catch (err) {
+      console.error("save folder tags", err);
+      alert("Failed to save folder tags");
+    }
+  }
+});
+
+document.getElementById("btnCreateTag").addEventListener("click", async () => {
+  const name = document.getElementById("tagEditName").value.trim();
+  const colorHex = document.getElementById("tagEditColorHex").value.trim();
+  if (!name) {
+    alert("Tag name required");
+    return;
+  }
+  try {
+    // 409 when the tag (or an alias of its slug) exists
+    await apiSend("POST", "/api/tags", {
+      name,
+      colorHex,
+      parentId: selectedId("tagEditParent"),
+      groupId: selectedId("tagEditGroup"),
+    });
+    document.getElementById("tagEditorModal").classList.add("hidden");
+
+    // reload global tag list and files
+    await loadTags();
+    await loadFiles();
+
+    // If a file or folder sidebar is open, refresh it so the new tag appears immediately
+    if (currentSidebarFile) {
+      try { await openFileSidebar(currentSidebarFile); } catch (e) { /* ignore */ }
+    } else if (currentSidebarFolder) {
+      try { await openFolderSidebar(currentSidebarFolder); } catch (e) { /* ignore */ }
+    }
+  } catch (err) {
+    console.error("create tag", err);
+    alert("Failed to create tag: " + err.message);
+  }
+});
+
+/* ============================================================
+   UPLOAD with progress
+============================================================ */
+
+function formatBytesShort(bytes) {
+  if (bytes == null) return "0 B";
+  const sizes = ["B", "KB", "MB", "GB"];
+  if (bytes === 0) return "0 B";
+  const i = Math.floor(Math.log(bytes) / Math.log(1024));
+  const val = bytes / Math.pow(1024, i);
+  return `${val.toFixed(1)} ${sizes[i]}`;
+}
+
+function updateUploadProgressUI(percent, uploaded, total, speedBytesPerSec, etaText) {
+  const row = document.getElementById("uploadProgressRow");
+  row.classList.remove("hidden");
+  document.getElementById("uploadProgressBar").style.width = percent + "%";
+  document.getElementById("uploadPercent").textContent = `${percent.toFixed(1)}%`;
+  document.getElementById("uploadSpeed").textContent = `${formatBytesShort(speedBytesPerSec)}/s`;
+  document.getElementById("uploadETA").textContent = etaText == null ? "—" : etaText;
+  document.getElementById("uploadSize").textContent = `${formatBytesShort(uploaded)} / ${formatBytesShort(total)}`;
+}
+
+function resetUploadProgressUI() {
+  const row = document.getElementById("uploadProgressRow");
+  row.classList.add("hidden");
+  document.getElementById("uploadProgressBar").style.width = "0%";
+  document.getElementById("uploadPercent").textContent = `0%`;
+  document.getElementById("uploadSpeed").textContent = `0 KB/s`;
+  document.getElementById("uploadETA").textContent = `—`;
+  document.getElementById("uploadSize").textContent = `0 / 0`;
+}
+
+/* ============================================================
+   RESUMABLE UPLOADS: each file goes up in chunks (POST /api/uploads,
+   PUT .../chunks/:n, POST .../finish); a dropped connection only costs
+   the chunks in flight, which are retried until the tunnel is back
+============================================================ */
+const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024;
+const UPLOAD_PARALLEL_CHUNKS = 3;
+const UPLOAD_PARALLEL_FILES = 3;
+// waits between retries of a failed request; after the last one the file is reported as failed
+const UPLOAD_RETRY_DELAYS = [1000, 2000, 5000, 10000, 20000, 30000];
+
+// session ids of unfinished uploads survive a reload: choosing the same file again resumes it
+function uploadSessionKey(folderId, rel, file) {
+  return `upload:${folderId || ""}:${rel}:${file.size}:${file.lastModified}`;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// network errors, 5xx, 408/429 and checksum mismatches are worth retrying
+function isRetryable(err) {
+  if (!err.status) return true;
+  if (err.status >= 500 || err.status === 408 || err.status === 429) return true;
+  return !!(err.body && err.body.error === "Checksum mismatch");
+}
+
+async function withRetry(fn) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (!isRetryable(err) || attempt >= UPLOAD_RETRY_DELAYS.length) throw err;
+      if (!navigator.onLine) await new Promise((resolve) => window.addEventListener("online", resolve, { once: true }));
+      await sleep(UPLOAD_RETRY_DELAYS[attempt]);
+    }
+  }
+}
+
+// fetch wrapper for the upload API: JSON in and out, errors carry status and body
+async function uploadApi(method, url, body) {
+  const res = await fetch(url, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (res.status === 401) redirectToLogin();
+  const data = await res.json().catch(() => null);
+  if (!res.ok) {
+    const err = new Error((data && data.error) || `${method} ${url} failed: ${res.status}`);
+    err.status = res.status;
+    err.body = data;
+    throw err;
+  }
+  return data;
+}
+
+// hex SHA-256 of a chunk; null where WebCrypto is unavailable (plain http other than localhost)
+async function chunkChecksum(blob) {
+  if (!window.crypto || !window.crypto.subtle) return null;
+  const digest = await window.crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// XHR (not fetch) for the upload progress events
+function putChunk(url, blob, checksum, onProgress) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("PUT", url, true);
+    xhr.setRequestHeader("Content-Type", "application/octet-stream");
+    if (checksum) xhr.setRequestHeader("X-Chunk-Sha256", checksum);
+    xhr.upload.addEventListener("progress", (e) => onProgress(e.loaded));
+    xhr.onload = () => {
+      if (xhr.status >= 200 && xhr.status < 300) return resolve();
+      let body = null;
+      try { body = JSON.parse(xhr.responseText); } catch (e) { /* not JSON */ }
+      const err = new Error((body && body.error) || `Chunk upload failed: ${xhr.status}`);
+      err.status = xhr.status;
+      err.body = body;
+      reject(err);
+    };
+    xhr.onerror = () => reject(new Error("Network error"));
+    xhr.send(blob);
+  });
+}
+
+// upload one file, resuming a saved session when there is one; onBytes(n) reports bytes on the server
+async function uploadResumable(item, options, onBytes) {
+  const key = uploadSessionKey(options.folderId, item.rel, item.file);
+
+  // a pass ends early when the session vanished (expired) or the joined file did not verify
+  for (let pass = 0; pass < 3; pass++) {
+    let session = null;
+    const saved = localStorage.getItem(key);
+    if (saved) session = await withRetry(() => uploadApi("GET", `/api/uploads/${saved}`)).catch(() => null);
+    if (!session) {
+      session = await withRetry(() =>
+        uploadApi("POST", "/api/uploads", {
+          folderId: options.folderId,
+          path: item.rel,
+          size: item.file.size,
+          chunkSize: UPLOAD_CHUNK_SIZE,
+          newTags: options.newTags,
+          tagSlugs: options.tagSlugs,
+        })
+      );
+      localStorage.setItem(key, session.id);
+    }
+
+    const chunkBytes = (i) => Math.min(session.chunkSize, session.size - i * session.chunkSize);
+    const received = new Set(session.received);
+    const pending = [];
+    for (let i = 0; i < session.chunks; i++) if (!received.has(i)) pending.push(i);
+
+    let confirmed = session.received.reduce((sum, i) => sum + chunkBytes(i), 0);
+    const inFlight = new Map();
+    const report = () => onBytes(confirmed + Array.from(inFlight.values()).reduce((a, b) => a + b, 0));
+    report();
+
+    let stopped = false;
+    const worker = async () => {
+      while (pending.length && !stopped) {
+        const i = pending.shift();
+        const blob = item.file.slice(i * session.chunkSize, i * session.chunkSize + chunkBytes(i));
+        const checksum = await chunkChecksum(blob);
+        try {
+          await withRetry(() => {
+            inFlight.set(i, 0);
+            return putChunk(`/api/uploads/${session.id}/chunks/${i}`, blob, checksum, (loaded) => {
+              inFlight.set(i, loaded);
+              report();
+            });
+          });
+        } catch (err) {
+          stopped = true;
+          throw err;
+        } finally {
+          inFlight.delete(i);
+        }
+        confirmed += chunkBytes(i);
+        report();
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: Math.min(UPLOAD_PARALLEL_CHUNKS, pending.length) }, worker));
+      // finishing creates folders on the server, so files finish one at a time
+      const result = await (options.finishing = options.finishing
+        .catch(() => {})
+        .then(() => withRetry(() => uploadApi("POST", `/api/uploads/${session.id}/finish`))));
+      localStorage.removeItem(key);
+      return result;
+    } catch (err) {
+      const restart = err.status === 404 || (err.status === 422 && err.body && err.body.restart) || err.status === 409;
+      if (!restart) throw err;
+      if (err.status !== 409) localStorage.removeItem(key);
+    }
+  }
+  throw new Error("Upload could not be completed");
+}
+
+function renderUploadFileList(items) {
+  const list = document.getElementById("uploadFileList");
+  list.innerHTML = "";
+  items.forEach((item) => {
+    const li = document.createElement("li");
+    const name = document.createElement("span");
+    name.className = "upload-file-name";
+    name.textContent = item.rel;
+    name.title = item.rel;
+    const bar = document.createElement("div");
+    bar.className = "progress-bar-bg";
+    const fill = document.createElement("div");
+    fill.className = "progress-bar-fill";
+    fill.style.width = "0%";
+    bar.appendChild(fill);
+    const status = document.createElement("span");
+    status.className = "upload-file-status";
+    status.textContent = "waiting";
+    li.appendChild(name);
+    li.appendChild(bar);
+    li.appendChild(status);
+    list.appendChild(li);
+    item.ui = { li, fill, status };
+  });
+}
+
+function updateUploadFileUI(item, text, percent, state) {
+  if (percent != null) item.ui.fill.style.width = percent + "%";
+  item.ui.status.textContent = text;
+  if (state) item.ui.li.className = state;
+}
+
+// speed is averaged over the last 5 seconds of samples
+function createUploadProgress(totalSize) {
+  const samples = [];
+  return (loaded) => {
+    const now = Date.now();
+    samples.push({ time: now, loaded });
+    while (samples.length > 1 && samples[0].time < now - 5000) samples.shift();
+
+    let avgSpeed = 0;
+    if (samples.length >= 2) {
+      const oldest = samples[0];
+      const newest = samples[samples.length - 1];
+      avgSpeed = Math.max(0, newest.loaded - oldest.loaded) / Math.max(0.001, (newest.time - oldest.time) / 1000);
+    }
+
+    // estimate remaining time in minutes using avgSpeed and remaining bytes
+    let etaText = "—";
+    const remaining = Math.max(0, totalSize - loaded);
+    if (avgSpeed > 0 && remaining > 0) {
+      etaText = `${(remaining / avgSpeed / 60).toFixed(1)} min`;
+    } else if (remaining === 0) {
+      etaText = "0.0 min";
+    }
+    const percent = totalSize ? (loaded / totalSize) * 100 : 100;
+    updateUploadProgressUI(percent, loaded, totalSize, avgSpeed, etaText);
+  };
+}
+
+// resolves like POST /api/upload: { ok, uploaded, failed, files: [{ ok, name, path, error }] }
+async function doUpload() {
+  const options = {
+    folderId: currentFolder && currentFolder.Id ? currentFolder.Id : null,
+    newTags: document.getElementById("uploadNewTags").value || "",
+    tagSlugs: Array.from(document.querySelectorAll(".upload-tag-checkbox:checked"))
+      .map((cb) => cb.dataset.slug)
+      .join(","),
+    finishing: Promise.resolve(),
+  };
+
+  const items = uploadState.files.map((file) => ({
+    file,
+    rel: file.webkitRelativePath && file.webkitRelativePath.length > 0 ? file.webkitRelativePath : file.name,
+    loaded: 0,
+  }));
+  const totalSize = items.reduce((sum, item) => sum + (item.file.size || 0), 0);
+  const progress = createUploadProgress(totalSize);
+  const sumLoaded = () => items.reduce((sum, item) => sum + item.loaded, 0);
+  renderUploadFileList(items);
+  progress(0);
+
+  const results = [];
+  const queue = items.slice();
+  const worker = async () => {
+    while (queue.length) {
+      const item = queue.shift();
+      updateUploadFileUI(item, "uploading", 0, "active");
+      try {
+        const result = await uploadResumable(item, options, (bytes) => {
+          item.loaded = bytes;
+          updateUploadFileUI(item, formatBytesShort(bytes) + " / " + formatBytesShort(item.file.size), item.file.size ? (bytes / item.file.size) * 100 : 100);
+          progress(sumLoaded());
+        });
+        results.push({ ...result, ok: true });
+        updateUploadFileUI(item, "done", 100, "done");
+      } catch (err) {
+        console.error("upload", item.rel, err);
+        results.push({ ok: false, name: item.file.name, path: item.rel, error: err.message || "Failed" });
+        updateUploadFileUI(item, err.message || "failed", null, "failed");
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(UPLOAD_PARALLEL_FILES, items.length) }, worker));
+
+  resetUploadProgressUI();
+  const uploaded = results.filter((r) => r.ok).length;
+  return { ok: true, uploaded, failed: results.length - uploaded, files: results };
+}
+
+// Helper: darken a hex color by a percentage (e.g., 20 for 20% darker)
+function darkenHex(hex, percent) {
+  // Remove '#' if present
+  hex = hex.replace('#', '');
+  
+  // Parse RGB
+  const r = parseInt(hex.substring(0, 2), 16);
+  const g = parseInt(hex.substring(2, 4), 16);
+  const b = parseInt(hex.substring(4, 6), 16);
+  
+  // Darken by reducing brightness
+  const factor = 1 - (percent / 100);
+  const newR = Math.round(r * factor);
+  const newG = Math.round(g * factor);
+  const newB = Math.round(b * factor);
+  
+  // Convert back to hex
+  return '#' + [newR, newG, newB].map(x => x.toString(16).padStart(2, '0')).join('');
+}
+
+// Helper: lighten a hex color by a percentage (e.g., 40 for 40% lighter)
+function lightenHex(hex, percent) {
+  hex = hex.replace('#', '');
+  
+  const r = parseInt(hex.substring(0, 2), 16);
+  const g = parseInt(hex.substring(2, 4), 16);
+  const b = parseInt(hex.substring(4, 6), 16);
+  
+  // Lighten by moving towards white (255)
+  const factor = percent / 100;
+  const newR = Math.round(r + (255 - r) * factor);
+  const newG = Math.round(g + (255 - g) * factor);
+  const newB = Math.round(b + (255 - b) * factor);
+  
+  return '#' + [newR, newG, newB].map(x => x.toString(16).padStart(2, '0')).join('');
+}
+
+// default theme values used by reset buttons
+const DEFAULT_BG_PANEL = "#020617";
+const DEFAULT_BG_FILES = "#111827";
+const DEFAULT_BG_FILES_DARK = "#1a2332";
+const DEFAULT_BTN_BG = lightenHex(DEFAULT_BG_FILES, 40);
+
+// THEME / SETTINGS (updated to handle bg-panel, bg-files, bg-files-alt, bg-files-dark & btn-bg)
+function applyTheme(bgPanel, bgFiles, bgFilesDark) {
+  if (bgPanel) document.documentElement.style.setProperty('--bg-panel', bgPanel);
+  if (bgFiles) {
+    document.documentElement.style.setProperty('--bg-files', bgFiles);
+    // automatically compute 20% darker variant for alternating rows
+    const darkAlt = darkenHex(bgFiles, 20);
+    document.documentElement.style.setProperty('--bg-files-alt', darkAlt);
+    // automatically compute 40% lighter variant for buttons
+    const btnBg = lightenHex(bgFiles, 40);
+    document.documentElement.style.setProperty('--btn-bg', btnBg);
+  }
+  if (bgFilesDark) document.documentElement.style.setProperty('--bg-files-dark', bgFilesDark);
+}
+
+function loadThemeFromStorage() {
+  const bgPanel = localStorage.getItem('themeBgPanel') || null;
+  const bgFiles = localStorage.getItem('themeBgFiles') || null;
+  const bgFilesDark = localStorage.getItem('themeBgFilesDark') || null;
+  if (bgPanel || bgFiles || bgFilesDark) applyTheme(bgPanel, bgFiles, bgFilesDark);
+}
+
+// call early so UI picks up stored theme
+loadThemeFromStorage();
+
+function setupSettings() {
+  const toggle = document.getElementById('settingsToggle');
+  const modal = document.getElementById('settingsModal');
+  const close = document.getElementById('settingsClose');
+  const save = document.getElementById('btnSaveSettings');
+
+  const inPanel = document.getElementById('settingsBgPanel');
+  const inPanelHex = document.getElementById('settingsBgPanelHex');
+  const btnResetPanel = document.getElementById('btnResetPanel');
+
+  const inFiles = document.getElementById('settingsBgFiles');
+  const inFilesHex = document.getElementById('settingsBgFilesHex');
+  const btnResetFiles = document.getElementById('btnResetFiles');
+
+  const inFilesDark = document.getElementById('settingsBgFilesDark');
+  const inFilesDarkHex = document.getElementById('settingsBgFilesDarkHex');
+  const btnResetFilesDark = document.getElementById('btnResetFilesDark');
+
+  function initInputs() {
+    const style = getComputedStyle(document.documentElement);
+    const curPanel = style.getPropertyValue('--bg-panel').trim() || DEFAULT_BG_PANEL;
+    const curFiles = style.getPropertyValue('--bg-files').trim() || DEFAULT_BG_FILES;
+    const curFilesDark = style.getPropertyValue('--bg-files-dark').trim() || DEFAULT_BG_FILES_DARK;
+
+    inPanel.value = curPanel; inPanelHex.value = curPanel;
+    inFiles.value = curFiles; inFilesHex.value = curFiles;
+    inFilesDark.value = curFilesDark; inFilesDarkHex.value = curFilesDark;
+  }
+
+  toggle.addEventListener('click', (e) => {
+    e.stopPropagation();
+    initInputs();
+    modal.classList.remove('hidden');
+  });
+
+  close.addEventListener('click', () => modal.classList.add('hidden'));
+
+  // live-preview on color change (applyTheme immediately)
+  inPanel.addEventListener('input', (e) => {
+    const v = e.target.value;
+    inPanelHex.value = v;
+    applyTheme(v, null, null);
+  });
+  inPanelHex.addEventListener('input', (e) => {
+    const v = e.target.value.trim();
+    if (/^#[0-9a-fA-F]{6}$/.test(v)) {
+      inPanel.value = v;
+      applyTheme(v, null, null);
+    }
+  });
+
+  inFiles.addEventListener('input', (e) => {
+    const v = e.target.value;
+    inFilesHex.value = v;
+    applyTheme(null, v, null);
+  });
+  inFilesHex.addEventListener('input', (e) => {
+    const v = e.target.value.trim();
+    if (/^#[0-9a-fA-F]{6}$/.test(v)) {
+      inFiles.value = v;
+      applyTheme(null, v, null);
+    }
+  });
+
+  inFilesDark.addEventListener('input', (e) => {
+    const v = e.target.value;
+    inFilesDarkHex.value = v;
+    applyTheme(null, null, v);
+  });
+  inFilesDarkHex.addEventListener('input', (e) => {
+    const v = e.target.value.trim();
+    if (/^#[0-9a-fA-F]{6}$/.test(v)) {
+      inFilesDark.value = v;
+      applyTheme(null, null, v);
+    }
+  });
+
+  // reset buttons set inputs back to defaults and preview
+  btnResetPanel.addEventListener('click', () => {
+    inPanel.value = DEFAULT_BG_PANEL;
+    inPanelHex.value = DEFAULT_BG_PANEL;
+    applyTheme(DEFAULT_BG_PANEL, null, null);
+  });
+  btnResetFiles.addEventListener('click', () => {
+    inFiles.value = DEFAULT_BG_FILES;
+    inFilesHex.value = DEFAULT_BG_FILES;
+    applyTheme(null, DEFAULT_BG_FILES, null);
+  });
+  btnResetFilesDark.addEventListener('click', () => {
+    inFilesDark.value = DEFAULT_BG_FILES_DARK;
+    inFilesDarkHex.value = DEFAULT_BG_FILES_DARK;
+    applyTheme(null, null, DEFAULT_BG_FILES_DARK);
+  });
+
+  save.addEventListener('click', () => {
+    const p = inPanelHex.value.trim() || inPanel.value;
+    const f = inFilesHex.value.trim() || inFiles.value;
+    const fd = inFilesDarkHex.value.trim() || inFilesDark.value;
+
+    if (!/^#[0-9a-fA-F]{6}$/.test(p) || !/^#[0-9a-fA-F]{6}$/.test(f) || !/^#[0-9a-fA-F]{6}$/.test(fd)) {
+      alert('Please provide valid hex colors like #rrggbb');
+      return;
+    }
+
+    localStorage.setItem('themeBgPanel', p);
+    localStorage.setItem('themeBgFiles', f);
+    localStorage.setItem('themeBgFilesDark', fd);
+
+    applyTheme(p, f, fd);
+    modal.classList.add('hidden');
+  });
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) modal.classList.add('hidden');
+  });
+}
+
+/* ============================================================
+   DUPLICATES: identical content across the tree, keep one copy
+============================================================ */
+let duplicatesPage = 1;
 
-      // prevent checkbox click from bubbling (so it won't open editor)
-      cb.addEventListener("click", (e) => {
-        e.stopPropagation();
-      });
+function setupDuplicatesModal() {
+  const modal = document.getElementById("duplicatesModal");
 
-      const dot = document.createElement("span");
-      dot.className = "tag-dot";
-      dot.style.backgroundColor = t.ColorHex || "#888888";
+  document.getElementById("btnOpenDuplicates").addEventListener("click", () => {
+    duplicatesPage = 1;
+    modal.classList.remove("hidden");
+    loadDuplicates().catch(console.error);
+  });
 
-      const span = document.createElement("span");
-      span.textContent = t.Name;
+  document.getElementById("duplicatesClose").addEventListener("click", () => {
+    modal.classList.add("hidden");
+  });
 
-      wrapper.appendChild(cb);
-      wrapper.appendChild(dot);
-      wrapper.appendChild(span);
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) modal.classList.add("hidden");
+  });
 
-      // clicking label (not checkbox) opens tag editor — prevent label default toggle
-      wrapper.addEventListener("click", (e) => {
-        if (e.target === cb) return;
-        e.preventDefault();
-        e.stopPropagation();
-        openTagEditor(t);
+  document.getElementById("btnDupPrev").addEventListener("click", () => {
+    duplicatesPage = Math.max(1, duplicatesPage - 1);
+    loadDuplicates().catch(console.error);
+  });
+  document.getElementById("btnDupNext").addEventListener("click", () => {
+    duplicatesPage++;
+    loadDuplicates().catch(console.error);
+  });
+}
+
+async function loadDuplicates() {
+  const data = await apiGet(`/api/duplicates?page=${duplicatesPage}&pageSize=20`);
+  const list = document.getElementById("duplicatesList");
+  const info = document.getElementById("duplicatesInfo");
+  list.innerHTML = "";
+
+  const pages = Math.max(1, Math.ceil(data.total / data.pageSize));
+  if (duplicatesPage > pages) {
+    duplicatesPage = pages;
+    if (data.total) return loadDuplicates();
+  }
+  const reclaimable = data.groups.reduce((sum, g) => sum + g.Reclaimable, 0);
+  info.textContent = data.total
+    ? `${data.total} group(s) of identical files` + (reclaimable ? ` — ${formatBytes(reclaimable)} reclaimable on this page` : "")
+    : "No duplicates found";
+  document.getElementById("dupPagerInfo").textContent = `Page ${duplicatesPage} of ${pages}`;
+  document.getElementById("btnDupPrev").disabled = duplicatesPage <= 1;
+  document.getElementById("btnDupNext").disabled = duplicatesPage >= pages;
+
+  data.groups.forEach((g) => {
+    const box = document.createElement("div");
+    box.className = "dup-group";
+
+    const head = document.createElement("div");
+    head.className = "dup-group-head";
+    const summary = document.createElement("span");
+    summary.textContent =
+      `${g.Copies} copies · ${formatBytes(g.SizeBytes)} each` +
+      (g.Reclaimable ? ` · ${formatBytes(g.Reclaimable)} reclaimable` : " · stored once");
+    head.appendChild(summary);
+
+    if (data.hardlinks && g.Reclaimable) {
+      const btnLink = document.createElement("button");
+      btnLink.textContent = "Store once";
+      btnLink.title = "Keep every copy but share the content via hard links";
+      btnLink.addEventListener("click", async () => {
+        try {
+          await apiPost("/api/duplicates/link", { hash: g.ContentHash });
+          await loadDuplicates();
+        } catch (err) {
+          console.error("link duplicates", err);
+          alert("Failed to link copies");
+        }
       });
+      head.appendChild(btnLink);
+    }
 
-      fileTagListEl.appendChild(wrapper);
+    const btnKeep = document.createElement("button");
+    btnKeep.textContent = "Keep selected";
+    btnKeep.title = "Move the other copies to the trash";
+    head.appendChild(btnKeep);
+    box.appendChild(head);
+
+    const radioName = `dupKeep-${g.ContentHash}`;
+    g.files.forEach((f, i) => {
+      const row = document.createElement("label");
+      row.className = "dup-file";
+
+      const radio = document.createElement("input");
+      radio.type = "radio";
+      radio.name = radioName;
+      radio.value = f.Id;
+      radio.checked = i === 0;
+
+      const name = document.createElement("span");
+      name.textContent = f.Name;
+
+      const meta = document.createElement("span");
+      meta.className = "trash-meta";
+      const tags = (f.TagInfo || "").split(",").map((p) => p.split("|")[0]).filter(Boolean);
+      meta.textContent = f.FolderPath + (tags.length ? ` · tags: ${tags.join(", ")}` : "");
+      meta.title = meta.textContent;
+
+      row.appendChild(radio);
+      row.appendChild(name);
+      row.appendChild(meta);
+      box.appendChild(row);
     });
 
-    saveBtn.disabled = false;
-    sidebar.classList.remove("hidden");
-  } catch (err) {
-    console.error("open folder sidebar", err);
-    fileTagListEl.innerHTML = "";
-    saveBtn.disabled = false;
-    alert("Failed to load folder tags: " + (err && err.message ? err.message : String(err)));
-  }
+    btnKeep.addEventListener("click", async () => {
+      const picked = box.querySelector(`input[name="${radioName}"]:checked`);
+      if (!picked) return;
+      if (!confirm(`Keep the selected copy and move the other ${g.Copies - 1} to the trash?`)) return;
+      try {
+        await apiPost("/api/duplicates/resolve", {
+          keepId: parseInt(picked.value, 10),
+          mergeTags: document.getElementById("dupMergeTags").checked,
+        });
+        await loadDuplicates();
+        await loadFiles();
+      } catch (err) {
+        console.error("resolve duplicates", err);
+        alert("Failed to remove duplicates");
+      }
+    });
+
+    list.appendChild(box);
+  });
 }
 
-// Update save button to handle both files and folders
-document.getElementById("btnSaveFileTags").addEventListener("click", async () => {
-  const checks = Array.from(document.querySelectorAll("#fileTagList input[type=checkbox]"));
-  const tagIds = checks.filter(c => c.checked).map(c => parseInt(c.dataset.id, 10));
+/* ============================================================
+   JOBS: the background queue (admins), refreshed while open
+============================================================ */
+const JOBS_REFRESH_INTERVAL = 2000;
+let jobsRefreshTimer = null;
 
-  if (currentSidebarFile) {
+function setupJobsModal() {
+  const modal = document.getElementById("jobsModal");
+  const close = () => {
+    modal.classList.add("hidden");
+    clearInterval(jobsRefreshTimer);
+    jobsRefreshTimer = null;
+  };
+
+  document.getElementById("btnOpenJobs").addEventListener("click", () => {
+    modal.classList.remove("hidden");
+    loadJobs().catch(console.error);
+    if (!jobsRefreshTimer) {
+      jobsRefreshTimer = setInterval(() => loadJobs().catch(console.error), JOBS_REFRESH_INTERVAL);
+    }
+  });
+
+  document.getElementById("btnReconcile").addEventListener("click", async () => {
     try {
-      await apiPost(`/api/file/${currentSidebarFile.Id}/tags`, { tagIds });
-      document.getElementById("fileSidebar").classList.add("hidden");
-      await loadFiles();
-      await loadTags();
+      await apiPost("/api/reconcile", {});
+      await loadJobs();
     } catch (err) {
-      console.error("save file tags", err);
-      alert("Failed to save file tags");
+      console.error("reconcile", err);
+      alert("Failed to queue the check");
     }
-  } else if (currentSidebarFolder) {
+  });
+
+  document.getElementById("jobsClose").addEventListener("click", close);
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) close();
+  });
+}
+
+// what a job works on, from its payload
+function jobSubject(job) {
+  const p = job.Payload || {};
+  if (job.Type === "reconcile") return p.dirs ? p.dirs.join(", ") : "whole tree";
+  if (p.fullPath) return p.fullPath;
+  if (p.storagePath) return p.storagePath;
+  if (p.fileId) return `file ${p.fileId}`;
+  if (p.hash) return p.hash.slice(0, 12);
+  if (p.paths) return p.paths.join(", ");
+  return "";
+}
+
+// "watching (watch) · last full check 10:32: 2 added, 1 moved, 0 updated, 0 missing"
+async function loadReconcileInfo() {
+  const data = await apiGet("/api/reconcile");
+  const parts = [data.watching === "off" ? "not watching the disk" : `watching the disk (${data.watching})`];
+  if (data.last) {
+    const counts = Object.entries(data.last.counts).map(([change, n]) => `${n} ${change}`).join(", ");
+    parts.push(`last full check ${new Date(data.last.finishedAt).toLocaleTimeString()}: ${counts}`);
+  }
+  document.getElementById("reconcileInfo").textContent = parts.join(" · ");
+}
+
+async function loadJobs() {
+  loadReconcileInfo().catch(console.error);
+  const data = await apiGet("/api/jobs");
+  const list = document.getElementById("jobsList");
+  const info = document.getElementById("jobsInfo");
+  list.innerHTML = "";
+
+  const { queued, running, failed } = data.counts;
+  info.textContent = queued + running + failed
+    ? `${running} running · ${queued} queued · ${failed} failed — up to ${data.concurrency} at a time`
+    : "Nothing to do";
+
+  data.jobs.forEach((job) => {
+    const li = document.createElement("li");
+
+    const label = document.createElement("div");
+    label.className = "trash-label";
+    const name = document.createElement("div");
+    const state = document.createElement("span");
+    state.className = `job-state ${job.State}`;
+    state.textContent = job.State;
+    name.appendChild(state);
+    name.appendChild(document.createTextNode(` ${job.Type}`));
+    const meta = document.createElement("div");
+    meta.className = "trash-meta";
+    const when = job.State === "queued" ? `runs ${parseDbDate(job.RunAfter).toLocaleTimeString()}` : "";
+    meta.textContent = [jobSubject(job), `attempt ${job.Attempts} of ${job.MaxAttempts}`, when].filter(Boolean).join(" · ");
+    meta.title = meta.textContent;
+    label.appendChild(name);
+    label.appendChild(meta);
+    if (job.LastError) {
+      const error = document.createElement("div");
+      error.className = "trash-meta job-error";
+      error.textContent = job.LastError;
+      error.title = job.LastError;
+      label.appendChild(error);
+    }
+    li.appendChild(label);
+
+    if (job.State === "failed") {
+      const btnRetry = document.createElement("button");
+      btnRetry.textContent = "Retry";
+      btnRetry.addEventListener("click", async () => {
+        try {
+          await apiPost(`/api/jobs/${job.Id}/retry`, {});
+          await loadJobs();
+        } catch (err) {
+          console.error("retry job", err);
+          alert("Failed to retry the job");
+        }
+      });
+      const btnDismiss = document.createElement("button");
+      btnDismiss.className = "danger";
+      btnDismiss.textContent = "Dismiss";
+      btnDismiss.addEventListener("click", async () => {
+        try {
+          await apiDelete(`/api/jobs/${job.Id}`);
+          await loadJobs();
+        } catch (err) {
+          console.error("dismiss job", err);
+          alert("Failed to dismiss the job");
+        }
+      });
+      li.appendChild(btnRetry);
+      li.appendChild(btnDismiss);
+    }
+    list.appendChild(li);
+  });
+}
+
+/* ============================================================
+   SHARES: public links to a file or folder, and the list to revoke them
+============================================================ */
+let shareTarget = null; // { kind, item } the share modal is open for
+
+function shareLinkUrl(share) {
+  return location.origin + share.Url;
+}
+
+async function copyShareLink(share) {
+  const url = shareLinkUrl(share);
+  try {
+    await navigator.clipboard.writeText(url);
+  } catch {
+    // clipboard API needs a secure context; let the user copy it by hand
+    prompt("Copy the link:", url);
+  }
+}
+
+function openShareModal(kind, item) {
+  shareTarget = { kind, item };
+  document.getElementById("shareTitle").textContent = `Share "${item.Name}"`;
+  document.getElementById("sharePassword").value = "";
+  document.getElementById("shareExpires").value = "";
+  document.getElementById("shareMaxDownloads").value = "";
+  document.getElementById("shareResult").classList.add("hidden");
+  document.getElementById("shareModal").classList.remove("hidden");
+}
+
+function setupShareModals() {
+  const shareModal = document.getElementById("shareModal");
+  const sharesModal = document.getElementById("sharesModal");
+
+  document.getElementById("shareClose").addEventListener("click", () => shareModal.classList.add("hidden"));
+  document.getElementById("btnCreateShare").addEventListener("click", async () => {
+    if (!shareTarget) return;
+    const expires = document.getElementById("shareExpires").value;
     try {
-      await apiPost(`/api/folder/${currentSidebarFolder.Id}/tags`, { tagIds });
-      document.getElementById("fileSidebar").classList.add("hidden");
-      await loadFiles();
-      await loadTags();
+      const share = await apiSend("POST", "/api/shares", {
+        kind: shareTarget.kind,
+        itemId: shareTarget.item.Id,
+        password: document.getElementById("sharePassword").value || null,
+        // end of the chosen day, local time
+        expiresAt: expires ? new Date(`${expires}T23:59:59`).toISOString() : null,
+        maxDownloads: document.getElementById("shareMaxDownloads").value || null,
+      });
+      document.getElementById("shareLink").value = shareLinkUrl(share);
+      document.getElementById("shareResult").classList.remove("hidden");
+      document.getElementById("btnCopyShareLink").onclick = () => copyShareLink(share);
     } catch (err) {
-      console.error("save folder tags", err);
-      alert("Failed to save folder tags");
+      alert("Failed to create link: " + err.message);
     }
-  }
-});
+  });
 
-document.getElementById("btnCreateTag").addEventListener("click", async () => {
-  const name = document.getElementById("tagEditName").value.trim();
-  const colorHex = document.getElementById("tagEditColorHex").value.trim();
-  if (!name) {
-    alert("Tag name required");
+  document.getElementById("btnOpenShares").addEventListener("click", () => {
+    sharesModal.classList.remove("hidden");
+    loadShares().catch((err) => {
+      console.error("load shares", err);
+      alert("Failed to load shared links");
+    });
+  });
+  document.getElementById("sharesClose").addEventListener("click", () => sharesModal.classList.add("hidden"));
+  sharesModal.addEventListener("click", (e) => {
+    if (e.target === sharesModal) sharesModal.classList.add("hidden");
+  });
+}
+
+function shareState(share) {
+  if (!share.ItemName) return "item deleted";
+  if (share.Expired) return "expired";
+  if (share.UsedUp) return "download limit reached";
+  return share.ExpiresAt ? `expires ${parseDbDate(share.ExpiresAt).toLocaleString()}` : "no expiry";
+}
+
+async function loadShares() {
+  const shares = await apiGet("/api/shares");
+  const list = document.getElementById("shareList");
+  list.innerHTML = "";
+
+  if (!shares.length) {
+    const li = document.createElement("li");
+    li.textContent = "No shared links.";
+    list.appendChild(li);
     return;
   }
-  try {
-    // POST /api/tags will create or return existing by slug
-    await apiPost("/api/tags", { name, colorHex });
-    document.getElementById("tagEditorModal").classList.add("hidden");
 
-    // reload global tag list and files
-    await loadTags();
-    await loadFiles();
+  shares.forEach((share) => {
+    const li = document.createElement("li");
 
-    // If a file or folder sidebar is open, refresh it so the new tag appears immediately
-    if (currentSidebarFile) {
-      try { await openFileSidebar(currentSidebarFile); } catch (e) { /* ignore */ }
-    } else if (currentSidebarFolder) {
-      try { await openFolderSidebar(currentSidebarFolder); } catch (e) { /* ignore */ }
+    const label = document.createElement("div");
+    label.className = "trash-label";
+    const name = document.createElement("div");
+    const icon = share.Kind === "folder" ? "📁" : "📄";
+    const where = share.ItemPath ? (share.Kind === "file" ? `${share.ItemPath}/${share.ItemName}` : share.ItemPath) : "(deleted)";
+    name.textContent = `${icon} ${where}` + (share.HasPassword ? " 🔒" : "");
+    const meta = document.createElement("div");
+    meta.className = "trash-meta";
+    const downloads = share.MaxDownloads != null ? `${share.Downloads}/${share.MaxDownloads}` : share.Downloads;
+    const lastAccess = share.LastAccessAt ? parseDbDate(share.LastAccessAt).toLocaleString() : "never";
+    meta.textContent =
+      `by ${share.CreatedByName} · ${share.Views} views · ${downloads} downloads · ` +
+      `last access ${lastAccess} · ${shareState(share)}`;
+    label.appendChild(name);
+    label.appendChild(meta);
+
+    const btnCopy = document.createElement("button");
+    btnCopy.textContent = "Copy link";
+    btnCopy.addEventListener("click", () => copyShareLink(share));
+
+    const btnRevoke = document.createElement("button");
+    btnRevoke.className = "danger";
+    btnRevoke.textContent = "Revoke";
+    btnRevoke.addEventListener("click", async () => {
+      if (!confirm("Revoke this link? It stops working right away.")) return;
+      try {
+        await apiDelete(`/api/shares/${share.Id}`);
+        await loadShares();
+      } catch (err) {
+        console.error("revoke share", err);
+        alert("Failed to revoke link");
+      }
+    });
+
+    li.appendChild(label);
+    li.appendChild(btnCopy);
+    li.appendChild(btnRevoke);
+    list.appendChild(li);
+  });
+}
+
+/* ============================================================
+   ACCOUNT: signed-in user, logout, own password
+============================================================ */
+async function loadCurrentUser() {
+  const data = await apiGet("/api/auth/me");
+  currentUser = data.user;
+  document.body.dataset.role = currentUser.Role;
+  document.getElementById("currentUser").textContent = `${currentUser.Username} (${currentUser.Role})`;
+  document.getElementById("btnOpenUsers").classList.toggle("hidden", currentUser.Role !== "admin");
+}
+
+// show upload / create folder only where the user may change things
+function applyFolderAccess() {
+  document.body.dataset.access = (currentFolder && currentFolder.Access) || "none";
+}
+
+function setupAccountEvents() {
+  document.getElementById("btnLogout").addEventListener("click", async () => {
+    try {
+      await apiPost("/api/auth/logout", {});
+    } catch (err) {
+      console.error("logout", err);
     }
-  } catch (err) {
-    console.error("create tag", err);
-    alert("Failed to create tag");
-  }
-});
+    location.href = "/login.html";
+  });
+
+  const modal = document.getElementById("passwordModal");
+  const error = document.getElementById("passwordError");
+  const showError = (text) => {
+    error.textContent = text;
+    error.classList.remove("hidden");
+  };
+
+  document.getElementById("btnChangePassword").addEventListener("click", () => {
+    document.getElementById("passwordForm").reset();
+    error.classList.add("hidden");
+    modal.classList.remove("hidden");
+  });
+  document.getElementById("passwordClose").addEventListener("click", () => modal.classList.add("hidden"));
+
+  document.getElementById("passwordForm").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const newPassword = document.getElementById("newPassword").value;
+    if (newPassword !== document.getElementById("newPasswordRepeat").value) {
+      showError("The new passwords don't match");
+      return;
+    }
+    const res = await fetch("/api/auth/password", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ currentPassword: document.getElementById("currentPassword").value, newPassword }),
+    });
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      showError(body.error || `Failed (${res.status})`);
+      return;
+    }
+    modal.classList.add("hidden");
+    alert("Password changed. Other sessions were logged out.");
+  });
+}
 
 /* ============================================================
-   UPLOAD with progress
+   USERS (admin): accounts, roles and folder grants
 ============================================================ */
+const USER_ROLES = ["viewer", "editor", "admin"];
+const GRANT_LABELS = { view: "view", edit: "edit", none: "no access" };
 
-function formatBytesShort(bytes) {
-  if (bytes == null) return "0 B";
-  const sizes = ["B", "KB", "MB", "GB"];
-  if (bytes === 0) return "0 B";
-  const i = Math.floor(Math.log(bytes) / Math.log(1024));
-  const val = bytes / Math.pow(1024, i);
-  return `${val.toFixed(1)} ${sizes[i]}`;
+// PATCH/PUT/POST with the server's error message in the thrown error
+async function apiSend(method, url, body) {
+  const res = await fetch(url, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body || {}),
+  });
+  if (res.status === 401) redirectToLogin();
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `${method} ${url} failed: ${res.status}`);
+  return data;
 }
 
-function updateUploadProgressUI(percent, uploaded, total, speedBytesPerSec, etaText) {
-  const row = document.getElementById("uploadProgressRow");
-  row.classList.remove("hidden");
-  document.getElementById("uploadProgressBar").style.width = percent + "%";
-  document.getElementById("uploadPercent").textContent = `${percent.toFixed(1)}%`;
-  document.getElementById("uploadSpeed").textContent = `${formatBytesShort(speedBytesPerSec)}/s`;
-  document.getElementById("uploadETA").textContent = etaText == null ? "—" : etaText;
-  document.getElementById("uploadSize").textContent = `${formatBytesShort(uploaded)} / ${formatBytesShort(total)}`;
+function setupUsersModal() {
+  const modal = document.getElementById("usersModal");
+
+  document.getElementById("btnOpenUsers").addEventListener("click", () => {
+    modal.classList.remove("hidden");
+    document.getElementById("userGrants").classList.add("hidden");
+    loadUsers().catch(console.error);
+  });
+  document.getElementById("usersClose").addEventListener("click", () => modal.classList.add("hidden"));
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) modal.classList.add("hidden");
+  });
+
+  document.getElementById("btnAddUser").addEventListener("click", async () => {
+    const nameEl = document.getElementById("newUserName");
+    const passwordEl = document.getElementById("newUserPassword");
+    try {
+      await apiSend("POST", "/api/users", {
+        username: nameEl.value.trim(),
+        password: passwordEl.value,
+        role: document.getElementById("newUserRole").value,
+      });
+      nameEl.value = "";
+      passwordEl.value = "";
+      await loadUsers();
+    } catch (err) {
+      alert("Failed to add user: " + err.message);
+    }
+  });
 }
 
-function resetUploadProgressUI() {
-  const row = document.getElementById("uploadProgressRow");
-  row.classList.add("hidden");
-  document.getElementById("uploadProgressBar").style.width = "0%";
-  document.getElementById("uploadPercent").textContent = `0%`;
-  document.getElementById("uploadSpeed").textContent = `0 KB/s`;
-  document.getElementById("uploadETA").textContent = `—`;
-  document.getElementById("uploadSize").textContent = `0 / 0`;
+async function loadUsers() {
+  const users = await apiGet("/api/users");
+  const list = document.getElementById("userList");
+  list.innerHTML = "";
+
+  users.forEach((u) => {
+    const li = document.createElement("li");
+
+    const label = document.createElement("div");
+    label.className = "trash-label";
+    const name = document.createElement("div");
+    name.textContent = u.Username + (u.Id === currentUser.Id ? " (you)" : "") + (u.Disabled ? " — disabled" : "");
+    const meta = document.createElement("div");
+    meta.className = "trash-meta";
+    meta.textContent = u.LastLoginAt ? `last login ${parseDbDate(u.LastLoginAt).toLocaleString()}` : "never logged in";
+    label.appendChild(name);
+    label.appendChild(meta);
+
+    const role = document.createElement("select");
+    USER_ROLES.forEach((r) => role.appendChild(new Option(r, r, false, r === u.Role)));
+    role.addEventListener("change", async () => {
+      try {
+        await apiSend("PATCH", `/api/users/${u.Id}`, { role: role.value });
+      } catch (err) {
+        alert("Failed to change role: " + err.message);
+      }
+      await loadUsers();
+    });
+
+    const btnGrants = document.createElement("button");
+    btnGrants.textContent = "Access";
+    btnGrants.addEventListener("click", () => loadUserGrants(u).catch(console.error));
+
+    const btnPassword = document.createElement("button");
+    btnPassword.textContent = "Reset password";
+    btnPassword.addEventListener("click", async () => {
+      const password = prompt(`New password for ${u.Username}:`);
+      if (!password) return;
+      try {
+        await apiSend("PATCH", `/api/users/${u.Id}`, { password });
+        alert(`Password changed, ${u.Username} has to log in again.`);
+      } catch (err) {
+        alert("Failed to reset password: " + err.message);
+      }
+    });
+
+    const btnDisable = document.createElement("button");
+    btnDisable.textContent = u.Disabled ? "Enable" : "Disable";
+    btnDisable.addEventListener("click", async () => {
+      try {
+        await apiSend("PATCH", `/api/users/${u.Id}`, { disabled: !u.Disabled });
+        await loadUsers();
+      } catch (err) {
+        alert("Failed: " + err.message);
+      }
+    });
+
+    const btnDelete = document.createElement("button");
+    btnDelete.className = "danger";
+    btnDelete.textContent = "Delete";
+    btnDelete.disabled = u.Id === currentUser.Id;
+    btnDelete.addEventListener("click", async () => {
+      if (!confirm(`Delete user "${u.Username}" and their folder grants?`)) return;
+      try {
+        await apiSend("DELETE", `/api/users/${u.Id}`);
+        document.getElementById("userGrants").classList.add("hidden");
+        await loadUsers();
+      } catch (err) {
+        alert("Failed to delete user: " + err.message);
+      }
+    });
+
+    li.appendChild(label);
+    li.appendChild(role);
+    li.appendChild(btnGrants);
+    li.appendChild(btnPassword);
+    li.appendChild(btnDisable);
+    li.appendChild(btnDelete);
+    list.appendChild(li);
+  });
+}
+
+async function loadUserGrants(user) {
+  const grants = await apiGet(`/api/users/${user.Id}/grants`);
+  const box = document.getElementById("userGrants");
+  const list = document.getElementById("userGrantList");
+  document.getElementById("userGrantsTitle").textContent =
+    user.Role === "admin" ? `${user.Username} is an admin and can use every folder` : `Folders ${user.Username} can use`;
+  list.innerHTML = "";
+  box.classList.remove("hidden");
+
+  if (!grants.length && user.Role !== "admin") {
+    const li = document.createElement("li");
+    li.className = "history-meta";
+    li.textContent = "No grants: this user sees no folders.";
+    list.appendChild(li);
+  }
+  grants.forEach((g) => {
+    const li = document.createElement("li");
+    li.textContent = `${g.FullPath} — ${GRANT_LABELS[g.Access] || g.Access} `;
+    const btnRemove = document.createElement("button");
+    btnRemove.textContent = "Remove";
+    btnRemove.addEventListener("click", async () => {
+      try {
+        await apiSend("DELETE", `/api/folder/${g.FolderId}/grants/${user.Id}`);
+        await loadUserGrants(user);
+      } catch (err) {
+        alert("Failed to remove grant: " + err.message);
+      }
+    });
+    li.appendChild(btnRemove);
+    list.appendChild(li);
+  });
+}
+
+// Access section of the folder sidebar
+async function loadFolderAccess(folder) {
+  const box = document.getElementById("folderAccess");
+  if (!currentUser || currentUser.Role !== "admin") {
+    box.classList.add("hidden");
+    return;
+  }
+  const [grants, users] = await Promise.all([apiGet(`/api/folder/${folder.Id}/grants`), apiGet("/api/users")]);
+  const list = document.getElementById("folderGrantList");
+  list.innerHTML = "";
+  box.classList.remove("hidden");
+
+  if (!grants.length) {
+    const li = document.createElement("li");
+    li.className = "history-meta";
+    li.textContent = "No grants here; parent folder grants apply.";
+    list.appendChild(li);
+  }
+  grants.forEach((g) => {
+    const li = document.createElement("li");
+    li.textContent = `${g.Username} (${g.Role}) — ${GRANT_LABELS[g.Access] || g.Access} `;
+    const btnRemove = document.createElement("button");
+    btnRemove.textContent = "Remove";
+    btnRemove.addEventListener("click", async () => {
+      try {
+        await apiSend("DELETE", `/api/folder/${folder.Id}/grants/${g.UserId}`);
+        await loadFolderAccess(folder);
+      } catch (err) {
+        alert("Failed to remove grant: " + err.message);
+      }
+    });
+    li.appendChild(btnRemove);
+    list.appendChild(li);
+  });
+
+  const select = document.getElementById("grantUser");
+  select.innerHTML = "";
+  users
+    .filter((u) => u.Role !== "admin")
+    .forEach((u) => select.appendChild(new Option(u.Username, u.Id)));
+  document.getElementById("btnAddGrant").disabled = !select.options.length;
 }
 
-async function doUpload() {
-  const fd = new FormData();
-  if (currentFolder && currentFolder.Id) {
-    fd.append("folderId", String(currentFolder.Id));
+document.getElementById("btnAddGrant").addEventListener("click", async () => {
+  if (!currentSidebarFolder) return;
+  const userId = document.getElementById("grantUser").value;
+  const access = document.getElementById("grantAccess").value;
+  try {
+    await apiSend("PUT", `/api/folder/${currentSidebarFolder.Id}/grants/${userId}`, { access });
+    await loadFolderAccess(currentSidebarFolder);
+  } catch (err) {
+    alert("Failed to grant access: " + err.message);
   }
+});
 
-  const newTagsValue = document.getElementById("uploadNewTags").value || "";
-  fd.append("newTags", newTagsValue);
+/* ============================================================
+   TRASH: list / restore / purge deleted items
+============================================================ */
+function setupTrashModal() {
+  const modal = document.getElementById("trashModal");
 
-  const checked = Array.from(
-    document.querySelectorAll(".upload-tag-checkbox:checked")
-  );
-  const slugs = checked.map((cb) => cb.dataset.slug);
-  fd.append("tagSlugs", slugs.join(","));
+  document.getElementById("btnOpenTrash").addEventListener("click", () => {
+    modal.classList.remove("hidden");
+    loadTrash().catch(console.error);
+  });
 
-  let totalSize = 0;
-  for (const file of uploadState.files) {
-    const rel =
-      file.webkitRelativePath && file.webkitRelativePath.length > 0
-        ? file.webkitRelativePath
-        : file.name;
-    fd.append("files", file, rel);
-    totalSize += file.size || 0;
-  }
+  document.getElementById("trashClose").addEventListener("click", () => {
+    modal.classList.add("hidden");
+  });
 
-  return new Promise((resolve, reject) => {
-    const xhr = new XMLHttpRequest();
-    const startTime = Date.now();
-    let lastLoaded = 0;
-    let lastTime = startTime;
-
-    // samples for averaging over last 5 seconds
-    const progressSamples = [];
-
-    xhr.upload.addEventListener("progress", (e) => {
-      const now = Date.now();
-      const loaded = e.loaded;
-      const percent = totalSize ? (loaded / totalSize) * 100 : 0;
-
-      // push sample and prune older than 5s
-      progressSamples.push({ time: now, loaded });
-      const cutoff = now - 5000;
-      while (progressSamples.length > 1 && progressSamples[0].time < cutoff) {
-        progressSamples.shift();
-      }
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) modal.classList.add("hidden");
+  });
 
-      // compute average speed over available samples (<=5s)
-      let avgSpeed = 0;
-      if (progressSamples.length >= 2) {
-        const oldest = progressSamples[0];
-        const newest = progressSamples[progressSamples.length - 1];
-        const deltaBytes = newest.loaded - oldest.loaded;
-        const deltaSec = Math.max(0.001, (newest.time - oldest.time) / 1000);
-        avgSpeed = deltaBytes / deltaSec;
-      } else {
-        // fallback to instantaneous over last tick
-        const dt = Math.max(0.001, (now - lastTime) / 1000);
-        avgSpeed = (loaded - lastLoaded) / dt;
-      }
+  document.getElementById("btnEmptyTrash").addEventListener("click", async () => {
+    if (!confirm("Permanently delete everything in the trash?")) return;
+    try {
+      await apiDelete("/api/trash");
+      await loadTrash();
+    } catch (err) {
+      console.error("empty trash", err);
+      alert("Failed to empty trash");
+    }
+  });
+}
 
-      // estimate remaining time in minutes using avgSpeed and remaining bytes
-      let etaText = "—";
-      const remaining = Math.max(0, totalSize - loaded);
-      if (avgSpeed > 0 && remaining > 0) {
-        const etaSeconds = remaining / avgSpeed;
-        const etaMinutes = etaSeconds / 60;
-        etaText = `${etaMinutes.toFixed(1)} min`;
-      } else if (remaining === 0) {
-        etaText = "0.0 min";
-      }
+async function loadTrash() {
+  const data = await apiGet("/api/trash");
+  const list = document.getElementById("trashList");
+  const info = document.getElementById("trashInfo");
+  list.innerHTML = "";
 
-      lastLoaded = loaded;
-      lastTime = now;
+  info.textContent = data.items.length
+    ? `${data.items.length} item(s)` +
+      (data.retentionDays > 0 ? ` — removed automatically after ${data.retentionDays} days` : "")
+    : "Trash is empty";
+  document.getElementById("btnEmptyTrash").disabled = !data.items.length;
+
+  const icons = { file: "📄", folder: "📁", tag: "🏷" };
+  data.items.forEach((item) => {
+    const li = document.createElement("li");
 
-      updateUploadProgressUI(percent, loaded, totalSize, avgSpeed, etaText);
+    const label = document.createElement("div");
+    label.className = "trash-label";
+    const name = document.createElement("div");
+    name.textContent = `${icons[item.Kind] || ""} ${item.Name}`;
+    const meta = document.createElement("div");
+    meta.className = "trash-meta";
+    meta.textContent =
+      (item.Kind === "tag" ? `slug ${item.OriginalPath}` : item.OriginalPath) +
+      (item.SizeBytes != null ? ` · ${formatBytes(item.SizeBytes)}` : "") +
+      (item.ExpiresAt ? ` · expires ${new Date(item.ExpiresAt).toLocaleDateString()}` : "");
+    label.appendChild(name);
+    label.appendChild(meta);
+
+    const btnRestore = document.createElement("button");
+    btnRestore.textContent = "Restore";
+    btnRestore.addEventListener("click", async () => {
+      const res = await fetch(`/api/trash/${item.Id}/restore`, { method: "POST" });
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        alert("Failed to restore: " + (body.error || res.statusText));
+        return;
+      }
+      await loadTrash();
+      await loadTags();
+      await loadFolders();
+      await loadFiles();
     });
 
-    xhr.onreadystatechange = async () => {
-      if (xhr.readyState === 4) {
-        resetUploadProgressUI();
-        if (xhr.status >= 200 && xhr.status < 300) {
-          try {
-            const data = JSON.parse(xhr.responseText);
-            if (!data.ok) return reject(new Error(data.error || "Upload failed"));
-            resolve(data);
-          } catch (err) {
-            reject(new Error("Upload failed: invalid response"));
-          }
-        } else {
-          reject(new Error(`Upload failed: ${xhr.status} ${xhr.statusText}`));
-        }
+    const btnPurge = document.createElement("button");
+    btnPurge.className = "danger";
+    btnPurge.textContent = "Delete forever";
+    btnPurge.addEventListener("click", async () => {
+      if (!confirm(`Permanently delete "${item.Name}"?`)) return;
+      try {
+        await apiDelete(`/api/trash/${item.Id}`);
+        await loadTrash();
+      } catch (err) {
+        console.error("purge trash item", err);
+        alert("Failed to delete");
       }
-    };
+    });
 
-    xhr.open("POST", "/api/upload", true);
-    xhr.send(fd);
-    // show progress UI (initial)
-    updateUploadProgressUI(0, 0, totalSize, 0, "—");
+    li.appendChild(label);
+    li.appendChild(btnRestore);
+    li.appendChild(btnPurge);
+    list.appendChild(li);
   });
 }
 
-// Helper: darken a hex color by a percentage (e.g., 20 for 20% darker)
-function darkenHex(hex, percent) {
-  // Remove '#' if present
-  hex = hex.replace('#', '');
-  
-  // Parse RGB
-  const r = parseInt(hex.substring(0, 2), 16);
-  const g = parseInt(hex.substring(2, 4), 16);
-  const b = parseInt(hex.substring(4, 6), 16);
-  
-  // Darken by reducing brightness
-  const factor = 1 - (percent / 100);
-  const newR = Math.round(r * factor);
-  const newG = Math.round(g * factor);
-  const newB = Math.round(b * factor);
-  
-  // Convert back to hex
-  return '#' + [newR, newG, newB].map(x => x.toString(16).padStart(2, '0')).join('');
+/* ============================================================
+   FILE PREVIEW (modal driven by the detected MIME type, with
+   prev/next through the listing on screen)
+============================================================ */
+// text is fetched and rendered here up to this size; bigger files are download only
+const PREVIEW_TEXT_MAX_BYTES = 2 * 1024 * 1024;
+const PREVIEW_TABLE_MAX_ROWS = 1000;
+const PREVIEW_TEXT_TYPES = ["application/json", "application/xml", "application/yaml", "image/svg+xml"];
+// images browsers can't draw
+const PREVIEW_NO_IMAGE = ["image/tiff", "image/heic"];
+
+// files of the listing on screen, in display order (set by renderFiles)
+let listedFiles = [];
+// files: snapshot of listedFiles when the preview opened (auto-refresh doesn't move it)
+let previewState = { files: [], index: -1, zoom: null, table: true };
+
+function previewKind(f) {
+  const mime = f.MimeType || "";
+  if (mime === "application/pdf") return "pdf";
+  if (mime.startsWith("image/") && !PREVIEW_NO_IMAGE.includes(mime)) return "image";
+  if (mime.startsWith("audio/")) return "audio";
+  if (mime.startsWith("video/")) return "video";
+  if (mime.startsWith("text/") || PREVIEW_TEXT_TYPES.includes(mime)) return "text";
+  return null;
 }
 
-// Helper: lighten a hex color by a percentage (e.g., 40 for 40% lighter)
-function lightenHex(hex, percent) {
-  hex = hex.replace('#', '');
-  
-  const r = parseInt(hex.substring(0, 2), 16);
-  const g = parseInt(hex.substring(2, 4), 16);
-  const b = parseInt(hex.substring(4, 6), 16);
-  
-  // Lighten by moving towards white (255)
-  const factor = percent / 100;
-  const newR = Math.round(r + (255 - r) * factor);
-  const newG = Math.round(g + (255 - g) * factor);
-  const newB = Math.round(b + (255 - b) * factor);
-  
-  return '#' + [newR, newG, newB].map(x => x.toString(16).padStart(2, '0')).join('');
+function fileExtension(name) {
+  const dot = String(name).lastIndexOf(".");
+  return dot > 0 ? name.slice(dot + 1).toLowerCase() : "";
 }
 
-// default theme values used by reset buttons
-const DEFAULT_BG_PANEL = "#020617";
-const DEFAULT_BG_FILES = "#111827";
-const DEFAULT_BG_FILES_DARK = "#1a2332";
-const DEFAULT_BTN_BG = lightenHex(DEFAULT_BG_FILES, 40);
-
-// THEME / SETTINGS (updated to handle bg-panel, bg-files, bg-files-alt, bg-files-dark & btn-bg)
-function applyTheme(bgPanel, bgFiles, bgFilesDark) {
-  if (bgPanel) document.documentElement.style.setProperty('--bg-panel', bgPanel);
-  if (bgFiles) {
-    document.documentElement.style.setProperty('--bg-files', bgFiles);
-    // automatically compute 20% darker variant for alternating rows
-    const darkAlt = darkenHex(bgFiles, 20);
-    document.documentElement.style.setProperty('--bg-files-alt', darkAlt);
-    // automatically compute 40% lighter variant for buttons
-    const btnBg = lightenHex(bgFiles, 40);
-    document.documentElement.style.setProperty('--btn-bg', btnBg);
-  }
-  if (bgFilesDark) document.documentElement.style.setProperty('--bg-files-dark', bgFilesDark);
+function openPreview(file) {
+  const files = listedFiles.some((f) => f.Id === file.Id) ? listedFiles.slice() : [file];
+  previewState = { files, index: files.findIndex((f) => f.Id === file.Id), zoom: null, table: true };
+  document.getElementById("previewModal").classList.remove("hidden");
+  showPreview().catch(console.error);
 }
 
-function loadThemeFromStorage() {
-  const bgPanel = localStorage.getItem('themeBgPanel') || null;
-  const bgFiles = localStorage.getItem('themeBgFiles') || null;
-  const bgFilesDark = localStorage.getItem('themeBgFilesDark') || null;
-  if (bgPanel || bgFiles || bgFilesDark) applyTheme(bgPanel, bgFiles, bgFilesDark);
+function closePreview() {
+  document.getElementById("previewModal").classList.add("hidden");
+  // removing the elements stops audio/video
+  document.getElementById("previewBody").innerHTML = "";
 }
 
-// call early so UI picks up stored theme
-loadThemeFromStorage();
-
-function setupSettings() {
-  const toggle = document.getElementById('settingsToggle');
-  const modal = document.getElementById('settingsModal');
-  const close = document.getElementById('settingsClose');
-  const save = document.getElementById('btnSaveSettings');
-
-  const inPanel = document.getElementById('settingsBgPanel');
-  const inPanelHex = document.getElementById('settingsBgPanelHex');
-  const btnResetPanel = document.getElementById('btnResetPanel');
+function movePreview(step) {
+  const index = previewState.index + step;
+  if (index < 0 || index >= previewState.files.length) return;
+  Object.assign(previewState, { index, zoom: null, table: true });
+  showPreview().catch(console.error);
+}
 
-  const inFiles = document.getElementById('settingsBgFiles');
-  const inFilesHex = document.getElementById('settingsBgFilesHex');
-  const btnResetFiles = document.getElementById('btnResetFiles');
+function setupPreviewModal() {
+  const modal = document.getElementById("previewModal");
+  const current = () => previewState.files[previewState.index];
 
-  const inFilesDark = document.getElementById('settingsBgFilesDark');
-  const inFilesDarkHex = document.getElementById('settingsBgFilesDarkHex');
-  const btnResetFilesDark = document.getElementById('btnResetFilesDark');
+  document.getElementById("previewClose").addEventListener("click", closePreview);
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) closePreview();
+  });
+  document.getElementById("btnPreviewPrev").addEventListener("click", () => movePreview(-1));
+  document.getElementById("btnPreviewNext").addEventListener("click", () => movePreview(1));
+  document.getElementById("btnPreviewDownload").addEventListener("click", () => {
+    window.location.href = `/download/${current().Id}`;
+  });
+  document.getElementById("btnPreviewDetails").addEventListener("click", () => {
+    const file = current();
+    closePreview();
+    openFileSidebar(file);
+  });
+  document.getElementById("btnPreviewTable").addEventListener("click", () => {
+    previewState.table = !previewState.table;
+    showPreview().catch(console.error);
+  });
+  document.getElementById("btnZoomIn").addEventListener("click", () => zoomPreview(1.25));
+  document.getElementById("btnZoomOut").addEventListener("click", () => zoomPreview(0.8));
+  document.getElementById("btnZoomFit").addEventListener("click", () => zoomPreview(null));
+
+  document.addEventListener("keydown", (e) => {
+    if (modal.classList.contains("hidden")) return;
+    if (e.key === "Escape") return closePreview();
+    // arrows keep working as seek keys inside the media players
+    if (["AUDIO", "VIDEO"].includes(e.target.tagName)) return;
+    if (e.key === "ArrowLeft") movePreview(-1);
+    else if (e.key === "ArrowRight") movePreview(1);
+  });
+}
 
-  function initInputs() {
-    const style = getComputedStyle(document.documentElement);
-    const curPanel = style.getPropertyValue('--bg-panel').trim() || DEFAULT_BG_PANEL;
-    const curFiles = style.getPropertyValue('--bg-files').trim() || DEFAULT_BG_FILES;
-    const curFilesDark = style.getPropertyValue('--bg-files-dark').trim() || DEFAULT_BG_FILES_DARK;
+async function showPreview() {
+  const file = previewState.files[previewState.index];
+  const body = document.getElementById("previewBody");
+  const kind = previewKind(file);
+  const url = `/api/file/${file.Id}/content`;
+  const shown = previewState.index;
+
+  document.getElementById("previewTitle").textContent = file.Name;
+  document.getElementById("previewPosition").textContent = `${previewState.index + 1} / ${previewState.files.length}`;
+  document.getElementById("btnPreviewPrev").disabled = previewState.index === 0;
+  document.getElementById("btnPreviewNext").disabled = previewState.index === previewState.files.length - 1;
+  document.getElementById("previewZoom").classList.toggle("hidden", kind !== "image");
+  document.getElementById("btnPreviewTable").classList.add("hidden");
+  body.innerHTML = "";
 
-    inPanel.value = curPanel; inPanelHex.value = curPanel;
-    inFiles.value = curFiles; inFilesHex.value = curFiles;
-    inFilesDark.value = curFilesDark; inFilesDarkHex.value = curFilesDark;
+  if (kind === "image") {
+    const img = document.createElement("img");
+    img.className = "preview-image";
+    img.alt = file.Name;
+    img.src = url;
+    // click toggles between fit and actual size
+    img.addEventListener("click", () => zoomPreview(previewState.zoom ? null : 1));
+    body.appendChild(img);
+  } else if (kind === "pdf") {
+    const frame = document.createElement("iframe");
+    frame.className = "preview-frame";
+    frame.title = file.Name;
+    frame.src = url;
+    body.appendChild(frame);
+  } else if (kind === "audio" || kind === "video") {
+    const media = document.createElement(kind);
+    media.className = "preview-media";
+    media.controls = true;
+    media.src = url;
+    body.appendChild(media);
+  } else if (kind === "text" && Number(file.SizeBytes) <= PREVIEW_TEXT_MAX_BYTES) {
+    const res = await fetch(url);
+    const text = res.ok ? await res.text() : null;
+    if (previewState.index !== shown) return; // moved on while loading
+    if (text == null) previewMessage(body, "Could not load the file.");
+    else renderTextPreview(body, file, text);
+  } else {
+    previewMessage(body, kind === "text" ? `Too large to preview (${formatBytes(file.SizeBytes)}).` : `No preview for ${file.MimeType || "this type"}.`);
   }
+}
 
-  toggle.addEventListener('click', (e) => {
-    e.stopPropagation();
-    initInputs();
-    modal.classList.remove('hidden');
-  });
+function previewMessage(body, text) {
+  const div = document.createElement("div");
+  div.className = "preview-message";
+  div.textContent = text + " Use ⬇ to download it.";
+  body.appendChild(div);
+}
 
-  close.addEventListener('click', () => modal.classList.add('hidden'));
+// factor: multiplies the current size; 1 from fit = actual size, null = fit to the pane
+function zoomPreview(factor) {
+  const img = document.querySelector("#previewBody .preview-image");
+  if (!img || !img.naturalWidth) return;
+  if (factor === null) {
+    previewState.zoom = null;
+  } else if (factor === 1 && !previewState.zoom) {
+    previewState.zoom = 1;
+  } else {
+    const current = previewState.zoom || img.clientWidth / img.naturalWidth;
+    previewState.zoom = Math.min(8, Math.max(0.05, current * factor));
+  }
+  img.classList.toggle("zoomed", previewState.zoom !== null);
+  img.style.width = previewState.zoom === null ? "" : `${Math.round(img.naturalWidth * previewState.zoom)}px`;
+}
 
-  // live-preview on color change (applyTheme immediately)
-  inPanel.addEventListener('input', (e) => {
-    const v = e.target.value;
-    inPanelHex.value = v;
-    applyTheme(v, null, null);
-  });
-  inPanelHex.addEventListener('input', (e) => {
-    const v = e.target.value.trim();
-    if (/^#[0-9a-fA-F]{6}$/.test(v)) {
-      inPanel.value = v;
-      applyTheme(v, null, null);
+function renderTextPreview(body, file, text) {
+  const ext = fileExtension(file.Name);
+  const delimiter =
+    file.MimeType === "text/tab-separated-values" || ext === "tsv" ? "\t" : file.MimeType === "text/csv" || ext === "csv" ? "," : null;
+
+  if (delimiter) {
+    const btn = document.getElementById("btnPreviewTable");
+    btn.classList.remove("hidden");
+    btn.textContent = previewState.table ? "Source" : "Table";
+    if (previewState.table) {
+      body.appendChild(delimitedTable(text, delimiter));
+      return;
     }
-  });
+  }
 
-  inFiles.addEventListener('input', (e) => {
-    const v = e.target.value;
-    inFilesHex.value = v;
-    applyTheme(null, v, null);
-  });
-  inFilesHex.addEventListener('input', (e) => {
-    const v = e.target.value.trim();
-    if (/^#[0-9a-fA-F]{6}$/.test(v)) {
-      inFiles.value = v;
-      applyTheme(null, v, null);
+  const language = highlightLanguage(file.MimeType, ext);
+  if (language === "json") {
+    try {
+      text = JSON.stringify(JSON.parse(text), null, 2);
+    } catch {
+      // invalid JSON: show it as it is
     }
-  });
+  }
+  const pre = document.createElement("pre");
+  pre.className = "preview-code";
+  const code = document.createElement("code");
+  highlightCode(code, text, language);
+  pre.appendChild(code);
+  body.appendChild(pre);
+}
 
-  inFilesDark.addEventListener('input', (e) => {
-    const v = e.target.value;
-    inFilesDarkHex.value = v;
-    applyTheme(null, null, v);
-  });
-  inFilesDarkHex.addEventListener('input', (e) => {
-    const v = e.target.value.trim();
-    if (/^#[0-9a-fA-F]{6}$/.test(v)) {
-      inFilesDark.value = v;
-      applyTheme(null, null, v);
+// CSV/TSV with quoted fields ("a, b", "say ""hi""", line breaks inside quotes)
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === "") {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
     }
-  });
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
 
-  // reset buttons set inputs back to defaults and preview
-  btnResetPanel.addEventListener('click', () => {
-    inPanel.value = DEFAULT_BG_PANEL;
-    inPanelHex.value = DEFAULT_BG_PANEL;
-    applyTheme(DEFAULT_BG_PANEL, null, null);
-  });
-  btnResetFiles.addEventListener('click', () => {
-    inFiles.value = DEFAULT_BG_FILES;
-    inFilesHex.value = DEFAULT_BG_FILES;
-    applyTheme(null, DEFAULT_BG_FILES, null);
-  });
-  btnResetFilesDark.addEventListener('click', () => {
-    inFilesDark.value = DEFAULT_BG_FILES_DARK;
-    inFilesDarkHex.value = DEFAULT_BG_FILES_DARK;
-    applyTheme(null, null, DEFAULT_BG_FILES_DARK);
+function delimitedTable(text, delimiter) {
+  const rows = parseDelimited(text, delimiter);
+  const wrap = document.createElement("div");
+  wrap.className = "preview-table-wrap";
+  const table = document.createElement("table");
+  table.className = "preview-table";
+
+  rows.slice(0, PREVIEW_TABLE_MAX_ROWS + 1).forEach((cells, i) => {
+    const tr = document.createElement("tr");
+    cells.forEach((value) => {
+      const cell = document.createElement(i === 0 ? "th" : "td");
+      cell.textContent = value;
+      tr.appendChild(cell);
+    });
+    table.appendChild(tr);
   });
+  wrap.appendChild(table);
 
-  save.addEventListener('click', () => {
-    const p = inPanelHex.value.trim() || inPanel.value;
-    const f = inFilesHex.value.trim() || inFiles.value;
-    const fd = inFilesDarkHex.value.trim() || inFilesDark.value;
+  if (rows.length > PREVIEW_TABLE_MAX_ROWS + 1) {
+    const more = document.createElement("div");
+    more.className = "preview-message";
+    more.textContent = `Showing the first ${PREVIEW_TABLE_MAX_ROWS} of ${rows.length - 1} rows.`;
+    wrap.appendChild(more);
+  }
+  return wrap;
+}
 
-    if (!/^#[0-9a-fA-F]{6}$/.test(p) || !/^#[0-9a-fA-F]{6}$/.test(f) || !/^#[0-9a-fA-F]{6}$/.test(fd)) {
-      alert('Please provide valid hex colors like #rrggbb');
-      return;
-    }
+/* Syntax highlighting: a small tokenizer per family of languages (comments, strings,
+   numbers, keywords; tags for markup). Good enough to read code, not a parser. */
+const C_KEYWORDS =
+  "abstract async await break case catch char class const continue default def delete do double else enum export extends false final finally float fn for from func function go if impl implements import in instanceof int interface let long match mod module mut namespace new null nil package private protected pub public return self short static struct super switch this throw throws true try type typeof undefined use using var void while yield";
+const HASH_KEYWORDS =
+  "and as assert async await break case class continue def del do done elif else end esac except export false fi finally for from function global if import in is lambda local none not or pass raise return then true try until while with yield";
+const SQL_KEYWORDS =
+  "add all alter and as asc begin between by case create delete desc distinct drop else end exists from group having if in index inner insert into is join key left like limit not null on or order outer primary references right select set table then union unique update values when where with";
+
+const HIGHLIGHT_LANGUAGES = {
+  c: { comment: "//[^\\n]*|/\\*[\\s\\S]*?\\*/", keywords: C_KEYWORDS },
+  hash: { comment: "#[^\\n]*", keywords: HASH_KEYWORDS },
+  sql: { comment: "--[^\\n]*|/\\*[\\s\\S]*?\\*/", keywords: SQL_KEYWORDS },
+  json: { comment: null, keywords: "true false null" },
+};
+const HIGHLIGHT_EXTENSIONS = {
+  c: ["js", "mjs", "cjs", "jsx", "ts", "tsx", "java", "c", "h", "cc", "cpp", "hpp", "cs", "go", "rs", "php", "swift", "kt", "scala", "dart", "css", "scss", "less"],
+  hash: ["py", "rb", "sh", "bash", "zsh", "pl", "r", "yaml", "yml", "toml", "ini", "conf", "cfg", "properties", "dockerfile", "mk"],
+  sql: ["sql"],
+  json: ["json", "geojson", "jsonl"],
+  markup: ["html", "htm", "xml", "svg", "xhtml", "vue"],
+};
 
-    localStorage.setItem('themeBgPanel', p);
-    localStorage.setItem('themeBgFiles', f);
-    localStorage.setItem('themeBgFilesDark', fd);
+function highlightLanguage(mimeType, ext) {
+  if (mimeType === "application/json") return "json";
+  if (["text/html", "application/xml", "image/svg+xml"].includes(mimeType)) return "markup";
+  if (mimeType === "application/yaml") return "hash";
+  if (mimeType === "text/javascript" || mimeType === "text/css") return "c";
+  return Object.keys(HIGHLIGHT_EXTENSIONS).find((lang) => HIGHLIGHT_EXTENSIONS[lang].includes(ext)) || null;
+}
 
-    applyTheme(p, f, fd);
-    modal.classList.add('hidden');
-  });
+// fills `code` with text nodes and <span class="hl-*"> tokens
+function highlightCode(code, text, language) {
+  let pattern;
+  let classes;
+  if (language === "markup") {
+    pattern = /(<!--[\s\S]*?-->)|(<\/?[\w:.-]+|\/?>)|("[^"\n]*"|'[^'\n]*')/g;
+    classes = ["hl-comment", "hl-tag", "hl-string"];
+  } else if (HIGHLIGHT_LANGUAGES[language]) {
+    const lang = HIGHLIGHT_LANGUAGES[language];
+    pattern = new RegExp(
+      [
+        lang.comment || "(?!)",
+        "\"(?:[^\"\\\\\\n]|\\\\.)*\"|'(?:[^'\\\\\\n]|\\\\.)*'|`(?:[^`\\\\]|\\\\.)*`",
+        "\\b(?:0x[\\da-fA-F]+|\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b",
+        "\\b[A-Za-z_]\\w*\\b",
+      ].map((p) => `(${p})`).join("|"),
+      "g"
+    );
+    const keywords = new Set(lang.keywords.split(" "));
+    classes = ["hl-comment", "hl-string", "hl-number", (word) => (keywords.has(word.toLowerCase()) ? "hl-keyword" : null)];
+  } else {
+    code.textContent = text;
+    return;
+  }
 
-  modal.addEventListener('click', (e) => {
-    if (e.target === modal) modal.classList.add('hidden');
-  });
+  let last = 0;
+  for (const m of text.matchAll(pattern)) {
+    const group = m.slice(1).findIndex((g) => g !== undefined);
+    const cls = typeof classes[group] === "function" ? classes[group](m[0]) : classes[group];
+    if (!cls) continue;
+    if (m.index > last) code.appendChild(document.createTextNode(text.slice(last, m.index)));
+    const span = document.createElement("span");
+    span.className = cls;
+    span.textContent = m[0];
+    code.appendChild(span);
+    last = m.index + m[0].length;
+  }
+  code.appendChild(document.createTextNode(text.slice(last)));
 }
 
 /* ============================================================
-   AUTO-REFRESH POLLING
+   LIVE UPDATES
+   GET /api/events tells about changed files, folders and tags (from
+   any tab, upload or the disk itself). Removed items leave the view
+   right away; what was added or changed in the listing shown reloads
+   it. While the stream is down, the listing is polled instead.
 ============================================================ */
 let autoRefreshInterval = null;
 const REFRESH_INTERVAL = 2000; // 2 seconds
+// events often come in bursts (a bulk move, a folder copied on disk): one reload for all
+const LIVE_RELOAD_DELAY = 300;
+// the browser reconnects by itself unless the server refused the stream
+const EVENTS_RECONNECT_DELAY = 10000;
+let eventSource = null;
+let liveReload = null;
+
+function startLiveUpdates() {
+  if (!window.EventSource) return startAutoRefresh();
+  eventSource = new EventSource("/api/events");
+  eventSource.addEventListener("open", () => stopAutoRefresh());
+  eventSource.addEventListener("error", () => {
+    startAutoRefresh();
+    if (eventSource.readyState === EventSource.CLOSED) {
+      eventSource = null;
+      setTimeout(startLiveUpdates, EVENTS_RECONNECT_DELAY);
+    }
+  });
+  eventSource.addEventListener("file", (e) => onFileEvent(JSON.parse(e.data)));
+  eventSource.addEventListener("folder", (e) => onFolderEvent(JSON.parse(e.data)));
+  eventSource.addEventListener("tags", () => {
+    loadTags().catch(console.error);
+    scheduleLiveReload({ files: true });
+  });
+  // events were missed (the server restarted meanwhile)
+  eventSource.addEventListener("reset", () => {
+    loadTags().catch(console.error);
+    scheduleLiveReload({ files: true, folders: true });
+  });
+}
+
+// a search lists files from many folders, so any change may show up in it
+function showsFolder(folderId) {
+  return document.getElementById("searchScope").value !== "folder" || (currentFolder && currentFolder.Id === folderId);
+}
+
+function onFileEvent(ev) {
+  if (ev.action === "removed") return removeListed("file", ev.id);
+  if (showsFolder(ev.folderId) || (ev.fromFolderId != null && showsFolder(ev.fromFolderId))) {
+    scheduleLiveReload({ files: true });
+  }
+}
+
+function onFolderEvent(ev) {
+  const here = currentFolder ? currentFolder.FullPath : null;
+  const holdsCurrent = (p) => here === p || (here && here.startsWith(p + "/"));
+
+  if (ev.action === "removed") {
+    removeListed("folder", ev.id);
+    // the folder shown (or one above it) is gone: go to where it was
+    if (holdsCurrent(ev.fullPath)) navigateToFolder(ev.parentId).catch(() => loadRoot().then(loadFolders).then(loadFiles));
+    return;
+  }
+  if (ev.action === "moved" && holdsCurrent(ev.fromPath)) {
+    apiGet(`/api/folder/${currentFolder.Id}`)
+      .then((folder) => {
+        currentFolder = folder;
+        renderBreadcrumb();
+      })
+      .catch(console.error);
+  }
+  // tags of the folder shown (or above it) are inherited by what it lists
+  if (holdsCurrent(ev.fullPath)) scheduleLiveReload({ files: true });
+  if (showsFolder(ev.parentId) || (ev.fromParentId != null && showsFolder(ev.fromParentId))) {
+    scheduleLiveReload({ files: true, folders: true });
+  }
+}
+
+// drop a row/tile (and sidebar entry) from the view and from the selection
+function removeListed(kind, id) {
+  const key = `${kind}:${id}`;
+  document.querySelectorAll(`[data-key="${key}"]`).forEach((el) => el.remove());
+  if (kind === "folder") document.querySelectorAll(`#folderList [data-id="${id}"]`).forEach((el) => el.remove());
+  if (kind === "file") listedFiles = listedFiles.filter((f) => f.Id !== id);
+  selectionOrder = selectionOrder.filter((r) => r.key !== key);
+  selectedItems.delete(key);
+  syncSelectionBoxes();
+}
+
+// { files: reload the listing, folders: and the sidebar }
+function scheduleLiveReload({ files = false, folders = false }) {
+  if (!liveReload) {
+    liveReload = { files: false, folders: false };
+    setTimeout(() => {
+      const { files, folders } = liveReload;
+      liveReload = null;
+      if (folders) loadFolders().catch(console.error);
+      if (files || folders) loadFiles().catch(console.error);
+    }, LIVE_RELOAD_DELAY);
+  }
+  liveReload.files = liveReload.files || files;
+  liveReload.folders = liveReload.folders || folders;
+}
 
 function startAutoRefresh() {
   if (autoRefreshInterval) return; // already running
@@ -0,0 +1,38 @@
+// public/login.js
+
+// only same-origin paths, so ?next= can't send the user to another site
+function nextUrl() {
+  const next = new URLSearchParams(location.search).get("next") || "/";
+  return next.startsWith("/") && !next.startsWith("//") && !next.startsWith("/\\") ? next : "/";
+}
+
+document.getElementById("loginForm").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const error = document.getElementById("loginError");
+  const button = document.getElementById("btnLogin");
+  error.classList.add("hidden");
+  button.disabled = true;
+
+  try {
+    const res = await fetch("/api/auth/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        username: document.getElementById("loginUsername").value.trim(),
+        password: document.getElementById("loginPassword").value,
+      }),
+    });
+    if (res.ok) {
+      location.replace(nextUrl());
+      return;
+    }
+    const body = await res.json().catch(() => ({}));
+    error.textContent = body.error || `Login failed (${res.status})`;
+    error.classList.remove("hidden");
+  } catch (err) {
+    error.textContent = "Login failed: " + (err && err.message ? err.message : String(err));
+    error.classList.remove("hidden");
+  } finally {
+    button.disabled = false;
+  }
+});
@@ -0,0 +1,154 @@
+// public/share.js
+// Page behind a share link (/s/<token>): asks for the password when there is one,
+// then shows the shared file or lets the visitor browse the shared folder.
+
+const token = decodeURIComponent(location.pathname.split("/")[2] || "");
+const api = `/api/s/${encodeURIComponent(token)}`;
+
+function formatBytes(bytes) {
+  if (bytes == null) return "";
+  const sizes = ["B", "KB", "MB", "GB", "TB"];
+  if (bytes === 0) return "0 B";
+  const i = Math.floor(Math.log(bytes) / Math.log(1024));
+  const val = bytes / Math.pow(1024, i);
+  return `${val.toFixed(1)} ${sizes[i]}`;
+}
+
+// "YYYY-MM-DD HH:MM:SS" from SQLite is UTC
+function parseDbDate(value) {
+  if (!value) return null;
+  const s = String(value);
+  return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(s) ? s : s.replace(" ", "T") + "Z");
+}
+
+function showError(text) {
+  const el = document.getElementById("shareError");
+  el.textContent = text;
+  el.classList.remove("hidden");
+  document.getElementById("shareContent").classList.add("hidden");
+}
+
+// the folder being shown lives in the hash, so back/forward work
+function currentFolderId() {
+  return parseInt(location.hash.slice(1), 10) || null;
+}
+
+async function loadShare() {
+  const folderId = currentFolderId();
+  const res = await fetch(folderId ? `${api}?folderId=${folderId}` : api);
+  const body = await res.json().catch(() => ({}));
+  if (res.status === 401 && body.passwordRequired) {
+    document.getElementById("unlockForm").classList.remove("hidden");
+    return;
+  }
+  if (!res.ok) {
+    showError(body.error || `Failed to open the link (${res.status})`);
+    return;
+  }
+  renderShare(body);
+}
+
+function renderShare(share) {
+  document.getElementById("unlockForm").classList.add("hidden");
+  document.getElementById("shareContent").classList.remove("hidden");
+  document.getElementById("shareName").textContent = (share.kind === "folder" ? "📁 " : "📄 ") + share.name;
+  document.title = `${share.name} - Shared`;
+
+  const info = [];
+  if (share.expiresAt) info.push(`available until ${parseDbDate(share.expiresAt).toLocaleString()}`);
+  if (share.downloadsLeft != null) info.push(`${share.downloadsLeft} downloads left`);
+  document.getElementById("shareInfo").textContent = info.join(" · ");
+
+  const btnDownload = document.getElementById("btnShareDownload");
+  btnDownload.disabled = share.downloadsLeft === 0;
+  const list = document.getElementById("shareItems");
+  const crumbs = document.getElementById("shareBreadcrumb");
+  list.innerHTML = "";
+  crumbs.innerHTML = "";
+
+  if (share.file) {
+    btnDownload.textContent = "Download";
+    btnDownload.onclick = () => {
+      location.href = `${api}/download`;
+    };
+    const li = document.createElement("li");
+    const name = document.createElement("span");
+    name.className = "share-name";
+    name.textContent = share.file.Name;
+    const meta = document.createElement("span");
+    meta.className = "trash-meta";
+    meta.textContent = `${formatBytes(Number(share.file.SizeBytes))} · ${share.file.MimeType || ""}`;
+    li.appendChild(name);
+    li.appendChild(meta);
+    list.appendChild(li);
+    return;
+  }
+
+  const folder = share.folder;
+  btnDownload.textContent = "Download as zip";
+  btnDownload.onclick = () => {
+    location.href = `${api}/download?folderId=${folder.Id}`;
+  };
+
+  folder.Breadcrumb.forEach((c, i) => {
+    if (i > 0) crumbs.appendChild(document.createTextNode(" / "));
+    const a = document.createElement("a");
+    a.href = i === 0 ? "#" : `#${c.Id}`;
+    a.textContent = c.Name;
+    crumbs.appendChild(a);
+  });
+
+  folder.Folders.forEach((f) => {
+    const li = document.createElement("li");
+    const a = document.createElement("a");
+    a.className = "share-name";
+    a.href = `#${f.Id}`;
+    a.textContent = "📁 " + f.Name;
+    li.appendChild(a);
+    list.appendChild(li);
+  });
+
+  folder.Files.forEach((f) => {
+    const li = document.createElement("li");
+    const a = document.createElement("a");
+    a.className = "share-name";
+    a.href = `${api}/file/${f.Id}`;
+    a.textContent = f.Name;
+    const meta = document.createElement("span");
+    meta.className = "trash-meta";
+    meta.textContent = formatBytes(Number(f.SizeBytes));
+    li.appendChild(a);
+    li.appendChild(meta);
+    list.appendChild(li);
+  });
+
+  if (!folder.Folders.length && !folder.Files.length) {
+    const li = document.createElement("li");
+    li.textContent = "This folder is empty.";
+    list.appendChild(li);
+  }
+}
+
+document.getElementById("unlockForm").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const error = document.getElementById("unlockError");
+  error.classList.add("hidden");
+  const res = await fetch(`${api}/unlock`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ password: document.getElementById("sharePassword").value }),
+  });
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    error.textContent = body.error || `Failed (${res.status})`;
+    error.classList.remove("hidden");
+    return;
+  }
+  loadShare().catch((err) => showError("Failed to open the link: " + err.message));
+});
+
+window.addEventListener("hashchange", () => {
+  loadShare().catch((err) => showError("Failed to open the link: " + err.message));
+});
+
+loadShare().catch((err) => showError("Failed to open the link: " + err.message));
@@ -3,8 +3,32 @@ const express = require("express");
 const path = require("path");
 const fs = require("fs");
 const fsPromises = require("fs").promises;
+const crypto = require("crypto");
 const BusboyLib = require("busboy");
-const { sql, getPool } = require("./db");
+const store = require("./store");
+const { TagQueryError, slugifyTagName, parseTagQuery, andAll } = require("./tagQuery");
+const { isBinary, diffText } = require("./textDiff");
+const { fileEtag, isNotModified, ifRangeMatches, parseRange } = require("./httpRanges");
+const { validItemName } = require("./itemNames");
+const { GENERIC_TYPE, inspectFile, isTextType } = require("./fileInfo");
+const { canThumbnail, createThumbnail } = require("./thumbnails");
+const { watchTree } = require("./watcher");
+const {
+  ROLES,
+  GRANT_ACCESS,
+  MIN_PASSWORD_LENGTH,
+  hasRole,
+  atLeast,
+  validUsername,
+  hashPassword,
+  verifyPassword,
+  newSessionToken,
+  sessionId,
+  parseCookies,
+  folderAccess,
+  subtreeAccess,
+  isAncestorOrSelf,
+} = require("./auth");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -16,38 +40,154 @@ if (!fs.existsSync(UPLOAD_ROOT)) {
   fs.mkdirSync(UPLOAD_ROOT, { recursive: true });
 }
 
+// deleted files/folders are moved here (outside uploads so discovery never sees them)
+const TRASH_ROOT = process.env.TRASH_DIR ? path.resolve(process.env.TRASH_DIR) : path.join(__dirname, "trash");
+// trash entries older than this are purged by a background job (0 = keep forever)
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+// earlier contents of files (replaced by an upload, renamed, restored) live here, beside uploads
+const VERSIONS_ROOT = path.join(__dirname, "versions");
+// versions kept per file unless the file sets its own cap (0 = keep all)
+const MAX_FILE_VERSIONS = Number(process.env.MAX_FILE_VERSIONS || 10);
+// uploads are written here first and renamed into place once complete
+const INCOMING_ROOT = path.join(VERSIONS_ROOT, ".incoming");
+// larger versions are not diffed
+const DIFF_MAX_BYTES = 1024 * 1024;
+// chunks of resumable uploads wait here until the upload is finished
+const CHUNKS_ROOT = path.join(VERSIONS_ROOT, ".chunks");
+// resumable uploads with no new chunk for this long are dropped (0 = never)
+const UPLOAD_SESSION_TTL_HOURS = Number(process.env.UPLOAD_SESSION_TTL_HOURS || 24);
+
+// store identical content once: new duplicates are replaced by hard links to the existing copy
+const DEDUP_HARDLINKS = process.env.DEDUP_HARDLINKS === "1";
+
+// generated thumbnails: <fileId>-<hash prefix>.jpg|png, so changed content gets a new name
+const THUMB_ROOT = path.join(__dirname, "thumbnails");
+
+// renames, moves, copies and deletes in progress write their disk steps here first (see FILE OPS)
+const JOURNAL_ROOT = path.join(__dirname, "journal");
+
+// login sessions end after this many days without a request
+const SESSION_TTL_DAYS = Number(process.env.SESSION_TTL_DAYS || 14);
+const SESSION_COOKIE = "tfb_session";
+
 /* ============================================================
-   BACKGROUND JOB QUEUE (simple in-memory queue)
+   BACKGROUND JOB QUEUE: jobs are Jobs rows (a type from JOB_TYPES and a
+   JSON payload), so they survive a restart. A job queued with a dedup key
+   coalesces with a waiting job of the same key, a job that throws is
+   retried with backoff, and up to JOB_CONCURRENCY jobs run at once.
 ============================================================ */
+// jobs running side by side (an exclusive type still runs one job at a time)
+const JOB_CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY || 1));
+// tries before a job is kept as failed; retry n waits JOB_RETRY_DELAY_MS * 2^(n-1)
+const JOB_MAX_ATTEMPTS = Math.max(1, Number(process.env.JOB_MAX_ATTEMPTS || 5));
+const JOB_RETRY_DELAY_MS = 5000;
+const JOB_RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+// jobs that became due (retries, other processes) are picked up this often
+const JOB_POLL_INTERVAL = 2000;
+
+// handler per job type: run(payload). Exclusive types never run beside a job of the same
+// type (two reconcile passes over overlapping folders would both insert what they find).
+const JOB_TYPES = {
+  reconcile: { exclusive: true, run: (p) => runReconcile(p) },
+  "drop-missing-file": { run: (p) => dropMissingFile(p.fileId, p.storagePath) },
+  "drop-missing-folder": { run: (p) => dropMissingFolder(p.fullPath) },
+  thumbnail: { run: (p) => buildThumbnail(p.fileId) },
+  "link-duplicates": { exclusive: true, run: (p) => linkDuplicates(p.hash) },
+  "remove-paths": { run: (p) => removePaths(p.paths) },
+  "purge-expired-trash": { exclusive: true, run: () => purgeExpiredTrash() },
+  "sweep-version-blobs": { exclusive: true, run: () => sweepVersionBlobs() },
+  "sweep-thumbnails": { exclusive: true, run: () => sweepThumbnails() },
+  "expire-upload-sessions": { exclusive: true, run: () => expireUploadSessions() },
+  "expire-sessions": { exclusive: true, run: () => expireSessions() },
+};
+
 class JobQueue {
-  constructor() {
-    this.jobs = [];
-    this.processing = false;
+  constructor(concurrency) {
+    this.concurrency = concurrency;
+    this.running = new Map(); // job id -> type
+    this.started = false;
+    this.filling = false;
+    this.refill = false;
   }
 
-  enqueue(fn) {
-    this.jobs.push(fn);
-    this.process();
+  // store a job; with `dedupKey` it joins a job of that key that is still waiting. Resolves to
+  // whether a job was added and never rejects, so callers can leave it running.
+  async enqueue(type, payload = {}, { dedupKey = null, delayMs = 0 } = {}) {
+    try {
+      if (!JOB_TYPES[type]) throw new Error(`Unknown job type "${type}"`);
+      const queued = await store.enqueueJob({
+        type,
+        payload: JSON.stringify(payload),
+        dedupKey,
+        runAfter: new Date(Date.now() + delayMs),
+        maxAttempts: JOB_MAX_ATTEMPTS,
+      });
+      this.fill();
+      return queued;
+    } catch (err) {
+      console.error("Job enqueue error", type, err);
+      return false;
+    }
   }
 
-  async process() {
-    if (this.processing || this.jobs.length === 0) return;
-    this.processing = true;
+  start() {
+    this.started = true;
+    setInterval(() => this.fill(), JOB_POLL_INTERVAL);
+    this.fill();
+  }
 
-    while (this.jobs.length > 0) {
-      const job = this.jobs.shift();
-      try {
-        await job();
-      } catch (err) {
-        console.error("Background job error:", err);
-      }
+  // claim due jobs until every worker slot is busy
+  async fill() {
+    if (!this.started) return;
+    if (this.filling) {
+      this.refill = true;
+      return;
+    }
+    this.filling = true;
+    try {
+      do {
+        this.refill = false;
+        while (this.running.size < this.concurrency) {
+          const busy = [...new Set(this.running.values())].filter((t) => JOB_TYPES[t] && JOB_TYPES[t].exclusive);
+          const job = await store.claimJob(new Date(), busy);
+          if (!job) break;
+          this.running.set(job.Id, job.Type);
+          this.run(job);
+        }
+      } while (this.refill && this.running.size < this.concurrency);
+    } catch (err) {
+      console.error("Job queue error", err);
+    } finally {
+      this.filling = false;
     }
+  }
 
-    this.processing = false;
+  async run(job) {
+    try {
+      const handler = JOB_TYPES[job.Type];
+      if (!handler) throw new Error(`Unknown job type "${job.Type}"`);
+      await handler.run(JSON.parse(job.Payload || "{}"));
+      await store.finishJob(job.Id);
+    } catch (err) {
+      console.error(`Job ${job.Type} #${job.Id} failed (attempt ${job.Attempts} of ${job.MaxAttempts}):`, err);
+      const delay = Math.min(JOB_RETRY_MAX_DELAY_MS, JOB_RETRY_DELAY_MS * 2 ** (job.Attempts - 1));
+      const retryAt = job.Attempts < job.MaxAttempts ? new Date(Date.now() + delay) : null;
+      await store.failJob(job.Id, String((err && err.message) || err), retryAt).catch((e) => console.error("Job queue error", e));
+    } finally {
+      this.running.delete(job.Id);
+      this.fill();
+    }
   }
 }
 
-const jobQueue = new JobQueue();
+const jobQueue = new JobQueue(JOB_CONCURRENCY);
+
+// maintenance jobs carry no payload; one of each type waits at a time
+function queueMaintenance(type) {
+  return jobQueue.enqueue(type, {}, { dedupKey: type });
+}
 
 // helpers
 function fullPathToPhysical(fullPath) {
@@ -61,1309 +201,4412 @@ async function ensureDiskFolder(fullPath) {
   return physical;
 }
 
-function createBusboy(req) {
+function createBusboy(req, options = {}) {
+  const cfg = { headers: req.headers, ...options };
   // Support both old (constructor) and new (function) busboy APIs
   try {
-    return new BusboyLib({ headers: req.headers });
+    return new BusboyLib(cfg);
   } catch (e) {
-    return BusboyLib({ headers: req.headers });
+    return BusboyLib(cfg);
   }
 }
 
-// middleware
-app.use(express.static(path.join(__dirname, "public")));
-app.use("/uploads", express.static(UPLOAD_ROOT));
+function randomTagColor() {
+  return "#" + Math.floor(Math.random() * 16777215).toString(16).padStart(6, "0");
+}
+
+// split a client supplied relative path (e.g. webkitRelativePath) into safe segments
+function splitRelativePath(relPath) {
+  return String(relPath || "")
+    .split(/[\\/]+/)
+    .map((seg) => seg.replace(/[\x00-\x1f<>:"|?*]/g, "_").trim())
+    .filter((seg) => seg && seg !== "." && seg !== "..");
+}
+
+// ?q=<tag query> plus the legacy ?tags=a,b (all required) -> one query AST (null = no filter).
+// Tag aliases are replaced by the slugs of their tags.
+async function listQueryFromRequest(req) {
+  const tagTerms = String(req.query.tags || "")
+    .split(",")
+    .map((x) => slugifyTagName(x))
+    .filter(Boolean)
+    .map((slug) => ({ type: "tag", slug }));
+  const query = andAll(parseTagQuery(req.query.q), ...tagTerms);
+
+  const terms = [];
+  const collect = (node) => {
+    if (!node) return;
+    if (node.type === "tag") terms.push(node);
+    [node.left, node.right, node.expr].forEach(collect);
+  };
+  collect(query);
+  if (terms.length) {
+    const resolved = await store.resolveTagSlugs(terms.map((t) => t.slug));
+    terms.forEach((t) => (t.slug = resolved.get(t.slug)));
+  }
+  return query;
+}
+
+// tags inherited from ancestor folders count unless ?inherit=0
+function inheritFromRequest(req) {
+  return req.query.inherit !== "0" && req.query.inherit !== "false";
+}
+
+// 400 body for a query that does not parse; position/length index into the q string
+function queryErrorBody(err) {
+  return { error: "Invalid query", message: err.message, position: err.position, length: err.length };
+}
+
+// DB dates come back as a Date (mssql) or "YYYY-MM-DD HH:MM:SS" UTC text (sqlite)
+function dbDate(value) {
+  return value instanceof Date ? value : new Date(String(value).replace(" ", "T") + "Z");
+}
+
+// middleware (authenticate / requireLogin / uploadsAccess: see AUTH below)
 app.use(express.json());
+app.use(authenticate);
+app.use(requireLogin);
+app.use(express.static(path.join(__dirname, "public")));
+app.use("/uploads", uploadsAccess, express.static(UPLOAD_ROOT));
 
 /* ============================================================
    DB: ensure root folder exists on startup
 ============================================================ */
 async function ensureRootFolder() {
-  const pool = await getPool();
-  const r = await pool.request().query(`
-    IF NOT EXISTS (SELECT 1 FROM Folders WHERE ParentId IS NULL)
-    BEGIN
-      INSERT INTO Folders (Name, ParentId, FullPath)
-      VALUES ('root', NULL, '/root');
-    END;
-    SELECT TOP (1) * FROM Folders WHERE ParentId IS NULL ORDER BY Id;
-  `);
-  const root = r.recordset[0];
+  const root = await store.getRootFolder();
   await ensureDiskFolder(root.FullPath);
   return root;
 }
 
 /* ============================================================
-   DB: ensure FolderTags table exists
+   AUTH: local accounts (auth.js), session cookies, folder permissions.
+   Everything except PUBLIC_PATHS needs a signed-in user; folder and
+   file routes also check the user's access to the folder involved.
 ============================================================ */
-async function ensureFolderTagsTable() {
-  const pool = await getPool();
-  await pool.request().query(`
-    IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'FolderTags')
-    BEGIN
-      CREATE TABLE FolderTags (
-        FolderId INT NOT NULL,
-        TagId INT NOT NULL,
-        PRIMARY KEY (FolderId, TagId),
-        FOREIGN KEY (FolderId) REFERENCES Folders(Id) ON DELETE CASCADE,
-        FOREIGN KEY (TagId) REFERENCES Tags(Id) ON DELETE CASCADE
-      );
-    END;
-  `);
+// reachable without logging in (the login page and what it loads, and share links)
+const PUBLIC_PATHS = new Set(["/login.html", "/login.js", "/share.js", "/styles.css", "/api/auth/login"]);
+const PUBLIC_PREFIXES = ["/s/", "/api/s/"];
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+// failed password attempts per client address + username (or share): { count, since }
+const loginFailures = new Map();
+// checked against for unknown usernames, so those take as long as a wrong password
+let dummyPasswordHash = null;
+
+function sessionExpiry() {
+  return new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
 }
 
-/* ============================================================
-   TAGS
-============================================================ */
-app.get("/api/tags", async (req, res) => {
+function publicUser(user) {
+  return { Id: user.Id, Username: user.Username, Role: user.Role };
+}
+
+function setSessionCookie(req, res, token, expires) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: "lax",
+    // the tunnel terminates TLS and forwards plain HTTP
+    secure: req.secure || req.headers["x-forwarded-proto"] === "https",
+    expires,
+    path: "/",
+  });
+}
+
+// sets req.user from the session cookie (the expiry slides, written at most once an hour)
+async function authenticate(req, res, next) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (!token) return next();
   try {
-    const pool = await getPool();
-    const r = await pool.request().query(`
-      SELECT Id, Name, Slug, ColorHex
-      FROM Tags
-      ORDER BY Name;
-    `);
-    res.json(r.recordset);
+    const id = sessionId(token);
+    const user = await store.getSessionUser(id, new Date());
+    if (user) {
+      req.user = publicUser(user);
+      req.sessionId = id;
+      const expires = sessionExpiry();
+      if (dbDate(user.SessionExpiresAt).getTime() < expires.getTime() - 60 * 60 * 1000) {
+        await store.extendSession(id, expires);
+        setSessionCookie(req, res, token, expires);
+      }
+    }
+    next();
   } catch (err) {
-    console.error("GET /api/tags error", err);
+    console.error("Session lookup error", err);
     res.status(500).json({ error: "Failed" });
   }
-});
+}
+
+function requireLogin(req, res, next) {
+  if (req.user || PUBLIC_PATHS.has(req.path) || PUBLIC_PREFIXES.some((p) => req.path.startsWith(p))) return next();
+  if (req.path.startsWith("/api/")) return res.status(401).json({ error: "Login required" });
+  if (req.method !== "GET" && req.method !== "HEAD") return res.sendStatus(401);
+  res.redirect(`/login.html?next=${encodeURIComponent(req.originalUrl)}`);
+}
+
+// route middleware: 403 unless the user has at least `role` (viewer < editor < admin)
+function requireRole(role) {
+  return (req, res, next) => (hasRole(req.user, role) ? next() : res.status(403).json({ error: "Permission denied" }));
+}
+
+// the signed-in user's grants, loaded once per request
+function userGrants(req) {
+  if (!req.grants) req.grants = req.user.Role === "admin" ? Promise.resolve([]) : store.listUserGrants(req.user.Id);
+  return req.grants;
+}
+
+async function accessTo(req, fullPath) {
+  return folderAccess(req.user, await userGrants(req), fullPath);
+}
+
+// ACL filter for the store listings; admins see everything
+function aclFor(req) {
+  return req.user.Role === "admin" ? null : { userId: req.user.Id };
+}
+
+// resolves the user's access level when it is at least `wanted`; otherwise sends 404 (the folder
+// is invisible to the user, so its existence is not confirmed) or 403 and resolves null
+async function checkAccess(req, res, fullPath, wanted, notFound = "Not found") {
+  const level = await accessTo(req, fullPath);
+  if (atLeast(level, wanted)) return level;
+  if (level === "none") res.status(404).json({ error: notFound });
+  else res.status(403).json({ error: "Permission denied" });
+  return null;
+}
 
-app.post("/api/tags/:id/color", async (req, res) => {
+// resolves the :id route param to a folder (with the user's Access), or sends the error and returns null
+async function loadFolder(req, res, wanted) {
   const id = parseInt(req.params.id, 10);
-  const { colorHex } = req.body || {};
-  if (!colorHex || !/^#[0-9a-fA-F]{6}$/.test(colorHex)) {
-    return res.status(400).json({ error: "Invalid color" });
+  if (!id) {
+    res.status(400).json({ error: "Invalid id" });
+    return null;
   }
-  try {
-    const pool = await getPool();
-    await pool
-      .request()
-      .input("Id", sql.Int, id)
-      .input("ColorHex", sql.NVarChar(7), colorHex)
-      .query("UPDATE Tags SET ColorHex=@ColorHex WHERE Id=@Id;");
-    res.json({ ok: true });
-  } catch (err) {
-    console.error("POST /api/tags/:id/color error", err);
-    res.status(500).json({ error: "Failed" });
+  const folder = await store.getFolder(id);
+  if (!folder) {
+    res.status(404).json({ error: "Folder not found" });
+    return null;
   }
-});
+  const access = await checkAccess(req, res, folder.FullPath, wanted, "Folder not found");
+  return access ? { ...folder, Access: access } : null;
+}
 
-// Add PATCH endpoint to update name and/or color
-app.patch("/api/tags/:id", async (req, res) => {
+// same for files, checked against the folder the file is in
+async function loadFile(req, res, wanted) {
   const id = parseInt(req.params.id, 10);
-  const { name, colorHex } = req.body || {};
-  if (!id) return res.status(400).json({ error: "Invalid id" });
-  if (colorHex != null && colorHex !== "" && !/^#[0-9a-fA-F]{6}$/.test(colorHex)) {
-    return res.status(400).json({ error: "Invalid color" });
+  if (!id) {
+    res.status(400).json({ error: "Invalid id" });
+    return null;
   }
-  try {
-    const pool = await getPool();
-    const request = pool.request();
-    request.input("Id", sql.Int, id);
+  const file = await store.getFile(id);
+  if (!file) {
+    res.status(404).json({ error: "File not found" });
+    return null;
+  }
+  const folder = await store.getFolder(file.FolderId);
+  return (await checkAccess(req, res, folder ? folder.FullPath : "", wanted, "File not found")) ? file : null;
+}
 
-    const updates = [];
-    if (name != null) {
-      request.input("Name", sql.NVarChar(100), name);
-      updates.push("Name=@Name");
-    }
-    if (colorHex != null) {
-      request.input("ColorHex", sql.NVarChar(7), colorHex);
-      updates.push("ColorHex=@ColorHex");
+// folder rows with the user's Access, so the UI can offer only what is allowed
+async function withAccess(req, rows) {
+  const grants = await userGrants(req);
+  return rows.map((r) => ({ ...r, Access: folderAccess(req.user, grants, r.FullPath) }));
+}
+
+// /uploads/<path> is served statically: the file's folder needs view access
+async function uploadsAccess(req, res, next) {
+  try {
+    let rel;
+    try {
+      rel = decodeURIComponent(req.path);
+    } catch {
+      return res.sendStatus(400);
     }
+    const dir = path.posix.dirname(path.posix.normalize(rel));
+    if (atLeast(await accessTo(req, dir), "view")) return next();
+    res.sendStatus(404);
+  } catch (err) {
+    console.error("GET /uploads error", err);
+    res.sendStatus(500);
+  }
+}
+
+// first start: create an admin (ADMIN_USERNAME / ADMIN_PASSWORD, or a random password that is logged once)
+async function ensureAdminUser() {
+  if ((await store.countUsers()) > 0) return;
+  const username = process.env.ADMIN_USERNAME || "admin";
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString("base64url");
+  await store.createUser({ username, passwordHash: await hashPassword(password), role: "admin" });
+  console.log(`Created admin user "${username}"` + (process.env.ADMIN_PASSWORD ? "" : ` with password: ${password}`));
+}
+
+// behind the tunnel every request comes from localhost; cloudflared passes the client address
+function failureKey(req, name) {
+  return `${req.headers["cf-connecting-ip"] || req.ip}|${String(name).toLowerCase()}`;
+}
+
+// the failures counted for key while they still lock out, or null
+function activeFailures(key) {
+  const failures = loginFailures.get(key);
+  return failures && Date.now() - failures.since < LOGIN_LOCKOUT_MS ? failures : null;
+}
+
+// sends 429 and returns true when too many wrong passwords were tried for key
+function lockedOut(res, key, message) {
+  const failures = activeFailures(key);
+  if (!failures || failures.count < LOGIN_MAX_FAILURES) return false;
+  res.set("Retry-After", String(Math.ceil((failures.since + LOGIN_LOCKOUT_MS - Date.now()) / 1000)));
+  res.status(429).json({ error: message });
+  return true;
+}
+
+function recordFailure(key) {
+  const failures = activeFailures(key) || { count: 0, since: Date.now() };
+  failures.count++;
+  loginFailures.set(key, failures);
+}
 
-    if (!updates.length) {
-      const r = await pool.request().input("Id", sql.Int, id).query("SELECT * FROM Tags WHERE Id=@Id");
-      if (!r.recordset.length) return res.status(404).json({ error: "Tag not found" });
-      return res.json(r.recordset[0]);
+// expired sessions, and lockouts that are over
+async function expireSessions() {
+  await store.deleteExpiredSessions(new Date());
+  for (const [key, f] of loginFailures) {
+    if (Date.now() - f.since >= LOGIN_LOCKOUT_MS) loginFailures.delete(key);
+  }
+}
+
+// POST /api/auth/login { username, password } -> { user } and the session cookie
+app.post("/api/auth/login", async (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || !password) return res.status(400).json({ error: "Username and password required" });
+
+  const key = failureKey(req, username);
+  if (lockedOut(res, key, "Too many failed logins, try again later")) return;
+
+  try {
+    const user = await store.getUserByUsername(String(username));
+    if (!dummyPasswordHash) dummyPasswordHash = await hashPassword(crypto.randomBytes(9).toString("hex"));
+    const ok = await verifyPassword(String(password), user ? user.PasswordHash : dummyPasswordHash);
+    if (!user || !ok || user.Disabled) {
+      recordFailure(key);
+      return res.status(401).json({ error: "Wrong username or password" });
     }
 
-    const q = `UPDATE Tags SET ${updates.join(", ")} WHERE Id=@Id; SELECT * FROM Tags WHERE Id=@Id;`;
-    const r = await request.query(q);
-    if (!r.recordset.length) return res.status(404).json({ error: "Tag not found" });
-    res.json(r.recordset[0]);
+    loginFailures.delete(key);
+    const token = newSessionToken();
+    const expires = sessionExpiry();
+    await store.createSession({ id: sessionId(token), userId: user.Id, expiresAt: expires });
+    await store.setLastLogin(user.Id);
+    setSessionCookie(req, res, token, expires);
+    res.json({ user: publicUser(user) });
   } catch (err) {
-    console.error("PATCH /api/tags/:id error", err);
+    console.error("POST /api/auth/login error", err);
     res.status(500).json({ error: "Failed" });
   }
 });
 
-// Create a new tag
-app.post("/api/tags", async (req, res) => {
-  const { name, colorHex } = req.body || {};
-  if (!name || !name.trim()) return res.status(400).json({ error: "Name required" });
-  if (colorHex != null && colorHex !== "" && !/^#[0-9a-fA-F]{6}$/.test(colorHex)) {
-    return res.status(400).json({ error: "Invalid color" });
-  }
+app.post("/api/auth/logout", async (req, res) => {
   try {
-    const pool = await getPool();
-    const slug = String(name).trim().toLowerCase().replace(/\s+/g, "-").replace(/[^a-z0-9\-]/g, "");
-    // if exists return existing
-    const exists = await pool.request().input("Slug", sql.NVarChar(100), slug).query("SELECT * FROM Tags WHERE Slug=@Slug");
-    if (exists.recordset.length) {
-      return res.json(exists.recordset[0]);
-    }
-    // generate color if not provided
-    const color = colorHex && colorHex !== "" ? colorHex : ("#" + Math.floor(Math.random() * 16777215).toString(16).padStart(6, "0"));
-    const r = await pool
-      .request()
-      .input("Name", sql.NVarChar(100), name)
-      .input("Slug", sql.NVarChar(100), slug)
-      .input("ColorHex", sql.NVarChar(7), color)
-      .query(`
-        INSERT INTO Tags (Name, Slug, ColorHex)
-        OUTPUT INSERTED.*
-        VALUES (@Name, @Slug, @ColorHex);
-      `);
-    res.status(201).json(r.recordset[0]);
+    await store.deleteSession(req.sessionId);
+    res.clearCookie(SESSION_COOKIE, { path: "/" });
+    res.json({ ok: true });
   } catch (err) {
-    console.error("POST /api/tags error", err);
+    console.error("POST /api/auth/logout error", err);
     res.status(500).json({ error: "Failed" });
   }
 });
 
-// Add DELETE endpoint to delete a tag
-app.delete("/api/tags/:id", async (req, res) => {
-  const id = parseInt(req.params.id, 10);
-  if (!id) return res.status(400).json({ error: "Invalid id" });
-  try {
-    const pool = await getPool();
-    
-    // Delete all tag associations first (cascade)
-    await pool
-      .request()
-      .input("TagId", sql.Int, id)
-      .query(`
-        DELETE FROM FileTags WHERE TagId=@TagId;
-        DELETE FROM FolderTags WHERE TagId=@TagId;
-        DELETE FROM Tags WHERE Id=@TagId;
-      `);
+app.get("/api/auth/me", (req, res) => {
+  res.json({ user: req.user });
+});
 
+// POST /api/auth/password { currentPassword, newPassword }; other sessions of the user are ended
+app.post("/api/auth/password", async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  if (!newPassword || String(newPassword).length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  try {
+    const user = await store.getUserByUsername(req.user.Username);
+    if (!(await verifyPassword(String(currentPassword || ""), user.PasswordHash))) {
+      return res.status(403).json({ error: "Current password is wrong" });
+    }
+    await store.updateUser(user.Id, { passwordHash: await hashPassword(String(newPassword)) });
+    await store.deleteUserSessions(user.Id, req.sessionId);
     res.json({ ok: true });
   } catch (err) {
-    console.error("DELETE /api/tags/:id error", err);
+    console.error("POST /api/auth/password error", err);
     res.status(500).json({ error: "Failed" });
   }
 });
 
 /* ============================================================
-   FOLDERS
+   USERS AND FOLDER GRANTS (admin only)
 ============================================================ */
-app.get("/api/root-folder", async (req, res) => {
+// 409 body when a change would leave no active admin
+const LAST_ADMIN = { error: "At least one active admin is required" };
+
+app.get("/api/users", requireRole("admin"), async (req, res) => {
   try {
-    const root = await ensureRootFolder();
-    res.json(root);
+    res.json(await store.listUsers());
   } catch (err) {
-    console.error("GET /api/root-folder error", err);
-    res.status(500).json({ error: "Failed to get root folder" });
+    console.error("GET /api/users error", err);
+    res.status(500).json({ error: "Failed" });
   }
 });
 
-app.get("/api/folders", async (req, res) => {
-  const parentId = req.query.parentId ? parseInt(req.query.parentId, 10) : null;
-
+// POST /api/users { username, password, role }
+app.post("/api/users", requireRole("admin"), async (req, res) => {
+  const { username, password, role = "viewer" } = req.body || {};
+  if (!validUsername(username)) return res.status(400).json({ error: "Username may use letters, digits and . _ @ - (max 64)" });
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `Role must be one of ${ROLES.join(", ")}` });
+  if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
   try {
-    const pool = await getPool();
-    const r = await pool
-      .request()
-      .input("ParentId", sql.Int, parentId)
-      .query(`
-        SELECT 
-          f.Id,
-          f.Name,
-          f.ParentId,
-          f.FullPath,
-          CASE WHEN EXISTS (SELECT 1 FROM Folders c WHERE c.ParentId = f.Id)
-               THEN 1 ELSE 0 END AS HasChildren,
-          -- include slug so the client can filter reliably: Name|ColorHex|Slug
-          STRING_AGG(t.Name + '|' + t.ColorHex + '|' + t.Slug, ',') AS TagInfo
-        FROM Folders f
-        LEFT JOIN FolderTags ft ON ft.FolderId = f.Id
-        LEFT JOIN Tags t ON t.Id = ft.TagId
-        WHERE 
-          (@ParentId IS NULL AND f.ParentId IS NULL)
-          OR f.ParentId = @ParentId
-        GROUP BY f.Id, f.Name, f.ParentId, f.FullPath
-        ORDER BY f.Name;
-      `);
-
-    // remove folders that no longer exist on disk (async, in background)
-    const existing = [];
-    const cleanupJobs = [];
-
-    for (const row of r.recordset) {
-      const phys = fullPathToPhysical(row.FullPath);
-      try {
-        await fsPromises.access(phys);
-        existing.push(row);
-      } catch {
-        // folder missing on disk, queue cleanup task
-        cleanupJobs.push(async () => {
-          const p = await getPool();
-          await p
-            .request()
-            .input("FolderId", sql.Int, row.Id)
-            .query(`
-              DELETE FROM FileTags WHERE FileId IN (SELECT Id FROM Files WHERE FolderId=@FolderId);
-              DELETE FROM Files WHERE FolderId=@FolderId;
-              DELETE FROM Folders WHERE Id=@FolderId;
-            `);
-        });
-      }
-    }
+    if (await store.getUserByUsername(username)) return res.status(409).json({ error: "Username is taken" });
+    const user = await store.createUser({ username, passwordHash: await hashPassword(String(password)), role });
+    res.status(201).json(user);
+  } catch (err) {
+    console.error("POST /api/users error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
 
-    // queue cleanup tasks to background job queue
-    cleanupJobs.forEach((job) => jobQueue.enqueue(job));
+// PATCH /api/users/:id { role?, disabled?, password? }; a new password or disabling ends the user's sessions
+app.patch("/api/users/:id", requireRole("admin"), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { role, disabled, password } = req.body || {};
+  if (!id) return res.status(400).json({ error: "Invalid id" });
+  if (role != null && !ROLES.includes(role)) return res.status(400).json({ error: `Role must be one of ${ROLES.join(", ")}` });
+  if (password != null && String(password).length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
 
-    res.json(existing);
+  try {
+    const user = await store.getUser(id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    const losesAdmin = user.Role === "admin" && ((role != null && role !== "admin") || disabled === true);
+    if (losesAdmin && (await store.countOtherAdmins(id)) === 0) return res.status(409).json(LAST_ADMIN);
+
+    const updated = await store.updateUser(id, {
+      role,
+      disabled: disabled == null ? null : !!disabled,
+      passwordHash: password != null ? await hashPassword(String(password)) : null,
+    });
+    if (password != null || disabled === true) await store.deleteUserSessions(id, id === req.user.Id ? req.sessionId : null);
+    res.json(updated);
   } catch (err) {
-    console.error("GET /api/folders error", err);
+    console.error("PATCH /api/users/:id error", err);
     res.status(500).json({ error: "Failed" });
   }
 });
 
-app.get("/api/folder/:id", async (req, res) => {
+app.delete("/api/users/:id", requireRole("admin"), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) return res.status(400).json({ error: "Invalid id" });
+  if (id === req.user.Id) return res.status(400).json({ error: "You can't delete your own account" });
   try {
-    const id = parseInt(req.params.id, 10);
-    const pool = await getPool();
-    const r = await pool
-      .request()
-      .input("Id", sql.Int, id)
-      .query("SELECT * FROM Folders WHERE Id=@Id");
-
-    if (!r.recordset.length) {
-      return res.status(404).json({ error: "Not found" });
-    }
-
-    res.json(r.recordset[0]);
+    const user = await store.getUser(id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.Role === "admin" && (await store.countOtherAdmins(id)) === 0) return res.status(409).json(LAST_ADMIN);
+    await store.deleteUser(id);
+    res.json({ ok: true });
   } catch (err) {
-    console.error("GET /api/folder/:id error", err);
+    console.error("DELETE /api/users/:id error", err);
     res.status(500).json({ error: "Failed" });
   }
 });
 
-app.post("/api/folders", async (req, res) => {
-  const { name, parentId } = req.body || {};
-
-  if (!name || !name.trim()) {
-    return res.status(400).json({ error: "Folder name required" });
+// every grant of one user, with the folder paths
+app.get("/api/users/:id/grants", requireRole("admin"), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) return res.status(400).json({ error: "Invalid id" });
+  try {
+    res.json(await store.listUserGrants(id));
+  } catch (err) {
+    console.error("GET /api/users/:id/grants error", err);
+    res.status(500).json({ error: "Failed" });
   }
+});
 
+// grants set directly on a folder (subfolders inherit them)
+app.get("/api/folder/:id/grants", requireRole("admin"), async (req, res) => {
   try {
-    const pool = await getPool();
-
-    let parentPath = "/root";
-    let parentDbId = null;
+    const folder = await loadFolder(req, res, "view");
+    if (!folder) return;
+    res.json(await store.listFolderGrants(folder.Id));
+  } catch (err) {
+    console.error("GET /api/folder/:id/grants error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
 
-    if (parentId) {
-      const p = await pool
-        .request()
-        .input("Id", sql.Int, parentId)
-        .query("SELECT * FROM Folders WHERE Id=@Id");
+// PUT /api/folder/:id/grants/:userId { access: none | view | edit }
+app.put("/api/folder/:id/grants/:userId", requireRole("admin"), async (req, res) => {
+  const userId = parseInt(req.params.userId, 10);
+  const { access } = req.body || {};
+  if (!userId) return res.status(400).json({ error: "Invalid user id" });
+  if (!GRANT_ACCESS.includes(access)) return res.status(400).json({ error: `access must be one of ${GRANT_ACCESS.join(", ")}` });
+  try {
+    const folder = await loadFolder(req, res, "view");
+    if (!folder) return;
+    if (!(await store.getUser(userId))) return res.status(404).json({ error: "User not found" });
+    await store.setFolderGrant(folder.Id, userId, access);
+    res.json({ ok: true, folderId: folder.Id, userId, access });
+  } catch (err) {
+    console.error("PUT /api/folder/:id/grants/:userId error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
 
-      if (!p.recordset.length) {
-        return res.status(400).json({ error: "Parent not found" });
-      }
+app.delete("/api/folder/:id/grants/:userId", requireRole("admin"), async (req, res) => {
+  const userId = parseInt(req.params.userId, 10);
+  if (!userId) return res.status(400).json({ error: "Invalid user id" });
+  try {
+    const folder = await loadFolder(req, res, "view");
+    if (!folder) return;
+    await store.deleteFolderGrant(folder.Id, userId);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("DELETE /api/folder/:id/grants/:userId error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
 
-      parentDbId = p.recordset[0].Id;
-      parentPath = p.recordset[0].FullPath;
+/* ============================================================
+   TAGS (shared by everyone, changed by editors and admins)
+   Tags nest: a child's Slug is its parent's Slug + "/" + its own
+   part (school/math/algebra), and filtering by a tag takes the tags
+   below it too. A tag can be in a group (TAG GROUPS); the tags below
+   it are in the same one.
+============================================================ */
+// room is left for the "~trash-<id>" prefix a trashed tag's slug gets (Slug is NVARCHAR(100))
+const TAG_SLUG_MAX = 90;
+
+class TagPathError extends Error {}
+
+// the tag at a path of names (["School", "Math"]), creating the missing ones along it. A new
+// tag gets colorHex and groupId when it is the last one, else its parent's group.
+// Path parts that are aliases of a tag resolve to it.
+async function ensureTagPath(names, { colorHex = null, groupId = null } = {}, conn) {
+  const parts = names.map((n) => String(n).trim()).filter((n) => slugifyTagName(n));
+  if (!parts.length) throw new TagPathError("Name required");
+  if (parts.map(slugifyTagName).join("/").length > TAG_SLUG_MAX) {
+    throw new TagPathError(`Tag path is too long (at most ${TAG_SLUG_MAX} characters)`);
+  }
+  let tag = null;
+  for (const [i, name] of parts.entries()) {
+    const last = i === parts.length - 1;
+    const slug = (tag ? tag.Slug + "/" : "") + slugifyTagName(name);
+    // an alias leads to its tag (a path may continue below it)
+    const aliased = await store.getTagByAlias(slug, conn);
+    if (aliased) {
+      tag = aliased;
+      continue;
     }
+    tag = await store.ensureTag(
+      {
+        name,
+        slug,
+        colorHex: (last && colorHex) || randomTagColor(),
+        parentId: tag ? tag.Id : null,
+        groupId: last && groupId != null ? groupId : tag ? tag.GroupId : null,
+      },
+      conn
+    );
+  }
+  return tag;
+}
 
-    const fullPath = `${parentPath}/${name}`;
+// 400 message when tagIds hold more than one tag of an exclusive group, else null
+async function exclusiveConflict(tagIds) {
+  const seen = new Map();
+  for (const r of await store.listExclusiveTags([...new Set(tagIds)])) {
+    if (seen.has(r.GroupId)) return `Only one tag of "${r.GroupName}" can be set`;
+    seen.set(r.GroupId, r.TagId);
+  }
+  return null;
+}
 
-    await ensureDiskFolder(fullPath);
+// a group id from the body: null for none, undefined when missing or not a known group
+async function groupIdFromBody(value) {
+  if (value === null || value === "") return null;
+  const id = parseInt(value, 10);
+  return id && (await store.getTagGroup(id)) ? id : undefined;
+}
 
-    const r = await pool
-      .request()
-      .input("Name", sql.NVarChar(255), name)
-      .input("ParentId", sql.Int, parentDbId)
-      .input("FullPath", sql.NVarChar(1000), fullPath)
-      .query(`
-        INSERT INTO Folders (Name, ParentId, FullPath)
-        OUTPUT INSERTED.*
-        VALUES (@Name, @ParentId, @FullPath);
-      `);
+app.get("/api/tags", async (req, res) => {
+  try {
+    res.json(await store.listTags());
+  } catch (err) {
+    console.error("GET /api/tags error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
 
-    res.status(201).json(r.recordset[0]);
+app.post("/api/tags/:id/color", requireRole("editor"), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { colorHex } = req.body || {};
+  if (!colorHex || !/^#[0-9a-fA-F]{6}$/.test(colorHex)) {
+    return res.status(400).json({ error: "Invalid color" });
+  }
+  try {
+    await store.updateTag(id, { colorHex });
+    publish(tagsChange());
+    res.json({ ok: true });
   } catch (err) {
-    console.error("POST /api/folders error", err);
-    res.status(500).json({ error: "Failed to create folder" });
+    console.error("POST /api/tags/:id/color error", err);
+    res.status(500).json({ error: "Failed" });
   }
 });
 
-app.delete("/api/folder/:id", async (req, res) => {
+// PATCH { name?, colorHex?, parentId?, groupId?, regenerateSlug? }: parentId null makes it a
+// top-level tag, groupId null takes it (and the tags below) out of its group, regenerateSlug
+// makes its slug follow the new name. A changed slug is rewritten below the tag as well, and
+// the old one is kept as an alias.
+app.patch("/api/tags/:id", requireRole("editor"), async (req, res) => {
   const id = parseInt(req.params.id, 10);
+  const body = req.body || {};
+  const { name, colorHex } = body;
   if (!id) return res.status(400).json({ error: "Invalid id" });
-
+  if (colorHex != null && colorHex !== "" && !/^#[0-9a-fA-F]{6}$/.test(colorHex)) {
+    return res.status(400).json({ error: "Invalid color" });
+  }
   try {
-    const pool = await getPool();
-
-    const folderRes = await pool
-      .request()
-      .input("Id", sql.Int, id)
-      .query("SELECT * FROM Folders WHERE Id=@Id");
-
-    if (!folderRes.recordset.length) {
-      return res.status(404).json({ error: "Folder not found" });
+    let tag = await store.getTag(id);
+    if (!tag) return res.status(404).json({ error: "Tag not found" });
+
+    let parentId = tag.ParentId;
+    let prefix = tag.Slug.slice(0, tag.Slug.lastIndexOf("/") + 1);
+    let parentGroupId;
+    if (body.parentId !== undefined) {
+      parentId = body.parentId ? parseInt(body.parentId, 10) : null;
+      const parent = parentId ? await store.getTag(parentId) : null;
+      if (parentId && !parent) return res.status(400).json({ error: "Parent tag not found" });
+      if (parent && (parent.Slug === tag.Slug || parent.Slug.startsWith(tag.Slug + "/"))) {
+        return res.status(400).json({ error: "A tag can't go below itself" });
+      }
+      prefix = parent ? parent.Slug + "/" : "";
+      parentGroupId = parent ? parent.GroupId : undefined;
     }
-
-    const folder = folderRes.recordset[0];
-    const phys = fullPathToPhysical(folder.FullPath);
-
-    await pool
-      .request()
-      .input("FullPathPrefix", sql.NVarChar(1000), folder.FullPath + "%")
-      .query(`
-        DELETE FT
-        FROM FileTags FT
-        WHERE FT.FileId IN (
-          SELECT Id FROM Files WHERE FolderId IN (
-            SELECT Id FROM Folders WHERE FullPath LIKE @FullPathPrefix
-          )
-        );
-
-        DELETE FROM Files WHERE FolderId IN (
-          SELECT Id FROM Folders WHERE FullPath LIKE @FullPathPrefix
-        );
-
-        DELETE FROM Folders WHERE FullPath LIKE @FullPathPrefix;
-      `);
-
-    // delete folder asynchronously in background
-    jobQueue.enqueue(async () => {
-      try {
-        await fsPromises.rm(phys, { recursive: true, force: true });
-        console.log("Cleanup: removed folder", phys);
-      } catch (err) {
-        console.error("Cleanup error for folder", phys, err);
+    // a "/" in the name doesn't nest here: that is what parentId is for
+    const part = body.regenerateSlug ? slugifyTagName(String(name || tag.Name).replace(/\//g, " ")) : tag.Slug.split("/").pop();
+    if (!part) return res.status(400).json({ error: "Name required" });
+
+    let move = null;
+    const toSlug = prefix + part;
+    if (toSlug !== tag.Slug) {
+      if (toSlug.length > TAG_SLUG_MAX) return res.status(400).json({ error: "Tag path is too long" });
+      if (await store.getTagBySlug(toSlug)) return res.status(409).json({ error: `A tag "${toSlug}" already exists` });
+      const alias = await store.getTagAlias(toSlug);
+      if (alias && alias.TagId !== id) return res.status(409).json({ error: `"${toSlug}" is an alias of another tag` });
+      move = { parentId, fromSlug: tag.Slug, toSlug, groupId: parentGroupId };
+    }
+    const groupId = body.groupId !== undefined ? await groupIdFromBody(body.groupId) : undefined;
+    if (body.groupId !== undefined && groupId === undefined) return res.status(400).json({ error: "Group not found" });
+
+    await store.transaction(async (tx) => {
+      await store.updateTag(id, { name, colorHex }, tx);
+      if (move) {
+        await store.moveTagTree(id, move, tx);
+        await store.addTagAlias(id, tag.Slug, tx);
+        await store.dropShadowedTagAliases(tx);
       }
+      if (groupId !== undefined) await store.setTagTreeGroup(move ? move.toSlug : tag.Slug, groupId, tx);
     });
-
-    res.json({ ok: true });
+    tag = await store.getTag(id);
+    publish(tagsChange());
+    res.json(tag);
   } catch (err) {
-    console.error("DELETE /api/folder/:id error", err);
+    console.error("PATCH /api/tags/:id error", err);
     res.status(500).json({ error: "Failed" });
   }
 });
 
-/* ============================================================
-   FILE DISCOVERY: scan disk folder, find new files, add to DB
-============================================================ */
-async function discoverAndAddNewFiles(folderId, folderPath) {
+// Create a new tag: { name, colorHex?, parentId?, groupId? }; a name like "School/Math" creates
+// the tags along the path that are missing. 409 when the tag (or an alias of that slug) exists.
+app.post("/api/tags", requireRole("editor"), async (req, res) => {
+  const { name, colorHex, parentId } = req.body || {};
+  if (!name || !name.trim()) return res.status(400).json({ error: "Name required" });
+  if (colorHex != null && colorHex !== "" && !/^#[0-9a-fA-F]{6}$/.test(colorHex)) {
+    return res.status(400).json({ error: "Invalid color" });
+  }
   try {
-    const pool = await getPool();
-    const phys = fullPathToPhysical(folderPath);
-
-    // Check if folder exists on disk
-    try {
-      await fsPromises.access(phys);
-    } catch {
-      return; // folder doesn't exist on disk, skip
+    const parent = parentId ? await store.getTag(parseInt(parentId, 10)) : null;
+    if (parentId && !parent) return res.status(400).json({ error: "Parent tag not found" });
+    const groupId = req.body.groupId != null ? await groupIdFromBody(req.body.groupId) : null;
+    if (groupId === undefined) return res.status(400).json({ error: "Group not found" });
+
+    const names = [...(parent ? parent.Slug.split("/") : []), ...name.split("/")];
+    const slug = names.map(slugifyTagName).filter(Boolean).join("/");
+    const existing = await store.getTagBySlug((await store.resolveTagSlugs([slug])).get(slug));
+    if (existing) {
+      const error = existing.Slug === slug ? `A tag "${slug}" already exists` : `"${slug}" is an alias of "${existing.Slug}"`;
+      return res.status(409).json({ error, tagId: existing.Id });
     }
+    // generate color if not provided
+    const color = colorHex && colorHex !== "" ? colorHex : randomTagColor();
+    const tag = await store.transaction((tx) => ensureTagPath(names, { colorHex: color, groupId }, tx));
+    publish(tagsChange());
+    res.status(201).json(tag);
+  } catch (err) {
+    if (err instanceof TagPathError) return res.status(400).json({ error: err.message });
+    console.error("POST /api/tags error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
 
-    // List all files currently in DB for this folder
-    const dbFiles = await pool
-      .request()
-      .input("FolderId", sql.Int, folderId)
-      .query("SELECT StoragePath FROM Files WHERE FolderId=@FolderId;");
-
-    const dbPaths = new Set(dbFiles.recordset.map(f => f.StoragePath));
-
-    // Scan disk directory for files
-    let entries = [];
-    try {
-      entries = await fsPromises.readdir(phys, { withFileTypes: true });
-    } catch (err) {
-      console.error("Error reading directory", phys, err);
-      return;
+// POST { sourceIds }: fold the source tags into this one in one transaction (see store.mergeTags).
+// The tags below a source move below this tag; if one's slug is taken there, merge those first.
+app.post("/api/tags/:id/merge", requireRole("editor"), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const sourceIds = [...new Set([].concat((req.body || {}).sourceIds || []).map((x) => parseInt(x, 10)))].filter((x) => x && x !== id);
+  if (!id) return res.status(400).json({ error: "Invalid id" });
+  if (!sourceIds.length) return res.status(400).json({ error: "sourceIds required" });
+  try {
+    const target = await store.getTag(id);
+    if (!target) return res.status(404).json({ error: "Tag not found" });
+    const sources = [];
+    for (const sourceId of sourceIds) {
+      const source = await store.getTag(sourceId);
+      if (!source) return res.status(404).json({ error: `Tag ${sourceId} not found` });
+      sources.push(source);
+    }
+    const within = (slug, top) => slug === top || slug.startsWith(top + "/");
+    for (const source of sources) {
+      if (within(target.Slug, source.Slug)) return res.status(400).json({ error: "A tag can't be merged into a tag below it" });
+      if (sources.some((o) => o !== source && within(o.Slug, source.Slug))) {
+        return res.status(400).json({ error: `"${source.Slug}" holds another of the tags to merge` });
+      }
     }
 
-    // Filter to files only (not subdirectories)
-    const diskFiles = entries
-      .filter(entry => entry.isFile())
-      .map(entry => ({
-        name: entry.name,
-        path: path.join(phys, entry.name).replace(/\\/g, "/"),
-      }));
-
-    // Find new files (on disk but not in DB)
-    const newFiles = diskFiles.filter(df => !dbPaths.has(df.path));
-
-    // Insert new files into DB
-    for (const nf of newFiles) {
-      try {
-        const stat = await fsPromises.stat(nf.path);
-        const size = stat.size || 0;
-        const mime = "application/octet-stream"; // default mime type
-
-        await pool
-          .request()
-          .input("FolderId", sql.Int, folderId)
-          .input("Name", sql.NVarChar(255), nf.name)
-          .input("StoragePath", sql.NVarChar(1000), nf.path)
-          .input("SizeBytes", sql.BigInt, size)
-          .input("MimeType", sql.NVarChar(255), mime)
-          .query(`
-            INSERT INTO Files (FolderId, Name, StoragePath, SizeBytes, MimeType)
-            VALUES (@FolderId, @Name, @StoragePath, @SizeBytes, @MimeType);
-          `);
-
-        console.log("Discovered new file:", nf.path);
-      } catch (err) {
-        console.error("Error inserting discovered file", nf.path, err);
+    // the slugs the tags below the sources get
+    const tags = await store.listTags();
+    const taken = new Set(tags.map((t) => t.Slug));
+    for (const source of sources) {
+      for (const t of tags.filter((x) => x.Slug.startsWith(source.Slug + "/"))) {
+        const toSlug = target.Slug + t.Slug.slice(source.Slug.length);
+        if (toSlug.length > TAG_SLUG_MAX) return res.status(400).json({ error: `"${toSlug}" would be too long` });
+        if (taken.has(toSlug)) return res.status(409).json({ error: `"${toSlug}" exists: merge "${t.Slug}" into it first` });
+        taken.add(toSlug);
       }
     }
+
+    await store.transaction(async (tx) => {
+      await store.mergeTags(target, sources, tx);
+      await store.dropShadowedTagAliases(tx);
+    });
+    publish(tagsChange());
+    res.json(await store.getTag(id));
   } catch (err) {
-    console.error("discoverAndAddNewFiles error", err);
+    console.error("POST /api/tags/:id/merge error", err);
+    res.status(500).json({ error: "Failed" });
   }
-}
+});
+
+app.get("/api/tags/:id/aliases", async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) return res.status(400).json({ error: "Invalid id" });
+  try {
+    res.json(await store.listTagAliases(id));
+  } catch (err) {
+    console.error("GET /api/tags/:id/aliases error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+// POST { name }: "Kitty" makes "kitty" find this tag in filters and uploads
+app.post("/api/tags/:id/aliases", requireRole("editor"), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const slug = slugifyTagName((req.body || {}).name || "");
+  if (!id) return res.status(400).json({ error: "Invalid id" });
+  if (!slug) return res.status(400).json({ error: "Name required" });
+  if (slug.length > TAG_SLUG_MAX) return res.status(400).json({ error: "Alias is too long" });
+  try {
+    if (!(await store.getTag(id))) return res.status(404).json({ error: "Tag not found" });
+    if (await store.getTagBySlug(slug)) return res.status(409).json({ error: `A tag "${slug}" already exists` });
+    if (await store.getTagAlias(slug)) return res.status(409).json({ error: `"${slug}" is already an alias` });
+    const alias = await store.addTagAlias(id, slug);
+    publish(tagsChange());
+    res.status(201).json(alias);
+  } catch (err) {
+    console.error("POST /api/tags/:id/aliases error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+app.delete("/api/tags/:id/aliases/:aliasId", requireRole("editor"), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const aliasId = parseInt(req.params.aliasId, 10);
+  if (!id || !aliasId) return res.status(400).json({ error: "Invalid id" });
+  try {
+    const alias = (await store.listTagAliases(id)).find((a) => a.Id === aliasId);
+    if (!alias) return res.status(404).json({ error: "Alias not found" });
+    await store.deleteTagAlias(aliasId);
+    publish(tagsChange());
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("DELETE /api/tags/:id/aliases/:aliasId error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+// DELETE moves the tag, and the tags below it, to the trash (file/folder links are kept for a restore)
+app.delete("/api/tags/:id", requireRole("editor"), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) return res.status(400).json({ error: "Invalid id" });
+  try {
+    const tag = await store.getTag(id);
+    if (!tag) return res.status(404).json({ error: "Tag not found" });
+    const entry = await moveTagToTrash(tag);
+    res.json({ ok: true, trashId: entry.Id });
+  } catch (err) {
+    console.error("DELETE /api/tags/:id error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
 
 /* ============================================================
-   RECURSIVE SYNC: discover folders/files on disk (recursive),
-   add missing DB entries and remove DB rows for deleted items.
-   Runs in background (queued).
+   TAG GROUPS: categories of tags ("Project", "Status", ...). In an
+   exclusive group an item carries one tag at most: adding one takes
+   the others of the group off, setting two is refused.
 ============================================================ */
-async function discoverAndSyncFolderRecursive(folderId, folderFullPath) {
+app.get("/api/tag-groups", async (req, res) => {
   try {
-    const pool = await getPool();
-    const physBase = fullPathToPhysical(folderFullPath);
+    res.json(await store.listTagGroups());
+  } catch (err) {
+    console.error("GET /api/tag-groups error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
 
-    // If folder doesn't exist on disk, nothing to do
-    try {
-      await fsPromises.access(physBase);
-    } catch {
-      return;
-    }
+app.post("/api/tag-groups", requireRole("editor"), async (req, res) => {
+  const name = String((req.body || {}).name || "").trim();
+  if (!name) return res.status(400).json({ error: "Name required" });
+  try {
+    const group = await store.createTagGroup({ name, exclusive: !!req.body.exclusive });
+    publish(tagsChange());
+    res.status(201).json(group);
+  } catch (err) {
+    console.error("POST /api/tag-groups error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+// PATCH { name?, exclusive? }; making a group exclusive leaves items that already have several of its tags as they are
+app.patch("/api/tag-groups/:id", requireRole("editor"), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const body = req.body || {};
+  const name = body.name != null ? String(body.name).trim() : null;
+  if (!id) return res.status(400).json({ error: "Invalid id" });
+  if (name === "") return res.status(400).json({ error: "Name required" });
+  try {
+    if (!(await store.getTagGroup(id))) return res.status(404).json({ error: "Group not found" });
+    const group = await store.updateTagGroup(id, { name, exclusive: body.exclusive != null ? !!body.exclusive : null });
+    publish(tagsChange());
+    res.json(group);
+  } catch (err) {
+    console.error("PATCH /api/tag-groups/:id error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+// the group's tags stay, ungrouped
+app.delete("/api/tag-groups/:id", requireRole("editor"), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) return res.status(400).json({ error: "Invalid id" });
+  try {
+    if (!(await store.getTagGroup(id))) return res.status(404).json({ error: "Group not found" });
+    await store.deleteTagGroup(id);
+    publish(tagsChange());
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("DELETE /api/tag-groups/:id error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+/* ============================================================
+   FOLDERS
+============================================================ */
+app.get("/api/root-folder", async (req, res) => {
+  try {
+    const root = await ensureRootFolder();
+    res.json({ ...root, Access: await accessTo(req, root.FullPath) });
+  } catch (err) {
+    console.error("GET /api/root-folder error", err);
+    res.status(500).json({ error: "Failed to get root folder" });
+  }
+});
 
-    // Fetch existing folders under the prefix (FullPath LIKE prefix%)
-    const folderPrefix = folderFullPath.endsWith("/") ? folderFullPath + "%" : folderFullPath + "%";
-    const folderRows = await pool
-      .request()
-      .input("Prefix", sql.NVarChar(1000), folderPrefix)
-      .query("SELECT Id, FullPath, ParentId FROM Folders WHERE FullPath LIKE @Prefix;");
+/* ============================================================
+   LIST FOLDERS (rows whose folder is gone from disk are left out
+   until the reconcile pass drops them)
+============================================================ */
+app.get("/api/folders", async (req, res) => {
+  const parentId = req.query.parentId ? parseInt(req.query.parentId, 10) : null;
 
-    const existingFolderMap = new Map(); // fullPath -> { Id, ParentId }
-    for (const r of folderRows.recordset) existingFolderMap.set(r.FullPath, { Id: r.Id, ParentId: r.ParentId });
+  try {
+    const query = await listQueryFromRequest(req);
 
-    // Collect folder IDs under prefix to query files
-    const folderIds = folderRows.recordset.map(r => r.Id);
-    // Query existing files under those folders
-    let existingFilesMap = new Map(); // storagePath -> { Id, FolderId }
-    if (folderIds.length > 0) {
-      const idsCsv = folderIds.join(",");
-      const rFiles = await pool.request().query(`SELECT Id, StoragePath, FolderId FROM Files WHERE FolderId IN (${idsCsv});`);
-      for (const rf of rFiles.recordset) existingFilesMap.set(String(rf.StoragePath), { Id: rf.Id, FolderId: rf.FolderId });
+    // determine parent full path
+    let parentFullPath = "/root";
+    if (parentId) {
+      const parent = await store.getFolder(parentId);
+      if (parent) parentFullPath = parent.FullPath;
     }
+    if (!(await checkAccess(req, res, parentFullPath, "traverse", "Folder not found"))) return;
 
-    // Walk disk recursively to collect seen folders and files
-    const seenFolders = new Set();
-    const seenFiles = new Set();
+    // TagInfo = own tags, InheritedTagInfo = tags from ancestor folders (both Name|ColorHex|Slug,...)
+    const rows = await store.listChildFolders(parentId, { query, inherit: inheritFromRequest(req), acl: aclFor(req) });
 
-    async function walkDir(dir) {
-      let entries;
-      try {
-        entries = await fsPromises.readdir(dir, { withFileTypes: true });
-      } catch (e) {
-        return;
-      }
-      for (const ent of entries) {
-        const fullPath = path.join(dir, ent.name);
-        const rel = path.relative(UPLOAD_ROOT, fullPath).replace(/\\/g, "/"); // e.g. "root/sub"
-        const logicalFullPath = "/" + rel;
-        if (ent.isDirectory()) {
-          seenFolders.add(logicalFullPath);
-          await walkDir(fullPath);
-        } else if (ent.isFile()) {
-          // normalize stored StoragePath to forward slashes (DB uses forward slashes)
-          seenFiles.add(fullPath.replace(/\\/g, "/"));
-        }
-      }
-    }
+    const existing = rows.filter((row) => fs.existsSync(fullPathToPhysical(row.FullPath)));
+
+    res.json(await withAccess(req, existing));
+  } catch (err) {
+    if (err instanceof TagQueryError) return res.status(400).json(queryErrorBody(err));
+    console.error("GET /api/folders error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
 
-    await walkDir(physBase);
+app.get("/api/folder/:id", async (req, res) => {
+  try {
+    const folder = await loadFolder(req, res, "traverse");
+    if (!folder) return;
 
-    // Ensure base folder is included (physBase corresponds to folderFullPath)
-    seenFolders.add(folderFullPath);
+    const crumbs = (await store.folderBreadcrumbs([folder.FullPath])).get(folder.FullPath) || [];
+    res.json({ ...folder, Breadcrumb: crumbs });
+  } catch (err) {
+    console.error("GET /api/folder/:id error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
 
-    // INSERT missing folders (top-down)
-    // We need to process seenFolders in order of path depth so parents exist first.
-    const seenArr = Array.from(seenFolders);
-    seenArr.sort((a, b) => a.split("/").length - b.split("/").length);
+app.post("/api/folders", async (req, res) => {
+  const { parentId } = req.body || {};
+  const name = String((req.body || {}).name || "").trim();
 
-    for (const fFull of seenArr) {
-      if (existingFolderMap.has(fFull)) continue;
-      // compute parentFullPath
-      const idx = fFull.lastIndexOf("/");
-      const parentFull = idx > 0 ? fFull.slice(0, idx) : null;
-      const name = fFull.split("/").pop() || fFull;
-      const parentEntry = parentFull ? existingFolderMap.get(parentFull) : null;
-      const parentIdForInsert = parentEntry ? parentEntry.Id : (folderId || null);
+  if (!name) {
+    return res.status(400).json({ error: "Folder name required" });
+  }
+  // one path segment: "../x" would land outside the parent (and its grants)
+  if (!validItemName(name)) return res.status(400).json({ error: `Invalid name "${name}"` });
 
-      try {
-        const ins = await pool
-          .request()
-          .input("Name", sql.NVarChar(255), name)
-          .input("ParentId", sql.Int, parentIdForInsert)
-          .input("FullPath", sql.NVarChar(1000), fFull)
-          .query(`
-            INSERT INTO Folders (Name, ParentId, FullPath)
-            OUTPUT INSERTED.*
-            VALUES (@Name, @ParentId, @FullPath);
-          `);
-        const newRow = ins.recordset[0];
-        existingFolderMap.set(fFull, { Id: newRow.Id, ParentId: newRow.ParentId });
-        // add new folder id to list for file queries later
-        folderIds.push(newRow.Id);
-      } catch (err) {
-        console.error("Error inserting discovered folder", fFull, err);
-      }
+  try {
+    // no parentId: a folder at the top level
+    const parent = parentId ? await store.getFolder(parentId) : await ensureRootFolder();
+    if (!parent) {
+      return res.status(400).json({ error: "Parent not found" });
     }
+    if (!(await checkAccess(req, res, parent.FullPath, "edit", "Parent not found"))) return;
 
-    // Re-query existing files map for up-to-date folderIds (in case we added folders)
-    existingFilesMap = new Map();
-    if (folderIds.length > 0) {
-      const idsCsv2 = folderIds.join(",");
-      const rFiles2 = await pool.request().query(`SELECT Id, StoragePath, FolderId FROM Files WHERE FolderId IN (${idsCsv2});`);
-      for (const rf of rFiles2.recordset) existingFilesMap.set(String(rf.StoragePath), { Id: rf.Id, FolderId: rf.FolderId });
-    }
-
-    // INSERT missing files
-    for (const filePath of seenFiles) {
-      if (existingFilesMap.has(filePath)) continue;
-      // determine folder fullPath for this file
-      const dir = path.dirname(filePath);
-      const rel = path.relative(UPLOAD_ROOT, dir).replace(/\\/g, "/"); // 'root/...'
-      const folderFull = "/" + rel;
-      const folderEntry = existingFolderMap.get(folderFull);
-      if (!folderEntry) {
-        // Shouldn't happen because we inserted folders above, but skip if missing
-        console.warn("Missing folder for file, skipping:", filePath, "folderFull:", folderFull);
-        continue;
-      }
-      try {
-        const stat = await fsPromises.stat(filePath);
-        const size = stat.size || 0;
-        const name = path.basename(filePath);
-        await pool
-          .request()
-          .input("FolderId", sql.Int, folderEntry.Id)
-          .input("Name", sql.NVarChar(255), name)
-          .input("StoragePath", sql.NVarChar(1000), filePath.replace(/\\/g, "/"))
-          .input("SizeBytes", sql.BigInt, size)
-          .input("MimeType", sql.NVarChar(255), "application/octet-stream")
-          .query(`
-            INSERT INTO Files (FolderId, Name, StoragePath, SizeBytes, MimeType)
-            VALUES (@FolderId, @Name, @StoragePath, @SizeBytes, @MimeType);
-          `);
-        // optional: log
-        console.log("Discovered and inserted file:", filePath);
-      } catch (err) {
-        console.error("Error inserting discovered file", filePath, err);
-      }
+    const parentDbId = parent.Id;
+    const fullPath = `${parent.FullPath}/${name}`;
+    const physical = fullPathToPhysical(fullPath);
+    if ((await store.getFolderByPath(fullPath)) || fs.existsSync(physical)) {
+      return res.status(409).json({ error: `"${name}" already exists` });
     }
 
-    // CLEANUP: delete DB files that no longer exist on disk
-    // Get existing DB files under the prefix
-    const rExistsFiles = await pool
-      .request()
-      .input("FolderPrefix", sql.NVarChar(1000), folderPrefix)
-      .query(`
-        SELECT f.Id, f.StoragePath
-        FROM Files f
-        INNER JOIN Folders fo ON fo.Id = f.FolderId
-        WHERE fo.FullPath LIKE @FolderPrefix;
-      `);
-    for (const rf of rExistsFiles.recordset) {
-      const sp = String(rf.StoragePath);
-      if (!seenFiles.has(sp)) {
-        // enqueue cleanup
-        const fileId = rf.Id;
-        jobQueue.enqueue(async () => {
-          try {
-            const p = await getPool();
-            await p
-              .request()
-              .input("FileId", sql.Int, fileId)
-              .query(`
-                DELETE FROM FileTags WHERE FileId=@FileId;
-                DELETE FROM Files WHERE Id=@FileId;
-              `);
-            console.log("Removed DB file for missing disk file:", fileId);
-          } catch (err) {
-            console.error("Error cleaning missing DB file", fileId, err);
-          }
-        });
-      }
+    const folder = await fileOp("create-folder", async (tx, op) => {
+      await op.mkdir(physical);
+      const folder = await store.createFolder({ name, parentId: parentDbId, fullPath }, tx);
+      op.notify(folderChange("added", { id: folder.Id, parentId: folder.ParentId, fullPath }));
+      return folder;
+    });
+
+    res.status(201).json(folder);
+  } catch (err) {
+    console.error("POST /api/folders error", err);
+    res.status(500).json({ error: "Failed to create folder" });
+  }
+});
+
+app.delete("/api/folder/:id", async (req, res) => {
+  try {
+    const folder = await loadFolder(req, res, "edit");
+    if (!folder) return;
+
+    if (folder.ParentId == null) {
+      return res.status(400).json({ error: "Cannot delete the root folder" });
+    }
+    // the whole subtree goes, so no folder below may have a narrower grant
+    if (!subtreeAccess(req.user, await userGrants(req), folder.FullPath, "edit")) {
+      return res.status(403).json({ error: "Permission denied for some folders inside" });
     }
 
-    // CLEANUP: delete DB folders that no longer exist on disk
-    const rExistsFolders = await pool
-      .request()
-      .input("Prefix", sql.NVarChar(1000), folderPrefix)
-      .query(`SELECT Id, FullPath FROM Folders WHERE FullPath LIKE @Prefix;`);
-    for (const rf of rExistsFolders.recordset) {
-      if (!seenFolders.has(rf.FullPath)) {
-        const folderIdToDel = rf.Id;
-        jobQueue.enqueue(async () => {
-          try {
-            const p = await getPool();
-            await p
-              .request()
-              .input("FolderId", sql.Int, folderIdToDel)
-              .query(`
-                DELETE FROM FileTags WHERE FileId IN (SELECT Id FROM Files WHERE FolderId=@FolderId);
-                DELETE FROM Files WHERE FolderId=@FolderId;
-                DELETE FROM Folders WHERE Id=@FolderId;
-              `);
-            console.log("Removed DB folder for missing disk folder:", rf.FullPath);
-          } catch (err) {
-            console.error("Error cleaning missing DB folder", rf.FullPath, err);
-          }
-        });
-      }
+    // moves the whole subtree (DB + disk) to the trash
+    const entry = await moveFolderToTrash(folder);
+    res.json({ ok: true, trashId: entry.Id });
+  } catch (err) {
+    console.error("DELETE /api/folder/:id error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+// PATCH to rename folder: FullPath of the folder and everything below, StoragePath of the files
+// inside and the directory on disk change together (one file operation, see FILE OPS)
+app.patch("/api/folder/:id", async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const name = String((req.body || {}).name || "").trim();
+  if (!id) return res.status(400).json({ error: "Invalid id" });
+  if (!name) return res.status(400).json({ error: "Name required" });
+  if (!validItemName(name)) return res.status(400).json({ error: `Invalid name "${name}"` });
+
+  try {
+    const folder = await loadFolder(req, res, "edit");
+    if (!folder) return;
+    if (folder.ParentId == null) return res.status(400).json({ error: "Cannot rename the root folder" });
+    if (name === folder.Name) return res.json(folder);
+
+    const newFull = `${path.posix.dirname(folder.FullPath)}/${name}`;
+    const from = fullPathToPhysical(folder.FullPath);
+    const to = fullPathToPhysical(newFull);
+    // a rename that only changes case finds the folder itself
+    if (await occupant({ kind: "folder", id, folder }, newFull, to, new Set(), { allowSelf: true })) {
+      return res.status(409).json({ error: `"${name}" already exists` });
     }
+
+    await fileOp("rename", async (tx, op) => {
+      await store.moveFolderTree(
+        id,
+        {
+          parentId: folder.ParentId,
+          name,
+          fromPath: folder.FullPath,
+          toPath: newFull,
+          fromPhysical: toStoragePath(from),
+          toPhysical: toStoragePath(to),
+        },
+        tx
+      );
+      await op.move(from, to);
+      op.notify(
+        folderChange("moved", {
+          id,
+          parentId: folder.ParentId,
+          fullPath: newFull,
+          fromParentId: folder.ParentId,
+          fromPath: folder.FullPath,
+        })
+      );
+    });
+
+    res.json(await store.getFolder(id));
+  } catch (err) {
+    console.error("PATCH /api/folder/:id error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+// GET download folder as zip (streams zip). Requires 'archiver' package.
+app.get("/download-folder/:id", async (req, res) => {
+  try {
+    const folder = await loadFolder(req, res, "view");
+    if (!folder) return;
+
+    await sendFolderZip(res, folder, req.user, await userGrants(req));
   } catch (err) {
-    console.error("discoverAndSyncFolderRecursive error", err);
+    console.error("GET /download-folder/:id error", err);
+    res.status(500).end();
+  }
+});
+
+// stream a folder as a zip; subfolders `user` can't read (per `grants`) are left out
+async function sendFolderZip(res, folder, user, grants) {
+  const phys = fullPathToPhysical(folder.FullPath);
+
+  try {
+    await fsPromises.access(phys);
+  } catch {
+    return res.status(404).send("Folder not found on disk");
+  }
+
+  let archiver;
+  try {
+    archiver = require("archiver");
+  } catch (e) {
+    console.error("archiver module not installed:", e);
+    return res.status(500).send("Server missing 'archiver' module. Install with: npm install archiver");
   }
+
+  const zipName = (folder.Name || "folder") + ".zip";
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader("Content-Disposition", contentDisposition("attachment", zipName));
+
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  archive.on("error", (err) => {
+    console.error("Archive error", err);
+    try { res.status(500).end(); } catch (e) {}
+  });
+
+  archive.pipe(res);
+  // append directory contents; second arg false to avoid nesting with full path.
+  // Subfolders the user can't read are left out.
+  archive.directory(phys, false, (entry) => {
+    const rel = entry.name.replace(/\\/g, "/");
+    if (entry.stats && entry.stats.isDirectory()) {
+      return atLeast(folderAccess(user, grants, `${folder.FullPath}/${rel}`), "traverse") ? entry : false;
+    }
+    const dir = path.posix.dirname(rel);
+    const dirPath = dir === "." ? folder.FullPath : `${folder.FullPath}/${dir}`;
+    return atLeast(folderAccess(user, grants, dirPath), "view") ? entry : false;
+  });
+  archive.finalize();
 }
 
 /* ============================================================
-   LIST FILES (with auto cleanup if missing on disk)
-   (enqueue recursive sync instead of shallow discovery)
+   ZIP: selected files and folders, or every file matching a search,
+   as one streamed zip. Folder structure below the selection (or the
+   search scope) is kept; manifest=1 adds manifest.json with each
+   entry's tags.
 ============================================================ */
-app.get("/api/files", async (req, res) => {
-  const folderId = req.query.folderId ? parseInt(req.query.folderId, 10) : null;
-  const search = req.query.search || null;
+const ZIP_MANIFEST_NAME = "manifest.json";
 
-  const tagSlugs = (req.query.tags || "")
-    .split(",")
-    .map((x) => x.trim())
-    .filter(Boolean);
+// ids from a JSON array or a comma separated form field
+function parseIdList(value) {
+  const items = Array.isArray(value) ? value : String(value || "").split(",");
+  return Array.from(new Set(items.map((x) => parseInt(x, 10)).filter((id) => id > 0)));
+}
+
+// tag names from a TagInfo string (Name|ColorHex|Slug,...)
+function tagNames(tagInfo) {
+  return tagInfo ? String(tagInfo).split(",").map((t) => t.split("|")[0]).filter(Boolean) : [];
+}
+
+// path of a file below basePath inside the zip, with `prefix` (a folder name) in front
+function zipEntryPath(row, basePath, prefix = "") {
+  const rel = row.FolderPath === basePath ? "" : row.FolderPath.slice(basePath.length + 1);
+  return [prefix, rel, row.Name].filter(Boolean).join("/");
+}
 
+// "name", "name (2)", ... so entries don't overwrite each other
+function uniqueZipPath(wanted, used) {
+  let candidate = wanted;
+  const dot = wanted.lastIndexOf(".");
+  const stem = dot > wanted.lastIndexOf("/") + 1 ? wanted.slice(0, dot) : wanted;
+  const ext = stem === wanted ? "" : wanted.slice(dot);
+  for (let n = 2; used.has(candidate.toLowerCase()) || candidate === ZIP_MANIFEST_NAME; n++) candidate = `${stem} (${n})${ext}`;
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+// stream `entries` ([{ path, row }] with searchFiles rows) as zipName; files missing on disk are left out
+async function sendFilesZip(res, zipName, entries, { manifest = false } = {}) {
+  let archiver;
   try {
-    const pool = await getPool();
+    archiver = require("archiver");
+  } catch (e) {
+    console.error("archiver module not installed:", e);
+    return res.status(500).send("Server missing 'archiver' module. Install with: npm install archiver");
+  }
 
-    // Get folder path for discovery/sync
-    let folderPath = "/root";
-    if (folderId) {
-      const folderRes = await pool
-        .request()
-        .input("FolderId", sql.Int, folderId)
-        .query("SELECT FullPath FROM Folders WHERE Id=@FolderId;");
-      if (folderRes.recordset.length) {
-        folderPath = folderRes.recordset[0].FullPath;
-      }
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader("Content-Disposition", contentDisposition("attachment", zipName));
+
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  archive.on("error", (err) => {
+    console.error("Archive error", err);
+    try { res.status(500).end(); } catch (e) {}
+  });
+  archive.pipe(res);
+  // client went away: stop reading files
+  res.once("close", () => {
+    if (!res.writableFinished) archive.abort();
+  });
+
+  const used = new Set();
+  const listed = [];
+  for (const { path: wanted, row } of entries) {
+    if (res.destroyed) return;
+    const stat = await fsPromises.stat(row.StoragePath).catch(() => null);
+    if (!stat || !stat.isFile()) continue;
+    const name = uniqueZipPath(wanted, used);
+    archive.file(row.StoragePath, { name, date: stat.mtime });
+    listed.push({
+      path: name,
+      size: stat.size,
+      mimeType: row.MimeType || null,
+      modified: stat.mtime.toISOString(),
+      tags: tagNames(row.TagInfo),
+      inheritedTags: tagNames(row.InheritedTagInfo),
+    });
+  }
+  if (manifest) {
+    archive.append(JSON.stringify({ createdAt: new Date().toISOString(), entries: listed }, null, 2), {
+      name: ZIP_MANIFEST_NAME,
+    });
+  }
+  archive.finalize();
+}
+
+// POST /api/zip { files: [ids], folders: [ids], manifest } (JSON, or a form post so the browser
+// streams the download): selected files at the top, selected folders with their subtree
+app.post("/api/zip", express.urlencoded({ extended: false }), async (req, res) => {
+  const body = req.body || {};
+  const fileIds = parseIdList(body.files);
+  const folderIds = parseIdList(body.folders);
+  const manifest = body.manifest === true || body.manifest === "1" || body.manifest === "true";
+  if (!fileIds.length && !folderIds.length) return res.status(400).json({ error: "Nothing selected" });
+
+  try {
+    const acl = aclFor(req);
+    const entries = [];
+    const seen = new Set();
+    const add = (path, row) => {
+      if (seen.has(row.Id)) return;
+      seen.add(row.Id);
+      entries.push({ path, row });
+    };
+
+    if (fileIds.length) {
+      const rows = await store.listFilesForZip({ fileIds, acl });
+      if (rows.length !== fileIds.length) return res.status(404).json({ error: "File not found" });
+      rows.forEach((row) => add(row.Name, row));
+    }
+    const folders = [];
+    for (const id of folderIds) {
+      const folder = await store.getFolder(id);
+      if (!folder) return res.status(404).json({ error: "Folder not found" });
+      if (!(await checkAccess(req, res, folder.FullPath, "view", "Folder not found"))) return;
+      folders.push(folder);
     }
+    for (const folder of folders) {
+      // files in subfolders the user can't read are filtered out by the acl
+      const rows = await store.listFilesForZip({ underPath: folder.FullPath, acl });
+      rows.forEach((row) => add(zipEntryPath(row, folder.FullPath, folder.Name), row));
+    }
+
+    const single = !fileIds.length && folders.length === 1 ? folders[0].Name : null;
+    await sendFilesZip(res, `${single || "selection"}.zip`, entries, { manifest });
+  } catch (err) {
+    console.error("POST /api/zip error", err);
+    if (!res.headersSent) res.status(500).json({ error: "Failed" });
+    else res.end();
+  }
+});
+
+// GET /api/zip/search?scope=folder|below|all&folderId=&search=&q=&tags=&inherit=&manifest=1
+// every file the same filter shows (all pages), with paths relative to the searched folder
+app.get("/api/zip/search", async (req, res) => {
+  const scope = ["below", "all"].includes(req.query.scope) ? req.query.scope : "folder";
+  const folderId = req.query.folderId ? parseInt(req.query.folderId, 10) : null;
 
-    // Run recursive sync in background (async, don't wait)
-    jobQueue.enqueue(async () => {
-      await discoverAndSyncFolderRecursive(folderId, folderPath);
+  try {
+    const query = await listQueryFromRequest(req);
+    const folder = folderId ? await store.getFolder(folderId) : await ensureRootFolder();
+    if (!folder) return res.status(404).json({ error: "Folder not found" });
+    const base = scope === "all" ? await ensureRootFolder() : folder;
+    if (!(await checkAccess(req, res, base.FullPath, "traverse", "Folder not found"))) return;
+
+    const rows = await store.listFilesForZip({
+      underPath: scope === "folder" ? null : base.FullPath,
+      folderId: scope === "folder" ? base.Id : null,
+      search: req.query.search || null,
+      query,
+      inherit: inheritFromRequest(req),
+      acl: aclFor(req),
     });
+    const entries = rows.map((row) => ({ path: zipEntryPath(row, base.FullPath), row }));
+    await sendFilesZip(res, `${base.Name || "files"}-search.zip`, entries, { manifest: req.query.manifest === "1" });
+  } catch (err) {
+    if (err instanceof TagQueryError) return res.status(400).json(queryErrorBody(err));
+    console.error("GET /api/zip/search error", err);
+    if (!res.headersSent) res.status(500).json({ error: "Failed" });
+    else res.end();
+  }
+});
+
+/* ============================================================
+   RECONCILE: bring the DB in line with the disk below the root folder.
+   The watcher (watcher.js) queues the directories whose entries changed;
+   a full pass over the tree runs at startup and every
+   RECONCILE_INTERVAL_HOURS as a safety net. An entry that appears is
+   first matched to a row whose path is gone, by DiskId (device:inode) or,
+   for files, by content hash, so items moved or renamed outside the app
+   keep their IDs, tags and shares. Rows still missing are dropped after
+   RECONCILE_DROP_DELAY_MS unless the other half of their move shows up.
+============================================================ */
+// auto (fs.watch, polling where that is not available) | watch | poll | off (full passes only)
+const WATCH_MODE = process.env.WATCH_MODE || "auto";
+const WATCH_POLL_INTERVAL_MS = Number(process.env.WATCH_POLL_INTERVAL_MS || 10000);
+const WATCH_DEBOUNCE_MS = 1000;
+const RECONCILE_INTERVAL_HOURS = Number(process.env.RECONCILE_INTERVAL_HOURS || 6);
+const RECONCILE_DROP_DELAY_MS = 30 * 1000;
+// passes and drops wait while a file op of the app has disk and DB out of step
+const RECONCILE_BUSY_DELAY_MS = 2000;
+// changes listed per kind in a report (the counts cover all of them)
+const RECONCILE_REPORT_ITEMS = 100;
+
+let watcher = null;
+let lastFullReconcile = null;
+
+class ReconcileReport {
+  constructor(full) {
+    this.full = full;
+    this.startedAt = new Date();
+    this.finishedAt = null;
+    this.counts = { added: 0, moved: 0, updated: 0, missing: 0 };
+    this.added = [];
+    this.moved = [];
+    this.updated = [];
+    this.missing = [];
+  }
+
+  note(change, entry) {
+    this.counts[change]++;
+    if (this[change].length < RECONCILE_REPORT_ITEMS) this[change].push(entry);
+  }
+
+  get changed() {
+    return Object.values(this.counts).some(Boolean);
+  }
+
+  summary() {
+    return Object.entries(this.counts)
+      .map(([change, n]) => `${n} ${change}`)
+      .join(", ");
+  }
+}
+
+// "/root/a" for <UPLOAD_ROOT>/root/a
+function physicalToFullPath(physical) {
+  return "/" + path.relative(UPLOAD_ROOT, physical).split(path.sep).join("/");
+}
 
-    // Query files as before
-    const request = pool.request();
+// true when physical is dir or below it
+function physicalWithin(dir, physical) {
+  const rel = path.relative(dir, physical);
+  return !rel.startsWith("..") && !path.isAbsolute(rel);
+}
+
+// "<device>:<inode>" from a bigint stat (inode numbers can pass 2^53)
+function diskIdOf(stat) {
+  return `${stat.dev}:${stat.ino}`;
+}
+
+// remove and return the first row of `rows` that matches
+function takeRow(rows, match) {
+  const i = rows.findIndex(match);
+  return i < 0 ? null : rows.splice(i, 1)[0];
+}
 
-    request.input("FolderId", sql.Int, folderId);
-    request.input("Search", sql.NVarChar(255), search);
+// queue the job again for later while a file op is under way; true when it did
+function deferWhileFileOps(type, payload, dedupKey = null) {
+  if (!activeFileOps.size) return false;
+  jobQueue.enqueue(type, payload, { dedupKey, delayMs: RECONCILE_BUSY_DELAY_MS });
+  return true;
+}
 
-    const tvp = new sql.Table("TagSlugList");
-    tvp.columns.add("Slug", sql.NVarChar(100));
-    tagSlugs.forEach((s) => tvp.rows.add(s));
-    request.input("TagSlugs", tvp);
+// refresh a row whose file is still (or now) at storagePath: DiskId, and hash and inspection
+// when the size changed or they were never done
+async function refreshFile(row, storagePath, stat, report) {
+  const diskId = diskIdOf(stat);
+  if (row.DiskId !== diskId) await store.setFileDiskId(row.Id, diskId);
+  const size = Number(stat.size);
+  const changed = Number(row.SizeBytes) !== size;
+  if (!row.ContentHash || changed) {
+    await store.updateFileContent(row.Id, { sizeBytes: size, contentHash: await hashFile(storagePath) });
+  }
+  if (!row.InspectedAt || changed) await inspectAndSave(row.Id, storagePath, row.Name);
+  if (changed) {
+    report.note("updated", { kind: "file", id: row.Id, path: storagePath });
+    await publishFileChange("changed", row);
+  }
+}
 
-    const r = await request.execute("GetFiles");
+// the first of `rows` whose item is no longer at its path on disk
+function firstGone(rows, physicalOf) {
+  return rows.find((r) => !fs.existsSync(physicalOf(r))) || null;
+}
 
-    const keep = [];
-    const cleanupJobs = [];
+// reconcile the entries of `dirs` (physical paths; new directories below them are walked whole)
+// or, without dirs, the whole tree. Returns the report, or null when it had to wait for file ops.
+async function reconcile(dirs = null) {
+  const report = new ReconcileReport(!dirs);
+  const root = await ensureRootFolder();
+  const rootPhysical = fullPathToPhysical(root.FullPath);
+
+  // entries on disk without a row at their path, rows without an entry at theirs
+  const appeared = { folders: [], files: [] };
+  const missing = { folders: [], files: [] };
+  const scanned = new Set();
+
+  async function scan(dir, folder, recursive) {
+    if (scanned.has(folder.Id)) return;
+    scanned.add(folder.Id);
+    let entries;
+    try {
+      entries = await fsPromises.readdir(dir, { withFileTypes: true });
+    } catch {
+      return; // gone meanwhile: its parent changed too
+    }
+    const files = new Map((await store.listFolderFiles(folder.Id)).map((r) => [r.StoragePath, r]));
+    const subfolders = new Map((await store.listSubfolders(folder.Id)).map((r) => [r.FullPath, r]));
 
-    for (const row of r.recordset) {
-      const phys = row.StoragePath;
+    for (const ent of entries) {
+      if (!ent.isDirectory() && !ent.isFile()) continue;
+      const physical = path.join(dir, ent.name);
       try {
-        await fsPromises.access(phys);
-        keep.push(row);
-      } catch {
-        // file missing on disk, queue cleanup
-        cleanupJobs.push(async () => {
-          const p = await getPool();
-          await p
-            .request()
-            .input("FileId", sql.Int, row.Id)
-            .query(`
-              DELETE FROM FileTags WHERE FileId=@FileId;
-              DELETE FROM Files WHERE Id=@FileId;
-            `);
-          console.log("Cleaned up missing file from DB:", row.Id);
-        });
+        const stat = await fsPromises.stat(physical, { bigint: true });
+        if (ent.isDirectory()) {
+          const fullPath = physicalToFullPath(physical);
+          const row = subfolders.get(fullPath);
+          if (!row) {
+            appeared.folders.push({ physical, fullPath, name: ent.name, parent: folder, stat, recursive });
+            continue;
+          }
+          subfolders.delete(fullPath);
+          if (row.DiskId !== diskIdOf(stat)) await store.setFolderDiskId(row.Id, diskIdOf(stat));
+          if (recursive) await scan(physical, row, true);
+        } else {
+          const storagePath = toStoragePath(physical);
+          const row = files.get(storagePath);
+          if (!row) {
+            appeared.files.push({ storagePath, name: ent.name, folder, stat });
+            continue;
+          }
+          files.delete(storagePath);
+          await refreshFile(row, storagePath, stat, report);
+        }
+      } catch (err) {
+        console.error("Reconcile error at", physical, err);
       }
     }
+    missing.files.push(...files.values());
+    missing.folders.push(...subfolders.values());
+  }
 
-    cleanupJobs.forEach((job) => jobQueue.enqueue(job));
-    res.json(keep);
-  } catch (err) {
-    console.log("GET /api/files error", err);
+  // each changed directory is looked at from the nearest one on disk that has a row; the ones
+  // without a row yet may be inside a folder that moved, and are looked at again once it has
+  const notYet = [];
+  for (const changed of dirs || [rootPhysical]) {
+    if (!physicalWithin(rootPhysical, changed)) continue;
+    let dir = changed;
+    let folder = null;
+    for (;;) {
+      folder = fs.existsSync(dir) ? await store.getFolderByPath(physicalToFullPath(dir)) : null;
+      if (folder || dir === rootPhysical) break;
+      dir = path.dirname(dir);
+    }
+    if (dir !== changed) notYet.push(changed);
+    if (folder) await scan(dir, folder, !dirs);
+  }
+
+  // what the scan saw may be the middle of a move by the app; look again once it is done
+  if (activeFileOps.size) return null;
+
+  // new folders: moved here (the whole subtree follows its row) or created; walked either way
+  // (appeared.folders grows while this runs, so it sees the folders found inside them too)
+  for (const entry of appeared.folders) {
+    try {
+      const diskId = diskIdOf(entry.stat);
+      const byPath = (r) => fullPathToPhysical(r.FullPath);
+      const from =
+        takeRow(missing.folders, (r) => r.DiskId === diskId) ||
+        firstGone(await store.listFoldersByDiskId(diskId), byPath);
+      let row;
+      if (from) {
+        await store.moveFolderTree(from.Id, {
+          parentId: entry.parent.Id,
+          name: entry.name,
+          fromPath: from.FullPath,
+          toPath: entry.fullPath,
+          fromPhysical: toStoragePath(byPath(from)),
+          toPhysical: toStoragePath(entry.physical),
+        });
+        row = { ...from, FullPath: entry.fullPath };
+        report.note("moved", { kind: "folder", id: from.Id, from: from.FullPath, to: entry.fullPath });
+        publish(
+          folderChange("moved", {
+            id: from.Id,
+            parentId: entry.parent.Id,
+            fullPath: entry.fullPath,
+            fromParentId: from.ParentId,
+            fromPath: from.FullPath,
+          })
+        );
+      } else {
+        row = await store.createFolder({ name: entry.name, parentId: entry.parent.Id, fullPath: entry.fullPath, diskId });
+        report.note("added", { kind: "folder", id: row.Id, path: entry.fullPath });
+        publish(folderChange("added", { id: row.Id, parentId: entry.parent.Id, fullPath: entry.fullPath }));
+      }
+      // a moved folder's content came along: only what changed in it is looked at
+      if (!from || entry.recursive) {
+        await scan(entry.physical, row, true);
+      } else {
+        for (const dir of notYet.filter((d) => physicalWithin(entry.physical, d))) {
+          const folder = await store.getFolderByPath(physicalToFullPath(dir));
+          if (folder) await scan(dir, folder, false);
+        }
+      }
+    } catch (err) {
+      console.error("Reconcile error at", entry.physical, err);
+    }
+  }
+
+  // new files: moved here (same DiskId and size, or same content) or added
+  for (const entry of appeared.files) {
+    try {
+      const diskId = diskIdOf(entry.stat);
+      const size = Number(entry.stat.size);
+      const byPath = (r) => r.StoragePath;
+      const sameDisk = (r) => r.DiskId === diskId && Number(r.SizeBytes) === size;
+      let from =
+        takeRow(missing.files, sameDisk) || firstGone((await store.listFilesByDiskId(diskId)).filter(sameDisk), byPath);
+      const hash = from ? null : await hashFile(entry.storagePath);
+      // every empty file has the same hash, so that says nothing about where one came from
+      if (!from && size > 0) {
+        from = takeRow(missing.files, (r) => r.ContentHash === hash) || firstGone(await store.listFilesByHash([hash]), byPath);
+      }
+
+      if (from) {
+        takeRow(missing.files, (r) => r.Id === from.Id);
+        await store.moveFile(from.Id, { folderId: entry.folder.Id, name: entry.name, storagePath: entry.storagePath });
+        report.note("moved", { kind: "file", id: from.Id, from: from.StoragePath, to: entry.storagePath });
+        const fromFolder = await store.getFolder(from.FolderId);
+        publish(
+          fileChange("moved", {
+            id: from.Id,
+            folderId: entry.folder.Id,
+            folderPath: entry.folder.FullPath,
+            fromFolderId: from.FolderId,
+            fromPath: fromFolder ? fromFolder.FullPath : null,
+          })
+        );
+        await refreshFile({ ...from, Name: entry.name, FolderId: entry.folder.Id }, entry.storagePath, entry.stat, report);
+      } else {
+        // an upload may have saved it meanwhile: saveFileAtPath keeps one row per path
+        const row = await store.saveFileAtPath({
+          folderId: entry.folder.Id,
+          name: entry.name,
+          storagePath: entry.storagePath,
+          sizeBytes: size,
+          mimeType: GENERIC_TYPE,
+          contentHash: hash,
+        });
+        await store.setFileDiskId(row.Id, diskId);
+        await inspectAndSave(row.Id, entry.storagePath, entry.name);
+        storeOnce(row);
+        report.note("added", { kind: "file", id: row.Id, path: entry.storagePath });
+        publish(fileChange("added", { id: row.Id, folderId: entry.folder.Id, folderPath: entry.folder.FullPath }));
+      }
+    } catch (err) {
+      console.error("Reconcile error at", entry.storagePath, err);
+    }
+  }
+
+  // the rest is gone, unless it turns up elsewhere before the drop jobs run
+  for (const row of missing.files) {
+    queueDropMissingFile(row.Id, row.StoragePath, RECONCILE_DROP_DELAY_MS);
+    report.note("missing", { kind: "file", id: row.Id, path: row.StoragePath });
+  }
+  for (const row of missing.folders) {
+    queueDropMissingFolder(row.FullPath, RECONCILE_DROP_DELAY_MS);
+    report.note("missing", { kind: "folder", id: row.Id, path: row.FullPath });
+  }
+
+  report.finishedAt = new Date();
+  return report;
+}
+
+async function runReconcile({ dirs = null }) {
+  const payload = dirs ? { dirs } : {};
+  const dedupKey = dirs ? null : "reconcile:full";
+  if (deferWhileFileOps("reconcile", payload, dedupKey)) return;
+  const report = await reconcile(dirs);
+  if (!report) return void deferWhileFileOps("reconcile", payload, dedupKey);
+  if (report.full) lastFullReconcile = report;
+  if (report.full || report.changed) console.log(`Reconcile (${report.full ? "full" : "changes"}): ${report.summary()}`);
+}
+
+function queueFullReconcile() {
+  return jobQueue.enqueue("reconcile", {}, { dedupKey: "reconcile:full" });
+}
+
+function startWatcher() {
+  if (WATCH_MODE === "off") return;
+  try {
+    watcher = watchTree(UPLOAD_ROOT, {
+      mode: WATCH_MODE,
+      debounceMs: WATCH_DEBOUNCE_MS,
+      pollIntervalMs: WATCH_POLL_INTERVAL_MS,
+      onChange: (dirs, { full }) => (full ? queueFullReconcile() : jobQueue.enqueue("reconcile", { dirs })),
+    });
+    console.log(`Watching ${UPLOAD_ROOT} (${watcher.mode})`);
+  } catch (err) {
+    console.error(`Watching ${UPLOAD_ROOT} failed, relying on full passes`, err);
+  }
+}
+
+function queueDropMissingFile(fileId, storagePath, delayMs = 0) {
+  return jobQueue.enqueue("drop-missing-file", { fileId, storagePath }, { dedupKey: `drop-missing-file:${fileId}`, delayMs });
+}
+
+function queueDropMissingFolder(fullPath, delayMs = 0) {
+  return jobQueue.enqueue("drop-missing-folder", { fullPath }, { dedupKey: `drop-missing-folder:${fullPath}`, delayMs });
+}
+
+// the jobs may run long after they were queued: the row must still be at the path that went missing
+async function dropMissingFile(fileId, storagePath) {
+  if (deferWhileFileOps("drop-missing-file", { fileId, storagePath }, `drop-missing-file:${fileId}`)) return;
+  const file = await store.getFile(fileId);
+  if (!file || file.StoragePath !== storagePath || !goneFromDisk(storagePath)) return;
+  const folder = await store.getFolder(file.FolderId);
+  await store.deleteFile(fileId);
+  if (folder) publish(fileChange("removed", { id: fileId, folderId: folder.Id, folderPath: folder.FullPath }));
+  console.log("Removed DB file for missing disk file:", fileId);
+}
+
+async function dropMissingFolder(fullPath) {
+  if (deferWhileFileOps("drop-missing-folder", { fullPath }, `drop-missing-folder:${fullPath}`)) return;
+  const folder = await store.getFolderByPath(fullPath);
+  if (!folder || !goneFromDisk(fullPathToPhysical(fullPath))) return;
+  await store.deleteFolderTree(fullPath);
+  publish(folderChange("removed", { id: folder.Id, parentId: folder.ParentId, fullPath }));
+  console.log("Removed DB folder for missing disk folder:", fullPath);
+}
+
+/* ============================================================
+   LIST FILES (rows whose file is gone from disk are left out until
+   the reconcile pass drops them)
+============================================================ */
+app.get("/api/files", async (req, res) => {
+  const folderId = req.query.folderId ? parseInt(req.query.folderId, 10) : null;
+  const search = req.query.search || null;
+
+  try {
+    const query = await listQueryFromRequest(req);
+
+    let folderPath = "/root";
+    if (folderId) {
+      const folder = await store.getFolder(folderId);
+      if (folder) {
+        folderPath = folder.FullPath;
+      }
+    }
+    if (!(await checkAccess(req, res, folderPath, "traverse", "Folder not found"))) return;
+
+    const rows = await store.listFiles({ folderId, search, query, inherit: inheritFromRequest(req), acl: aclFor(req) });
+
+    const keep = rows.filter((row) => fs.existsSync(row.StoragePath));
+
+    res.json(await withMetadata(keep));
+  } catch (err) {
+    if (err instanceof TagQueryError) return res.status(400).json(queryErrorBody(err));
+    console.log("GET /api/files error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* ============================================================
+   SEARCH: whole tree (scope=all) or below a folder (scope=below&folderId=)
+   paginated + sortable, every hit carries its folder breadcrumb
+============================================================ */
+const SEARCH_SORT_KEYS = ["name", "size", "added", "modified", "path"];
+const SEARCH_MAX_PAGE_SIZE = 200;
+
+app.get("/api/search", async (req, res) => {
+  const scope = req.query.scope === "below" ? "below" : "all";
+  const folderId = req.query.folderId ? parseInt(req.query.folderId, 10) : null;
+  const search = req.query.search || null;
+  const sort = SEARCH_SORT_KEYS.includes(req.query.sort) ? req.query.sort : "name";
+  const dir = req.query.dir === "desc" ? "desc" : "asc";
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(SEARCH_MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize, 10) || 50));
+
+  if (scope === "below" && !folderId) return res.status(400).json({ error: "folderId required for scope=below" });
+
+  try {
+    const query = await listQueryFromRequest(req);
+
+    let underPath = null;
+    if (scope === "below") {
+      const folder = await store.getFolder(folderId);
+      if (!folder) return res.status(404).json({ error: "Folder not found" });
+      if (!(await checkAccess(req, res, folder.FullPath, "traverse", "Folder not found"))) return;
+      underPath = folder.FullPath;
+    }
+
+    const { rows, total } = await store.searchFiles({
+      underPath,
+      search,
+      query,
+      inherit: inheritFromRequest(req),
+      acl: aclFor(req),
+      sort,
+      dir,
+      offset: (page - 1) * pageSize,
+      limit: pageSize,
+    });
+
+    const crumbs = await store.folderBreadcrumbs(Array.from(new Set(rows.map((r) => r.FolderPath))));
+    const items = (await withMetadata(rows)).map((r) => ({ ...r, Breadcrumb: crumbs.get(r.FolderPath) || [] }));
+
+    res.json({ items, total, page, pageSize, sort, dir });
+  } catch (err) {
+    if (err instanceof TagQueryError) return res.status(400).json(queryErrorBody(err));
+    console.error("GET /api/search error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* ============================================================
+   FOLDER TAGS: get tags with selection and set tags for a folder
+============================================================ */
+app.get("/api/folder/:id/tags", async (req, res) => {
+  try {
+    const folder = await loadFolder(req, res, "view");
+    if (!folder) return;
+    res.json(await store.getFolderTagSelection(folder.Id));
+  } catch (err) {
+    console.error("GET /api/folder/:id/tags error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+app.post("/api/folder/:id/tags", async (req, res) => {
+  const tagIds = Array.isArray(req.body.tagIds) ? req.body.tagIds.map(x => parseInt(x, 10)).filter(Boolean) : [];
+  try {
+    const folder = await loadFolder(req, res, "edit");
+    if (!folder) return;
+    const conflict = await exclusiveConflict(tagIds);
+    if (conflict) return res.status(400).json({ error: conflict });
+    // remove existing, then insert provided
+    await store.setFolderTags(folder.Id, tagIds);
+    publish(folderChange("changed", { id: folder.Id, parentId: folder.ParentId, fullPath: folder.FullPath }));
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("POST /api/folder/:id/tags error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* ============================================================
+   FILE TAGS: get tags with selection and set tags for a file
+============================================================ */
+app.get("/api/file/:id/tags", async (req, res) => {
+  try {
+    const file = await loadFile(req, res, "view");
+    if (!file) return;
+    res.json(await store.getFileTagSelection(file.Id));
+  } catch (err) {
+    console.error("GET /api/file/:id/tags error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+app.post("/api/file/:id/tags", async (req, res) => {
+  const tagIds = Array.isArray(req.body.tagIds) ? req.body.tagIds.map(x => parseInt(x, 10)).filter(Boolean) : [];
+  try {
+    const file = await loadFile(req, res, "edit");
+    if (!file) return;
+    const conflict = await exclusiveConflict(tagIds);
+    if (conflict) return res.status(400).json({ error: conflict });
+    // remove existing, then insert provided
+    await store.setFileTags(file.Id, tagIds);
+    await publishFileChange("changed", file);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("POST /api/file/:id/tags error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* ============================================================
+   UPLOAD: stream multipart files to a staging file, move it into
+   place (an existing file becomes a version), recreate relative
+   sub-folders, insert Files rows and attach tags
+============================================================ */
+async function findOrCreateFolder(parent, name) {
+  const fullPath = `${parent.FullPath}/${name}`;
+  await ensureDiskFolder(fullPath);
+  const existing = await store.getFolderByPath(fullPath);
+  if (existing) return existing;
+  const folder = await store.createFolder({ name, parentId: parent.Id, fullPath });
+  publish(folderChange("added", { id: folder.Id, parentId: parent.Id, fullPath }));
+  return folder;
+}
+
+// create tags named in a comma list (or reuse by slug; "a/b" nests) and resolve selected slugs,
+// returns tag ids. Of the tags of an exclusive group, the last one wins (see addFileTags).
+async function resolveUploadTags(newTagsCsv, tagSlugsCsv) {
+  const ids = new Set();
+
+  const names = String(newTagsCsv || "").split(",").map((x) => x.trim()).filter(Boolean);
+  for (const name of names) {
+    if (!slugifyTagName(name)) continue;
+    const tag = await ensureTagPath(name.split("/"));
+    if (tag) ids.add(tag.Id);
+  }
+  if (names.length) publish(tagsChange());
+
+  const slugs = String(tagSlugsCsv || "").split(",").map((x) => x.trim()).filter(Boolean);
+  const resolved = await store.resolveTagSlugs(slugs);
+  for (const slug of slugs) {
+    const tag = await store.getTagBySlug(resolved.get(slug));
+    if (tag) ids.add(tag.Id);
+  }
+
+  return Array.from(ids);
+}
+
+// write one incoming file stream to disk, resolves with { bytes, hash } (SHA-256 hex)
+function writeStreamToDisk(stream, physPath) {
+  return new Promise((resolve, reject) => {
+    const out = fs.createWriteStream(physPath);
+    const sha = crypto.createHash("sha256");
+    let bytes = 0;
+    let truncated = false;
+    stream.on("data", (chunk) => {
+      bytes += chunk.length;
+      sha.update(chunk);
+    });
+    stream.on("limit", () => { truncated = true; });
+    stream.on("error", (err) => { out.destroy(); reject(err); });
+    out.on("error", (err) => { stream.resume(); reject(err); });
+    out.on("finish", () => {
+      if (truncated) return reject(new Error("File too large"));
+      resolve({ bytes, hash: sha.digest("hex") });
+    });
+    stream.pipe(out);
+  });
+}
+
+// unique file name in the staging directory
+async function newStagingPath() {
+  await fsPromises.mkdir(INCOMING_ROOT, { recursive: true });
+  return path.join(INCOMING_ROOT, `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`);
+}
+
+// put a finished upload in place and tag it; the file it replaces is kept as a version first
+async function commitUpload({ folder, name, physPath, stagingPath, size, hash, tagIds = [] }) {
+  const storagePath = toStoragePath(physPath);
+  const existing = await store.getFileByStoragePath(storagePath);
+  if (existing) await archiveVersion(existing, "upload", { replacing: true });
+
+  const info = await inspectFile(stagingPath, name);
+  await moveOnDisk(stagingPath, physPath);
+  const row = await store.saveFileAtPath({
+    folderId: folder.Id,
+    name,
+    storagePath,
+    sizeBytes: size,
+    mimeType: info.mimeType,
+    contentHash: hash,
+  });
+  await store.saveFileInspection(row.Id, info);
+  await store.addFileTags(row.Id, tagIds);
+  storeOnce(row);
+  if (canThumbnail(info.mimeType)) queueThumbnail(row.Id);
+  publish(fileChange(existing ? "changed" : "added", { id: row.Id, folderId: folder.Id, folderPath: folder.FullPath }));
+  return row;
+}
+
+app.post("/api/upload", requireRole("editor"), (req, res) => {
+  let bb;
+  try {
+    bb = createBusboy(req, { preservePath: true, defParamCharset: "utf8" });
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: "Expected multipart/form-data" });
+  }
+
+  const fields = {};
+  const results = [];
+  const pending = [];
+  // memoized per request so files in the same sub-folder don't race on folder creation
+  const folderCache = new Map();
+  let targetPromise = null;
+  let tagIdsPromise = null;
+  let failed = false;
+
+  function getTargetFolder() {
+    if (!targetPromise) {
+      targetPromise = (async () => {
+        const folderId = parseInt(fields.folderId, 10);
+        const folder = folderId ? await store.getFolder(folderId) : await ensureRootFolder();
+        if (!folder) throw new Error("Target folder not found");
+        if (!atLeast(await accessTo(req, folder.FullPath), "edit")) throw new Error("Permission denied");
+        await ensureDiskFolder(folder.FullPath);
+        return folder;
+      })();
+    }
+    return targetPromise;
+  }
+
+  // new tags are created once a file passed the folder check and arrived in full, so a rejected
+  // upload leaves none behind
+  function getUploadTagIds() {
+    if (!tagIdsPromise) {
+      tagIdsPromise = resolveUploadTags(fields.newTags, fields.tagSlugs);
+    }
+    return tagIdsPromise;
+  }
+
+  function getFolderForSegments(target, segments) {
+    let chain = Promise.resolve(target);
+    let key = target.FullPath;
+    for (const seg of segments) {
+      key = `${key}/${seg}`;
+      if (!folderCache.has(key)) {
+        const parentPromise = chain;
+        folderCache.set(key, parentPromise.then((parent) => findOrCreateFolder(parent, seg)));
+      }
+      chain = folderCache.get(key);
+    }
+    return chain;
+  }
+
+  async function handleFile(stream, relPath) {
+    const segments = splitRelativePath(relPath);
+    const name = segments.pop();
+    const result = { name: name || String(relPath || ""), path: segments.concat(name || []).join("/"), ok: false };
+    results.push(result);
+
+    if (!name) {
+      stream.resume();
+      result.error = "Invalid file name";
+      return;
+    }
+
+    let stagingPath = null;
+    try {
+      const target = await getTargetFolder();
+      const folder = await getFolderForSegments(target, segments);
+      const physPath = path.join(fullPathToPhysical(folder.FullPath), name);
+
+      stagingPath = await newStagingPath();
+      const { bytes: size, hash } = await writeStreamToDisk(stream, stagingPath);
+      const tagIds = await getUploadTagIds();
+      const row = await commitUpload({ folder, name, physPath, stagingPath, size, hash, tagIds });
+      stagingPath = null;
+
+      Object.assign(result, { ok: true, id: row.Id, folderId: folder.Id, size });
+    } catch (err) {
+      console.error("Upload error for", relPath, err);
+      stream.resume();
+      result.error = err && err.message ? err.message : "Failed";
+      if (stagingPath) {
+        fsPromises.unlink(stagingPath).catch(() => {});
+      }
+    }
+  }
+
+  bb.on("field", (name, value) => {
+    fields[name] = value;
+  });
+
+  bb.on("file", (fieldName, stream, info) => {
+    // busboy >= 1 passes an info object, older versions pass the filename directly
+    const filename = info && typeof info === "object" ? info.filename : info;
+    pending.push(handleFile(stream, filename));
+  });
+
+  bb.on("error", (err) => {
+    failed = true;
+    console.error("POST /api/upload parse error", err);
+    req.unpipe(bb);
+    if (!res.headersSent) res.status(400).json({ ok: false, error: "Malformed upload", files: results });
+  });
+
+  bb.on("close", async () => {
+    if (failed) return;
+    await Promise.all(pending);
+    const uploaded = results.filter((r) => r.ok).length;
+    res.json({
+      ok: true,
+      uploaded,
+      failed: results.length - uploaded,
+      files: results,
+    });
+  });
+
+  req.on("aborted", () => {
+    failed = true;
+    console.warn("POST /api/upload aborted by client");
+  });
+
+  req.pipe(bb);
+});
+
+/* ============================================================
+   RESUMABLE UPLOADS: create a session, PUT its chunks in any order
+   (several at once, each checked against an optional SHA-256), ask which
+   chunks arrived after a dropped connection, then finish: the chunks are
+   joined in the staging area and committed like a normal upload
+============================================================ */
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024;
+const MIN_CHUNK_SIZE = 256 * 1024;
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+
+// sessions being finished, so a retried finish request does not commit twice
+const uploadsFinishing = new Set();
+
+function chunkCount(session) {
+  return Math.max(1, Math.ceil(Number(session.SizeBytes) / session.ChunkSize));
+}
+
+function chunkLength(session, index) {
+  return Math.min(session.ChunkSize, Number(session.SizeBytes) - index * session.ChunkSize);
+}
+
+// indexes of the chunks already stored (in-flight writes are still named <n>.part-*)
+async function receivedChunks(id) {
+  const names = await fsPromises.readdir(path.join(CHUNKS_ROOT, id)).catch(() => []);
+  return names.filter((n) => /^\d+$/.test(n)).map(Number).sort((a, b) => a - b);
+}
+
+function uploadSessionStatus(session, received) {
+  return {
+    id: session.Id,
+    path: session.RelPath,
+    size: Number(session.SizeBytes),
+    chunkSize: session.ChunkSize,
+    chunks: chunkCount(session),
+    received,
+  };
+}
+
+async function removeUploadSession(id) {
+  await store.deleteUploadSession(id);
+  await fsPromises.rm(path.join(CHUNKS_ROOT, id), { recursive: true, force: true });
+}
+
+// resolves the :id route param to a session of the signed-in user, or sends 404 and returns null
+async function loadUploadSession(req, res) {
+  const id = String(req.params.id || "");
+  const session = /^[0-9a-f]{32}$/.test(id) ? await store.getUploadSession(id) : null;
+  if (!session || session.UserId !== req.user.Id) {
+    res.status(404).json({ error: "Upload session not found" });
+    return null;
+  }
+  return session;
+}
+
+// concatenate the chunks into `target`, resolves with { bytes, hash } of the whole file
+async function joinChunks(session, target) {
+  const out = fs.createWriteStream(target);
+  const sha = crypto.createHash("sha256");
+  let bytes = 0;
+  try {
+    for (let i = 0; i < chunkCount(session); i++) {
+      for await (const data of fs.createReadStream(path.join(CHUNKS_ROOT, session.Id, String(i)))) {
+        sha.update(data);
+        bytes += data.length;
+        if (!out.write(data)) await new Promise((resolve) => out.once("drain", resolve));
+      }
+    }
+  } finally {
+    await new Promise((resolve, reject) => out.end((err) => (err ? reject(err) : resolve())));
+  }
+  return { bytes, hash: sha.digest("hex") };
+}
+
+// sessions idle for longer than UPLOAD_SESSION_TTL_HOURS, and chunk directories without a session
+async function expireUploadSessions() {
+  if (UPLOAD_SESSION_TTL_HOURS > 0) {
+    const cutoff = new Date(Date.now() - UPLOAD_SESSION_TTL_HOURS * 60 * 60 * 1000);
+    for (const session of await store.listExpiredUploadSessions(cutoff)) {
+      if (uploadsFinishing.has(session.Id)) continue;
+      await removeUploadSession(session.Id);
+      console.log("Uploads: expired session for", session.RelPath);
+    }
+  }
+
+  const dirs = await fsPromises.readdir(CHUNKS_ROOT).catch(() => []);
+  const known = await store.listUploadSessionIds();
+  for (const d of dirs) {
+    if (!known.has(d)) await fsPromises.rm(path.join(CHUNKS_ROOT, d), { recursive: true, force: true });
+  }
+}
+
+// POST /api/uploads { folderId, path, size, chunkSize?, sha256?, newTags?, tagSlugs? }
+// `path` is the file name, optionally below sub-folders ("photos/2024/a.jpg")
+app.post("/api/uploads", requireRole("editor"), async (req, res) => {
+  const body = req.body || {};
+  const segments = splitRelativePath(body.path);
+  const size = Number(body.size);
+  const chunkSize = Math.min(MAX_CHUNK_SIZE, Math.max(MIN_CHUNK_SIZE, parseInt(body.chunkSize, 10) || DEFAULT_CHUNK_SIZE));
+  const sha256 = body.sha256 ? String(body.sha256).toLowerCase() : null;
+
+  if (!segments.length) return res.status(400).json({ error: "Invalid file name" });
+  if (!Number.isSafeInteger(size) || size < 0) return res.status(400).json({ error: "size must be a whole number >= 0" });
+  if (sha256 && !/^[0-9a-f]{64}$/.test(sha256)) return res.status(400).json({ error: "sha256 must be 64 hex digits" });
+
+  try {
+    const folderId = parseInt(body.folderId, 10) || null;
+    const target = folderId ? await store.getFolder(folderId) : await ensureRootFolder();
+    if (!target) return res.status(404).json({ error: "Target folder not found" });
+    if (!(await checkAccess(req, res, target.FullPath, "edit", "Target folder not found"))) return;
+
+    const id = crypto.randomBytes(16).toString("hex");
+    await fsPromises.mkdir(path.join(CHUNKS_ROOT, id), { recursive: true });
+    const session = await store.createUploadSession({
+      id,
+      userId: req.user.Id,
+      folderId,
+      relPath: segments.join("/"),
+      sizeBytes: size,
+      chunkSize,
+      sha256,
+      newTags: body.newTags || null,
+      tagSlugs: body.tagSlugs || null,
+    });
+    res.status(201).json(uploadSessionStatus(session, []));
+  } catch (err) {
+    console.error("POST /api/uploads error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+// which chunks the server has (to resume after a dropped connection)
+app.get("/api/uploads/:id", async (req, res) => {
+  try {
+    const session = await loadUploadSession(req, res);
+    if (!session) return;
+    res.json(uploadSessionStatus(session, await receivedChunks(session.Id)));
+  } catch (err) {
+    console.error("GET /api/uploads/:id error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+// PUT /api/uploads/:id/chunks/:index with the raw bytes; X-Chunk-Sha256 is checked when sent.
+// Every chunk is ChunkSize bytes except the last one. Sending a chunk again replaces it.
+app.put("/api/uploads/:id/chunks/:index", async (req, res) => {
+  let tmp = null;
+  try {
+    const session = await loadUploadSession(req, res);
+    if (!session) return req.resume();
+
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0 || index >= chunkCount(session)) {
+      req.resume();
+      return res.status(400).json({ error: "Invalid chunk index" });
+    }
+    const expected = chunkLength(session, index);
+    if (Number(req.headers["content-length"]) !== expected) {
+      req.resume();
+      return res.status(400).json({ error: `Chunk ${index} must be ${expected} bytes` });
+    }
+
+    const dir = path.join(CHUNKS_ROOT, session.Id);
+    tmp = path.join(dir, `${index}.part-${crypto.randomBytes(4).toString("hex")}`);
+    const { bytes, hash } = await writeStreamToDisk(req, tmp);
+    const checksum = req.headers["x-chunk-sha256"];
+    if (bytes !== expected) return res.status(400).json({ error: `Chunk ${index} must be ${expected} bytes` });
+    if (checksum && String(checksum).toLowerCase() !== hash) return res.status(400).json({ error: "Checksum mismatch" });
+
+    await fsPromises.rename(tmp, path.join(dir, String(index)));
+    tmp = null;
+    await store.touchUploadSession(session.Id);
+    res.json({ ok: true, index, received: (await receivedChunks(session.Id)).length });
+  } catch (err) {
+    // dropped connections are expected here: the client sends the chunk again
+    if (err.code === "ECONNRESET") console.warn("Upload chunk aborted by client");
+    else console.error("PUT /api/uploads/:id/chunks/:index error", err);
+    if (!res.headersSent) res.status(500).json({ error: "Failed" });
+  } finally {
+    if (tmp) fsPromises.unlink(tmp).catch(() => {});
+  }
+});
+
+// join the chunks and commit the file; answers like one entry of POST /api/upload's `files`
+app.post("/api/uploads/:id/finish", async (req, res) => {
+  // the session this request is finishing (a concurrent finish must not release it)
+  let finishing = null;
+  let stagingPath = null;
+  try {
+    const session = await loadUploadSession(req, res);
+    if (!session) return;
+    if (uploadsFinishing.has(session.Id)) return res.status(409).json({ error: "Upload is already being finished" });
+    uploadsFinishing.add(session.Id);
+    finishing = session.Id;
+
+    const received = new Set(await receivedChunks(session.Id));
+    const missing = [];
+    for (let i = 0; i < chunkCount(session); i++) if (!received.has(i)) missing.push(i);
+    if (missing.length) return res.status(409).json({ error: "Missing chunks", missing: missing.slice(0, 1000) });
+
+    const target = session.FolderId ? await store.getFolder(session.FolderId) : await ensureRootFolder();
+    if (!target) return res.status(409).json({ error: "Target folder no longer exists" });
+    // grants may have changed since the session started
+    if (!(await checkAccess(req, res, target.FullPath, "edit", "Target folder not found"))) return;
+
+    stagingPath = await newStagingPath();
+    const { bytes: size, hash } = await joinChunks(session, stagingPath);
+    if (size !== Number(session.SizeBytes) || (session.Sha256 && session.Sha256 !== hash)) {
+      // some chunk is wrong and we can't tell which: the client has to start over
+      await removeUploadSession(session.Id);
+      return res.status(422).json({ error: "Checksum mismatch", restart: true });
+    }
+
+    const segments = session.RelPath.split("/");
+    const name = segments.pop();
+    let folder = target;
+    for (const seg of segments) folder = await findOrCreateFolder(folder, seg);
+    await ensureDiskFolder(folder.FullPath);
+
+    const physPath = path.join(fullPathToPhysical(folder.FullPath), name);
+    const tagIds = await resolveUploadTags(session.NewTags, session.TagSlugs);
+    const row = await commitUpload({ folder, name, physPath, stagingPath, size, hash, tagIds });
+    stagingPath = null;
+    await removeUploadSession(session.Id);
+
+    res.json({ ok: true, id: row.Id, folderId: folder.Id, name, path: session.RelPath, size });
+  } catch (err) {
+    console.error("POST /api/uploads/:id/finish error", err);
+    res.status(500).json({ error: "Failed" });
+  } finally {
+    if (finishing) uploadsFinishing.delete(finishing);
+    if (stagingPath) fsPromises.unlink(stagingPath).catch(() => {});
+  }
+});
+
+// cancel: drop the session and its chunks
+app.delete("/api/uploads/:id", async (req, res) => {
+  try {
+    const session = await loadUploadSession(req, res);
+    if (!session) return;
+    if (uploadsFinishing.has(session.Id)) return res.status(409).json({ error: "Upload is already being finished" });
+    await removeUploadSession(session.Id);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("DELETE /api/uploads/:id error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* ============================================================
+   DOWNLOAD / DELETE / RENAME FILE
+============================================================ */
+
+const INLINE_CSP = "sandbox; default-src 'none'; img-src 'self'; media-src 'self'; style-src 'unsafe-inline'";
+
+// stream `physPath` (or the byte range { start, end }) into res without ending it;
+// resolves false when reading failed or the client went away
+function pipeFile(res, physPath, range = {}) {
+  return new Promise((resolve) => {
+    const stream = fs.createReadStream(physPath, range);
+    let ok = false;
+    const abort = () => stream.destroy();
+    res.once("close", abort);
+    stream.on("error", (err) => {
+      console.error("stream error", err);
+      if (res.headersSent) return res.destroy();
+      ["Content-Length", "Content-Range", "Content-Type"].forEach((h) => res.removeHeader(h));
+      res.status(500).end();
+    });
+    stream.on("end", () => {
+      ok = true;
+    });
+    stream.on("close", () => {
+      res.off("close", abort);
+      resolve(ok);
+    });
+    stream.pipe(res, { end: false });
+  });
+}
+
+// Content-Disposition for a user-given file name: an ASCII filename="..." for old clients plus
+// filename*= (RFC 5987) carrying the real UTF-8 name
+function contentDisposition(kind, name) {
+  const clean = String(name || "download").replace(/[\x00-\x1f\x7f]/g, "_").trim() || "download";
+  const ascii = clean.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  const encoded = encodeURIComponent(clean).replace(/['()*]/g, (c) => "%" + c.charCodeAt(0).toString(16).toUpperCase());
+  return `${kind}; filename="${ascii}"; filename*=UTF-8''${encoded}`;
+}
+
+// stream a file from disk as an attachment (or `inline` for the preview pane), with
+// ETag/Last-Modified validators, 304 for current caches and 206 for Range requests
+async function sendDownload(req, res, physPath, name, mime, { inline = false } = {}) {
+  const stat = physPath && (await fsPromises.stat(physPath).catch(() => null));
+  if (!stat || !stat.isFile()) return res.sendStatus(404);
+
+  const type = mime || "application/octet-stream";
+  const contentType = inline && isTextType(type) ? `${type}; charset=utf-8` : type;
+  const validators = { etag: fileEtag(stat), mtime: stat.mtime };
+
+  res.setHeader("Content-Disposition", contentDisposition(inline ? "inline" : "attachment", name));
+  if (inline) {
+    // uploaded HTML/SVG must not run scripts on our origin; the PDF viewer does not load in a sandbox
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    if (type !== "application/pdf") res.setHeader("Content-Security-Policy", INLINE_CSP);
+  }
+  res.setHeader("Accept-Ranges", "bytes");
+  res.setHeader("ETag", validators.etag);
+  res.setHeader("Last-Modified", stat.mtime.toUTCString());
+  res.setHeader("Cache-Control", "private, no-cache");
+
+  if (isNotModified(req.headers, validators)) return res.status(304).end();
+
+  const parsed = req.headers.range && ifRangeMatches(req.headers["if-range"], validators)
+    ? parseRange(req.headers.range, stat.size)
+    : { malformed: true };
+
+  if (parsed.unsatisfiable) {
+    res.setHeader("Content-Range", `bytes */${stat.size}`);
+    return res.status(416).end();
+  }
+
+  // whole file (no Range, a malformed one, or If-Range no longer matching)
+  if (!parsed.ranges) {
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Length", stat.size);
+    if (req.method === "HEAD") return res.end();
+    if (await pipeFile(res, physPath)) res.end();
+    return;
+  }
+
+  res.status(206);
+  if (parsed.ranges.length === 1) {
+    const { start, end } = parsed.ranges[0];
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Range", `bytes ${start}-${end}/${stat.size}`);
+    res.setHeader("Content-Length", end - start + 1);
+    if (req.method === "HEAD") return res.end();
+    if (await pipeFile(res, physPath, { start, end })) res.end();
+    return;
+  }
+
+  // several ranges: multipart/byteranges, each part with its own Content-Range
+  const boundary = crypto.randomBytes(12).toString("hex");
+  const parts = parsed.ranges.map((r) => ({
+    ...r,
+    head: `\r\n--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${r.start}-${r.end}/${stat.size}\r\n\r\n`,
+  }));
+  const tail = `\r\n--${boundary}--\r\n`;
+  const length = parts.reduce((sum, p) => sum + Buffer.byteLength(p.head) + (p.end - p.start + 1), Buffer.byteLength(tail));
+
+  res.setHeader("Content-Type", `multipart/byteranges; boundary=${boundary}`);
+  res.setHeader("Content-Length", length);
+  if (req.method === "HEAD") return res.end();
+  for (const p of parts) {
+    res.write(p.head);
+    if (!(await pipeFile(res, physPath, { start: p.start, end: p.end }))) return;
+  }
+  res.end(tail);
+}
+
+// Download a file by id (streams from disk)
+app.get("/download/:id", async (req, res) => {
+  try {
+    const file = await loadFile(req, res, "view");
+    if (!file) return;
+
+    await sendDownload(req, res, file.StoragePath, file.Name, file.MimeType);
+  } catch (err) {
+    console.error("GET /download/:id error", err);
+    res.status(500).end();
+  }
+});
+
+// Same content served inline with its detected type (preview pane)
+app.get("/api/file/:id/content", async (req, res) => {
+  try {
+    const file = await loadFile(req, res, "view");
+    if (!file) return;
+
+    await sendDownload(req, res, file.StoragePath, file.Name, file.MimeType, { inline: true });
+  } catch (err) {
+    console.error("GET /api/file/:id/content error", err);
+    res.status(500).end();
+  }
+});
+
+// Delete file (moved to the trash, DB row kept with its tags)
+app.delete("/api/file/:id", async (req, res) => {
+  try {
+    const file = await loadFile(req, res, "edit");
+    if (!file) return;
+
+    const entry = await moveFileToTrash(file);
+    res.json({ ok: true, trashId: entry.Id });
+  } catch (err) {
+    console.error("DELETE /api/file/:id error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+// PATCH to rename file: Name, StoragePath and the file on disk change together (see FILE OPS)
+app.patch("/api/file/:id", async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const name = String((req.body || {}).name || "").trim();
+  if (!id) return res.status(400).json({ error: "Invalid id" });
+  if (!name) return res.status(400).json({ error: "Name required" });
+  if (!validItemName(name)) return res.status(400).json({ error: `Invalid name "${name}"` });
+
+  try {
+    const file = await loadFile(req, res, "edit");
+    if (!file) return;
+    if (name === file.Name) return res.json(file);
+
+    const folder = await store.getFolder(file.FolderId);
+    const to = path.join(path.dirname(file.StoragePath), name);
+    if (await occupant({ kind: "file", id, file, folder }, `${folder.FullPath}/${name}`, to, new Set(), { allowSelf: true })) {
+      return res.status(409).json({ error: `"${name}" already exists` });
+    }
+
+    await fileOp("rename", async (tx, op) => {
+      await store.moveFile(id, { folderId: file.FolderId, name, storagePath: toStoragePath(to) }, tx);
+      await op.move(file.StoragePath, to);
+      op.notify(fileChange("changed", { id, folderId: folder.Id, folderPath: folder.FullPath }));
+    });
+
+    // keep the name (and content) it had as a version, once the rename went through
+    await archiveVersion({ ...file, StoragePath: to }, "rename");
+
+    // the extension can change how the content is typed (csv vs plain text, docx vs zip)
+    await inspectAndSave(id, to, name);
+
+    res.json(await store.getFile(id));
+  } catch (err) {
+    console.error("PATCH /api/file/:id error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* ============================================================
+   BULK: tag, move, copy, delete or rename many files and folders at
+   once. Body: { files: [ids], folders: [ids], ... }. Every item is
+   checked on its own and reported as { kind, id, name, ok, error }; the
+   items that pass are applied as one file operation (see FILE OPS), so a
+   failure while applying rolls the whole batch back (disk moves included).
+============================================================ */
+const BULK_MAX_ITEMS = 1000;
+// what to do when the name is already taken in the target folder (none given: report a conflict)
+const CONFLICT_MODES = ["skip", "rename", "overwrite"];
+
+// the selected files and folders as report items; items the user can't reach at `wanted` get their
+// error. `subtree`: folders need that access all the way down (the whole tree is moved or copied)
+async function loadBulkItems(req, { wanted = "edit", subtree = false } = {}) {
+  const body = req.body || {};
+  const grants = await userGrants(req);
+  const items = [];
+
+  for (const id of parseIdList(body.files)) {
+    const file = await store.getFile(id);
+    const folder = file && (await store.getFolder(file.FolderId));
+    const level = folder ? folderAccess(req.user, grants, folder.FullPath) : "none";
+    // names of files the user can't see are not echoed back
+    const item = { kind: "file", id, name: atLeast(level, "view") ? file.Name : null, file, folder };
+    if (!item.name) item.error = "File not found";
+    else if (!atLeast(level, wanted)) item.error = "Permission denied";
+    items.push(item);
+  }
+
+  for (const id of parseIdList(body.folders)) {
+    const folder = await store.getFolder(id);
+    const level = folder ? folderAccess(req.user, grants, folder.FullPath) : "none";
+    const item = { kind: "folder", id, name: atLeast(level, "traverse") ? folder.Name : null, folder };
+    if (!item.name) item.error = "Folder not found";
+    else if (!atLeast(level, wanted)) item.error = "Permission denied";
+    else if (subtree && !subtreeAccess(req.user, grants, folder.FullPath, wanted)) {
+      item.error = "Permission denied for some folders inside";
+    }
+    items.push(item);
+  }
+  return items;
+}
+
+// an item below a selected folder is moved/renamed/deleted with it, so it can't go on its own too
+function rejectNestedItems(items) {
+  const roots = items.filter((i) => i.kind === "folder" && !i.error).map((i) => i.folder.FullPath);
+  for (const item of items) {
+    if (item.error) continue;
+    const p = item.folder.FullPath;
+    const inside = roots.some((r) => p.startsWith(r + "/") || (item.kind === "file" && p === r));
+    if (inside) item.error = "Inside a selected folder";
+  }
+}
+
+function rejectRootFolder(items, message) {
+  for (const item of items) {
+    if (!item.error && item.kind === "folder" && item.folder.ParentId == null) item.error = message;
+  }
+}
+
+// the event (see EVENTS) of an item that stays where it is
+function itemChange(action, item) {
+  return item.kind === "file"
+    ? fileChange(action, { id: item.id, folderId: item.folder.Id, folderPath: item.folder.FullPath })
+    : folderChange(action, { id: item.id, parentId: item.folder.ParentId, fullPath: item.folder.FullPath });
+}
+
+function itemPhysical(item) {
+  return item.kind === "file" ? item.file.StoragePath : fullPathToPhysical(item.folder.FullPath);
+}
+
+// what already holds the destination `fullPath` (logical) / `physical` (disk): { folder } or { file }
+// rows, { untracked } for something only on disk, or { claimed } by another item of this batch;
+// null when it is free. With allowSelf the item itself doesn't count (a rename that only changes case).
+async function occupant(item, fullPath, physical, claimed, { allowSelf = false } = {}) {
+  const key = toStoragePath(physical).toLowerCase();
+  if (claimed.has(key)) return { claimed: true };
+  const isSelf = (kind, row) => allowSelf && item.kind === kind && row.Id === item.id;
+  const folder = await store.getFolderByPath(fullPath);
+  if (folder && !isSelf("folder", folder)) return { folder };
+  const file = await store.getFileByStoragePath(toStoragePath(physical));
+  if (file && !isSelf("file", file)) return { file };
+  const sameItem = toStoragePath(itemPhysical(item)).toLowerCase() === key;
+  if (!folder && !file && !(allowSelf && sameItem) && fs.existsSync(physical)) return { untracked: true };
+  return null;
+}
+
+// "name (2).ext", "name (3).ext", ... until nothing holds it
+async function freeName(item, parent, name, claimed) {
+  const { base, ext } = splitName(name, item.kind);
+  for (let n = 2; ; n++) {
+    const candidate = `${base} (${n})${ext}`;
+    const fullPath = `${parent.FullPath}/${candidate}`;
+    if (!(await occupant(item, fullPath, fullPathToPhysical(fullPath), claimed))) return candidate;
+  }
+}
+
+// where a moved or copied item lands in `target`: sets item.toPath / item.to (disk) / item.newName,
+// item.skipped, item.replaces ({ file } or { folder } to trash first) or the item's error
+async function planPlacement(req, item, target, mode, claimed) {
+  const name = path.basename(itemPhysical(item));
+  let placeName = name;
+  const found = await occupant(item, `${target.FullPath}/${name}`, fullPathToPhysical(`${target.FullPath}/${name}`), claimed);
+  if (found) {
+    const self = (found.file && item.kind === "file" && found.file.Id === item.id) ||
+      (found.folder && item.kind === "folder" && found.folder.Id === item.id);
+    if (mode === "skip") {
+      item.skipped = true;
+      return;
+    }
+    if (mode === "rename") {
+      placeName = await freeName(item, target, name, claimed);
+    } else if (mode === "overwrite") {
+      if (found.claimed) item.error = "Another selected item has the same name";
+      else if (found.untracked) item.error = "Can't overwrite an item that is only on disk";
+      else if (self) item.error = "Can't overwrite an item with itself";
+      else if (found.folder && isAncestorOrSelf(found.folder.FullPath, item.folder.FullPath)) {
+        item.error = "Can't overwrite a folder the item is in";
+      } else if (found.folder && !subtreeAccess(req.user, await userGrants(req), found.folder.FullPath, "edit")) {
+        item.error = "Permission denied for the item it would replace";
+      }
+      if (item.error) return;
+      item.replaces = found;
+    } else {
+      item.error = "An item with this name already exists there";
+      item.conflict = true;
+      return;
+    }
+  }
+  item.newName = placeName === name ? item.name : placeName;
+  item.toPath = `${target.FullPath}/${placeName}`;
+  item.to = fullPathToPhysical(item.toPath);
+  claimed.add(toStoragePath(item.to).toLowerCase());
+}
+
+// trash what an overwrite replaces as part of the batch; returns the trash entry id
+async function trashReplaced(replaces, op) {
+  const entry = replaces.file
+    ? await moveFileToTrash(replaces.file, op)
+    : await moveFolderToTrash(replaces.folder, op);
+  return entry.Id;
+}
+
+// apply the items without an error as one file operation `kind`: each(item, tx, op) per item,
+// then all(items, tx) for set-based changes. When anything throws, the DB rolls back, the disk
+// steps are undone and every item reports the failure.
+async function applyBulk(items, { kind, each = null, all = null }) {
+  const ready = items.filter((i) => !i.error && !i.unchanged && !i.skipped);
+  let current = null;
+  try {
+    await fileOp(kind, async (tx, op) => {
+      if (each) {
+        for (const item of ready) {
+          current = item;
+          await each(item, tx, op);
+        }
+        current = null;
+      }
+      if (all && ready.length) await all(ready, tx);
+    });
+    return ready;
+  } catch (err) {
+    console.error("bulk apply error", err);
+    for (const item of ready) {
+      item.error = item === current ? "Failed" : "Not applied: the batch was rolled back";
+      delete item.result;
+    }
+    return [];
+  }
+}
+
+function bulkReport(items) {
+  const results = items.map((i) => ({
+    kind: i.kind,
+    id: i.id,
+    name: i.name,
+    ok: !i.error,
+    ...(i.error
+      ? { error: i.error, ...(i.conflict ? { conflict: true } : {}) }
+      : i.unchanged
+        ? { unchanged: true }
+        : i.skipped
+          ? { skipped: true }
+          : i.result),
+  }));
+  return { ok: results.every((r) => r.ok), results };
+}
+
+// 400 unless there is something to work on (the items are sent back as the report)
+function checkBulkSize(req, res) {
+  const count = parseIdList((req.body || {}).files).length + parseIdList((req.body || {}).folders).length;
+  if (!count) {
+    res.status(400).json({ error: "Nothing selected" });
+    return false;
+  }
+  if (count > BULK_MAX_ITEMS) {
+    res.status(400).json({ error: `Too many items (at most ${BULK_MAX_ITEMS} at once)` });
+    return false;
+  }
+  return true;
+}
+
+// POST /api/bulk/tags { files, folders, add: [tagIds], remove: [tagIds] }
+app.post("/api/bulk/tags", requireRole("editor"), async (req, res) => {
+  const add = parseIdList(req.body.add);
+  const remove = parseIdList(req.body.remove).filter((id) => !add.includes(id));
+  if (!add.length && !remove.length) return res.status(400).json({ error: "No tags to add or remove" });
+  if (!checkBulkSize(req, res)) return;
+
+  try {
+    for (const id of [...add, ...remove]) {
+      if (!(await store.getTag(id))) return res.status(400).json({ error: `Tag ${id} not found` });
+    }
+    const conflict = await exclusiveConflict(add);
+    if (conflict) return res.status(400).json({ error: conflict });
+    const items = await loadBulkItems(req);
+    const done = await applyBulk(items, {
+      kind: "bulk-tags",
+      all: async (ready, tx) => {
+        const fileIds = ready.filter((i) => i.kind === "file").map((i) => i.id);
+        const folderIds = ready.filter((i) => i.kind === "folder").map((i) => i.id);
+        await store.addTagsToFiles(fileIds, add, tx);
+        await store.removeTagsFromFiles(fileIds, remove, tx);
+        await store.addFolderTags(folderIds, add, tx);
+        await store.removeFolderTags(folderIds, remove, tx);
+      },
+    });
+    for (const item of done) publish(itemChange("changed", item));
+    res.json(bulkReport(items));
+  } catch (err) {
+    console.error("POST /api/bulk/tags error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+// target folder (edit access) and conflict mode of a move or copy, or sends the error and returns null
+async function loadBulkTarget(req, res) {
+  const targetId = parseInt(req.body.targetFolderId, 10);
+  const mode = req.body.conflict || null;
+  if (!targetId) {
+    res.status(400).json({ error: "Target folder required" });
+    return null;
+  }
+  if (mode && !CONFLICT_MODES.includes(mode)) {
+    res.status(400).json({ error: `conflict must be one of ${CONFLICT_MODES.join(", ")}` });
+    return null;
+  }
+  if (!checkBulkSize(req, res)) return null;
+  const target = await store.getFolder(targetId);
+  if (!target) {
+    res.status(404).json({ error: "Target folder not found" });
+    return null;
+  }
+  if (!(await checkAccess(req, res, target.FullPath, "edit", "Target folder not found"))) return null;
+  return { target, mode };
+}
+
+// POST /api/bulk/move { files, folders, targetFolderId, conflict }: names stay the same unless
+// conflict=rename; overwrite sends what held the name to the trash
+app.post("/api/bulk/move", requireRole("editor"), async (req, res) => {
+  try {
+    const dest = await loadBulkTarget(req, res);
+    if (!dest) return;
+    const { target, mode } = dest;
+
+    const items = await loadBulkItems(req, { subtree: true });
+    rejectRootFolder(items, "Cannot move the root folder");
+    rejectNestedItems(items);
+
+    const claimed = new Set();
+    for (const item of items) {
+      if (item.error) continue;
+      if ((item.kind === "file" ? item.file.FolderId : item.folder.ParentId) === target.Id) {
+        item.unchanged = true;
+        continue;
+      }
+      if (item.kind === "folder" && isAncestorOrSelf(item.folder.FullPath, target.FullPath)) {
+        item.error = "Cannot move a folder into itself";
+        continue;
+      }
+      await planPlacement(req, item, target, mode, claimed);
+    }
+
+    await applyBulk(items, {
+      kind: "bulk-move",
+      each: async (item, tx, op) => {
+        const replacedTrashId = item.replaces ? await trashReplaced(item.replaces, op) : null;
+        const from = itemPhysical(item);
+        if (item.kind === "file") {
+          const storagePath = toStoragePath(item.to);
+          await store.moveFile(item.id, { folderId: target.Id, name: item.newName, storagePath }, tx);
+        } else {
+          await store.moveFolderTree(
+            item.id,
+            {
+              parentId: target.Id,
+              name: item.newName,
+              fromPath: item.folder.FullPath,
+              toPath: item.toPath,
+              fromPhysical: toStoragePath(from),
+              toPhysical: toStoragePath(item.to),
+            },
+            tx
+          );
+        }
+        await op.move(from, item.to);
+        op.notify(
+          item.kind === "file"
+            ? fileChange("moved", {
+              id: item.id,
+              folderId: target.Id,
+              folderPath: target.FullPath,
+              fromFolderId: item.folder.Id,
+              fromPath: item.folder.FullPath,
+            })
+            : folderChange("moved", {
+              id: item.id,
+              parentId: target.Id,
+              fullPath: item.toPath,
+              fromParentId: item.folder.ParentId,
+              fromPath: item.folder.FullPath,
+            })
+        );
+        item.result = { folderId: target.Id, newName: item.newName, ...(replacedTrashId ? { replacedTrashId } : {}) };
+      },
+    });
+    res.json(bulkReport(items));
+  } catch (err) {
+    console.error("POST /api/bulk/move error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+// POST /api/bulk/copy { files, folders, targetFolderId, conflict }: copies keep their tags (and
+// the tags of every folder and file inside a copied folder); copying into the same folder needs
+// conflict=rename
+app.post("/api/bulk/copy", requireRole("editor"), async (req, res) => {
+  try {
+    const dest = await loadBulkTarget(req, res);
+    if (!dest) return;
+    const { target, mode } = dest;
+
+    const items = await loadBulkItems(req, { wanted: "view", subtree: true });
+    rejectNestedItems(items);
+
+    const claimed = new Set();
+    for (const item of items) {
+      if (item.error) continue;
+      if (item.kind === "folder" && isAncestorOrSelf(item.folder.FullPath, target.FullPath)) {
+        item.error = "Cannot copy a folder into itself";
+        continue;
+      }
+      if (!fs.existsSync(itemPhysical(item))) {
+        item.error = "Missing on disk";
+        continue;
+      }
+      await planPlacement(req, item, target, mode, claimed);
+    }
+
+    const copiedFiles = [];
+    const done = await applyBulk(items, {
+      kind: "bulk-copy",
+      each: async (item, tx, op) => {
+        const replacedTrashId = item.replaces ? await trashReplaced(item.replaces, op) : null;
+        const from = itemPhysical(item);
+        let copy;
+        if (item.kind === "file") {
+          copy = await store.copyFile(item.file, { folderId: target.Id, name: item.newName, storagePath: toStoragePath(item.to) }, tx);
+          copiedFiles.push(copy);
+        } else {
+          const files = await store.copyFolderTree(
+            item.folder.FullPath,
+            {
+              parentId: target.Id,
+              name: item.newName,
+              toPath: item.toPath,
+              fromPhysical: toStoragePath(from),
+              toPhysical: toStoragePath(item.to),
+            },
+            tx
+          );
+          copiedFiles.push(...files);
+          copy = await store.getFolderByPath(item.toPath, tx);
+        }
+        await op.copy(from, item.to);
+        op.notify(
+          item.kind === "file"
+            ? fileChange("added", { id: copy.Id, folderId: target.Id, folderPath: target.FullPath })
+            : folderChange("added", { id: copy.Id, parentId: target.Id, fullPath: item.toPath })
+        );
+        item.result = { newId: copy.Id, newName: item.newName, ...(replacedTrashId ? { replacedTrashId } : {}) };
+      },
+    });
+
+    // copies get their own thumbnails
+    if (done.length) copiedFiles.filter((f) => canThumbnail(f.MimeType)).forEach((f) => queueThumbnail(f.Id));
+    res.json(bulkReport(items));
+  } catch (err) {
+    console.error("POST /api/bulk/copy error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+// POST /api/bulk/delete { files, folders }: everything goes to the trash, one entry per item
+app.post("/api/bulk/delete", requireRole("editor"), async (req, res) => {
+  if (!checkBulkSize(req, res)) return;
+
+  try {
+    const items = await loadBulkItems(req, { subtree: true });
+    rejectRootFolder(items, "Cannot delete the root folder");
+    rejectNestedItems(items);
+
+    await applyBulk(items, {
+      kind: "bulk-delete",
+      each: async (item, tx, op) => {
+        const entry = item.kind === "file"
+          ? await moveFileToTrash(item.file, op)
+          : await moveFolderToTrash(item.folder, op);
+        item.result = { trashId: entry.Id };
+      },
+    });
+    res.json(bulkReport(items));
+  } catch (err) {
+    console.error("POST /api/bulk/delete error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* ---------- pattern rename ---------- */
+const RENAME_TOKENS = ["name", "ext", "date", "n"];
+
+// "photo.tar.gz" -> { base: "photo.tar", ext: ".gz" }; folders have no extension
+function splitName(name, kind) {
+  const dot = name.lastIndexOf(".");
+  if (kind === "folder" || dot <= 0) return { base: name, ext: "" };
+  return { base: name.slice(0, dot), ext: name.slice(dot) };
+}
+
+// YYYY-MM-DD: when a photo was taken, else when the item last changed on disk, else when it was added
+async function itemDate(item, metadata) {
+  const taken = item.kind === "file" && (metadata.get(item.id) || {}).TakenAt;
+  if (taken) return String(taken).slice(0, 10);
+  const physical = item.kind === "file" ? item.file.StoragePath : fullPathToPhysical(item.folder.FullPath);
+  const stat = await fsPromises.stat(physical).catch(() => null);
+  const when = stat ? stat.mtime : dbDate((item.file || item.folder).CreatedAt);
+  return isNaN(when) ? "" : when.toISOString().slice(0, 10);
+}
+
+// renamer from the request: { pattern } with {name} {ext} {date} {n} (or {n:3}, zero padded),
+// or { find, replace, regex, ignoreCase } applied to the whole name. Throws a message for bad input.
+function buildRenamer({ pattern, find, replace = "", regex = false, ignoreCase = false }) {
+  if (pattern != null && String(pattern).trim()) {
+    const text = String(pattern);
+    for (const [, token] of text.matchAll(/\{(\w+)(?::\d+)?\}/g)) {
+      if (!RENAME_TOKENS.includes(token)) throw new Error(`Unknown placeholder {${token}}`);
+    }
+    return (item, index, date) => {
+      const { base, ext } = splitName(item.name, item.kind);
+      return text.replace(/\{(\w+)(?::(\d+))?\}/g, (m, token, width) => {
+        if (token === "name") return base;
+        if (token === "ext") return ext;
+        if (token === "date") return date;
+        return String(index + 1).padStart(Number(width || 0), "0");
+      });
+    };
+  }
+  if (find == null || find === "") throw new Error("Pattern or find text required");
+  let re;
+  try {
+    re = regex
+      ? new RegExp(String(find), ignoreCase ? "gi" : "g")
+      : new RegExp(String(find).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), ignoreCase ? "gi" : "g");
+  } catch (err) {
+    throw new Error("Invalid regular expression: " + err.message);
+  }
+  // without regex, "$" in the replacement is literal
+  return (item) => item.name.replace(re, regex ? String(replace) : () => String(replace));
+}
+
+// POST /api/bulk/rename { files, folders, pattern } or { ..., find, replace, regex, ignoreCase }
+// {n} counts in the order the items are sent (files first, then folders)
+app.post("/api/bulk/rename", requireRole("editor"), async (req, res) => {
+  let renamer;
+  try {
+    renamer = buildRenamer(req.body || {});
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (!checkBulkSize(req, res)) return;
+
+  try {
+    const items = await loadBulkItems(req, { subtree: true });
+    rejectRootFolder(items, "Cannot rename the root folder");
+    rejectNestedItems(items);
+
+    const metadata = await store.listFileMetadata(items.filter((i) => i.kind === "file" && !i.error).map((i) => i.id));
+    const claimed = new Set();
+    let index = 0;
+    for (const item of items) {
+      if (item.error) continue;
+      const newName = renamer(item, index++, await itemDate(item, metadata)).trim();
+      if (!validItemName(newName)) {
+        item.error = `Invalid name "${newName}"`;
+        continue;
+      }
+      if (newName === item.name) {
+        item.unchanged = true;
+        continue;
+      }
+      item.newName = newName;
+      const parentPath = item.kind === "file" ? item.folder.FullPath : path.posix.dirname(item.folder.FullPath);
+      item.toPath = `${parentPath}/${newName}`;
+      item.to = item.kind === "file" ? path.join(path.dirname(item.file.StoragePath), newName) : fullPathToPhysical(item.toPath);
+      // a rename that only changes case finds the item itself
+      if (await occupant(item, item.toPath, item.to, claimed, { allowSelf: true })) {
+        item.error = `"${newName}" already exists`;
+        continue;
+      }
+      claimed.add(toStoragePath(item.to).toLowerCase());
+    }
+
+    const renamed = await applyBulk(items, {
+      kind: "bulk-rename",
+      each: async (item, tx, op) => {
+        if (item.kind === "file") {
+          const storagePath = toStoragePath(item.to);
+          await store.moveFile(item.id, { folderId: item.file.FolderId, name: item.newName, storagePath }, tx);
+          await op.move(item.file.StoragePath, item.to);
+          op.notify(itemChange("changed", item));
+        } else {
+          const from = fullPathToPhysical(item.folder.FullPath);
+          await store.moveFolderTree(
+            item.id,
+            {
+              parentId: item.folder.ParentId,
+              name: item.newName,
+              fromPath: item.folder.FullPath,
+              toPath: item.toPath,
+              fromPhysical: toStoragePath(from),
+              toPhysical: toStoragePath(item.to),
+            },
+            tx
+          );
+          await op.move(from, item.to);
+          op.notify(
+            folderChange("moved", {
+              id: item.id,
+              parentId: item.folder.ParentId,
+              fullPath: item.toPath,
+              fromParentId: item.folder.ParentId,
+              fromPath: item.folder.FullPath,
+            })
+          );
+        }
+        item.result = { newName: item.newName };
+      },
+    });
+
+    // like a single rename: the old name is kept as a version and the new extension re-typed
+    for (const item of renamed) {
+      if (item.kind !== "file") continue;
+      try {
+        await archiveVersion({ ...item.file, StoragePath: item.to }, "rename");
+        await inspectAndSave(item.id, item.to, item.newName);
+      } catch (err) {
+        console.error("bulk rename follow-up error", item.id, err);
+      }
+    }
+    res.json(bulkReport(items));
+  } catch (err) {
+    console.error("POST /api/bulk/rename error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* ============================================================
+   FILE VERSIONS: replaced content is kept under versions/<fileId>/,
+   listed, downloaded, diffed against the current file or restored
+============================================================ */
+function versionLimit(file) {
+  return file.MaxVersions == null ? MAX_FILE_VERSIONS : Number(file.MaxVersions);
+}
+
+// save the current content of `file` as a new version. With `replacing` the live path is
+// about to be swapped for a new file, so a hard link is as good as a copy.
+async function archiveVersion(file, reason, { replacing = false } = {}) {
+  if (!file.StoragePath || !fs.existsSync(file.StoragePath)) return null;
+
+  const dir = path.join(VERSIONS_ROOT, String(file.Id));
+  await fsPromises.mkdir(dir, { recursive: true });
+  const blobPath = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+
+  let linked = false;
+  if (replacing) {
+    try {
+      await fsPromises.link(file.StoragePath, blobPath);
+      linked = true;
+    } catch {}
+  }
+  if (!linked) await fsPromises.copyFile(file.StoragePath, blobPath, fs.constants.COPYFILE_FICLONE);
+
+  try {
+    const version = await store.addFileVersion({
+      fileId: file.Id,
+      name: file.Name,
+      sizeBytes: file.SizeBytes,
+      blobPath: toStoragePath(blobPath),
+      reason,
+    });
+    await pruneVersions(file);
+    return version;
+  } catch (err) {
+    await fsPromises.unlink(blobPath).catch(() => {});
+    throw err;
+  }
+}
+
+async function pruneVersions(file) {
+  const limit = versionLimit(file);
+  if (limit <= 0) return;
+  for (const v of await store.pruneFileVersions(file.Id, limit)) {
+    await fsPromises.unlink(v.BlobPath).catch(() => {});
+  }
+}
+
+// the restored content becomes current, what it replaces becomes a version
+async function restoreVersion(file, version) {
+  // copied first: pruning below may remove this very version
+  const stagingPath = await newStagingPath();
+  try {
+    await fsPromises.copyFile(version.BlobPath, stagingPath);
+    await archiveVersion(file, "restore", { replacing: true });
+    await moveOnDisk(stagingPath, file.StoragePath);
+  } catch (err) {
+    await fsPromises.unlink(stagingPath).catch(() => {});
+    throw err;
+  }
+  const { size } = await fsPromises.stat(file.StoragePath);
+  await store.updateFileContent(file.Id, { sizeBytes: size, contentHash: await hashFile(file.StoragePath) });
+  await inspectAndSave(file.Id, file.StoragePath, file.Name);
+}
+
+// text diff of a version against the current content
+async function diffVersion(file, version) {
+  const [before, after] = await Promise.all([fsPromises.stat(version.BlobPath), fsPromises.stat(file.StoragePath)]);
+  if (before.size > DIFF_MAX_BYTES || after.size > DIFF_MAX_BYTES) return { tooLarge: true };
+
+  const [a, b] = await Promise.all([fsPromises.readFile(version.BlobPath), fsPromises.readFile(file.StoragePath)]);
+  if (isBinary(a) || isBinary(b)) return { binary: true };
+
+  const diff = diffText(a.toString("utf8"), b.toString("utf8"));
+  return diff || { tooDifferent: true };
+}
+
+// versions/<fileId> directories whose file row is gone, and staging files left by broken uploads
+async function sweepVersionBlobs() {
+  let dirs;
+  try {
+    dirs = await fsPromises.readdir(VERSIONS_ROOT);
+  } catch {
+    return;
+  }
+  const ids = dirs.filter((d) => /^\d+$/.test(d));
+  const known = await store.existingFileIds(ids.map(Number));
+  for (const d of ids) {
+    if (!known.has(Number(d))) await fsPromises.rm(path.join(VERSIONS_ROOT, d), { recursive: true, force: true });
+  }
+
+  const staleBefore = Date.now() - 24 * 60 * 60 * 1000;
+  for (const f of await fsPromises.readdir(INCOMING_ROOT).catch(() => [])) {
+    const p = path.join(INCOMING_ROOT, f);
+    const st = await fsPromises.stat(p).catch(() => null);
+    if (st && st.mtimeMs < staleBefore) await fsPromises.rm(p, { force: true });
+  }
+}
+
+// resolves the :id / :versionId route params, or sends the error response and returns null
+async function loadFileVersion(req, res, wanted) {
+  const versionId = parseInt(req.params.versionId, 10);
+  if (!versionId) {
+    res.status(400).json({ error: "Invalid id" });
+    return null;
+  }
+  const file = await loadFile(req, res, wanted);
+  if (!file) return null;
+  const version = await store.getFileVersion(file.Id, versionId);
+  if (!version) {
+    res.status(404).json({ error: "Version not found" });
+    return null;
+  }
+  return { file, version };
+}
+
+app.get("/api/file/:id/versions", async (req, res) => {
+  try {
+    const file = await loadFile(req, res, "view");
+    if (!file) return;
+    res.json({
+      maxVersions: file.MaxVersions,
+      defaultMaxVersions: MAX_FILE_VERSIONS,
+      items: await store.listFileVersions(file.Id),
+    });
+  } catch (err) {
+    console.error("GET /api/file/:id/versions error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+// per-file cap: { maxVersions: n } (0 = keep all) or { maxVersions: null } for the default
+app.patch("/api/file/:id/versions", async (req, res) => {
+  const raw = (req.body || {}).maxVersions;
+  const maxVersions = raw === null || raw === "" || raw === undefined ? null : Number(raw);
+  if (maxVersions !== null && !(Number.isInteger(maxVersions) && maxVersions >= 0)) {
+    return res.status(400).json({ error: "maxVersions must be a whole number >= 0 or null" });
+  }
+
+  try {
+    const file = await loadFile(req, res, "edit");
+    if (!file) return;
+    await store.setFileMaxVersions(file.Id, maxVersions);
+    await pruneVersions({ ...file, MaxVersions: maxVersions });
+    res.json({ ok: true, maxVersions });
+  } catch (err) {
+    console.error("PATCH /api/file/:id/versions error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+app.get("/api/file/:id/versions/:versionId/download", async (req, res) => {
+  try {
+    const found = await loadFileVersion(req, res, "view");
+    if (!found) return;
+    await sendDownload(req, res, found.version.BlobPath, found.version.Name, found.file.MimeType);
+  } catch (err) {
+    console.error("GET /api/file/:id/versions/:versionId/download error", err);
+    res.status(500).end();
+  }
+});
+
+app.get("/api/file/:id/versions/:versionId/diff", async (req, res) => {
+  try {
+    const found = await loadFileVersion(req, res, "view");
+    if (!found) return;
+    const { file, version } = found;
+    if (!fs.existsSync(version.BlobPath) || !fs.existsSync(file.StoragePath)) {
+      return res.status(404).json({ error: "Content missing on disk" });
+    }
+    res.json({ versionNo: version.VersionNo, name: version.Name, ...(await diffVersion(file, version)) });
+  } catch (err) {
+    console.error("GET /api/file/:id/versions/:versionId/diff error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+app.post("/api/file/:id/versions/:versionId/restore", async (req, res) => {
+  try {
+    const found = await loadFileVersion(req, res, "edit");
+    if (!found) return;
+    if (!fs.existsSync(found.version.BlobPath)) return res.status(404).json({ error: "Content missing on disk" });
+    await restoreVersion(found.file, found.version);
+    await publishFileChange("changed", found.file);
+    res.json(await store.getFile(found.file.Id));
+  } catch (err) {
+    console.error("POST /api/file/:id/versions/:versionId/restore error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* ============================================================
+   FILE INFO: MIME type and metadata read from the content
+   (fileInfo.js) on upload, disk discovery, restore and rename
+============================================================ */
+// inspect a file on disk and store the result; logs instead of failing the caller
+async function inspectAndSave(fileId, physPath, name) {
+  try {
+    const info = await inspectFile(physPath, name);
+    await store.saveFileInspection(fileId, info);
+    if (canThumbnail(info.mimeType)) queueThumbnail(fileId);
+    return info;
+  } catch (err) {
+    console.error("Inspect error for", physPath, err);
+    return null;
+  }
+}
+
+// rows from the file listings with a Metadata object ({ Width, Height, DurationSec, ... })
+async function withMetadata(rows) {
+  const byFile = await store.listFileMetadata(rows.map((r) => r.Id));
+  return rows.map((r) => ({ ...r, Metadata: byFile.get(r.Id) || {} }));
+}
+
+app.get("/api/file/:id", async (req, res) => {
+  try {
+    const file = await loadFile(req, res, "view");
+    if (!file) return;
+    const [row] = await withMetadata([file]);
+    res.json(row);
+  } catch (err) {
+    console.error("GET /api/file/:id error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* ============================================================
+   THUMBNAILS: built in the background job queue (thumbnails.js)
+   for supported images and cached under thumbnails/
+============================================================ */
+// cache keys whose image could not be decoded, so clients are not told to retry forever
+const thumbnailsFailed = new Set();
+
+function thumbnailKey(file) {
+  return `${file.Id}-${String(file.ContentHash).slice(0, 16)}`;
+}
+
+// { path, mimeType } of the cached thumbnail for the current content, or null
+function findThumbnail(file) {
+  for (const [ext, mimeType] of [["jpg", "image/jpeg"], ["png", "image/png"]]) {
+    const p = path.join(THUMB_ROOT, `${thumbnailKey(file)}.${ext}`);
+    if (fs.existsSync(p)) return { path: p, mimeType };
+  }
+  return null;
+}
+
+async function buildThumbnail(fileId) {
+  const file = await store.getFile(fileId);
+  if (!file || !file.ContentHash || !canThumbnail(file.MimeType) || !fs.existsSync(file.StoragePath)) return;
+  if (findThumbnail(file) || thumbnailsFailed.has(thumbnailKey(file))) return;
+
+  const meta = (await store.listFileMetadata([file.Id])).get(file.Id) || {};
+  let thumb;
+  try {
+    thumb = await createThumbnail(file.StoragePath, file.MimeType, { orientation: meta.Orientation });
+  } catch (err) {
+    thumbnailsFailed.add(thumbnailKey(file));
+    // unsupported variants and corrupt images are expected here, so no stack trace
+    console.warn("No thumbnail for", file.StoragePath, err.message);
+    return;
+  }
+
+  await fsPromises.mkdir(THUMB_ROOT, { recursive: true });
+  const target = path.join(THUMB_ROOT, `${thumbnailKey(file)}.${thumb.ext}`);
+  const tmp = `${target}.tmp`;
+  await fsPromises.writeFile(tmp, thumb.data);
+  await fsPromises.rename(tmp, target);
+
+  // thumbnails of earlier content
+  for (const f of await fsPromises.readdir(THUMB_ROOT)) {
+    if (f.startsWith(`${file.Id}-`) && f !== path.basename(target)) {
+      await fsPromises.rm(path.join(THUMB_ROOT, f), { force: true });
+    }
+  }
+  await publishFileChange("changed", file);
+}
+
+function queueThumbnail(fileId) {
+  return jobQueue.enqueue("thumbnail", { fileId }, { dedupKey: `thumbnail:${fileId}` });
+}
+
+// thumbnails whose file row is gone
+async function sweepThumbnails() {
+  let names;
+  try {
+    names = await fsPromises.readdir(THUMB_ROOT);
+  } catch {
+    return;
+  }
+  const ids = [...new Set(names.map((n) => parseInt(n, 10)).filter(Boolean))];
+  const known = await store.existingFileIds(ids);
+  for (const n of names) {
+    if (!known.has(parseInt(n, 10))) await fsPromises.rm(path.join(THUMB_ROOT, n), { force: true });
+  }
+}
+
+// GET /api/file/:id/thumbnail[?v=<ContentHash>]
+// 200 image, 202 while it is being built (retry), 404 for files without a thumbnail.
+// With ?v= matching the current content the response is cached for good.
+app.get("/api/file/:id/thumbnail", async (req, res) => {
+  try {
+    const file = await loadFile(req, res, "view");
+    if (!file) return;
+    if (!file.ContentHash || !canThumbnail(file.MimeType) || thumbnailsFailed.has(thumbnailKey(file))) {
+      return res.status(404).json({ error: "No thumbnail" });
+    }
+
+    const thumb = findThumbnail(file);
+    if (!thumb) {
+      queueThumbnail(file.Id);
+      res.set("Retry-After", "2");
+      return res.status(202).json({ pending: true });
+    }
+
+    const pinned = req.query.v && req.query.v === file.ContentHash;
+    res.sendFile(thumb.path, {
+      cacheControl: false,
+      headers: {
+        "Content-Type": thumb.mimeType,
+        "Cache-Control": pinned ? "private, max-age=31536000, immutable" : "private, no-cache",
+      },
+    });
+  } catch (err) {
+    console.error("GET /api/file/:id/thumbnail error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* ============================================================
+   DUPLICATES: files with the same ContentHash (SHA-256), keep one
+   copy (merging tags onto it), optionally share content via hard links
+============================================================ */
+const DUPLICATES_MAX_PAGE_SIZE = 100;
+
+function hashFile(physPath) {
+  return new Promise((resolve, reject) => {
+    const sha = crypto.createHash("sha256");
+    fs.createReadStream(physPath)
+      .on("error", reject)
+      .on("data", (chunk) => sha.update(chunk))
+      .on("end", () => resolve(sha.digest("hex")));
+  });
+}
+
+// stored hashes can be stale (a file edited on disk without changing size), so re-hash
+// before acting on them; a stale row is corrected and reported as not matching
+async function verifyContentHash(file) {
+  const actual = await hashFile(file.StoragePath);
+  if (actual === file.ContentHash) return true;
+  const { size } = await fsPromises.stat(file.StoragePath);
+  await store.updateFileContent(file.Id, { sizeBytes: size, contentHash: actual });
+  return false;
+}
+
+// replace `file` on disk with a hard link to `source` (same content); the rename is atomic
+async function linkToCopy(file, source) {
+  const tmp = await newStagingPath();
+  await fsPromises.link(source.StoragePath, tmp);
+  try {
+    await fsPromises.rename(tmp, file.StoragePath);
+  } catch (err) {
+    await fsPromises.unlink(tmp).catch(() => {});
+    throw err;
+  }
+}
+
+// hard link every copy with `hash` to the oldest one; returns how many files were linked
+async function linkDuplicates(hash) {
+  const files = await store.listFilesByHash([hash]);
+  let source = null;
+  let linked = 0;
+  for (const f of files) {
+    if (!fs.existsSync(f.StoragePath) || !(await verifyContentHash(f))) continue;
+    if (!source) {
+      source = f;
+      source.stat = await fsPromises.stat(f.StoragePath);
+      continue;
+    }
+    const st = await fsPromises.stat(f.StoragePath);
+    if (st.ino === source.stat.ino && st.dev === source.stat.dev) continue;
+    try {
+      await linkToCopy(f, source);
+      linked++;
+    } catch (err) {
+      // other device, or a file system without hard links
+      console.warn("Could not hard link", f.StoragePath, "to", source.StoragePath, err.code || err.message);
+    }
+  }
+  return linked;
+}
+
+// with DEDUP_HARDLINKS, new content that already exists elsewhere shares that copy (in background)
+function storeOnce(file) {
+  if (!DEDUP_HARDLINKS || !file || !file.ContentHash || !Number(file.SizeBytes)) return;
+  jobQueue.enqueue("link-duplicates", { hash: file.ContentHash }, { dedupKey: `link-duplicates:${file.ContentHash}` });
+}
+
+// GET /api/duplicates?page=&pageSize=
+// groups of identical content: { ContentHash, SizeBytes, Copies, Reclaimable, files[] } where files
+// that already share storage (hard links) have the same Inode and do not count as reclaimable
+app.get("/api/duplicates", requireRole("admin"), async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(DUPLICATES_MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize, 10) || 20));
+
+  try {
+    const { rows, total } = await store.listDuplicateGroups({ offset: (page - 1) * pageSize, limit: pageSize });
+    const files = await store.listFilesByHash(rows.map((r) => r.ContentHash));
+    const crumbs = await store.folderBreadcrumbs(files.map((f) => f.FolderPath));
+
+    const groups = [];
+    for (const r of rows) {
+      const members = [];
+      const inodes = new Set();
+      for (const f of files.filter((x) => x.ContentHash === r.ContentHash)) {
+        const st = await fsPromises.stat(f.StoragePath).catch(() => null);
+        const inode = st ? `${st.dev}:${st.ino}` : null;
+        if (inode) inodes.add(inode);
+        members.push({ ...f, Inode: inode, Breadcrumb: crumbs.get(f.FolderPath) || [] });
+      }
+      groups.push({
+        ContentHash: r.ContentHash,
+        SizeBytes: Number(r.SizeBytes),
+        Copies: Number(r.Copies),
+        Reclaimable: Math.max(0, inodes.size - 1) * Number(r.SizeBytes),
+        files: members,
+      });
+    }
+
+    res.json({ groups, total, page, pageSize, hardlinks: DEDUP_HARDLINKS });
+  } catch (err) {
+    console.error("GET /api/duplicates error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+// POST /api/duplicates/resolve { keepId, mergeTags = true }
+// keeps one file, copies the tags of the other copies onto it and moves those copies to the trash
+app.post("/api/duplicates/resolve", requireRole("admin"), async (req, res) => {
+  const { keepId, mergeTags = true } = req.body || {};
+  const id = parseInt(keepId, 10);
+  if (!id) return res.status(400).json({ error: "keepId required" });
+
+  try {
+    const keep = await store.getFile(id);
+    if (!keep) return res.status(404).json({ error: "File not found" });
+    if (!keep.ContentHash || !fs.existsSync(keep.StoragePath)) {
+      return res.status(409).json({ error: "File has not been hashed yet" });
+    }
+    if (!(await verifyContentHash(keep))) {
+      return res.status(409).json({ error: "File changed on disk, refresh the duplicates list" });
+    }
+
+    const same = [];
+    const changed = [];
+    for (const f of await store.listFilesByHash([keep.ContentHash])) {
+      if (f.Id === keep.Id) continue;
+      if (fs.existsSync(f.StoragePath) && (await verifyContentHash(f))) same.push(f);
+      else changed.push(f.Id);
+    }
+
+    if (mergeTags) {
+      await store.addFileTags(keep.Id, await store.listFileTagIds(same.map((f) => f.Id)));
+      await publishFileChange("changed", keep);
+    }
+    const trashed = [];
+    for (const f of same) {
+      const entry = await moveFileToTrash(f);
+      trashed.push({ fileId: f.Id, trashId: entry.Id });
+    }
+
+    res.json({ ok: true, keptId: keep.Id, trashed, skipped: changed });
+  } catch (err) {
+    console.error("POST /api/duplicates/resolve error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+// POST /api/duplicates/link { hash } - keep every copy but store the content once
+app.post("/api/duplicates/link", requireRole("admin"), async (req, res) => {
+  const hash = String((req.body || {}).hash || "").toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(hash)) return res.status(400).json({ error: "Invalid hash" });
+
+  try {
+    res.json({ ok: true, linked: await linkDuplicates(hash) });
+  } catch (err) {
+    console.error("POST /api/duplicates/link error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* ============================================================
+   SHARES: public links (/s/<token>) to a file or a folder.
+   A link reads with the access of the user who created it, so it stops
+   working when they lose that access; it can have a password, an expiry
+   date and a download limit. Management routes below need a login, the
+   /s/ and /api/s/ routes don't (see PUBLIC_PREFIXES).
+============================================================ */
+const SHARE_KINDS = ["file", "folder"];
+const SHARE_COOKIE_PREFIX = "tfb_share_";
+
+function shareExpired(share) {
+  return share.ExpiresAt != null && dbDate(share.ExpiresAt).getTime() <= Date.now();
+}
+
+function shareUsedUp(share) {
+  return share.MaxDownloads != null && share.Downloads >= share.MaxDownloads;
+}
+
+// listing row: the link and its state
+function shareView(share) {
+  return { ...share, Url: `/s/${share.Token}`, Expired: shareExpired(share), UsedUp: shareUsedUp(share) };
+}
+
+// cookie value remembering a correct password; changes with the token and the password
+function shareUnlockValue(share) {
+  return sessionId(`${share.Token}:${share.PasswordHash}`);
+}
+
+// resolves the :token route param to { share, owner, grants, folder, file } (folder: the shared folder,
+// or the folder of the shared file), or sends the error and returns null
+async function loadShare(req, res, { checkPassword = true } = {}) {
+  const gone = () => {
+    res.status(404).json({ error: "This link doesn't exist or was revoked" });
+    return null;
+  };
+  const share = await store.getShareByToken(String(req.params.token || ""));
+  if (!share) return gone();
+  if (shareExpired(share)) {
+    res.status(410).json({ error: "This link has expired" });
+    return null;
+  }
+
+  const owner = await store.getUser(share.CreatedBy);
+  if (!owner || owner.Disabled) return gone();
+  const file = share.Kind === "file" ? await store.getFile(share.ItemId) : null;
+  if (share.Kind === "file" && !file) return gone();
+  const folder = await store.getFolder(file ? file.FolderId : share.ItemId);
+  if (!folder) return gone();
+  const grants = owner.Role === "admin" ? [] : await store.listUserGrants(owner.Id);
+  if (!atLeast(folderAccess(owner, grants, folder.FullPath), "view")) return gone();
+
+  if (checkPassword && share.PasswordHash) {
+    if (parseCookies(req.headers.cookie)[SHARE_COOKIE_PREFIX + share.Id] !== shareUnlockValue(share)) {
+      res.status(401).json({ error: "Password required", passwordRequired: true });
+      return null;
+    }
+  }
+  return { share, owner, grants, folder, file };
+}
+
+// folderId in a folder share (the shared folder itself when not given) when it is that folder or one
+// below it and the owner's access is at least `wanted`: the folder with its Access; otherwise sends
+// 404 and returns null
+async function shareFolder(ctx, res, folderId, wanted, notFound = "Folder not found") {
+  const folder = !folderId || folderId === ctx.folder.Id ? ctx.folder : await store.getFolder(folderId);
+  const inside = folder && (folder.FullPath === ctx.folder.FullPath || folder.FullPath.startsWith(ctx.folder.FullPath + "/"));
+  const access = inside ? folderAccess(ctx.owner, ctx.grants, folder.FullPath) : "none";
+  if (ctx.share.Kind !== "folder" || !atLeast(access, wanted)) {
+    res.status(404).json({ error: notFound });
+    return null;
+  }
+  return { ...folder, Access: access };
+}
+
+// counts a download of physPath (null for a zip) against MaxDownloads; sends 410 and returns
+// false once the limit is used up. HEAD and resuming a download are not counted.
+async function countShareDownload(req, res, share, physPath = null) {
+  const free = !shareUsedUp(share) && (req.method === "HEAD" || (await resumesDownload(req, physPath)));
+  if (free || (await store.takeShareDownload(share.Id))) return true;
+  res.status(410).json({ error: "This link has reached its download limit" });
+  return false;
+}
+
+// a single range past byte 0 that sendDownload will serve as asked. Several ranges, or one
+// covering byte 0, can fetch the whole file and count as a download.
+async function resumesDownload(req, physPath) {
+  if (!req.headers.range || !physPath) return false;
+  const stat = await fsPromises.stat(physPath).catch(() => null);
+  if (!stat || !stat.isFile()) return false;
+  if (!ifRangeMatches(req.headers["if-range"], { etag: fileEtag(stat), mtime: stat.mtime })) return false;
+  const parsed = parseRange(req.headers.range, stat.size);
+  return !!parsed.ranges && parsed.ranges.length === 1 && parsed.ranges[0].start > 0;
+}
+
+function publicFile(file) {
+  return { Id: file.Id, Name: file.Name, SizeBytes: file.SizeBytes, MimeType: file.MimeType, UpdatedAt: file.UpdatedAt };
+}
+
+// GET /api/shares: the user's links (every link for admins)
+app.get("/api/shares", async (req, res) => {
+  try {
+    const rows = await store.listShares({ createdBy: req.user.Role === "admin" ? null : req.user.Id });
+    res.json(rows.map(shareView));
+  } catch (err) {
+    console.error("GET /api/shares error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+// POST /api/shares { kind, itemId, password?, expiresAt?, maxDownloads? }
+app.post("/api/shares", requireRole("editor"), async (req, res) => {
+  const { kind, itemId, password, expiresAt, maxDownloads } = req.body || {};
+  const id = parseInt(itemId, 10);
+  if (!SHARE_KINDS.includes(kind) || !id) return res.status(400).json({ error: "kind (file|folder) and itemId required" });
+  if (password && String(password).length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  const expires = expiresAt ? new Date(expiresAt) : null;
+  if (expires && (isNaN(expires.getTime()) || expires.getTime() <= Date.now())) {
+    return res.status(400).json({ error: "expiresAt must be a date in the future" });
+  }
+  const max = maxDownloads == null || maxDownloads === "" ? null : Number(maxDownloads);
+  if (max != null && !(Number.isInteger(max) && max > 0)) {
+    return res.status(400).json({ error: "maxDownloads must be a whole number > 0" });
+  }
+
+  try {
+    const file = kind === "file" ? await store.getFile(id) : null;
+    const folder = await store.getFolder(file ? file.FolderId : kind === "folder" ? id : null);
+    const notFound = kind === "file" ? "File not found" : "Folder not found";
+    if (!folder || (kind === "file" && !file)) return res.status(404).json({ error: notFound });
+    if (!(await checkAccess(req, res, folder.FullPath, "view", notFound))) return;
+
+    const share = await store.createShare({
+      token: newSessionToken(),
+      kind,
+      itemId: id,
+      createdBy: req.user.Id,
+      passwordHash: password ? await hashPassword(String(password)) : null,
+      expiresAt: expires,
+      maxDownloads: max,
+    });
+    res.status(201).json(shareView(share));
+  } catch (err) {
+    console.error("POST /api/shares error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+// revoke a link (its creator or an admin)
+app.delete("/api/shares/:id", async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) return res.status(400).json({ error: "Invalid id" });
+  try {
+    const share = await store.getShare(id);
+    if (!share || (share.CreatedBy !== req.user.Id && req.user.Role !== "admin")) {
+      return res.status(404).json({ error: "Share not found" });
+    }
+    await store.deleteShare(id);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("DELETE /api/shares/:id error", err);
     res.status(500).json({ error: "Failed" });
   }
 });
 
-/* ============================================================
-   LIST FOLDERS: enqueue recursive sync for this parent
-============================================================ */
-app.get("/api/folders", async (req, res) => {
-  const parentId = req.query.parentId ? parseInt(req.query.parentId, 10) : null;
+// the page behind a link; it loads everything else from /api/s/<token>
+app.get("/s/:token", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "share.html"));
+});
 
+// GET /api/s/:token[?folderId=] -> what the link shows: the file, or one folder of the shared tree
+app.get("/api/s/:token", async (req, res) => {
   try {
-    const pool = await getPool();
-
-    // determine parent full path
-    let parentFullPath = "/root";
-    if (parentId) {
-      const pf = await pool.request().input("Id", sql.Int, parentId).query("SELECT FullPath FROM Folders WHERE Id=@Id");
-      if (pf.recordset.length) parentFullPath = pf.recordset[0].FullPath;
-    }
-
-    // enqueue recursive sync for parent (background)
-    jobQueue.enqueue(async () => {
-      await discoverAndSyncFolderRecursive(parentId, parentFullPath);
+    const ctx = await loadShare(req, res);
+    if (!ctx) return;
+    const { share } = ctx;
+    // opening the link counts, browsing around in it doesn't
+    if (!req.query.folderId) await store.recordShareView(share.Id);
+
+    const info = {
+      kind: share.Kind,
+      name: ctx.file ? ctx.file.Name : ctx.folder.Name,
+      expiresAt: share.ExpiresAt,
+      downloadsLeft: share.MaxDownloads == null ? null : Math.max(0, share.MaxDownloads - share.Downloads),
+    };
+    if (ctx.file) return res.json({ ...info, file: publicFile(ctx.file) });
+
+    const folder = await shareFolder(ctx, res, parseInt(req.query.folderId, 10), "traverse");
+    if (!folder) return;
+    const acl = ctx.owner.Role === "admin" ? null : { userId: ctx.owner.Id };
+    const folders = await store.listChildFolders(folder.Id, { acl });
+    const files = atLeast(folder.Access, "view") ? await store.listFiles({ folderId: folder.Id, acl }) : [];
+    // breadcrumb from the shared folder down, without the path above it
+    const crumbs = (await store.folderBreadcrumbs([folder.FullPath])).get(folder.FullPath) || [];
+    const breadcrumb = crumbs.slice(ctx.folder.FullPath.split("/").length - 2).map((c) => ({ Id: c.Id, Name: c.Name }));
+
+    res.json({
+      ...info,
+      folder: {
+        Id: folder.Id,
+        Name: folder.Name,
+        Breadcrumb: breadcrumb,
+        Folders: folders.map((f) => ({ Id: f.Id, Name: f.Name })),
+        Files: files.map(publicFile),
+      },
     });
+  } catch (err) {
+    console.error("GET /api/s/:token error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
 
-    const r = await pool
-      .request()
-      .input("ParentId", sql.Int, parentId)
-      .query(`
-        SELECT 
-          f.Id,
-          f.Name,
-          f.ParentId,
-          f.FullPath,
-          CASE WHEN EXISTS (SELECT 1 FROM Folders c WHERE c.ParentId = f.Id)
-               THEN 1 ELSE 0 END AS HasChildren,
-          -- include slug so the client can filter reliably: Name|ColorHex|Slug
-          STRING_AGG(t.Name + '|' + t.ColorHex + '|' + t.Slug, ',') AS TagInfo
-        FROM Folders f
-        LEFT JOIN FolderTags ft ON ft.FolderId = f.Id
-        LEFT JOIN Tags t ON t.Id = ft.TagId
-        WHERE 
-          (@ParentId IS NULL AND f.ParentId IS NULL)
-          OR f.ParentId = @ParentId
-        GROUP BY f.Id, f.Name, f.ParentId, f.FullPath
-        ORDER BY f.Name;
-      `);
-
-    // remove folders that no longer exist on disk (async, in background)
-    const existing = [];
-    const cleanupJobs = [];
-
-    for (const row of r.recordset) {
-      const phys = fullPathToPhysical(row.FullPath);
-      try {
-        await fsPromises.access(phys);
-        existing.push(row);
-      } catch {
-        // folder missing on disk, queue cleanup task
-        cleanupJobs.push(async () => {
-          const p = await getPool();
-          await p
-            .request()
-            .input("FolderId", sql.Int, row.Id)
-            .query(`
-              DELETE FROM FileTags WHERE FileId IN (SELECT Id FROM Files WHERE FolderId=@FolderId);
-              DELETE FROM Files WHERE FolderId=@FolderId;
-              DELETE FROM Folders WHERE Id=@FolderId;
-            `);
-        });
-      }
+// POST /api/s/:token/unlock { password } -> cookie that opens the link until it expires
+app.post("/api/s/:token/unlock", async (req, res) => {
+  try {
+    const ctx = await loadShare(req, res, { checkPassword: false });
+    if (!ctx) return;
+    const { share } = ctx;
+    if (!share.PasswordHash) return res.json({ ok: true });
+
+    const key = failureKey(req, `share:${share.Id}`);
+    if (lockedOut(res, key, "Too many wrong passwords, try again later")) return;
+    if (!(await verifyPassword(String((req.body || {}).password || ""), share.PasswordHash))) {
+      recordFailure(key);
+      return res.status(403).json({ error: "Wrong password" });
     }
 
-    // queue cleanup tasks to background job queue
-    cleanupJobs.forEach((job) => jobQueue.enqueue(job));
-
-    res.json(existing);
+    loginFailures.delete(key);
+    res.cookie(SHARE_COOKIE_PREFIX + share.Id, shareUnlockValue(share), {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: req.secure || req.headers["x-forwarded-proto"] === "https",
+      expires: share.ExpiresAt ? dbDate(share.ExpiresAt) : undefined,
+      path: "/",
+    });
+    res.json({ ok: true });
   } catch (err) {
-    console.error("GET /api/folders error", err);
+    console.error("POST /api/s/:token/unlock error", err);
     res.status(500).json({ error: "Failed" });
   }
 });
 
-app.get("/api/folder/:id", async (req, res) => {
+// the shared file, or the shared folder (or ?folderId= below it) as a zip
+app.get("/api/s/:token/download", async (req, res) => {
   try {
-    const id = parseInt(req.params.id, 10);
-    const pool = await getPool();
-    const r = await pool
-      .request()
-      .input("Id", sql.Int, id)
-      .query("SELECT * FROM Folders WHERE Id=@Id");
+    const ctx = await loadShare(req, res);
+    if (!ctx) return;
 
-    if (!r.recordset.length) {
-      return res.status(404).json({ error: "Not found" });
+    if (ctx.file) {
+      if (!(await countShareDownload(req, res, ctx.share, ctx.file.StoragePath))) return;
+      return await sendDownload(req, res, ctx.file.StoragePath, ctx.file.Name, ctx.file.MimeType);
     }
+    const folder = await shareFolder(ctx, res, parseInt(req.query.folderId, 10), "view");
+    if (!folder || !(await countShareDownload(req, res, ctx.share))) return;
+    await sendFolderZip(res, folder, ctx.owner, ctx.grants);
+  } catch (err) {
+    console.error("GET /api/s/:token/download error", err);
+    res.status(500).end();
+  }
+});
 
-    res.json(r.recordset[0]);
+// one file inside a shared folder
+app.get("/api/s/:token/file/:fileId", async (req, res) => {
+  try {
+    const ctx = await loadShare(req, res);
+    if (!ctx) return;
+    const file = await store.getFile(parseInt(req.params.fileId, 10) || 0);
+    if (!file) return res.status(404).json({ error: "File not found" });
+    if (!(await shareFolder(ctx, res, file.FolderId, "view", "File not found"))) return;
+    if (!(await countShareDownload(req, res, ctx.share, file.StoragePath))) return;
+
+    await sendDownload(req, res, file.StoragePath, file.Name, file.MimeType);
   } catch (err) {
-    console.error("GET /api/folder/:id error", err);
-    res.status(500).json({ error: "Failed" });
+    console.error("GET /api/s/:token/file/:fileId error", err);
+    res.status(500).end();
   }
 });
 
-app.post("/api/folders", async (req, res) => {
-  const { name, parentId } = req.body || {};
+/* ============================================================
+   FILE OPS: renames, moves, copies, deletes (to the trash) and restores
+   change disk and DB together. fileOp() runs the DB changes and the disk
+   steps in one transaction; each disk step is written to
+   journal/<id>.jsonl before it runs and the transaction inserts the
+   FileOps row of the operation. When either side fails, the DB rolls
+   back and the disk steps are undone, newest first. After a crash
+   recoverFileOps() finishes the steps of operations whose FileOps row
+   exists (they committed) and undoes those of the others.
+============================================================ */
+// operations under way; rows of items missing on disk are not cleaned up meanwhile
+const activeFileOps = new Set();
+
+class FileOp {
+  constructor(kind) {
+    this.id = crypto.randomUUID();
+    this.kind = kind;
+    this.tx = null;
+    this.steps = [];
+    this.journal = path.join(JOURNAL_ROOT, `${this.id}.jsonl`);
+    this.journaled = false;
+    this.changes = [];
+  }
 
-  if (!name || !name.trim()) {
-    return res.status(400).json({ error: "Folder name required" });
+  // a change to publish (see EVENTS) once the operation has committed
+  notify(change) {
+    this.changes.push(change);
   }
 
-  try {
-    const pool = await getPool();
+  // append a record to the journal and flush it before going on; the journal is only
+  // created for operations that touch the disk
+  async log(record) {
+    if (!this.journaled) {
+      await fsPromises.mkdir(JOURNAL_ROOT, { recursive: true });
+      this.journaled = true;
+      await this.log({ id: this.id, kind: this.kind });
+    }
+    const handle = await fsPromises.open(this.journal, "a");
+    try {
+      await handle.writeFile(JSON.stringify(record) + "\n");
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  }
 
-    let parentPath = "/root";
-    let parentDbId = null;
+  async step(step, run) {
+    await this.log(step);
+    this.steps.push(step);
+    await run();
+  }
 
-    if (parentId) {
-      const p = await pool
-        .request()
-        .input("Id", sql.Int, parentId)
-        .query("SELECT * FROM Folders WHERE Id=@Id");
+  // items already missing on disk can still be moved in the DB (returns false)
+  async move(src, dest) {
+    if (!fs.existsSync(src)) return false;
+    await this.step({ op: "move", from: src, to: dest }, () => moveOnDisk(src, dest));
+    return true;
+  }
 
-      if (!p.recordset.length) {
-        return res.status(400).json({ error: "Parent not found" });
-      }
+  async copy(src, dest) {
+    // undoing a copy removes dest, so it must not be there before
+    if (fs.existsSync(dest)) throw new Error(`${dest} already exists`);
+    await this.step({ op: "copy", from: src, to: dest }, () => copyOnDisk(src, dest));
+  }
 
-      parentDbId = p.recordset[0].Id;
-      parentPath = p.recordset[0].FullPath;
-    }
+  async mkdir(dir) {
+    if (fs.existsSync(dir)) return;
+    await this.step({ op: "mkdir", path: dir }, () => fsPromises.mkdir(dir, { recursive: true }));
+  }
+}
 
-    const fullPath = `${parentPath}/${name}`;
+// copy a file or folder tree to dest (which must not exist)
+async function copyOnDisk(src, dest) {
+  await fsPromises.mkdir(path.dirname(dest), { recursive: true });
+  const stat = await fsPromises.stat(src);
+  if (stat.isDirectory()) await fsPromises.cp(src, dest, { recursive: true, errorOnExist: true, force: false });
+  else await fsPromises.copyFile(src, dest, fs.constants.COPYFILE_EXCL | fs.constants.COPYFILE_FICLONE);
+}
 
-    await ensureDiskFolder(fullPath);
+// reverse a step; safe to repeat and for steps that never ran or stopped halfway
+async function undoFileStep(step) {
+  if (step.op === "move") {
+    if (!fs.existsSync(step.to)) return;
+    if (!fs.existsSync(step.from)) await moveOnDisk(step.to, step.from);
+    // a cross-device move cut short: keep both rather than guess which one is whole
+    else console.error("File op undo: both", step.from, "and", step.to, "exist, left as they are");
+  } else if (step.op === "copy") {
+    await fsPromises.rm(step.to, { recursive: true, force: true });
+  } else if (step.op === "mkdir") {
+    // only while still empty
+    await fsPromises.rmdir(step.path).catch(() => {});
+  }
+}
 
-    const r = await pool
-      .request()
-      .input("Name", sql.NVarChar(255), name)
-      .input("ParentId", sql.Int, parentDbId)
-      .input("FullPath", sql.NVarChar(1000), fullPath)
-      .query(`
-        INSERT INTO Folders (Name, ParentId, FullPath)
-        OUTPUT INSERTED.*
-        VALUES (@Name, @ParentId, @FullPath);
-      `);
+// finish a step of a committed operation; steps already done are left alone
+async function redoFileStep(step) {
+  if (step.op === "move" || step.op === "copy") {
+    if (!fs.existsSync(step.from) || fs.existsSync(step.to)) return;
+    await (step.op === "move" ? moveOnDisk(step.from, step.to) : copyOnDisk(step.from, step.to));
+  } else if (step.op === "mkdir") {
+    await fsPromises.mkdir(step.path, { recursive: true });
+  }
+}
 
-    res.status(201).json(r.recordset[0]);
+// the journal goes first: a journal left without its FileOps row would be undone
+async function finishFileOp(id, journal) {
+  try {
+    await fsPromises.rm(journal, { force: true });
+    await store.deleteFileOp(id);
   } catch (err) {
-    console.error("POST /api/folders error", err);
-    res.status(500).json({ error: "Failed to create folder" });
+    console.error("File op cleanup error", id, err);
   }
-});
+}
 
-app.delete("/api/folder/:id", async (req, res) => {
-  const id = parseInt(req.params.id, 10);
-  if (!id) return res.status(400).json({ error: "Invalid id" });
+// undo the steps newest first; when one can't be undone the journal stays for the next start
+async function rollbackFileOp(op) {
+  let undone = true;
+  for (const step of [...op.steps].reverse()) {
+    try {
+      await undoFileStep(step);
+    } catch (err) {
+      undone = false;
+      console.error("File op undo error", step, err);
+    }
+  }
+  if (undone && op.journaled) await fsPromises.rm(op.journal, { force: true }).catch(() => {});
+}
 
+// run fn(tx, op) as one operation (disk steps through op.move/copy/mkdir) and return its
+// result; `outer` joins an operation under way (trashing the items a bulk move replaces)
+async function fileOp(kind, fn, outer) {
+  if (outer) return fn(outer.tx, outer);
+
+  const op = new FileOp(kind);
+  activeFileOps.add(op.id);
   try {
-    const pool = await getPool();
+    const result = await store.transaction(async (tx) => {
+      op.tx = tx;
+      const r = await fn(tx, op);
+      if (op.journaled) await store.commitFileOp(op.id, kind, tx);
+      return r;
+    });
+    if (op.journaled) await finishFileOp(op.id, op.journal);
+    op.changes.forEach(publish);
+    return result;
+  } catch (err) {
+    await rollbackFileOp(op);
+    throw err;
+  } finally {
+    activeFileOps.delete(op.id);
+  }
+}
 
-    const folderRes = await pool
-      .request()
-      .input("Id", sql.Int, id)
-      .query("SELECT * FROM Folders WHERE Id=@Id");
+// startup pass over the journals a crash left behind (runs before requests are served)
+async function recoverFileOps() {
+  let names;
+  try {
+    names = (await fsPromises.readdir(JOURNAL_ROOT)).filter((n) => n.endsWith(".jsonl"));
+  } catch {
+    names = [];
+  }
 
-    if (!folderRes.recordset.length) {
-      return res.status(404).json({ error: "Folder not found" });
+  for (const name of names) {
+    const id = path.basename(name, ".jsonl");
+    const journal = path.join(JOURNAL_ROOT, name);
+    try {
+      const records = [];
+      for (const line of (await fsPromises.readFile(journal, "utf8")).split("\n")) {
+        if (!line.trim()) continue;
+        // a line cut short by the crash: that step never ran
+        try {
+          records.push(JSON.parse(line));
+        } catch {
+          break;
+        }
+      }
+      const kind = records.length ? records[0].kind : "?";
+      const steps = records.filter((r) => r.op);
+
+      if (await store.getFileOp(id)) {
+        for (const step of steps) await redoFileStep(step);
+        await finishFileOp(id, journal);
+        console.log("File ops: finished", kind, id);
+      } else {
+        for (const step of steps.reverse()) await undoFileStep(step);
+        await fsPromises.rm(journal, { force: true });
+        console.log("File ops: undid", kind, id);
+      }
+    } catch (err) {
+      console.error("File ops: recovery failed for", id, err);
     }
+  }
 
-    const folder = folderRes.recordset[0];
-    const phys = fullPathToPhysical(folder.FullPath);
+  // rows of operations whose journal was already removed
+  for (const row of await store.listFileOps()) {
+    if (!fs.existsSync(path.join(JOURNAL_ROOT, `${row.Id}.jsonl`))) await store.deleteFileOp(row.Id);
+  }
+}
 
-    await pool
-      .request()
-      .input("FullPathPrefix", sql.NVarChar(1000), folder.FullPath + "%")
-      .query(`
-        DELETE FT
-        FROM FileTags FT
-        WHERE FT.FileId IN (
-          SELECT Id FROM Files WHERE FolderId IN (
-            SELECT Id FROM Folders WHERE FullPath LIKE @FullPathPrefix
-          )
-        );
+// an item that seems gone from disk may be in the middle of a move; its rows are only
+// dropped when nothing is under way and it is still missing
+function goneFromDisk(physical) {
+  return activeFileOps.size === 0 && !fs.existsSync(physical);
+}
 
-        DELETE FROM Files WHERE FolderId IN (
-          SELECT Id FROM Folders WHERE FullPath LIKE @FullPathPrefix
-        );
+/* ============================================================
+   TRASH: move to trash / restore / purge + retention job
+============================================================ */
+class TrashConflictError extends Error {}
 
-        DELETE FROM Folders WHERE FullPath LIKE @FullPathPrefix;
-      `);
+function toStoragePath(p) {
+  return p.replace(/\\/g, "/");
+}
 
-    // delete folder asynchronously in background
-    jobQueue.enqueue(async () => {
-      try {
-        await fsPromises.rm(phys, { recursive: true, force: true });
-        console.log("Cleanup: removed folder", phys);
-      } catch (err) {
-        console.error("Cleanup error for folder", phys, err);
-      }
-    });
+// logical FullPath a trashed folder tree lives under (outside /root, so no live query matches it)
+function trashFolderFullPath(trashId, name) {
+  return `/.trash/${trashId}/${name}`;
+}
 
-    res.json({ ok: true });
+// rename, falling back to copy + delete when TRASH_DIR is on another device
+async function moveOnDisk(src, dest) {
+  await fsPromises.mkdir(path.dirname(dest), { recursive: true });
+  try {
+    await fsPromises.rename(src, dest);
   } catch (err) {
-    console.error("DELETE /api/folder/:id error", err);
-    res.status(500).json({ error: "Failed" });
+    if (err.code !== "EXDEV") throw err;
+    await fsPromises.cp(src, dest, { recursive: true });
+    await fsPromises.rm(src, { recursive: true, force: true });
   }
-});
+}
 
-// PATCH to rename folder (updates FullPath for folder and descendants; attempts disk rename)
-app.patch("/api/folder/:id", async (req, res) => {
-  const id = parseInt(req.params.id, 10);
-  const { name } = req.body || {};
-  if (!id) return res.status(400).json({ error: "Invalid id" });
-  if (!name || !name.trim()) return res.status(400).json({ error: "Name required" });
+// folder row for a logical path, recreating missing folders (DB + disk) from /root down
+async function ensureFolderPath(fullPath) {
+  let folder = await ensureRootFolder();
+  for (const seg of fullPath.split("/").filter(Boolean).slice(1)) {
+    folder = await findOrCreateFolder(folder, seg);
+  }
+  return folder;
+}
 
-  try {
-    const pool = await getPool();
-    const r = await pool
-      .request()
-      .input("Id", sql.Int, id)
-      .query("SELECT * FROM Folders WHERE Id=@Id");
+// one journaled operation (see FILE OPS), so a failed move leaves the DB untouched; `outer`
+// joins an operation under way (bulk delete). The entry comes back with its TrashPath.
+async function moveFileToTrash(file, outer) {
+  return fileOp("trash", async (tx, op) => {
+    const folder = await store.getFolder(file.FolderId, tx);
+    const fileName = path.basename(file.StoragePath);
+    const originalPath = `${folder ? folder.FullPath : "/root"}/${fileName}`;
+    const entry = await store.createTrashEntry(
+      { kind: "file", itemId: file.Id, name: file.Name, originalPath, sizeBytes: file.SizeBytes },
+      tx
+    );
+    const trashPath = toStoragePath(path.join(TRASH_ROOT, String(entry.Id), fileName));
+    await store.setTrashPath(entry.Id, trashPath, tx);
+    await store.trashFile(file.Id, entry.Id, trashPath, tx);
+    await op.move(file.StoragePath, trashPath);
+    if (folder) op.notify(fileChange("removed", { id: file.Id, folderId: folder.Id, folderPath: folder.FullPath }));
+    return { ...entry, TrashPath: trashPath };
+  }, outer);
+}
 
-    if (!r.recordset.length) return res.status(404).json({ error: "Folder not found" });
+async function moveFolderToTrash(folder, outer) {
+  const name = path.posix.basename(folder.FullPath);
+  const physical = fullPathToPhysical(folder.FullPath);
+
+  return fileOp("trash", async (tx, op) => {
+    const entry = await store.createTrashEntry(
+      { kind: "folder", itemId: folder.Id, name: folder.Name, originalPath: folder.FullPath },
+      tx
+    );
+    const trashPath = toStoragePath(path.join(TRASH_ROOT, String(entry.Id), name));
+    await store.setTrashPath(entry.Id, trashPath, tx);
+    await store.trashFolderTree(
+      folder.FullPath,
+      entry.Id,
+      { trashFullPath: trashFolderFullPath(entry.Id, name), physical: toStoragePath(physical), trashPhysical: trashPath },
+      tx
+    );
+    await op.move(physical, trashPath);
+    op.notify(folderChange("removed", { id: folder.Id, parentId: folder.ParentId, fullPath: folder.FullPath }));
+    return { ...entry, TrashPath: trashPath };
+  }, outer);
+}
 
-    const folder = r.recordset[0];
-    const oldFull = folder.FullPath;
-    // determine parent full path
-    let parentFull = "/root";
-    if (folder.ParentId != null) {
-      const p = await pool.request().input("Id", sql.Int, folder.ParentId).query("SELECT FullPath FROM Folders WHERE Id=@Id");
-      if (p.recordset.length) parentFull = p.recordset[0].FullPath;
-    }
-
-    const newFull = `${parentFull}/${name}`;
-
-    // Update FullPath for this folder and all descendants by replacing prefix
-    const oldPrefix = oldFull;
-    const newPrefix = newFull;
-
-    await pool
-      .request()
-      .input("OldPrefix", sql.NVarChar(1000), oldPrefix)
-      .input("NewPrefix", sql.NVarChar(1000), newPrefix)
-      .input("Name", sql.NVarChar(255), name)
-      .input("Id", sql.Int, id)
-      .query(`
-        UPDATE Folders
-        SET FullPath = @NewPrefix + SUBSTRING(FullPath, LEN(@OldPrefix) + 1, 2000)
-        WHERE FullPath LIKE @OldPrefix + '%';
-
-        UPDATE Folders SET Name=@Name WHERE Id=@Id;
-      `);
-
-    // Attempt to rename on disk
-    const oldPhys = fullPathToPhysical(oldFull);
-    const newPhys = fullPathToPhysical(newFull);
-    try {
-      // ensure destination parent exists
-      await fsPromises.mkdir(path.dirname(newPhys), { recursive: true });
-      await fsPromises.rename(oldPhys, newPhys);
-    } catch (err) {
-      // non-fatal: log and continue (DB already updated)
-      console.error("Failed to rename folder on disk:", oldPhys, "->", newPhys, err);
-    }
+async function moveTagToTrash(tag) {
+  const entry = await store.transaction(async (tx) => {
+    const entry = await store.createTrashEntry({ kind: "tag", itemId: tag.Id, name: tag.Name, originalPath: tag.Slug }, tx);
+    await store.trashTag(tag.Id, entry.Id, tx);
+    return entry;
+  });
+  publish(tagsChange());
+  return entry;
+}
 
-    const updated = await pool.request().input("Id", sql.Int, id).query("SELECT * FROM Folders WHERE Id=@Id");
-    res.json(updated.recordset[0]);
-  } catch (err) {
-    console.error("PATCH /api/folder/:id error", err);
-    res.status(500).json({ error: "Failed" });
+async function restoreFromTrash(entry) {
+  if (entry.Kind === "tag") {
+    // a parent trashed (or purged) since is brought back by its slug; one renamed, moved or
+    // merged since is found by its old slug, which is an alias now
+    const parentSlug = path.posix.dirname(entry.OriginalPath);
+    await store.transaction(async (tx) => {
+      const parent = parentSlug !== "." ? await ensureTagPath(parentSlug.split("/"), {}, tx) : null;
+      const slug = (parent ? parent.Slug + "/" : "") + path.posix.basename(entry.OriginalPath);
+      if (await store.getTagBySlug(slug, tx)) throw new TrashConflictError(`A tag with slug "${slug}" already exists`);
+      await store.restoreTag(entry.Id, entry.ItemId, { slug, parentId: parent ? parent.Id : null }, tx);
+      await store.dropShadowedTagAliases(tx);
+      await store.deleteTrashEntry(entry.Id, tx);
+    });
+    publish(tagsChange());
+    return;
   }
-});
 
-// GET download folder as zip (streams zip). Requires 'archiver' package.
-app.get("/download-folder/:id", async (req, res) => {
-  try {
-    const id = parseInt(req.params.id, 10);
-    if (!id) return res.status(400).send("Invalid id");
+  const physical = fullPathToPhysical(entry.OriginalPath);
+  if (fs.existsSync(physical) || (entry.Kind === "folder" && (await store.getFolderByPath(entry.OriginalPath)))) {
+    throw new TrashConflictError(`${entry.OriginalPath} already exists`);
+  }
 
-    const pool = await getPool();
-    const r = await pool.request().input("Id", sql.Int, id).query("SELECT * FROM Folders WHERE Id=@Id");
-    if (!r.recordset.length) return res.status(404).send("Not found");
+  const parent = await ensureFolderPath(path.posix.dirname(entry.OriginalPath));
+
+  await fileOp("restore", async (tx, op) => {
+    if (entry.Kind === "file") {
+      await store.restoreFile(entry.ItemId, { folderId: parent.Id, storagePath: toStoragePath(physical) }, tx);
+      op.notify(fileChange("added", { id: entry.ItemId, folderId: parent.Id, folderPath: parent.FullPath }));
+    } else {
+      const name = path.posix.basename(entry.OriginalPath);
+      await store.restoreFolderTree(
+        entry.Id,
+        entry.ItemId,
+        parent.Id,
+        {
+          trashFullPath: trashFolderFullPath(entry.Id, name),
+          fullPath: entry.OriginalPath,
+          trashPhysical: entry.TrashPath,
+          physical: toStoragePath(physical),
+        },
+        tx
+      );
+      op.notify(folderChange("added", { id: entry.ItemId, parentId: parent.Id, fullPath: entry.OriginalPath }));
+    }
+    await store.deleteTrashEntry(entry.Id, tx);
+    if (entry.TrashPath) await op.move(entry.TrashPath, physical);
+  });
 
-    const folder = r.recordset[0];
-    const phys = fullPathToPhysical(folder.FullPath);
+  // drop the now empty trash/<id> directory
+  jobQueue.enqueue("remove-paths", { paths: [path.join(TRASH_ROOT, String(entry.Id))] });
+}
 
-    try {
-      await fsPromises.access(phys);
-    } catch {
-      return res.status(404).send("Folder not found on disk");
-    }
+async function purgeTrash(entry) {
+  const removed = await store.purgeTrashEntry(entry);
+  for (const r of removed) {
+    if (r.Kind === "tag") continue;
+    const dirs = [path.join(TRASH_ROOT, String(r.Id))];
+    if (r.Kind === "file") dirs.push(path.join(VERSIONS_ROOT, String(r.ItemId)));
+    jobQueue.enqueue("remove-paths", { paths: dirs });
+  }
+  // versions of files purged along with a folder
+  if (removed.some((r) => r.Kind === "folder")) queueMaintenance("sweep-version-blobs");
+  return removed;
+}
 
-    let archiver;
-    try {
-      archiver = require("archiver");
-    } catch (e) {
-      console.error("archiver module not installed:", e);
-      return res.status(500).send("Server missing 'archiver' module. Install with: npm install archiver");
-    }
+// files and directories left over once their rows are gone
+async function removePaths(paths) {
+  for (const p of paths) await fsPromises.rm(p, { recursive: true, force: true });
+}
 
-    const zipName = (folder.Name || "folder") + ".zip";
-    res.setHeader("Content-Type", "application/zip");
-    res.setHeader("Content-Disposition", `attachment; filename="${encodeURIComponent(zipName)}"`);
+function trashDeletedAt(entry) {
+  return dbDate(entry.DeletedAt);
+}
 
-    const archive = archiver("zip", { zlib: { level: 9 } });
-    archive.on("error", (err) => {
-      console.error("Archive error", err);
-      try { res.status(500).end(); } catch (e) {}
-    });
+// who may see, restore or purge an entry: editors for tags, and for files and folders
+// whoever can edit the folder they were deleted from
+async function canManageTrashEntry(req, entry) {
+  if (entry.Kind === "tag") return hasRole(req.user, "editor");
+  return atLeast(await accessTo(req, path.posix.dirname(entry.OriginalPath)), "edit");
+}
 
-    archive.pipe(res);
-    // append directory contents; second arg false to avoid nesting with full path
-    archive.directory(phys, false);
-    archive.finalize();
-  } catch (err) {
-    console.error("GET /download-folder/:id error", err);
-    res.status(500).end();
+// purge expired entries, then remove trash/<id> directories no entry refers to anymore
+async function purgeExpiredTrash() {
+  if (TRASH_RETENTION_DAYS > 0) {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    for (const entry of await store.listExpiredTrash(cutoff)) {
+      // may already be gone together with its folder
+      if (!(await store.getTrashEntry(entry.Id))) continue;
+      await purgeTrash(entry);
+      console.log("Trash: purged expired", entry.Kind, entry.OriginalPath);
+    }
   }
-});
 
-/* ============================================================
-   FOLDER TAGS: get tags with selection and set tags for a folder
-============================================================ */
-app.get("/api/folder/:id/tags", async (req, res) => {
-  const id = parseInt(req.params.id, 10);
-  if (!id) return res.status(400).json({ error: "Invalid id" });
+  let dirs;
+  try {
+    dirs = await fsPromises.readdir(TRASH_ROOT);
+  } catch {
+    return;
+  }
+  const known = new Set((await store.listTrash()).map((e) => String(e.Id)));
+  for (const d of dirs) {
+    // a trash operation under way has a directory for an entry that isn't committed yet
+    if (/^\d+$/.test(d) && !known.has(d) && !activeFileOps.size) {
+      await fsPromises.rm(path.join(TRASH_ROOT, d), { recursive: true, force: true });
+    }
+  }
+}
+
+app.get("/api/trash", async (req, res) => {
   try {
-    const pool = await getPool();
-    const r = await pool
-      .request()
-      .input("FolderId", sql.Int, id)
-      .query(`
-        SELECT
-          t.Id, t.Name, t.Slug, t.ColorHex,
-          CASE WHEN ft.FolderId IS NULL THEN 0 ELSE 1 END AS Selected
-        FROM Tags t
-        LEFT JOIN FolderTags ft ON ft.TagId = t.Id AND ft.FolderId = @FolderId
-        ORDER BY t.Name;
-      `);
-    const rows = r.recordset.map(rw => ({ ...rw, Selected: !!rw.Selected }));
-    res.json(rows);
+    const rows = [];
+    for (const r of await store.listTrash()) if (await canManageTrashEntry(req, r)) rows.push(r);
+    const day = 24 * 60 * 60 * 1000;
+    const items = rows.map((r) => ({
+      ...r,
+      ExpiresAt: TRASH_RETENTION_DAYS > 0 ? new Date(trashDeletedAt(r).getTime() + TRASH_RETENTION_DAYS * day) : null,
+    }));
+    res.json({ retentionDays: TRASH_RETENTION_DAYS, items });
   } catch (err) {
-    console.error("GET /api/folder/:id/tags error", err);
+    console.error("GET /api/trash error", err);
     res.status(500).json({ error: "Failed" });
   }
 });
 
-app.post("/api/folder/:id/tags", async (req, res) => {
+app.post("/api/trash/:id/restore", async (req, res) => {
   const id = parseInt(req.params.id, 10);
-  const tagIds = Array.isArray(req.body.tagIds) ? req.body.tagIds.map(x => parseInt(x, 10)).filter(Boolean) : [];
   if (!id) return res.status(400).json({ error: "Invalid id" });
   try {
-    const pool = await getPool();
-    // remove existing, then insert provided
-    await pool
-      .request()
-      .input("FolderId", sql.Int, id)
-      .query(`DELETE FROM FolderTags WHERE FolderId=@FolderId;`);
-
-    if (tagIds.length > 0) {
-      for (const tid of tagIds) {
-        await pool
-          .request()
-          .input("FolderId", sql.Int, id)
-          .input("TagId", sql.Int, tid)
-          .query("INSERT INTO FolderTags (FolderId, TagId) VALUES (@FolderId, @TagId);");
-      }
-    }
-
-    res.json({ ok: true });
+    const entry = await store.getTrashEntry(id);
+    if (!entry || !(await canManageTrashEntry(req, entry))) return res.status(404).json({ error: "Not found" });
+    await restoreFromTrash(entry);
+    res.json({ ok: true, kind: entry.Kind, path: entry.OriginalPath });
   } catch (err) {
-    console.error("POST /api/folder/:id/tags error", err);
+    if (err instanceof TrashConflictError) return res.status(409).json({ error: err.message });
+    console.error("POST /api/trash/:id/restore error", err);
     res.status(500).json({ error: "Failed" });
   }
 });
 
-/* ============================================================
-   FILE TAGS: get tags with selection and set tags for a file
-============================================================ */
-app.get("/api/file/:id/tags", async (req, res) => {
+// purge one entry permanently
+app.delete("/api/trash/:id", async (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (!id) return res.status(400).json({ error: "Invalid id" });
   try {
-    const pool = await getPool();
-    const r = await pool
-      .request()
-      .input("FileId", sql.Int, id)
-      .query(`
-        SELECT
-          t.Id, t.Name, t.Slug, t.ColorHex,
-          CASE WHEN ft.FileId IS NULL THEN 0 ELSE 1 END AS Selected
-        FROM Tags t
-        LEFT JOIN FileTags ft ON ft.TagId = t.Id AND ft.FileId = @FileId
-        ORDER BY t.Name;
-      `);
-    const rows = r.recordset.map(rw => ({ ...rw, Selected: !!rw.Selected }));
-    res.json(rows);
+    const entry = await store.getTrashEntry(id);
+    if (!entry || !(await canManageTrashEntry(req, entry))) return res.status(404).json({ error: "Not found" });
+    const removed = await purgeTrash(entry);
+    res.json({ ok: true, purged: removed.length });
   } catch (err) {
-    console.error("GET /api/file/:id/tags error", err);
+    console.error("DELETE /api/trash/:id error", err);
     res.status(500).json({ error: "Failed" });
   }
 });
 
-app.post("/api/file/:id/tags", async (req, res) => {
-  const id = parseInt(req.params.id, 10);
-  const tagIds = Array.isArray(req.body.tagIds) ? req.body.tagIds.map(x => parseInt(x, 10)).filter(Boolean) : [];
-  if (!id) return res.status(400).json({ error: "Invalid id" });
+// empty the trash
+app.delete("/api/trash", requireRole("admin"), async (req, res) => {
   try {
-    const pool = await getPool();
-    // remove existing, then insert provided
-    await pool
-      .request()
-      .input("FileId", sql.Int, id)
-      .query(`DELETE FROM FileTags WHERE FileId=@FileId;`);
-
-    if (tagIds.length > 0) {
-      for (const tid of tagIds) {
-        await pool
-          .request()
-          .input("FileId", sql.Int, id)
-          .input("TagId", sql.Int, tid)
-          .query("INSERT INTO FileTags (FileId, TagId) VALUES (@FileId, @TagId);");
-      }
+    let purged = 0;
+    for (const entry of await store.listTrash()) {
+      if (!(await store.getTrashEntry(entry.Id))) continue;
+      purged += (await purgeTrash(entry)).length;
     }
-
-    res.json({ ok: true });
+    res.json({ ok: true, purged });
   } catch (err) {
-    console.error("POST /api/file/:id/tags error", err);
+    console.error("DELETE /api/trash error", err);
     res.status(500).json({ error: "Failed" });
   }
 });
 
 /* ============================================================
-   DOWNLOAD / DELETE / RENAME FILE
+   EVENTS: GET /api/events streams changes to files, folders and tags
+   as Server-Sent Events, whether they come from the API, an upload or
+   the disk watcher, so open tabs update without polling:
+     file    { action: added|changed|removed|moved, id, folderId, fromFolderId? }
+     folder  { action: added|changed|removed|moved, id, parentId, fullPath, fromParentId?, fromPath? }
+     tags    { action: "changed" }  (the tag list; tags set on items come as file/folder changed)
+     reset   {}  (a reconnecting client missed events: reload everything)
+   A subscriber only gets the events of folders it can see. Changes made
+   in a file op are published when it commits (FileOp.notify).
 ============================================================ */
+// a comment line keeps idle connections (and proxies) open; sessions are checked then too
+const EVENTS_HEARTBEAT_MS = 25 * 1000;
+// events kept for clients that reconnect with Last-Event-ID
+const EVENTS_REPLAY = 500;
+// how long the browser waits before reconnecting
+const EVENTS_RETRY_MS = 3000;
+// event ids are "<boot>.<n>", so an id from before a restart asks for a reset
+const EVENTS_BOOT = Date.now().toString(36);
+
+const eventSubscribers = new Set();
+const recentEvents = [];
+let eventCount = 0;
+
+// { type, data, visibleAt: [{ fullPath, wanted }] } (null: everyone sees it)
+function fileChange(action, { id, folderId, folderPath, fromFolderId = null, fromPath = null }) {
+  const data = { action, id, folderId };
+  const visibleAt = [{ fullPath: folderPath, wanted: "view" }];
+  if (fromPath) {
+    data.fromFolderId = fromFolderId;
+    visibleAt.push({ fullPath: fromPath, wanted: "view" });
+  }
+  return { type: "file", data, visibleAt };
+}
 
-// Download a file by id (streams from disk)
-app.get("/download/:id", async (req, res) => {
+function folderChange(action, { id, parentId, fullPath, fromParentId = null, fromPath = null }) {
+  const data = { action, id, parentId, fullPath };
+  const visibleAt = [{ fullPath, wanted: "traverse" }];
+  if (fromPath) {
+    Object.assign(data, { fromParentId, fromPath });
+    visibleAt.push({ fullPath: fromPath, wanted: "traverse" });
+  }
+  return { type: "folder", data, visibleAt };
+}
+
+function tagsChange() {
+  return { type: "tags", data: { action: "changed" }, visibleAt: null };
+}
+
+// file change for a row whose folder path isn't at hand
+async function publishFileChange(action, file) {
   try {
-    const id = parseInt(req.params.id, 10);
-    if (!id) return res.sendStatus(400);
+    const folder = await store.getFolder(file.FolderId);
+    if (folder) publish(fileChange(action, { id: file.Id, folderId: folder.Id, folderPath: folder.FullPath }));
+  } catch (err) {
+    console.error("Event error", err);
+  }
+}
 
-    const pool = await getPool();
-    const r = await pool.request().input("Id", sql.Int, id).query("SELECT * FROM Files WHERE Id=@Id");
-    if (!r.recordset.length) return res.sendStatus(404);
+function publish(change) {
+  const event = { ...change, id: `${EVENTS_BOOT}.${++eventCount}` };
+  recentEvents.push(event);
+  if (recentEvents.length > EVENTS_REPLAY) recentEvents.shift();
+  for (const sub of eventSubscribers) sendEvent(sub, event);
+}
 
-    const file = r.recordset[0];
-    if (!file.StoragePath || !fs.existsSync(file.StoragePath)) return res.sendStatus(404);
+function sendEvent(sub, event) {
+  const { user, grants } = sub;
+  if (event.visibleAt && !event.visibleAt.some((v) => atLeast(folderAccess(user, grants, v.fullPath), v.wanted))) return;
+  sub.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
 
-    const mime = file.MimeType || "application/octet-stream";
-    const safeName = String(file.Name || "download").replace(/[\r\n"]/g, "_").trim();
-    const headerName = encodeURIComponent(safeName);
+// what a reconnecting client missed since lastId, or a reset when that is no longer known
+function replayEvents(sub, lastId) {
+  if (!lastId) return;
+  const [boot, n] = String(lastId).split(".");
+  const oldest = recentEvents.length ? Number(recentEvents[0].id.split(".")[1]) : eventCount + 1;
+  if (boot !== EVENTS_BOOT || !(Number(n) >= oldest - 1 && Number(n) <= eventCount)) {
+    sub.res.write(`id: ${EVENTS_BOOT}.${eventCount}\nevent: reset\ndata: {}\n\n`);
+    return;
+  }
+  for (const event of recentEvents) {
+    if (Number(event.id.split(".")[1]) > Number(n)) sendEvent(sub, event);
+  }
+}
 
-    res.setHeader("Content-Type", mime);
-    res.setHeader("Content-Disposition", `attachment; filename="${headerName}"`);
+// heartbeat: streams of ended sessions close, role and grant changes apply from here on
+async function refreshSubscribers() {
+  for (const sub of eventSubscribers) {
+    try {
+      const user = await store.getSessionUser(sub.sessionId, new Date());
+      if (!user) {
+        eventSubscribers.delete(sub);
+        sub.res.end();
+        continue;
+      }
+      sub.user = publicUser(user);
+      sub.grants = user.Role === "admin" ? [] : await store.listUserGrants(user.Id);
+      sub.res.write(": ping\n\n");
+    } catch (err) {
+      console.error("Events heartbeat error", err);
+    }
+  }
+}
 
-    const stream = fs.createReadStream(file.StoragePath);
-    stream.on("error", (err) => {
-      console.error("stream error", err);
-      try { res.status(500).end(); } catch (e) {}
-    });
-    stream.pipe(res);
+app.get("/api/events", async (req, res) => {
+  try {
+    const sub = { res, user: req.user, sessionId: req.sessionId, grants: await userGrants(req) };
+    res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", "X-Accel-Buffering": "no" });
+    res.flushHeaders();
+    res.write(`retry: ${EVENTS_RETRY_MS}\n\n`);
+    replayEvents(sub, req.get("Last-Event-ID"));
+    eventSubscribers.add(sub);
+    req.on("close", () => eventSubscribers.delete(sub));
   } catch (err) {
-    console.error("GET /download/:id error", err);
-    res.status(500).end();
+    console.error("GET /api/events error", err);
+    if (!res.headersSent) res.status(500).json({ error: "Failed" });
+    else res.end();
   }
 });
 
-// Delete file (DB + schedule disk deletion)
-app.delete("/api/file/:id", async (req, res) => {
-  const id = parseInt(req.params.id, 10);
-  if (!id) return res.status(400).json({ error: "Invalid id" });
+/* ============================================================
+   JOBS: what the background queue is doing, and the reconcile
+   passes (admins)
+============================================================ */
+const JOB_STATES = ["queued", "running", "failed"];
+const JOBS_LIST_LIMIT = 200;
 
+function jobView(job) {
+  let payload;
   try {
-    const pool = await getPool();
-    const r = await pool.request().input("Id", sql.Int, id).query("SELECT * FROM Files WHERE Id=@Id");
-    if (!r.recordset.length) return res.status(404).json({ error: "File not found" });
-
-    const file = r.recordset[0];
-
-    // remove DB entries
-    await pool.request().input("FileId", sql.Int, id).query(`
-      DELETE FROM FileTags WHERE FileId=@FileId;
-      DELETE FROM Files WHERE Id=@FileId;
-    `);
+    payload = JSON.parse(job.Payload || "{}");
+  } catch {
+    payload = {};
+  }
+  return { ...job, Payload: payload };
+}
 
-    // schedule disk delete
-    jobQueue.enqueue(async () => {
-      try {
-        if (file.StoragePath && fs.existsSync(file.StoragePath)) {
-          await fsPromises.unlink(file.StoragePath);
-        }
-      } catch (err) {
-        console.error("Cleanup error deleting file", file.StoragePath, err);
-      }
-    });
+// GET /api/jobs?state=queued|running|failed: running jobs first, then queued ones in the order
+// they will run, then the latest failures (at most JOBS_LIST_LIMIT), with counts per state
+app.get("/api/jobs", requireRole("admin"), async (req, res) => {
+  const state = req.query.state || null;
+  if (state && !JOB_STATES.includes(state)) {
+    return res.status(400).json({ error: `state must be one of ${JOB_STATES.join(", ")}` });
+  }
+  try {
+    const jobs = await store.listJobs({ state, limit: JOBS_LIST_LIMIT });
+    res.json({ concurrency: JOB_CONCURRENCY, counts: await store.countJobs(), jobs: jobs.map(jobView) });
+  } catch (err) {
+    console.error("GET /api/jobs error", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
 
+// run a failed job again (with a fresh set of attempts)
+app.post("/api/jobs/:id/retry", requireRole("admin"), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) return res.status(400).json({ error: "Invalid id" });
+  try {
+    if (!(await store.retryJob(id, new Date()))) return res.status(404).json({ error: "No failed job with this id" });
+    jobQueue.fill();
     res.json({ ok: true });
   } catch (err) {
-    console.error("DELETE /api/file/:id error", err);
+    console.error("POST /api/jobs/:id/retry error", err);
     res.status(500).json({ error: "Failed" });
   }
 });
 
-// PATCH to rename file (updates DB Name; tries to rename file on disk)
-app.patch("/api/file/:id", async (req, res) => {
+// dismiss a failed job
+app.delete("/api/jobs/:id", requireRole("admin"), async (req, res) => {
   const id = parseInt(req.params.id, 10);
-  const { name } = req.body || {};
   if (!id) return res.status(400).json({ error: "Invalid id" });
-  if (!name || !name.trim()) return res.status(400).json({ error: "Name required" });
-
   try {
-    const pool = await getPool();
-    const r = await pool.request().input("Id", sql.Int, id).query("SELECT * FROM Files WHERE Id=@Id");
-    if (!r.recordset.length) return res.status(404).json({ error: "File not found" });
-
-    const file = r.recordset[0];
-    const oldName = file.Name || "";
-    const oldPath = file.StoragePath || "";
-
-    // Update DB name
-    await pool.request().input("Id", sql.Int, id).input("Name", sql.NVarChar(255), name.trim()).query(`
-      UPDATE Files SET Name=@Name WHERE Id=@Id;
-    `);
-
-    // Attempt disk rename if storage path exists and extension preserved
-    try {
-      if (oldPath && fs.existsSync(oldPath)) {
-        const dir = path.dirname(oldPath);
-        // preserve extension if any
-        const ext = path.extname(oldName) || "";
-        const newFileName = name.trim() + ext;
-        const newPath = path.join(dir, newFileName);
-        // avoid overwriting existing file silently
-        if (!fs.existsSync(newPath)) {
-          await fsPromises.rename(oldPath, newPath);
-          // update StoragePath in DB to new path
-          await pool.request().input("Id", sql.Int, id).input("StoragePath", sql.NVarChar(1000), newPath.replace(/\\/g, "/")).query(`
-            UPDATE Files SET StoragePath=@StoragePath WHERE Id=@Id;
-          `);
-        } else {
-          console.warn("Target file exists, skipped disk rename:", newPath);
-        }
-      }
-    } catch (err) {
-      console.error("Failed to rename file on disk:", oldPath, err);
-    }
-
-    const updated = await pool.request().input("Id", sql.Int, id).query("SELECT * FROM Files WHERE Id=@Id");
-    res.json(updated.recordset[0]);
+    if (!(await store.deleteFailedJob(id))) return res.status(404).json({ error: "No failed job with this id" });
+    res.json({ ok: true });
   } catch (err) {
-    console.error("PATCH /api/file/:id error", err);
+    console.error("DELETE /api/jobs/:id error", err);
     res.status(500).json({ error: "Failed" });
   }
 });
 
+// GET /api/reconcile: how the tree is watched and what the last full pass changed
+app.get("/api/reconcile", requireRole("admin"), (req, res) => {
+  res.json({
+    watching: watcher ? watcher.mode : "off",
+    intervalHours: RECONCILE_INTERVAL_HOURS,
+    last: lastFullReconcile,
+  });
+});
+
+// queue a full pass now
+app.post("/api/reconcile", requireRole("admin"), async (req, res) => {
+  res.json({ queued: await queueFullReconcile() });
+});
+
 /* ============================================================
    START SERVER
 ============================================================ */
-app.listen(PORT, async () => {
+async function start() {
+  await store.init();
   await ensureRootFolder();
-  await ensureFolderTagsTable();
+  await ensureAdminUser();
+  // finish or undo file operations a crash cut short before anything else touches the tree
+  await recoverFileOps();
+  // jobs that were running when the server stopped start over
+  await store.requeueRunningJobs(new Date());
+  app.listen(PORT, started);
+}
+
+function started() {
+  // retention: purge old trash (and version blobs / thumbnails of files that are gone),
+  // abandoned upload sessions and expired logins now and then every hour
+  const maintenance = () => {
+    queueMaintenance("purge-expired-trash");
+    queueMaintenance("sweep-version-blobs");
+    queueMaintenance("sweep-thumbnails");
+    queueMaintenance("expire-upload-sessions");
+    queueMaintenance("expire-sessions");
+  };
+  jobQueue.start();
+  maintenance();
+  setInterval(maintenance, TRASH_PURGE_INTERVAL);
+
+  // changes made on disk meanwhile, then as they happen; full passes catch what the watcher missed
+  queueFullReconcile();
+  startWatcher();
+  if (RECONCILE_INTERVAL_HOURS > 0) setInterval(queueFullReconcile, RECONCILE_INTERVAL_HOURS * 60 * 60 * 1000);
+
+  // keeps event streams open and drops those of ended sessions
+  setInterval(refreshSubscribers, EVENTS_HEARTBEAT_MS);
+
   console.log("===========================================");
   console.log(`Server running at http://localhost:${PORT}`);
   console.log("===========================================");
+}
+
+start().catch((err) => {
+  console.error("Startup failed", err);
+  process.exit(1);
 });
@@ -0,0 +1,1989 @@
+// store.js
+// All queries used by server.js, written once against the adapter API from db.js.
+// Every function takes an optional `conn` (a transaction handle from db.transaction)
+// so callers can group several calls into one transaction.
+const { getDb } = require("./db");
+const { migrate } = require("./migrate");
+const { compileTagQuery } = require("./tagQuery");
+
+async function use(conn) {
+  return conn || getDb();
+}
+
+function escapeLike(value) {
+  return String(value).replace(/[\\%_\[]/g, (c) => "\\" + c);
+}
+
+// `column` is below the path in the parameter pathParam. Compared with SUBSTRING rather than
+// LIKE, which ignores case on SQLite while paths are case-sensitive there (/root/a vs /root/A).
+function isBelowPath(db, column, pathParam) {
+  return `SUBSTRING(${column}, 1, ${db.len(pathParam)} + 1) = ${db.concat(pathParam, "'/'")}`;
+}
+
+// params + predicate matching a folder path and everything below it
+function subtree(db, column, fullPath) {
+  return {
+    where: `(${column} = @SubtreePath OR ${isBelowPath(db, column, "@SubtreePath")})`,
+    params: { SubtreePath: fullPath },
+  };
+}
+
+// comma separated integer ids for an IN list, in chunks well below the parameter limits
+function idChunks(ids, size = 500) {
+  const clean = ids.map(Number).filter(Number.isInteger);
+  const chunks = [];
+  for (let i = 0; i < clean.length; i += size) chunks.push(clean.slice(i, i + size).join(","));
+  return chunks;
+}
+
+// Name|ColorHex|Slug for every joined tag, comma separated (NULL when there are none)
+function tagInfoExpr(db, tagAlias) {
+  const t = tagAlias;
+  return db.stringAgg(db.concat(`${t}.Name`, "'|'", `COALESCE(${t}.ColorHex, '')`, "'|'", `${t}.Slug`), ",");
+}
+
+// folder alias `a` is the folder at pathExpr or one of its ancestors.
+// Compared with SUBSTRING rather than LIKE because folder names may contain % or _.
+function isAncestorOrSelf(db, a, pathExpr) {
+  return `(${a}.FullPath = ${pathExpr} OR ${isStrictAncestor(db, a, pathExpr)})`;
+}
+
+function isStrictAncestor(db, a, pathExpr) {
+  return `SUBSTRING(${pathExpr}, 1, ${db.len(`${a}.FullPath`)} + 1) = ${db.concat(`${a}.FullPath`, "'/'")}`;
+}
+
+// tag alias `t` is the tag with the slug in slugExpr or one nested below it (school/math/...)
+function tagOrBelow(db, t, slugExpr) {
+  return `(${t}.Slug = ${slugExpr} OR SUBSTRING(${t}.Slug, 1, ${db.len(slugExpr)} + 1) = ${db.concat(slugExpr, "'/'")})`;
+}
+
+// the other tags of @TagId's group when that group is exclusive (an item keeps one of them)
+const EXCLUSIVE_SIBLINGS = `SELECT o.Id FROM Tags o
+  INNER JOIN Tags xt ON xt.GroupId = o.GroupId AND xt.Id <> o.Id
+  INNER JOIN TagGroups xg ON xg.Id = xt.GroupId AND xg.Exclusive = 1
+  WHERE xt.Id = @TagId`;
+
+// Tag inheritance: files carry the tags of their folder and its ancestors, folders carry
+// the tags of their ancestors. `where` narrows the FolderTags rows (alias ift, folder af).
+function inheritedTagExists(db, pathExpr, includeSelf, where) {
+  const anc = includeSelf ? isAncestorOrSelf(db, "af", pathExpr) : isStrictAncestor(db, "af", pathExpr);
+  return `EXISTS (
+    SELECT 1 FROM FolderTags ift
+    INNER JOIN Folders af ON af.Id = ift.FolderId
+    WHERE ${where} AND ${anc})`;
+}
+
+// columns the tagQuery.js filter language maps to, for files (alias f, folder alias fo)
+function fileQueryColumns(db, inherit) {
+  return {
+    name: "f.Name",
+    size: "f.SizeBytes",
+    added: "f.CreatedAt",
+    modified: "f.UpdatedAt",
+    tag: (slug) => {
+      const direct = `EXISTS (SELECT 1 FROM FileTags qft INNER JOIN Tags qt ON qt.Id = qft.TagId WHERE qft.FileId = f.Id AND ${tagOrBelow(db, "qt", slug)})`;
+      if (!inherit) return direct;
+      const bySlug = `ift.TagId IN (SELECT qt.Id FROM Tags qt WHERE ${tagOrBelow(db, "qt", slug)})`;
+      return `(${direct} OR ${inheritedTagExists(db, "fo.FullPath", true, bySlug)})`;
+    },
+  };
+}
+
+// folders (alias f) have no size (size predicates never match them) and no UpdatedAt
+function folderQueryColumns(db, inherit) {
+  return {
+    name: "f.Name",
+    size: "NULL",
+    added: "f.CreatedAt",
+    modified: "f.CreatedAt",
+    tag: (slug) => {
+      const direct = `EXISTS (SELECT 1 FROM FolderTags qft INNER JOIN Tags qt ON qt.Id = qft.TagId WHERE qft.FolderId = f.Id AND ${tagOrBelow(db, "qt", slug)})`;
+      if (!inherit) return direct;
+      const bySlug = `ift.TagId IN (SELECT qt.Id FROM Tags qt WHERE ${tagOrBelow(db, "qt", slug)})`;
+      return `(${direct} OR ${inheritedTagExists(db, "f.FullPath", false, bySlug)})`;
+    },
+  };
+}
+
+// TagInfo-formatted list of the inherited tags not also set directly (NULL when inherit is off)
+function inheritedTagInfoExpr(db, inherit, { pathExpr, includeSelf, directExists }) {
+  if (!inherit) return "NULL";
+  return `(SELECT ${tagInfoExpr(db, "it")}
+     FROM Tags it
+     WHERE it.DeletedAt IS NULL
+       AND ${inheritedTagExists(db, pathExpr, includeSelf, "ift.TagId = it.Id")}
+       AND NOT EXISTS (${directExists}))`;
+}
+
+// Folder permissions (auth.js) as an extra "AND ..." clause on the folder path in pathExpr:
+// the nearest grant of acl.userId on the folder or an ancestor must not be 'none'. With
+// `traverse`, folders above a readable one match too. No acl (admins) means no filter.
+function aclClause(db, acl, pathExpr, { traverse = false } = {}) {
+  if (!acl) return { where: "", params: {} };
+  const nearer = `SELECT 1 FROM FolderGrants ng
+       INNER JOIN Folders ngf ON ngf.Id = ng.FolderId
+       WHERE ng.UserId = @AclUserId AND ${isAncestorOrSelf(db, "ngf", pathExpr)}
+         AND ${db.len("ngf.FullPath")} > ${db.len("agf.FullPath")}`;
+  const readable = `EXISTS (
+     SELECT 1 FROM FolderGrants ag
+     INNER JOIN Folders agf ON agf.Id = ag.FolderId
+     WHERE ag.UserId = @AclUserId AND ag.Access <> 'none' AND ${isAncestorOrSelf(db, "agf", pathExpr)}
+       AND NOT EXISTS (${nearer}))`;
+  const below = `EXISTS (
+     SELECT 1 FROM FolderGrants bg
+     INNER JOIN Folders bgf ON bgf.Id = bg.FolderId
+     WHERE bg.UserId = @AclUserId AND bg.Access <> 'none'
+       AND SUBSTRING(bgf.FullPath, 1, ${db.len(pathExpr)} + 1) = ${db.concat(pathExpr, "'/'")})`;
+  return { where: `AND (${readable}${traverse ? ` OR ${below}` : ""})`, params: { AclUserId: acl.userId } };
+}
+
+// compiled query AST as an extra "AND ..." clause
+function queryClause(query, columns) {
+  const compiled = compileTagQuery(query, columns);
+  return compiled ? { where: `AND ${compiled.sql}`, params: compiled.params } : { where: "", params: {} };
+}
+
+/* ============================================================
+   SCHEMA
+============================================================ */
+// apply pending migrations on boot unless AUTO_MIGRATE=0 (then run `npm run migrate` by hand)
+async function init() {
+  if (process.env.AUTO_MIGRATE === "0") return;
+  await migrate();
+}
+
+// runs fn(tx) in a transaction; inside an open one (conn) it just joins it
+async function transaction(fn, conn) {
+  const db = await use(conn);
+  return db.transaction(fn);
+}
+
+/* ============================================================
+   TAGS
+============================================================ */
+async function listTags(conn) {
+  const db = await use(conn);
+  return db.query("SELECT Id, Name, Slug, ColorHex, ParentId, GroupId FROM Tags WHERE DeletedAt IS NULL ORDER BY Name;");
+}
+
+async function getTag(id, conn) {
+  const db = await use(conn);
+  const rows = await db.query("SELECT * FROM Tags WHERE Id=@Id AND DeletedAt IS NULL;", { Id: id });
+  return rows[0] || null;
+}
+
+async function getTagBySlug(slug, conn) {
+  const db = await use(conn);
+  const rows = await db.query("SELECT * FROM Tags WHERE Slug=@Slug AND DeletedAt IS NULL;", { Slug: slug });
+  return rows[0] || null;
+}
+
+// a nested tag's slug is its parent's slug + "/" + its own part (see ensureTagPath in server.js)
+async function createTag({ name, slug, colorHex, parentId = null, groupId = null }, conn) {
+  const db = await use(conn);
+  return db.insert("Tags", { Name: name, Slug: slug, ColorHex: colorHex, ParentId: parentId, GroupId: groupId });
+}
+
+// get a tag by slug, creating it when missing
+async function ensureTag({ name, slug, colorHex, parentId = null, groupId = null }, conn) {
+  const db = await use(conn);
+  await db.run(
+    `INSERT INTO Tags (Name, Slug, ColorHex, ParentId, GroupId)
+     SELECT @Name, @Slug, @ColorHex, @ParentId, @GroupId
+     WHERE NOT EXISTS (SELECT 1 FROM Tags WHERE Slug=@Slug);`,
+    { Name: name, Slug: slug, ColorHex: colorHex, ParentId: parentId, GroupId: groupId }
+  );
+  return getTagBySlug(slug, db);
+}
+
+async function updateTag(id, { name, colorHex }, conn) {
+  const db = await use(conn);
+  const updates = [];
+  if (name != null) updates.push("Name=@Name");
+  if (colorHex != null) updates.push("ColorHex=@ColorHex");
+  if (updates.length) {
+    await db.run(`UPDATE Tags SET ${updates.join(", ")} WHERE Id=@Id;`, { Id: id, Name: name, ColorHex: colorHex });
+  }
+  return getTag(id, db);
+}
+
+// put tag `id` (slug fromSlug) under parentId as toSlug; the tags below it follow, and with
+// a groupId (the new parent's group) the whole subtree joins that group
+async function moveTagTree(id, { parentId, fromSlug, toSlug, groupId }, conn) {
+  const db = await use(conn);
+  const st = subtree(db, "Slug", fromSlug);
+  const setGroup = groupId !== undefined ? ", GroupId=@GroupId" : "";
+  return db.transaction(async (tx) => {
+    await tx.run(
+      `UPDATE Tags
+       SET Slug = ${db.concat("@ToSlug", `SUBSTRING(Slug, ${db.len("@FromSlug")} + 1, 2000)`)}${setGroup}
+       WHERE ${st.where} AND DeletedAt IS NULL;`,
+      { ...st.params, FromSlug: fromSlug, ToSlug: toSlug, GroupId: groupId }
+    );
+    await tx.run("UPDATE Tags SET ParentId=@ParentId WHERE Id=@Id;", { Id: id, ParentId: parentId });
+  });
+}
+
+// a group applies to a tag and everything nested below it
+async function setTagTreeGroup(slug, groupId, conn) {
+  const db = await use(conn);
+  const st = subtree(db, "Slug", slug);
+  await db.run(`UPDATE Tags SET GroupId=@GroupId WHERE ${st.where} AND DeletedAt IS NULL;`, { ...st.params, GroupId: groupId });
+}
+
+// rows { TagId, GroupId, GroupName } for the tags of tagIds that are in an exclusive group
+async function listExclusiveTags(tagIds, conn) {
+  const db = await use(conn);
+  const ids = tagIds.map(Number).filter(Number.isInteger).join(",");
+  if (!ids) return [];
+  return db.query(
+    `SELECT t.Id AS TagId, g.Id AS GroupId, g.Name AS GroupName
+     FROM Tags t
+     INNER JOIN TagGroups g ON g.Id = t.GroupId
+     WHERE t.Id IN (${ids}) AND g.Exclusive = 1;`
+  );
+}
+
+// remove the tags of a trash entry for good, with their file and folder links
+async function deleteTagTree(trashId, conn) {
+  const db = await use(conn);
+  const inTree = "SELECT Id FROM Tags WHERE TrashId=@TrashId";
+  return db.transaction(async (tx) => {
+    await tx.run(`DELETE FROM FileTags WHERE TagId IN (${inTree});`, { TrashId: trashId });
+    await tx.run(`DELETE FROM FolderTags WHERE TagId IN (${inTree});`, { TrashId: trashId });
+    await tx.run(`DELETE FROM TagAliases WHERE TagId IN (${inTree});`, { TrashId: trashId });
+    // tags below that were trashed on their own earlier still point at tags of this tree
+    await tx.run(`UPDATE Tags SET ParentId=NULL WHERE ParentId IN (${inTree}) AND TrashId <> @TrashId;`, { TrashId: trashId });
+    await tx.run("DELETE FROM Tags WHERE TrashId=@TrashId;", { TrashId: trashId });
+  });
+}
+
+// fold the tags `sources` into `target` (tag rows): their file and folder links, their aliases
+// and the tags below them go to the target, and their slugs become its aliases. Items may end up
+// with two tags of an exclusive group, as when a group is made exclusive.
+async function mergeTags(target, sources, conn) {
+  const db = await use(conn);
+  return db.transaction(async (tx) => {
+    for (const source of sources) {
+      const ids = { TargetId: target.Id, SourceId: source.Id };
+      for (const [table, column] of [["FileTags", "FileId"], ["FolderTags", "FolderId"]]) {
+        await tx.run(
+          `INSERT INTO ${table} (${column}, TagId)
+           SELECT s.${column}, @TargetId FROM ${table} s
+           WHERE s.TagId=@SourceId
+             AND NOT EXISTS (SELECT 1 FROM ${table} x WHERE x.${column} = s.${column} AND x.TagId=@TargetId);`,
+          ids
+        );
+        await tx.run(`DELETE FROM ${table} WHERE TagId=@SourceId;`, ids);
+      }
+      const st = subtree(db, "Slug", source.Slug);
+      await tx.run(
+        `UPDATE Tags
+         SET Slug = ${db.concat("@ToSlug", `SUBSTRING(Slug, ${db.len("@FromSlug")} + 1, 2000)`)}, GroupId=@GroupId
+         WHERE ${st.where} AND Id <> @SourceId AND DeletedAt IS NULL;`,
+        { ...st.params, ...ids, FromSlug: source.Slug, ToSlug: target.Slug, GroupId: target.GroupId }
+      );
+      await tx.run("UPDATE Tags SET ParentId=@TargetId WHERE ParentId=@SourceId;", ids);
+      await tx.run("UPDATE TagAliases SET TagId=@TargetId WHERE TagId=@SourceId;", ids);
+      await tx.run("DELETE FROM Tags WHERE Id=@SourceId;", ids);
+      await tx.run("INSERT INTO TagAliases (TagId, Slug) VALUES (@TargetId, @Slug);", { ...ids, Slug: source.Slug });
+    }
+  });
+}
+
+/* ============================================================
+   TAG ALIASES: other slugs a tag answers to in filters and
+   uploads (old slugs, merged tags, synonyms)
+============================================================ */
+async function listTagAliases(tagId, conn) {
+  const db = await use(conn);
+  return db.query("SELECT Id, TagId, Slug, CreatedAt FROM TagAliases WHERE TagId=@TagId ORDER BY Slug;", { TagId: tagId });
+}
+
+async function getTagAlias(slug, conn) {
+  const db = await use(conn);
+  const rows = await db.query("SELECT Id, TagId, Slug FROM TagAliases WHERE Slug=@Slug;", { Slug: slug });
+  return rows[0] || null;
+}
+
+// the (not trashed) tag an alias stands for
+async function getTagByAlias(slug, conn) {
+  const db = await use(conn);
+  const rows = await db.query(
+    `SELECT t.* FROM TagAliases a
+     INNER JOIN Tags t ON t.Id = a.TagId
+     WHERE a.Slug=@Slug AND t.DeletedAt IS NULL;`,
+    { Slug: slug }
+  );
+  return rows[0] || null;
+}
+
+async function addTagAlias(tagId, slug, conn) {
+  const db = await use(conn);
+  await db.run(
+    `INSERT INTO TagAliases (TagId, Slug)
+     SELECT @TagId, @Slug
+     WHERE NOT EXISTS (SELECT 1 FROM TagAliases WHERE Slug=@Slug);`,
+    { TagId: tagId, Slug: slug }
+  );
+  return getTagAlias(slug, db);
+}
+
+async function deleteTagAlias(id, conn) {
+  const db = await use(conn);
+  await db.run("DELETE FROM TagAliases WHERE Id=@Id;", { Id: id });
+}
+
+// after slugs changed: a tag now at an alias' slug takes it over
+async function dropShadowedTagAliases(conn) {
+  const db = await use(conn);
+  await db.run("DELETE FROM TagAliases WHERE Slug IN (SELECT Slug FROM Tags WHERE DeletedAt IS NULL);");
+}
+
+// Map slug -> the slug it stands for. A tag's own slug stays; an alias, or a path below one
+// (kitty/black for the alias kitty of cats), becomes the tag's current slug. Unknown ones stay.
+async function resolveTagSlugs(slugs, conn) {
+  const db = await use(conn);
+  const resolved = new Map(slugs.map((slug) => [slug, slug]));
+  const prefixes = [...new Set(slugs.flatMap((slug) => slug.split("/").map((_, i, parts) => parts.slice(0, i + 1).join("/"))))];
+  if (!prefixes.length) return resolved;
+
+  const params = {};
+  prefixes.forEach((p, i) => (params[`Slug${i}`] = p));
+  const list = prefixes.map((_, i) => `@Slug${i}`).join(", ");
+  const tagRows = await db.query(`SELECT Slug FROM Tags WHERE Slug IN (${list}) AND DeletedAt IS NULL;`, params);
+  const aliasRows = await db.query(
+    `SELECT a.Slug AS Alias, t.Slug FROM TagAliases a
+     INNER JOIN Tags t ON t.Id = a.TagId AND t.DeletedAt IS NULL
+     WHERE a.Slug IN (${list});`,
+    params
+  );
+  const tags = new Set(tagRows.map((r) => r.Slug));
+  const aliases = new Map(aliasRows.map((r) => [r.Alias, r.Slug]));
+
+  for (const slug of slugs) {
+    if (tags.has(slug)) continue;
+    // the longest alias the slug starts with
+    const parts = slug.split("/");
+    for (let i = parts.length; i > 0; i--) {
+      const alias = aliases.get(parts.slice(0, i).join("/"));
+      if (alias) {
+        resolved.set(slug, [alias, ...parts.slice(i)].join("/"));
+        break;
+      }
+    }
+  }
+  return resolved;
+}
+
+/* ============================================================
+   TAG GROUPS
+============================================================ */
+function tagGroupRow(r) {
+  return r && { ...r, Exclusive: !!r.Exclusive };
+}
+
+async function listTagGroups(conn) {
+  const db = await use(conn);
+  return (await db.query("SELECT Id, Name, Exclusive FROM TagGroups ORDER BY Name;")).map(tagGroupRow);
+}
+
+async function getTagGroup(id, conn) {
+  const db = await use(conn);
+  const rows = await db.query("SELECT Id, Name, Exclusive FROM TagGroups WHERE Id=@Id;", { Id: id });
+  return tagGroupRow(rows[0]) || null;
+}
+
+async function createTagGroup({ name, exclusive = false }, conn) {
+  const db = await use(conn);
+  const row = await db.insert("TagGroups", { Name: name, Exclusive: exclusive ? 1 : 0 });
+  return getTagGroup(row.Id, db);
+}
+
+async function updateTagGroup(id, { name, exclusive }, conn) {
+  const db = await use(conn);
+  const updates = [];
+  if (name != null) updates.push("Name=@Name");
+  if (exclusive != null) updates.push("Exclusive=@Exclusive");
+  if (updates.length) {
+    await db.run(`UPDATE TagGroups SET ${updates.join(", ")} WHERE Id=@Id;`, { Id: id, Name: name, Exclusive: exclusive ? 1 : 0 });
+  }
+  return getTagGroup(id, db);
+}
+
+// its tags stay, without a group
+async function deleteTagGroup(id, conn) {
+  const db = await use(conn);
+  return db.transaction(async (tx) => {
+    await tx.run("UPDATE Tags SET GroupId=NULL WHERE GroupId=@Id;", { Id: id });
+    await tx.run("DELETE FROM TagGroups WHERE Id=@Id;", { Id: id });
+  });
+}
+
+/* ============================================================
+   FOLDERS
+============================================================ */
+async function getRootFolder(conn) {
+  const db = await use(conn);
+  await db.run(
+    `INSERT INTO Folders (Name, ParentId, FullPath)
+     SELECT 'root', NULL, '/root'
+     WHERE NOT EXISTS (SELECT 1 FROM Folders WHERE ParentId IS NULL);`
+  );
+  const rows = await db.query("SELECT * FROM Folders WHERE ParentId IS NULL AND DeletedAt IS NULL ORDER BY Id;");
+  return rows[0];
+}
+
+async function getFolder(id, conn) {
+  const db = await use(conn);
+  const rows = await db.query("SELECT * FROM Folders WHERE Id=@Id AND DeletedAt IS NULL;", { Id: id });
+  return rows[0] || null;
+}
+
+async function getFolderByPath(fullPath, conn) {
+  const db = await use(conn);
+  const rows = await db.query("SELECT * FROM Folders WHERE FullPath=@FullPath;", { FullPath: fullPath });
+  return rows[0] || null;
+}
+
+// children of parentId (or the top level when null) with HasChildren, TagInfo (Name|ColorHex|Slug,...)
+// and InheritedTagInfo, optionally filtered by a parsed tagQuery.js expression
+async function listChildFolders(parentId, { query = null, inherit = true, acl = null } = {}, conn) {
+  const db = await use(conn);
+  const q = queryClause(query, folderQueryColumns(db, inherit));
+  const a = aclClause(db, acl, "f.FullPath", { traverse: true });
+  return db.query(
+    `SELECT
+       f.Id,
+       f.Name,
+       f.ParentId,
+       f.FullPath,
+       CASE WHEN EXISTS (SELECT 1 FROM Folders c WHERE c.ParentId = f.Id AND c.DeletedAt IS NULL)
+            THEN 1 ELSE 0 END AS HasChildren,
+       ${tagInfoExpr(db, "t")} AS TagInfo,
+       ${inheritedTagInfoExpr(db, inherit, {
+         pathExpr: "f.FullPath",
+         includeSelf: false,
+         directExists: "SELECT 1 FROM FolderTags d WHERE d.FolderId = f.Id AND d.TagId = it.Id",
+       })} AS InheritedTagInfo
+     FROM Folders f
+     LEFT JOIN FolderTags ft ON ft.FolderId = f.Id
+     LEFT JOIN Tags t ON t.Id = ft.TagId AND t.DeletedAt IS NULL
+     WHERE
+       ((@ParentId IS NULL AND f.ParentId IS NULL)
+       OR f.ParentId = @ParentId)
+       AND f.DeletedAt IS NULL
+       ${q.where}
+       ${a.where}
+     GROUP BY f.Id, f.Name, f.ParentId, f.FullPath
+     ORDER BY f.Name;`,
+    { ...q.params, ...a.params, ParentId: parentId }
+  );
+}
+
+async function createFolder({ name, parentId, fullPath, diskId = null }, conn) {
+  const db = await use(conn);
+  return db.insert("Folders", { Name: name, ParentId: parentId, FullPath: fullPath, DiskId: diskId });
+}
+
+// live subfolders of parentId, for the reconcile pass
+async function listSubfolders(parentId, conn) {
+  const db = await use(conn);
+  return db.query("SELECT Id, Name, FullPath, ParentId, DiskId FROM Folders WHERE ParentId=@ParentId AND DeletedAt IS NULL;", {
+    ParentId: parentId,
+  });
+}
+
+// live folders last seen on disk as diskId ("<device>:<inode>")
+async function listFoldersByDiskId(diskId, conn) {
+  const db = await use(conn);
+  return db.query("SELECT Id, Name, FullPath, ParentId, DiskId FROM Folders WHERE DiskId=@DiskId AND DeletedAt IS NULL;", {
+    DiskId: diskId,
+  });
+}
+
+async function setFolderDiskId(id, diskId, conn) {
+  const db = await use(conn);
+  await db.run("UPDATE Folders SET DiskId=@DiskId WHERE Id=@Id;", { Id: id, DiskId: diskId });
+}
+
+// delete a folder subtree with its files and tag links (no trash)
+async function deleteFolderTree(fullPath, conn) {
+  const db = await use(conn);
+  const st = subtree(db, "FullPath", fullPath);
+  const inTree = `SELECT Id FROM Folders WHERE ${st.where}`;
+  return db.transaction(async (tx) => {
+    // files trashed from these folders go too, so drop their trash entries
+    await tx.run(
+      `DELETE FROM Trash WHERE Kind = 'file' AND ItemId IN (SELECT Id FROM Files WHERE FolderId IN (${inTree}) AND DeletedAt IS NOT NULL);`,
+      st.params
+    );
+    await tx.run(`DELETE FROM FileTags WHERE FileId IN (SELECT Id FROM Files WHERE FolderId IN (${inTree}));`, st.params);
+    await tx.run(`DELETE FROM FileVersions WHERE FileId IN (SELECT Id FROM Files WHERE FolderId IN (${inTree}));`, st.params);
+    await tx.run(`DELETE FROM FileMetadata WHERE FileId IN (SELECT Id FROM Files WHERE FolderId IN (${inTree}));`, st.params);
+    await tx.run(
+      `DELETE FROM Shares WHERE (Kind = 'folder' AND ItemId IN (${inTree}))
+         OR (Kind = 'file' AND ItemId IN (SELECT Id FROM Files WHERE FolderId IN (${inTree})));`,
+      st.params
+    );
+    await tx.run(`DELETE FROM Files WHERE FolderId IN (${inTree});`, st.params);
+    await tx.run(`DELETE FROM FolderTags WHERE FolderId IN (${inTree});`, st.params);
+    await tx.run(`DELETE FROM FolderGrants WHERE FolderId IN (${inTree});`, st.params);
+    await tx.run(`DELETE FROM Folders WHERE ${st.where};`, st.params);
+  });
+}
+
+// move (and/or rename) a folder subtree: FullPath of every folder below, StoragePath of its live files
+async function moveFolderTree(id, { parentId, name, fromPath, toPath, fromPhysical, toPhysical }, conn) {
+  const db = await use(conn);
+  const st = subtree(db, "FullPath", fromPath);
+  return db.transaction(async (tx) => {
+    await rewriteFolderTree(
+      {
+        fromPath,
+        toPath,
+        fromPhysical,
+        toPhysical,
+        folderWhere: st.where,
+        // files whose StoragePath is not below the folder on disk are left alone
+        fileWhere: `DeletedAt IS NULL AND ${isBelowPath(db, "StoragePath", "@FromPhysical")}
+          AND FolderId IN (SELECT Id FROM Folders WHERE ${st.where})`,
+        params: st.params,
+      },
+      tx
+    );
+    await tx.run("UPDATE Folders SET ParentId=@ParentId, Name=@Name WHERE Id=@Id;", { Id: id, ParentId: parentId, Name: name });
+  });
+}
+
+// copy a folder subtree to toPath under parentId: folder rows with their tags, and the live files
+// stored below fromPhysical with their tags and metadata. Returns the new Files rows.
+async function copyFolderTree(fromPath, { parentId, name, toPath, fromPhysical, toPhysical }, conn) {
+  const db = await use(conn);
+  const st = subtree(db, "FullPath", fromPath);
+  return db.transaction(async (tx) => {
+    const folders = await tx.query(
+      `SELECT Id, Name, FullPath, ParentId FROM Folders WHERE ${st.where} AND DeletedAt IS NULL ORDER BY FullPath;`,
+      st.params
+    );
+    const newIds = new Map();
+    const copied = [];
+    // parents sort before their children
+    for (const f of folders) {
+      const isTop = f.FullPath === fromPath;
+      const created = await tx.insert("Folders", {
+        Name: isTop ? name : f.Name,
+        ParentId: isTop ? parentId : newIds.get(f.ParentId),
+        FullPath: toPath + f.FullPath.slice(fromPath.length),
+      });
+      newIds.set(f.Id, created.Id);
+      await tx.run(
+        "INSERT INTO FolderTags (FolderId, TagId) SELECT @NewId, TagId FROM FolderTags WHERE FolderId=@Id;",
+        { NewId: created.Id, Id: f.Id }
+      );
+
+      const files = await tx.query(
+        `SELECT * FROM Files WHERE FolderId=@FolderId AND DeletedAt IS NULL AND ${isBelowPath(db, "StoragePath", "@FromPhysical")};`,
+        { FolderId: f.Id, FromPhysical: fromPhysical }
+      );
+      for (const file of files) {
+        copied.push(
+          await copyFile(
+            file,
+            { folderId: created.Id, name: file.Name, storagePath: toPhysical + file.StoragePath.slice(fromPhysical.length) },
+            tx
+          )
+        );
+      }
+    }
+    return copied;
+  });
+}
+
+/* ============================================================
+   FOLDER TAGS
+============================================================ */
+// folder tags reaching something stored in the folder at fullPath: Map tagId -> [{ Id, Name, FullPath }]
+async function inheritedTagSources(fullPath, includeSelf, db) {
+  const anc = includeSelf ? isAncestorOrSelf(db, "af", "@FullPath") : isStrictAncestor(db, "af", "@FullPath");
+  const rows = await db.query(
+    `SELECT ift.TagId, af.Id, af.Name, af.FullPath
+     FROM FolderTags ift
+     INNER JOIN Folders af ON af.Id = ift.FolderId
+     WHERE ${anc}
+     ORDER BY af.FullPath;`,
+    { FullPath: fullPath }
+  );
+  const byTag = new Map();
+  for (const r of rows) {
+    if (!byTag.has(r.TagId)) byTag.set(r.TagId, []);
+    byTag.get(r.TagId).push({ Id: r.Id, Name: r.Name, FullPath: r.FullPath });
+  }
+  return byTag;
+}
+
+// Selected = set directly; Inherited/InheritedFrom = carried down from these folders
+function markInherited(rows, sources) {
+  return rows.map((rw) => {
+    const from = sources.get(rw.Id) || [];
+    return { ...rw, Selected: !!rw.Selected, Inherited: from.length > 0, InheritedFrom: from };
+  });
+}
+
+async function getFolderTagSelection(folderId, conn) {
+  const db = await use(conn);
+  const rows = await db.query(
+    `SELECT
+       t.Id, t.Name, t.Slug, t.ColorHex, t.ParentId, t.GroupId,
+       CASE WHEN ft.FolderId IS NULL THEN 0 ELSE 1 END AS Selected
+     FROM Tags t
+     LEFT JOIN FolderTags ft ON ft.TagId = t.Id AND ft.FolderId = @FolderId
+     WHERE t.DeletedAt IS NULL
+     ORDER BY t.Name;`,
+    { FolderId: folderId }
+  );
+  const folder = await getFolder(folderId, db);
+  const sources = folder ? await inheritedTagSources(folder.FullPath, false, db) : new Map();
+  return markInherited(rows, sources);
+}
+
+async function setFolderTags(folderId, tagIds, conn) {
+  const db = await use(conn);
+  return db.transaction(async (tx) => {
+    await tx.run("DELETE FROM FolderTags WHERE FolderId=@FolderId;", { FolderId: folderId });
+    for (const tid of tagIds) {
+      await tx.run("INSERT INTO FolderTags (FolderId, TagId) VALUES (@FolderId, @TagId);", { FolderId: folderId, TagId: tid });
+    }
+  });
+}
+
+// add tags to many folders at once, keeping the ones they already have (except the other
+// tags of an exclusive group)
+async function addFolderTags(folderIds, tagIds, conn) {
+  const db = await use(conn);
+  for (const ids of idChunks(folderIds)) {
+    for (const tid of tagIds) {
+      await db.run(`DELETE FROM FolderTags WHERE FolderId IN (${ids}) AND TagId IN (${EXCLUSIVE_SIBLINGS});`, { TagId: tid });
+      await db.run(
+        `INSERT INTO FolderTags (FolderId, TagId)
+         SELECT fo.Id, @TagId FROM Folders fo
+         WHERE fo.Id IN (${ids})
+           AND NOT EXISTS (SELECT 1 FROM FolderTags ft WHERE ft.FolderId = fo.Id AND ft.TagId = @TagId);`,
+        { TagId: tid }
+      );
+    }
+  }
+}
+
+async function removeFolderTags(folderIds, tagIds, conn) {
+  const db = await use(conn);
+  const tags = tagIds.map(Number).filter(Number.isInteger).join(",");
+  if (!tags) return;
+  for (const ids of idChunks(folderIds)) {
+    await db.run(`DELETE FROM FolderTags WHERE FolderId IN (${ids}) AND TagId IN (${tags});`);
+  }
+}
+
+/* ============================================================
+   FILES
+============================================================ */
+async function getFile(id, conn) {
+  const db = await use(conn);
+  const rows = await db.query("SELECT * FROM Files WHERE Id=@Id AND DeletedAt IS NULL;", { Id: id });
+  return rows[0] || null;
+}
+
+// file listing for a folder, filtered by name search and a parsed tagQuery.js expression
+async function listFiles({ folderId, search, query = null, inherit = true, acl = null }, conn) {
+  const db = await use(conn);
+  const q = queryClause(query, fileQueryColumns(db, inherit));
+  const a = aclClause(db, acl, "fo.FullPath");
+
+  return db.query(
+    `SELECT
+       f.Id, f.FolderId, f.Name, f.StoragePath, f.SizeBytes, f.MimeType, f.ContentHash, f.CreatedAt, f.UpdatedAt,
+       (SELECT ${tagInfoExpr(db, "t")}
+        FROM FileTags ft
+        INNER JOIN Tags t ON t.Id = ft.TagId AND t.DeletedAt IS NULL
+        WHERE ft.FileId = f.Id) AS TagInfo,
+       ${inheritedTagInfoExpr(db, inherit, {
+         pathExpr: "fo.FullPath",
+         includeSelf: true,
+         directExists: "SELECT 1 FROM FileTags d WHERE d.FileId = f.Id AND d.TagId = it.Id",
+       })} AS InheritedTagInfo
+     FROM Files f
+     INNER JOIN Folders fo ON fo.Id = f.FolderId
+     WHERE (@FolderId IS NULL OR f.FolderId = @FolderId)
+       AND f.DeletedAt IS NULL
+       AND (@Search IS NULL OR f.Name LIKE @SearchLike ESCAPE '\\')
+       ${q.where}
+       ${a.where}
+     ORDER BY f.Name;`,
+    { ...q.params, ...a.params, FolderId: folderId, Search: search, SearchLike: search ? `%${escapeLike(search)}%` : null }
+  );
+}
+
+// ORDER BY columns for searchFiles; f.Id is appended as a tiebreaker so pages are stable
+const SEARCH_SORTS = {
+  name: ["f.Name"],
+  size: ["f.SizeBytes"],
+  added: ["f.CreatedAt"],
+  modified: ["f.UpdatedAt"],
+  path: ["fo.FullPath", "f.Name"],
+};
+
+// a search row: the file, its folder's FullPath as FolderPath, own and inherited TagInfo
+function searchRowColumns(db, inherit) {
+  return `
+       f.Id, f.FolderId, f.Name, f.StoragePath, f.SizeBytes, f.MimeType, f.ContentHash, f.CreatedAt, f.UpdatedAt,
+       fo.FullPath AS FolderPath,
+       (SELECT ${tagInfoExpr(db, "t")}
+        FROM FileTags ft
+        INNER JOIN Tags t ON t.Id = ft.TagId AND t.DeletedAt IS NULL
+        WHERE ft.FileId = f.Id) AS TagInfo,
+       ${inheritedTagInfoExpr(db, inherit, {
+         pathExpr: "fo.FullPath",
+         includeSelf: true,
+         directExists: "SELECT 1 FROM FileTags d WHERE d.FileId = f.Id AND d.TagId = it.Id",
+       })} AS InheritedTagInfo`;
+}
+
+// paginated file search across the whole tree, or below underPath when given.
+// Returns { rows, total }; every row carries its folder's FullPath as FolderPath.
+async function searchFiles(
+  { underPath = null, search = null, query = null, inherit = true, acl = null, sort = "name", dir = "asc", offset = 0, limit = 50 },
+  conn
+) {
+  const db = await use(conn);
+  const q = queryClause(query, fileQueryColumns(db, inherit));
+  const a = aclClause(db, acl, "fo.FullPath");
+  const st = underPath ? subtree(db, "fo.FullPath", underPath) : { where: "1=1", params: {} };
+  const order = (SEARCH_SORTS[sort] || SEARCH_SORTS.name)
+    .concat("f.Id")
+    .map((col) => `${col} ${dir === "desc" ? "DESC" : "ASC"}`)
+    .join(", ");
+
+  const params = {
+    ...q.params,
+    ...a.params,
+    ...st.params,
+    Search: search,
+    SearchLike: search ? `%${escapeLike(search)}%` : null,
+    Offset: offset,
+    Limit: limit,
+  };
+  const from = `
+     FROM Files f
+     INNER JOIN Folders fo ON fo.Id = f.FolderId
+     WHERE ${st.where}
+       AND f.DeletedAt IS NULL
+       AND (@Search IS NULL OR f.Name LIKE @SearchLike ESCAPE '\\')
+       ${q.where}
+       ${a.where}`;
+
+  const counted = await db.query(`SELECT COUNT(*) AS Total ${from};`, params);
+  const rows = await db.query(
+    `SELECT ${searchRowColumns(db, inherit)}
+     ${from}
+     ORDER BY ${order}
+     ${db.page("@Offset", "@Limit")};`,
+    params
+  );
+  return { rows, total: counted[0] ? counted[0].Total : 0 };
+}
+
+// every file for a zip, as searchFiles rows (unpaged, by folder then name): below underPath, directly
+// in folderId, or the given fileIds, with the same name/query/acl filters
+async function listFilesForZip(
+  { underPath = null, folderId = null, fileIds = null, search = null, query = null, inherit = true, acl = null },
+  conn
+) {
+  const db = await use(conn);
+  const q = queryClause(query, fileQueryColumns(db, inherit));
+  const a = aclClause(db, acl, "fo.FullPath");
+  const st = underPath ? subtree(db, "fo.FullPath", underPath) : { where: "1=1", params: {} };
+  const select = (idList, idParams) =>
+    db.query(
+      `SELECT ${searchRowColumns(db, inherit)}
+       FROM Files f
+       INNER JOIN Folders fo ON fo.Id = f.FolderId
+       WHERE ${st.where}
+         AND (@FolderId IS NULL OR f.FolderId = @FolderId)
+         ${idList ? `AND f.Id IN (${idList})` : ""}
+         AND f.DeletedAt IS NULL
+         AND (@Search IS NULL OR f.Name LIKE @SearchLike ESCAPE '\\')
+         ${q.where}
+         ${a.where}
+       ORDER BY fo.FullPath, f.Name, f.Id;`,
+      {
+        ...q.params,
+        ...a.params,
+        ...st.params,
+        ...idParams,
+        FolderId: folderId,
+        Search: search,
+        SearchLike: search ? `%${escapeLike(search)}%` : null,
+      }
+    );
+  if (!fileIds) return select(null, {});
+
+  // keep IN lists well below the parameter limits of both backends
+  const rows = [];
+  for (let i = 0; i < fileIds.length; i += 500) {
+    const params = {};
+    const names = fileIds.slice(i, i + 500).map((id, j) => {
+      params[`Id${j}`] = id;
+      return `@Id${j}`;
+    });
+    rows.push(...(await select(names.join(", "), params)));
+  }
+  return rows;
+}
+
+// breadcrumb [{ Id, Name, FullPath }, ...] from the root down for each given folder FullPath
+async function folderBreadcrumbs(fullPaths, conn) {
+  const db = await use(conn);
+  const wanted = new Set();
+  for (const fullPath of fullPaths) {
+    const segs = String(fullPath).split("/").filter(Boolean);
+    for (let i = 1; i <= segs.length; i++) wanted.add("/" + segs.slice(0, i).join("/"));
+  }
+
+  const byPath = new Map();
+  const all = Array.from(wanted);
+  // keep IN lists well below the parameter limits of both backends
+  for (let i = 0; i < all.length; i += 500) {
+    const chunk = all.slice(i, i + 500);
+    const params = {};
+    const names = chunk.map((p, j) => {
+      params[`P${j}`] = p;
+      return `@P${j}`;
+    });
+    const rows = await db.query(`SELECT Id, Name, FullPath FROM Folders WHERE FullPath IN (${names.join(", ")});`, params);
+    for (const row of rows) byPath.set(row.FullPath, row);
+  }
+
+  const result = new Map();
+  for (const fullPath of fullPaths) {
+    const segs = String(fullPath).split("/").filter(Boolean);
+    const crumbs = [];
+    for (let i = 1; i <= segs.length; i++) {
+      const p = "/" + segs.slice(0, i).join("/");
+      const row = byPath.get(p);
+      crumbs.push(row ? { Id: row.Id, Name: row.Name, FullPath: row.FullPath } : { Id: null, Name: segs[i - 1], FullPath: p });
+    }
+    result.set(fullPath, crumbs);
+  }
+  return result;
+}
+
+async function insertFile({ folderId, name, storagePath, sizeBytes, mimeType, contentHash = null }, conn) {
+  const db = await use(conn);
+  return db.insert("Files", {
+    FolderId: folderId,
+    Name: name,
+    StoragePath: storagePath,
+    SizeBytes: sizeBytes,
+    MimeType: mimeType,
+    ContentHash: contentHash,
+  });
+}
+
+// live files of one folder, for the reconcile pass
+async function listFolderFiles(folderId, conn) {
+  const db = await use(conn);
+  return db.query(
+    `SELECT Id, Name, StoragePath, FolderId, SizeBytes, ContentHash, InspectedAt, DiskId
+     FROM Files WHERE FolderId=@FolderId AND DeletedAt IS NULL;`,
+    { FolderId: folderId }
+  );
+}
+
+// live files last seen on disk as diskId (hard linked duplicates share one)
+async function listFilesByDiskId(diskId, conn) {
+  const db = await use(conn);
+  return db.query(
+    `SELECT Id, Name, StoragePath, FolderId, SizeBytes, ContentHash, InspectedAt, DiskId
+     FROM Files WHERE DiskId=@DiskId AND DeletedAt IS NULL;`,
+    { DiskId: diskId }
+  );
+}
+
+async function setFileDiskId(id, diskId, conn) {
+  const db = await use(conn);
+  await db.run("UPDATE Files SET DiskId=@DiskId WHERE Id=@Id;", { Id: id, DiskId: diskId });
+}
+
+// insert a file row, or refresh size/hash/UpdatedAt when the StoragePath is already known
+async function saveFileAtPath({ folderId, name, storagePath, sizeBytes, mimeType, contentHash = null }, conn) {
+  const db = await use(conn);
+  return db.transaction(async (tx) => {
+    const existing = await tx.query("SELECT Id FROM Files WHERE StoragePath=@StoragePath;", { StoragePath: storagePath });
+    if (!existing.length) {
+      return insertFile({ folderId, name, storagePath, sizeBytes, mimeType, contentHash }, tx);
+    }
+    await updateFileContent(existing[0].Id, { sizeBytes, contentHash }, tx);
+    return getFile(existing[0].Id, tx);
+  });
+}
+
+// new content at the same StoragePath (re-upload, restored version, changed on disk)
+async function updateFileContent(id, { sizeBytes, contentHash }, conn) {
+  const db = await use(conn);
+  await db.run(`UPDATE Files SET SizeBytes=@SizeBytes, ContentHash=@ContentHash, UpdatedAt=${db.now()} WHERE Id=@Id;`, {
+    Id: id,
+    SizeBytes: sizeBytes,
+    ContentHash: contentHash,
+  });
+}
+
+// MimeType and FileMetadata read from the content (fileInfo.js), replacing what was there
+async function saveFileInspection(id, { mimeType, metadata }, conn) {
+  const db = await use(conn);
+  return db.transaction(async (tx) => {
+    await tx.run(`UPDATE Files SET MimeType=@MimeType, InspectedAt=${tx.now()} WHERE Id=@Id;`, { Id: id, MimeType: mimeType });
+    await tx.run("DELETE FROM FileMetadata WHERE FileId=@FileId;", { FileId: id });
+    for (const [name, value] of Object.entries(metadata || {})) {
+      await tx.run("INSERT INTO FileMetadata (FileId, Name, Value) VALUES (@FileId, @Name, @Value);", {
+        FileId: id,
+        Name: name,
+        Value: String(value),
+      });
+    }
+  });
+}
+
+// Map of file id -> { Name: Value } for the given files
+async function listFileMetadata(fileIds, conn) {
+  const db = await use(conn);
+  const byFile = new Map();
+  const ids = fileIds.map(Number).filter(Number.isInteger);
+  for (let i = 0; i < ids.length; i += 500) {
+    const chunk = ids.slice(i, i + 500);
+    const rows = await db.query(`SELECT FileId, Name, Value FROM FileMetadata WHERE FileId IN (${chunk.join(",")});`);
+    for (const r of rows) {
+      if (!byFile.has(r.FileId)) byFile.set(r.FileId, {});
+      byFile.get(r.FileId)[r.Name] = r.Value;
+    }
+  }
+  return byFile;
+}
+
+async function deleteFile(id, conn) {
+  const db = await use(conn);
+  return db.transaction(async (tx) => {
+    await tx.run("DELETE FROM FileTags WHERE FileId=@FileId;", { FileId: id });
+    await tx.run("DELETE FROM FileVersions WHERE FileId=@FileId;", { FileId: id });
+    await tx.run("DELETE FROM FileMetadata WHERE FileId=@FileId;", { FileId: id });
+    await tx.run("DELETE FROM Files WHERE Id=@FileId;", { FileId: id });
+  });
+}
+
+// new Files row for a copy of `file` (a Files row) with the same tags and metadata
+async function copyFile(file, { folderId, name, storagePath }, conn) {
+  const db = await use(conn);
+  const created = await insertFile(
+    { folderId, name, storagePath, sizeBytes: file.SizeBytes, mimeType: file.MimeType, contentHash: file.ContentHash },
+    db
+  );
+  await db.run("INSERT INTO FileTags (FileId, TagId) SELECT @NewId, TagId FROM FileTags WHERE FileId=@Id;", {
+    NewId: created.Id,
+    Id: file.Id,
+  });
+  await db.run(
+    "INSERT INTO FileMetadata (FileId, Name, Value) SELECT @NewId, Name, Value FROM FileMetadata WHERE FileId=@Id;",
+    { NewId: created.Id, Id: file.Id }
+  );
+  return created;
+}
+
+// move and/or rename a file (folder, name and path on disk change together)
+async function moveFile(id, { folderId, name, storagePath }, conn) {
+  const db = await use(conn);
+  await db.run(
+    "UPDATE Files SET FolderId=@FolderId, Name=@Name, StoragePath=@StoragePath WHERE Id=@Id;",
+    { Id: id, FolderId: folderId, Name: name, StoragePath: storagePath }
+  );
+}
+
+/* ============================================================
+   FILE TAGS
+============================================================ */
+async function getFileTagSelection(fileId, conn) {
+  const db = await use(conn);
+  const rows = await db.query(
+    `SELECT
+       t.Id, t.Name, t.Slug, t.ColorHex, t.ParentId, t.GroupId,
+       CASE WHEN ft.FileId IS NULL THEN 0 ELSE 1 END AS Selected
+     FROM Tags t
+     LEFT JOIN FileTags ft ON ft.TagId = t.Id AND ft.FileId = @FileId
+     WHERE t.DeletedAt IS NULL
+     ORDER BY t.Name;`,
+    { FileId: fileId }
+  );
+  const folders = await db.query(
+    "SELECT fo.FullPath FROM Files f INNER JOIN Folders fo ON fo.Id = f.FolderId WHERE f.Id=@FileId;",
+    { FileId: fileId }
+  );
+  const sources = folders.length ? await inheritedTagSources(folders[0].FullPath, true, db) : new Map();
+  return markInherited(rows, sources);
+}
+
+async function setFileTags(fileId, tagIds, conn) {
+  const db = await use(conn);
+  return db.transaction(async (tx) => {
+    await tx.run("DELETE FROM FileTags WHERE FileId=@FileId;", { FileId: fileId });
+    for (const tid of tagIds) {
+      await tx.run("INSERT INTO FileTags (FileId, TagId) VALUES (@FileId, @TagId);", { FileId: fileId, TagId: tid });
+    }
+  });
+}
+
+// add tags to a file, keeping the ones it already has (except the other tags of an exclusive group)
+async function addFileTags(fileId, tagIds, conn) {
+  const db = await use(conn);
+  for (const tid of tagIds) {
+    await db.run(`DELETE FROM FileTags WHERE FileId=@FileId AND TagId IN (${EXCLUSIVE_SIBLINGS});`, { FileId: fileId, TagId: tid });
+    await db.run(
+      `INSERT INTO FileTags (FileId, TagId)
+       SELECT @FileId, @TagId
+       WHERE NOT EXISTS (SELECT 1 FROM FileTags WHERE FileId=@FileId AND TagId=@TagId);`,
+      { FileId: fileId, TagId: tid }
+    );
+  }
+}
+
+// add tags to many files at once, keeping the ones they already have (except the other tags
+// of an exclusive group)
+async function addTagsToFiles(fileIds, tagIds, conn) {
+  const db = await use(conn);
+  for (const ids of idChunks(fileIds)) {
+    for (const tid of tagIds) {
+      await db.run(`DELETE FROM FileTags WHERE FileId IN (${ids}) AND TagId IN (${EXCLUSIVE_SIBLINGS});`, { TagId: tid });
+      await db.run(
+        `INSERT INTO FileTags (FileId, TagId)
+         SELECT f.Id, @TagId FROM Files f
+         WHERE f.Id IN (${ids})
+           AND NOT EXISTS (SELECT 1 FROM FileTags ft WHERE ft.FileId = f.Id AND ft.TagId = @TagId);`,
+        { TagId: tid }
+      );
+    }
+  }
+}
+
+async function removeTagsFromFiles(fileIds, tagIds, conn) {
+  const db = await use(conn);
+  const tags = tagIds.map(Number).filter(Number.isInteger).join(",");
+  if (!tags) return;
+  for (const ids of idChunks(fileIds)) {
+    await db.run(`DELETE FROM FileTags WHERE FileId IN (${ids}) AND TagId IN (${tags});`);
+  }
+}
+
+/* ============================================================
+   DUPLICATES
+   Live, non-empty files grouped by ContentHash.
+============================================================ */
+// groups of identical content, biggest reclaimable size first: [{ ContentHash, SizeBytes, Copies }]
+async function listDuplicateGroups({ offset = 0, limit = 50 } = {}, conn) {
+  const db = await use(conn);
+  const groups = `
+    FROM Files
+    WHERE DeletedAt IS NULL AND ContentHash IS NOT NULL AND SizeBytes > 0
+    GROUP BY ContentHash
+    HAVING COUNT(*) > 1`;
+  const total = await db.query(`SELECT COUNT(*) AS Total FROM (SELECT ContentHash ${groups}) g;`);
+  const rows = await db.query(
+    `SELECT ContentHash, MAX(SizeBytes) AS SizeBytes, COUNT(*) AS Copies
+     ${groups}
+     ORDER BY (COUNT(*) - 1) * MAX(SizeBytes) DESC, ContentHash
+     ${db.page("@Offset", "@Limit")};`,
+    { Offset: offset, Limit: limit }
+  );
+  return { rows, total: Number(total[0].Total) };
+}
+
+// live files with one of the given hashes, with their folder path and own tags
+async function listFilesByHash(hashes, conn) {
+  const db = await use(conn);
+  if (!hashes.length) return [];
+  const params = {};
+  hashes.forEach((h, i) => { params[`Hash${i}`] = h; });
+  return db.query(
+    `SELECT
+       f.Id, f.FolderId, f.Name, f.StoragePath, f.SizeBytes, f.ContentHash, f.CreatedAt, f.UpdatedAt,
+       fo.FullPath AS FolderPath,
+       (SELECT ${tagInfoExpr(db, "t")}
+        FROM FileTags ft
+        INNER JOIN Tags t ON t.Id = ft.TagId AND t.DeletedAt IS NULL
+        WHERE ft.FileId = f.Id) AS TagInfo
+     FROM Files f
+     INNER JOIN Folders fo ON fo.Id = f.FolderId
+     WHERE f.DeletedAt IS NULL AND f.ContentHash IN (${Object.keys(params).map((k) => "@" + k).join(", ")})
+     ORDER BY f.ContentHash, f.CreatedAt, f.Id;`,
+    params
+  );
+}
+
+// ids of the tags set directly on any of the files
+async function listFileTagIds(fileIds, conn) {
+  const db = await use(conn);
+  const ids = fileIds.map(Number).filter(Number.isInteger);
+  if (!ids.length) return [];
+  const rows = await db.query(
+    `SELECT DISTINCT ft.TagId
+     FROM FileTags ft
+     INNER JOIN Tags t ON t.Id = ft.TagId AND t.DeletedAt IS NULL
+     WHERE ft.FileId IN (${ids.join(",")});`
+  );
+  return rows.map((r) => r.TagId);
+}
+
+/* ============================================================
+   FILE VERSIONS
+   Earlier contents of a file. The live Files row is always the
+   current version; FileVersions only holds what it replaced.
+============================================================ */
+async function getFileByStoragePath(storagePath, conn) {
+  const db = await use(conn);
+  const rows = await db.query("SELECT * FROM Files WHERE StoragePath=@StoragePath AND DeletedAt IS NULL;", {
+    StoragePath: storagePath,
+  });
+  return rows[0] || null;
+}
+
+// per-file cap on kept versions, NULL = use the global default
+async function setFileMaxVersions(id, maxVersions, conn) {
+  const db = await use(conn);
+  await db.run("UPDATE Files SET MaxVersions=@MaxVersions WHERE Id=@Id;", { Id: id, MaxVersions: maxVersions });
+}
+
+async function listFileVersions(fileId, conn) {
+  const db = await use(conn);
+  return db.query("SELECT * FROM FileVersions WHERE FileId=@FileId ORDER BY VersionNo DESC;", { FileId: fileId });
+}
+
+async function getFileVersion(fileId, versionId, conn) {
+  const db = await use(conn);
+  const rows = await db.query("SELECT * FROM FileVersions WHERE Id=@Id AND FileId=@FileId;", {
+    Id: versionId,
+    FileId: fileId,
+  });
+  return rows[0] || null;
+}
+
+// record a version with the next VersionNo for the file
+async function addFileVersion({ fileId, name, sizeBytes, blobPath, reason }, conn) {
+  const db = await use(conn);
+  return db.transaction(async (tx) => {
+    const rows = await tx.query("SELECT COALESCE(MAX(VersionNo), 0) AS LastNo FROM FileVersions WHERE FileId=@FileId;", {
+      FileId: fileId,
+    });
+    return tx.insert("FileVersions", {
+      FileId: fileId,
+      VersionNo: Number(rows[0].LastNo) + 1,
+      Name: name,
+      SizeBytes: sizeBytes,
+      BlobPath: blobPath,
+      Reason: reason,
+    });
+  });
+}
+
+// drop all but the newest `keep` versions; returns the removed rows so their blobs can be deleted
+async function pruneFileVersions(fileId, keep, conn) {
+  const db = await use(conn);
+  return db.transaction(async (tx) => {
+    const removed = (await listFileVersions(fileId, tx)).slice(keep);
+    for (const v of removed) await tx.run("DELETE FROM FileVersions WHERE Id=@Id;", { Id: v.Id });
+    return removed;
+  });
+}
+
+// which of `ids` still have a Files row (trashed ones included)
+async function existingFileIds(ids, conn) {
+  const db = await use(conn);
+  const found = new Set();
+  for (let i = 0; i < ids.length; i += 500) {
+    const chunk = ids.slice(i, i + 500).map(Number).filter(Number.isInteger);
+    if (!chunk.length) continue;
+    const rows = await db.query(`SELECT Id FROM Files WHERE Id IN (${chunk.join(",")});`);
+    for (const r of rows) found.add(Number(r.Id));
+  }
+  return found;
+}
+
+/* ============================================================
+   UPLOAD SESSIONS (resumable chunked uploads)
+============================================================ */
+async function createUploadSession(
+  { id, userId = null, folderId, relPath, sizeBytes, chunkSize, sha256 = null, newTags = null, tagSlugs = null },
+  conn
+) {
+  const db = await use(conn);
+  return db.insert("UploadSessions", {
+    Id: id,
+    UserId: userId,
+    FolderId: folderId,
+    RelPath: relPath,
+    SizeBytes: sizeBytes,
+    ChunkSize: chunkSize,
+    Sha256: sha256,
+    NewTags: newTags,
+    TagSlugs: tagSlugs,
+  });
+}
+
+async function getUploadSession(id, conn) {
+  const db = await use(conn);
+  const rows = await db.query("SELECT * FROM UploadSessions WHERE Id=@Id;", { Id: id });
+  return rows[0] || null;
+}
+
+// keeps the session from expiring while chunks arrive
+async function touchUploadSession(id, conn) {
+  const db = await use(conn);
+  await db.run(`UPDATE UploadSessions SET UpdatedAt=${db.now()} WHERE Id=@Id;`, { Id: id });
+}
+
+async function deleteUploadSession(id, conn) {
+  const db = await use(conn);
+  await db.run("DELETE FROM UploadSessions WHERE Id=@Id;", { Id: id });
+}
+
+// sessions idle since before `cutoff` (Date)
+async function listExpiredUploadSessions(cutoff, conn) {
+  const db = await use(conn);
+  return db.query("SELECT * FROM UploadSessions WHERE UpdatedAt < @Cutoff;", { Cutoff: cutoff });
+}
+
+async function listUploadSessionIds(conn) {
+  const db = await use(conn);
+  return new Set((await db.query("SELECT Id FROM UploadSessions;")).map((r) => r.Id));
+}
+
+/* ============================================================
+   USERS / SESSIONS / FOLDER GRANTS
+============================================================ */
+const USER_COLUMNS = "Id, Username, Role, Disabled, CreatedAt, LastLoginAt";
+
+async function countUsers(conn) {
+  const db = await use(conn);
+  const rows = await db.query("SELECT COUNT(*) AS Total FROM Users;");
+  return rows[0] ? Number(rows[0].Total) : 0;
+}
+
+// active admins other than exceptId (to keep at least one)
+async function countOtherAdmins(exceptId, conn) {
+  const db = await use(conn);
+  const rows = await db.query("SELECT COUNT(*) AS Total FROM Users WHERE Role='admin' AND Disabled=0 AND Id<>@Id;", {
+    Id: exceptId,
+  });
+  return rows[0] ? Number(rows[0].Total) : 0;
+}
+
+async function listUsers(conn) {
+  const db = await use(conn);
+  return db.query(`SELECT ${USER_COLUMNS} FROM Users ORDER BY Username;`);
+}
+
+async function getUser(id, conn) {
+  const db = await use(conn);
+  const rows = await db.query(`SELECT ${USER_COLUMNS} FROM Users WHERE Id=@Id;`, { Id: id });
+  return rows[0] || null;
+}
+
+// includes PasswordHash, for logging in
+async function getUserByUsername(username, conn) {
+  const db = await use(conn);
+  const rows = await db.query("SELECT * FROM Users WHERE Username=@Username;", { Username: username });
+  return rows[0] || null;
+}
+
+async function createUser({ username, passwordHash, role }, conn) {
+  const db = await use(conn);
+  const row = await db.insert("Users", { Username: username, PasswordHash: passwordHash, Role: role });
+  return getUser(row.Id, db);
+}
+
+async function updateUser(id, { role, disabled, passwordHash }, conn) {
+  const db = await use(conn);
+  const sets = [];
+  const params = { Id: id };
+  if (role != null) {
+    sets.push("Role=@Role");
+    params.Role = role;
+  }
+  if (disabled != null) {
+    sets.push("Disabled=@Disabled");
+    params.Disabled = disabled ? 1 : 0;
+  }
+  if (passwordHash != null) {
+    sets.push("PasswordHash=@PasswordHash");
+    params.PasswordHash = passwordHash;
+  }
+  if (sets.length) await db.run(`UPDATE Users SET ${sets.join(", ")} WHERE Id=@Id;`, params);
+  return getUser(id, db);
+}
+
+async function deleteUser(id, conn) {
+  const db = await use(conn);
+  return db.transaction(async (tx) => {
+    await tx.run("DELETE FROM Sessions WHERE UserId=@Id;", { Id: id });
+    await tx.run("DELETE FROM FolderGrants WHERE UserId=@Id;", { Id: id });
+    await tx.run("DELETE FROM Shares WHERE CreatedBy=@Id;", { Id: id });
+    await tx.run("UPDATE UploadSessions SET UserId=NULL WHERE UserId=@Id;", { Id: id });
+    await tx.run("DELETE FROM Users WHERE Id=@Id;", { Id: id });
+  });
+}
+
+async function setLastLogin(id, conn) {
+  const db = await use(conn);
+  await db.run(`UPDATE Users SET LastLoginAt=${db.now()} WHERE Id=@Id;`, { Id: id });
+}
+
+// id is the hash of the cookie token (auth.sessionId)
+async function createSession({ id, userId, expiresAt }, conn) {
+  const db = await use(conn);
+  return db.insert("Sessions", { Id: id, UserId: userId, ExpiresAt: expiresAt });
+}
+
+// the user behind an unexpired session of an enabled account, with the session's ExpiresAt
+async function getSessionUser(id, now, conn) {
+  const db = await use(conn);
+  const rows = await db.query(
+    `SELECT u.Id, u.Username, u.Role, s.ExpiresAt AS SessionExpiresAt
+     FROM Sessions s
+     INNER JOIN Users u ON u.Id = s.UserId
+     WHERE s.Id=@Id AND s.ExpiresAt > @Now AND u.Disabled = 0;`,
+    { Id: id, Now: now }
+  );
+  return rows[0] || null;
+}
+
+async function extendSession(id, expiresAt, conn) {
+  const db = await use(conn);
+  await db.run("UPDATE Sessions SET ExpiresAt=@ExpiresAt WHERE Id=@Id;", { Id: id, ExpiresAt: expiresAt });
+}
+
+async function deleteSession(id, conn) {
+  const db = await use(conn);
+  await db.run("DELETE FROM Sessions WHERE Id=@Id;", { Id: id });
+}
+
+// log a user out everywhere (except the session in exceptId, if given)
+async function deleteUserSessions(userId, exceptId = null, conn) {
+  const db = await use(conn);
+  await db.run("DELETE FROM Sessions WHERE UserId=@UserId AND (@ExceptId IS NULL OR Id<>@ExceptId);", {
+    UserId: userId,
+    ExceptId: exceptId,
+  });
+}
+
+async function deleteExpiredSessions(now, conn) {
+  const db = await use(conn);
+  await db.run("DELETE FROM Sessions WHERE ExpiresAt <= @Now;", { Now: now });
+}
+
+// grants of one user on live folders, with the folder's FullPath (input for auth.folderAccess)
+async function listUserGrants(userId, conn) {
+  const db = await use(conn);
+  return db.query(
+    `SELECT g.FolderId, g.UserId, g.Access, fo.FullPath
+     FROM FolderGrants g
+     INNER JOIN Folders fo ON fo.Id = g.FolderId
+     WHERE g.UserId=@UserId AND fo.DeletedAt IS NULL
+     ORDER BY fo.FullPath;`,
+    { UserId: userId }
+  );
+}
+
+async function listFolderGrants(folderId, conn) {
+  const db = await use(conn);
+  return db.query(
+    `SELECT g.FolderId, g.UserId, g.Access, u.Username, u.Role
+     FROM FolderGrants g
+     INNER JOIN Users u ON u.Id = g.UserId
+     WHERE g.FolderId=@FolderId
+     ORDER BY u.Username;`,
+    { FolderId: folderId }
+  );
+}
+
+async function setFolderGrant(folderId, userId, access, conn) {
+  const db = await use(conn);
+  return db.transaction(async (tx) => {
+    const params = { FolderId: folderId, UserId: userId, Access: access };
+    const updated = await tx.run("UPDATE FolderGrants SET Access=@Access WHERE FolderId=@FolderId AND UserId=@UserId;", params);
+    if (!updated.rowsAffected) await tx.insert("FolderGrants", params);
+  });
+}
+
+async function deleteFolderGrant(folderId, userId, conn) {
+  const db = await use(conn);
+  await db.run("DELETE FROM FolderGrants WHERE FolderId=@FolderId AND UserId=@UserId;", { FolderId: folderId, UserId: userId });
+}
+
+/* ============================================================
+   SHARES (public links to a file or folder)
+============================================================ */
+// everything but the password hash, with the item's name and location (null once it is gone)
+const SHARE_SELECT = `
+  SELECT s.Id, s.Token, s.Kind, s.ItemId, s.CreatedBy, u.Username AS CreatedByName,
+         CASE WHEN s.PasswordHash IS NULL THEN 0 ELSE 1 END AS HasPassword,
+         s.ExpiresAt, s.MaxDownloads, s.Downloads, s.Views, s.LastAccessAt, s.CreatedAt,
+         COALESCE(fi.Name, fo.Name) AS ItemName,
+         COALESCE(fifo.FullPath, fo.FullPath) AS ItemPath
+  FROM Shares s
+  INNER JOIN Users u ON u.Id = s.CreatedBy
+  LEFT JOIN Files fi ON s.Kind = 'file' AND fi.Id = s.ItemId AND fi.DeletedAt IS NULL
+  LEFT JOIN Folders fifo ON fifo.Id = fi.FolderId
+  LEFT JOIN Folders fo ON s.Kind = 'folder' AND fo.Id = s.ItemId AND fo.DeletedAt IS NULL`;
+
+async function createShare({ token, kind, itemId, createdBy, passwordHash = null, expiresAt = null, maxDownloads = null }, conn) {
+  const db = await use(conn);
+  const row = await db.insert("Shares", {
+    Token: token,
+    Kind: kind,
+    ItemId: itemId,
+    CreatedBy: createdBy,
+    PasswordHash: passwordHash,
+    ExpiresAt: expiresAt,
+    MaxDownloads: maxDownloads,
+  });
+  return getShare(row.Id, db);
+}
+
+async function getShare(id, conn) {
+  const db = await use(conn);
+  const rows = await db.query(`${SHARE_SELECT} WHERE s.Id=@Id;`, { Id: id });
+  return rows[0] || null;
+}
+
+// includes PasswordHash, for opening the link
+async function getShareByToken(token, conn) {
+  const db = await use(conn);
+  const rows = await db.query("SELECT * FROM Shares WHERE Token=@Token;", { Token: token });
+  return rows[0] || null;
+}
+
+// all shares, or those created by createdBy
+async function listShares({ createdBy = null } = {}, conn) {
+  const db = await use(conn);
+  return db.query(`${SHARE_SELECT} WHERE (@CreatedBy IS NULL OR s.CreatedBy = @CreatedBy) ORDER BY s.CreatedAt DESC, s.Id DESC;`, {
+    CreatedBy: createdBy,
+  });
+}
+
+async function recordShareView(id, conn) {
+  const db = await use(conn);
+  await db.run(`UPDATE Shares SET Views = Views + 1, LastAccessAt=${db.now()} WHERE Id=@Id;`, { Id: id });
+}
+
+// counts a download; false when MaxDownloads is already used up (checked in the same statement,
+// so parallel downloads can't go over the limit)
+async function takeShareDownload(id, conn) {
+  const db = await use(conn);
+  const result = await db.run(
+    `UPDATE Shares SET Downloads = Downloads + 1, LastAccessAt=${db.now()}
+     WHERE Id=@Id AND (MaxDownloads IS NULL OR Downloads < MaxDownloads);`,
+    { Id: id }
+  );
+  return result.rowsAffected > 0;
+}
+
+async function deleteShare(id, conn) {
+  const db = await use(conn);
+  await db.run("DELETE FROM Shares WHERE Id=@Id;", { Id: id });
+}
+
+/* ============================================================
+   TRASH
+   Trashed rows keep their Id, tags and links. Their paths are moved out of the
+   live namespace (files/folders into the trash directory, tag slugs renamed) so
+   new items can reuse the original names until the entry is restored or purged.
+============================================================ */
+async function createTrashEntry({ kind, itemId, name, originalPath, sizeBytes = null }, conn) {
+  const db = await use(conn);
+  return db.insert("Trash", { Kind: kind, ItemId: itemId, Name: name, OriginalPath: originalPath, SizeBytes: sizeBytes });
+}
+
+async function setTrashPath(id, trashPath, conn) {
+  const db = await use(conn);
+  await db.run("UPDATE Trash SET TrashPath=@TrashPath WHERE Id=@Id;", { Id: id, TrashPath: trashPath });
+}
+
+async function listTrash(conn) {
+  const db = await use(conn);
+  return db.query("SELECT * FROM Trash ORDER BY DeletedAt DESC, Id DESC;");
+}
+
+async function getTrashEntry(id, conn) {
+  const db = await use(conn);
+  const rows = await db.query("SELECT * FROM Trash WHERE Id=@Id;", { Id: id });
+  return rows[0] || null;
+}
+
+// entries deleted before `cutoff` (Date)
+async function listExpiredTrash(cutoff, conn) {
+  const db = await use(conn);
+  return db.query("SELECT * FROM Trash WHERE DeletedAt < @Cutoff ORDER BY Id;", { Cutoff: cutoff });
+}
+
+async function trashFile(id, trashId, trashStoragePath, conn) {
+  const db = await use(conn);
+  await db.run(
+    `UPDATE Files SET DeletedAt=${db.now()}, TrashId=@TrashId, StoragePath=@StoragePath WHERE Id=@Id;`,
+    { Id: id, TrashId: trashId, StoragePath: trashStoragePath }
+  );
+}
+
+async function restoreFile(id, { folderId, storagePath }, conn) {
+  const db = await use(conn);
+  await db.run(
+    "UPDATE Files SET DeletedAt=NULL, TrashId=NULL, FolderId=@FolderId, StoragePath=@StoragePath WHERE Id=@Id;",
+    { Id: id, FolderId: folderId, StoragePath: storagePath }
+  );
+}
+
+// move a folder subtree (logical FullPath and file StoragePaths) within the live tree or to/from the trash;
+// `set` holds extra assignments for both tables
+async function rewriteFolderTree({ fromPath, toPath, fromPhysical, toPhysical, folderWhere, fileWhere, set, params }, db) {
+  const extra = set ? `${set}, ` : "";
+  await db.run(
+    `UPDATE Files
+     SET ${extra}StoragePath = ${db.concat("@ToPhysical", `SUBSTRING(StoragePath, ${db.len("@FromPhysical")} + 1, 2000)`)}
+     WHERE ${fileWhere};`,
+    { ...params, FromPhysical: fromPhysical, ToPhysical: toPhysical }
+  );
+  await db.run(
+    `UPDATE Folders
+     SET ${extra}FullPath = ${db.concat("@ToPath", `SUBSTRING(FullPath, ${db.len("@FromPath")} + 1, 2000)`)}
+     WHERE ${folderWhere};`,
+    { ...params, FromPath: fromPath, ToPath: toPath }
+  );
+}
+
+// trash the folder at fullPath with everything below it; files already in the trash keep their own entry
+async function trashFolderTree(fullPath, trashId, { trashFullPath, physical, trashPhysical }, conn) {
+  const db = await use(conn);
+  const st = subtree(db, "FullPath", fullPath);
+  return db.transaction((tx) =>
+    rewriteFolderTree(
+      {
+        fromPath: fullPath,
+        toPath: trashFullPath,
+        fromPhysical: physical,
+        toPhysical: trashPhysical,
+        folderWhere: st.where,
+        fileWhere: `DeletedAt IS NULL AND FolderId IN (SELECT Id FROM Folders WHERE ${st.where})`,
+        set: `DeletedAt=${tx.now()}, TrashId=@TrashId`,
+        params: { ...st.params, TrashId: trashId },
+      },
+      tx
+    )
+  );
+}
+
+// put a trashed folder subtree back at fullPath under parentId
+async function restoreFolderTree(trashId, folderId, parentId, { trashFullPath, fullPath, trashPhysical, physical }, conn) {
+  const db = await use(conn);
+  return db.transaction(async (tx) => {
+    await rewriteFolderTree(
+      {
+        fromPath: trashFullPath,
+        toPath: fullPath,
+        fromPhysical: trashPhysical,
+        toPhysical: physical,
+        folderWhere: "TrashId=@TrashId",
+        fileWhere: "TrashId=@TrashId",
+        set: "DeletedAt=NULL, TrashId=NULL",
+        params: { TrashId: trashId },
+      },
+      tx
+    );
+    await tx.run("UPDATE Folders SET ParentId=@ParentId WHERE Id=@Id;", { Id: folderId, ParentId: parentId });
+  });
+}
+
+// the tags nested below go along; their slugs move under "~trash-<id>" so the live ones are free
+async function trashTag(id, trashId, conn) {
+  const db = await use(conn);
+  const tag = await getTag(id, db);
+  if (!tag) return;
+  const st = subtree(db, "Slug", tag.Slug);
+  await db.run(
+    `UPDATE Tags
+     SET DeletedAt=${db.now()}, TrashId=@TrashId,
+         Slug = ${db.concat("@TrashSlug", `SUBSTRING(Slug, ${db.len("@FromSlug")} + 1, 2000)`)}
+     WHERE ${st.where} AND DeletedAt IS NULL;`,
+    { ...st.params, TrashId: trashId, TrashSlug: `~trash-${trashId}`, FromSlug: tag.Slug }
+  );
+}
+
+// bring back the tags of trash entry trashId: tag `id` at slug under parentId, the rest below it
+async function restoreTag(trashId, id, { slug, parentId }, conn) {
+  const db = await use(conn);
+  return db.transaction(async (tx) => {
+    const trashSlug = `~trash-${trashId}`;
+    await tx.run(
+      `UPDATE Tags
+       SET DeletedAt=NULL, TrashId=NULL,
+           Slug = ${db.concat("@Slug", `SUBSTRING(Slug, ${db.len("@TrashSlug")} + 1, 2000)`)}
+       WHERE TrashId=@TrashId;`,
+      { TrashId: trashId, TrashSlug: trashSlug, Slug: slug }
+    );
+    await tx.run("UPDATE Tags SET ParentId=@ParentId WHERE Id=@Id;", { Id: id, ParentId: parentId });
+  });
+}
+
+async function deleteTrashEntry(id, conn) {
+  const db = await use(conn);
+  await db.run("DELETE FROM Trash WHERE Id=@Id;", { Id: id });
+}
+
+// permanently remove a trash entry and its rows; returns the entries that were removed
+// (a folder takes the files trashed from inside it along)
+async function purgeTrashEntry(entry, conn) {
+  const db = await use(conn);
+  return db.transaction(async (tx) => {
+    const removed = [entry];
+    const params = { TrashId: entry.Id, ItemId: entry.ItemId };
+
+    if (entry.Kind === "file") {
+      await tx.run("DELETE FROM FileTags WHERE FileId=@ItemId;", params);
+      await tx.run("DELETE FROM FileVersions WHERE FileId=@ItemId;", params);
+      await tx.run("DELETE FROM FileMetadata WHERE FileId=@ItemId;", params);
+      await tx.run("DELETE FROM Shares WHERE Kind = 'file' AND ItemId=@ItemId;", params);
+      await tx.run("DELETE FROM Files WHERE Id=@ItemId AND TrashId=@TrashId;", params);
+    } else if (entry.Kind === "folder") {
+      const inTree = "SELECT Id FROM Folders WHERE TrashId=@TrashId";
+      const nested = await tx.query(
+        `SELECT t.* FROM Trash t
+         INNER JOIN Files f ON f.Id = t.ItemId AND f.TrashId = t.Id
+         WHERE t.Kind = 'file' AND f.FolderId IN (${inTree});`,
+        params
+      );
+      removed.push(...nested);
+      // subfolders trashed on their own earlier still point at folders of this tree
+      await tx.run(`UPDATE Folders SET ParentId=NULL WHERE ParentId IN (${inTree}) AND TrashId <> @TrashId;`, params);
+      for (const n of nested) await tx.run("DELETE FROM Trash WHERE Id=@Id;", { Id: n.Id });
+      await tx.run(`DELETE FROM FileTags WHERE FileId IN (SELECT Id FROM Files WHERE FolderId IN (${inTree}));`, params);
+      await tx.run(`DELETE FROM FileVersions WHERE FileId IN (SELECT Id FROM Files WHERE FolderId IN (${inTree}));`, params);
+      await tx.run(`DELETE FROM FileMetadata WHERE FileId IN (SELECT Id FROM Files WHERE FolderId IN (${inTree}));`, params);
+      await tx.run(
+        `DELETE FROM Shares WHERE (Kind = 'folder' AND ItemId IN (${inTree}))
+           OR (Kind = 'file' AND ItemId IN (SELECT Id FROM Files WHERE FolderId IN (${inTree})));`,
+        params
+      );
+      await tx.run(`DELETE FROM Files WHERE FolderId IN (${inTree});`, params);
+      await tx.run(`DELETE FROM FolderTags WHERE FolderId IN (${inTree});`, params);
+      await tx.run(`DELETE FROM FolderGrants WHERE FolderId IN (${inTree});`, params);
+      await tx.run("DELETE FROM Folders WHERE TrashId=@TrashId;", params);
+    } else if (entry.Kind === "tag") {
+      await deleteTagTree(entry.Id, tx);
+    }
+
+    await tx.run("DELETE FROM Trash WHERE Id=@TrashId;", params);
+    return removed;
+  });
+}
+
+/* ============================================================
+   JOBS (the background queue; handlers live in server.js)
+============================================================ */
+// queue a job unless one with the same dedupKey is still waiting; true when it was queued
+async function enqueueJob({ type, payload, dedupKey = null, runAfter, maxAttempts }, conn) {
+  const db = await use(conn);
+  const { rowsAffected } = await db.run(
+    `INSERT INTO Jobs (Type, Payload, DedupKey, State, MaxAttempts, RunAfter)
+     SELECT @Type, @Payload, @DedupKey, 'queued', @MaxAttempts, @RunAfter
+     WHERE @DedupKey IS NULL OR NOT EXISTS (SELECT 1 FROM Jobs WHERE DedupKey=@DedupKey AND State='queued');`,
+    { Type: type, Payload: payload, DedupKey: dedupKey, MaxAttempts: maxAttempts, RunAfter: runAfter }
+  );
+  return rowsAffected > 0;
+}
+
+// take the next due job, skipping the types in skipTypes, and mark it running (one more attempt);
+// null when nothing is due
+async function claimJob(now, skipTypes = [], conn) {
+  const db = await use(conn);
+  const params = { Now: now, Offset: 0, Limit: 20 };
+  skipTypes.forEach((t, i) => (params[`Skip${i}`] = t));
+  const skip = skipTypes.length ? `AND Type NOT IN (${skipTypes.map((t, i) => `@Skip${i}`).join(", ")})` : "";
+
+  const due = await db.query(
+    `SELECT Id FROM Jobs WHERE State='queued' AND RunAfter <= @Now ${skip}
+     ORDER BY RunAfter, Id
+     ${db.page("@Offset", "@Limit")};`,
+    params
+  );
+  for (const { Id } of due) {
+    // another worker may have taken it meanwhile
+    const { rowsAffected } = await db.run(
+      `UPDATE Jobs SET State='running', Attempts = Attempts + 1, StartedAt=${db.now()}, UpdatedAt=${db.now()}
+       WHERE Id=@Id AND State='queued';`,
+      { Id }
+    );
+    if (rowsAffected) return (await db.query("SELECT * FROM Jobs WHERE Id=@Id;", { Id }))[0];
+  }
+  return null;
+}
+
+// back to the queue at runAfter; a job whose work is already waiting under the same key is
+// dropped (the waiting one runs no later than runAfter instead)
+async function requeueJob(id, runAfter, conn) {
+  const db = await use(conn);
+  return db.transaction(async (tx) => {
+    await tx.run(
+      `UPDATE Jobs SET RunAfter=@RunAfter
+       WHERE State='queued' AND RunAfter > @RunAfter AND Id <> @Id
+         AND DedupKey = (SELECT DedupKey FROM Jobs WHERE Id=@Id);`,
+      { Id: id, RunAfter: runAfter }
+    );
+    const { rowsAffected } = await tx.run(
+      `DELETE FROM Jobs WHERE Id=@Id AND DedupKey IS NOT NULL
+         AND EXISTS (SELECT 1 FROM Jobs q WHERE q.DedupKey = Jobs.DedupKey AND q.State='queued' AND q.Id <> Jobs.Id);`,
+      { Id: id }
+    );
+    if (rowsAffected) return;
+    await tx.run(`UPDATE Jobs SET State='queued', RunAfter=@RunAfter, UpdatedAt=${tx.now()} WHERE Id=@Id;`, {
+      Id: id,
+      RunAfter: runAfter,
+    });
+  });
+}
+
+async function finishJob(id, conn) {
+  const db = await use(conn);
+  await db.run("DELETE FROM Jobs WHERE Id=@Id;", { Id: id });
+}
+
+// record the error; the job is tried again at retryAt, or stays failed when that is null
+async function failJob(id, error, retryAt, conn) {
+  const db = await use(conn);
+  await db.transaction(async (tx) => {
+    await tx.run(`UPDATE Jobs SET LastError=@Error, State='failed', UpdatedAt=${tx.now()} WHERE Id=@Id;`, {
+      Id: id,
+      Error: error,
+    });
+    if (retryAt) await requeueJob(id, retryAt, tx);
+  });
+}
+
+// a failed job gets a fresh set of attempts; false unless it was failed
+async function retryJob(id, now, conn) {
+  const db = await use(conn);
+  return db.transaction(async (tx) => {
+    const { rowsAffected } = await tx.run("UPDATE Jobs SET Attempts=0 WHERE Id=@Id AND State='failed';", { Id: id });
+    if (!rowsAffected) return false;
+    await requeueJob(id, now, tx);
+    return true;
+  });
+}
+
+async function deleteFailedJob(id, conn) {
+  const db = await use(conn);
+  const { rowsAffected } = await db.run("DELETE FROM Jobs WHERE Id=@Id AND State='failed';", { Id: id });
+  return rowsAffected > 0;
+}
+
+// jobs a stopped server left running start over
+async function requeueRunningJobs(now, conn) {
+  const db = await use(conn);
+  const rows = await db.query("SELECT Id FROM Jobs WHERE State='running' ORDER BY Id;");
+  for (const r of rows) await requeueJob(r.Id, now, db);
+  return rows.length;
+}
+
+// running jobs first, then queued ones in the order they will run, then the latest failures
+async function listJobs({ state = null, limit = 200 } = {}, conn) {
+  const db = await use(conn);
+  return db.query(
+    `SELECT * FROM Jobs
+     WHERE @State IS NULL OR State=@State
+     ORDER BY CASE State WHEN 'running' THEN 0 WHEN 'queued' THEN 1 ELSE 2 END,
+       CASE WHEN State='failed' THEN NULL ELSE RunAfter END, UpdatedAt DESC, Id
+     ${db.page("@Offset", "@Limit")};`,
+    { State: state, Offset: 0, Limit: limit }
+  );
+}
+
+async function countJobs(conn) {
+  const db = await use(conn);
+  const rows = await db.query("SELECT State, COUNT(*) AS Count FROM Jobs GROUP BY State;");
+  const counts = { queued: 0, running: 0, failed: 0 };
+  for (const r of rows) counts[r.State] = Number(r.Count);
+  return counts;
+}
+
+/* ============================================================
+   FILE OPS (commit records of journaled disk + DB changes)
+============================================================ */
+// inserted inside the operation's transaction: it exists exactly when the DB changes committed
+async function commitFileOp(id, kind, conn) {
+  const db = await use(conn);
+  await db.run("INSERT INTO FileOps (Id, Kind) VALUES (@Id, @Kind);", { Id: id, Kind: kind });
+}
+
+async function getFileOp(id, conn) {
+  const db = await use(conn);
+  const rows = await db.query("SELECT * FROM FileOps WHERE Id=@Id;", { Id: id });
+  return rows[0] || null;
+}
+
+async function listFileOps(conn) {
+  const db = await use(conn);
+  return db.query("SELECT * FROM FileOps ORDER BY CommittedAt;");
+}
+
+async function deleteFileOp(id, conn) {
+  const db = await use(conn);
+  await db.run("DELETE FROM FileOps WHERE Id=@Id;", { Id: id });
+}
+
+module.exports = {
+  escapeLike,
+  subtree,
+  init,
+  transaction,
+  // tags
+  listTags,
+  getTag,
+  getTagBySlug,
+  createTag,
+  ensureTag,
+  updateTag,
+  moveTagTree,
+  setTagTreeGroup,
+  listExclusiveTags,
+  deleteTagTree,
+  mergeTags,
+  listTagAliases,
+  getTagAlias,
+  getTagByAlias,
+  addTagAlias,
+  deleteTagAlias,
+  dropShadowedTagAliases,
+  resolveTagSlugs,
+  listTagGroups,
+  getTagGroup,
+  createTagGroup,
+  updateTagGroup,
+  deleteTagGroup,
+  // folders
+  getRootFolder,
+  getFolder,
+  getFolderByPath,
+  listChildFolders,
+  createFolder,
+  listSubfolders,
+  listFoldersByDiskId,
+  setFolderDiskId,
+  deleteFolderTree,
+  folderBreadcrumbs,
+  getFolderTagSelection,
+  setFolderTags,
+  addFolderTags,
+  removeFolderTags,
+  moveFolderTree,
+  copyFolderTree,
+  // files
+  getFile,
+  listFiles,
+  searchFiles,
+  listFilesForZip,
+  insertFile,
+  listFolderFiles,
+  listFilesByDiskId,
+  setFileDiskId,
+  saveFileAtPath,
+  updateFileContent,
+  saveFileInspection,
+  listFileMetadata,
+  deleteFile,
+  moveFile,
+  copyFile,
+  getFileTagSelection,
+  setFileTags,
+  addFileTags,
+  addTagsToFiles,
+  removeTagsFromFiles,
+  // duplicates
+  listDuplicateGroups,
+  listFilesByHash,
+  listFileTagIds,
+  // file versions
+  getFileByStoragePath,
+  setFileMaxVersions,
+  listFileVersions,
+  getFileVersion,
+  addFileVersion,
+  pruneFileVersions,
+  existingFileIds,
+  // upload sessions
+  createUploadSession,
+  getUploadSession,
+  touchUploadSession,
+  deleteUploadSession,
+  listExpiredUploadSessions,
+  listUploadSessionIds,
+  // users / sessions / grants
+  countUsers,
+  countOtherAdmins,
+  listUsers,
+  getUser,
+  getUserByUsername,
+  createUser,
+  updateUser,
+  deleteUser,
+  setLastLogin,
+  createSession,
+  getSessionUser,
+  extendSession,
+  deleteSession,
+  deleteUserSessions,
+  deleteExpiredSessions,
+  listUserGrants,
+  listFolderGrants,
+  setFolderGrant,
+  deleteFolderGrant,
+  // shares
+  createShare,
+  getShare,
+  getShareByToken,
+  listShares,
+  recordShareView,
+  takeShareDownload,
+  deleteShare,
+  // trash
+  createTrashEntry,
+  setTrashPath,
+  listTrash,
+  getTrashEntry,
+  listExpiredTrash,
+  trashFile,
+  restoreFile,
+  trashFolderTree,
+  restoreFolderTree,
+  trashTag,
+  restoreTag,
+  deleteTrashEntry,
+  purgeTrashEntry,
+  // jobs
+  enqueueJob,
+  claimJob,
+  requeueJob,
+  finishJob,
+  failJob,
+  retryJob,
+  deleteFailedJob,
+  requeueRunningJobs,
+  listJobs,
+  countJobs,
+  // file ops
+  commitFileOp,
+  getFileOp,
+  listFileOps,
+  deleteFileOp,
+};
@@ -0,0 +1,365 @@
+// tagQuery.js
+// Filter expressions for GET /api/files and GET /api/folders, e.g.
+//
+//   cats AND (school OR work) AND NOT draft
+//   *.pdf size>10MB added:2026-01..
+//   name:"holiday *" modified:..2026-03 ext:jpg
+//
+// Bare words are tag slugs, a nested tag written as its path (school/math also matches
+// school/math/algebra); words containing * or ? are name globs. Juxtaposition means
+// AND, and field:value / field>value predicates filter on name, ext, size, added (CreatedAt)
+// and modified (UpdatedAt). parseTagQuery() builds an AST, compileTagQuery() turns it into a
+// parameterised SQL predicate using a column map supplied by store.js.
+
+const MAX_QUERY_LENGTH = 1000;
+
+const FIELDS = ["tag", "name", "ext", "size", "added", "modified"];
+
+const SIZE_UNITS = { b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3, t: 1024 ** 4, tb: 1024 ** 4 };
+
+class TagQueryError extends Error {
+  constructor(message, position, length = 1) {
+    super(message);
+    this.name = "TagQueryError";
+    this.position = position;
+    this.length = length;
+  }
+}
+
+// "School/Math " -> "school/math": each "/" part on its own, empty parts dropped
+function slugifyTagName(name) {
+  return String(name)
+    .split("/")
+    .map((part) => part.trim().toLowerCase().replace(/\s+/g, "-").replace(/[^a-z0-9\-]/g, ""))
+    .filter(Boolean)
+    .join("/");
+}
+
+/* ============================================================
+   TOKENIZER
+============================================================ */
+function readQuoted(input, start) {
+  let i = start + 1;
+  let value = "";
+  while (i < input.length && input[i] !== '"') {
+    if (input[i] === "\\" && i + 1 < input.length) i++;
+    value += input[i];
+    i++;
+  }
+  if (i >= input.length) throw new TagQueryError("Unterminated quoted string", start, input.length - start);
+  return { value, end: i + 1 };
+}
+
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    const ch = input[i];
+    if (/\s/.test(ch)) { i++; continue; }
+
+    if (ch === "(" || ch === ")") {
+      tokens.push({ type: ch, pos: i, text: ch });
+      i++;
+      continue;
+    }
+
+    if (ch === '"') {
+      const q = readQuoted(input, i);
+      tokens.push({ type: "word", pos: i, text: input.slice(i, q.end), value: q.value, quoted: true });
+      i = q.end;
+      continue;
+    }
+
+    const start = i;
+    while (i < input.length && !/[\s()"]/.test(input[i])) i++;
+    let text = input.slice(start, i);
+    let quotedValue = null;
+    // field:"quoted value"
+    if (input[i] === '"' && /^[a-z]+(>=|<=|>|<|=|:)$/i.test(text)) {
+      const q = readQuoted(input, i);
+      quotedValue = q.value;
+      i = q.end;
+      text = input.slice(start, i);
+    }
+
+    const upper = text.toUpperCase();
+    if (quotedValue == null && (upper === "AND" || text === "&&")) tokens.push({ type: "AND", pos: start, text });
+    else if (quotedValue == null && (upper === "OR" || text === "||")) tokens.push({ type: "OR", pos: start, text });
+    else if (quotedValue == null && (upper === "NOT" || text === "!")) tokens.push({ type: "NOT", pos: start, text });
+    else tokens.push({ type: "word", pos: start, text, value: text, quotedValue });
+  }
+  return tokens;
+}
+
+/* ============================================================
+   VALUES: sizes and dates
+============================================================ */
+function parseSize(text, pos) {
+  const m = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(text);
+  const unit = m ? (m[2] || "b").toLowerCase() : null;
+  if (!m || !SIZE_UNITS[unit]) {
+    throw new TagQueryError(`Invalid size "${text}" (use e.g. 500KB, 10MB, 1.5GB)`, pos, Math.max(text.length, 1));
+  }
+  return Math.round(parseFloat(m[1]) * SIZE_UNITS[unit]);
+}
+
+// YYYY, YYYY-MM or YYYY-MM-DD -> half-open UTC period [start, end)
+function parseDatePeriod(text, pos) {
+  const m = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(text);
+  const fail = () => new TagQueryError(`Invalid date "${text}" (use YYYY, YYYY-MM or YYYY-MM-DD)`, pos, Math.max(text.length, 1));
+  if (!m) throw fail();
+  const y = parseInt(m[1], 10);
+  const mo = m[2] ? parseInt(m[2], 10) : null;
+  const d = m[3] ? parseInt(m[3], 10) : null;
+  if (mo != null && (mo < 1 || mo > 12)) throw fail();
+
+  if (mo == null) return { start: new Date(Date.UTC(y, 0, 1)), end: new Date(Date.UTC(y + 1, 0, 1)) };
+  if (d == null) return { start: new Date(Date.UTC(y, mo - 1, 1)), end: new Date(Date.UTC(y, mo, 1)) };
+
+  const start = new Date(Date.UTC(y, mo - 1, d));
+  if (start.getUTCMonth() !== mo - 1 || start.getUTCDate() !== d) throw fail();
+  return { start, end: new Date(Date.UTC(y, mo - 1, d + 1)) };
+}
+
+function splitRange(value) {
+  const idx = value.indexOf("..");
+  if (idx < 0) return null;
+  return { from: value.slice(0, idx), to: value.slice(idx + 2), toOffset: idx + 2 };
+}
+
+function buildSizeNode(op, value, pos) {
+  const range = op === ":" || op === "=" ? splitRange(value) : null;
+  if (range) {
+    if (!range.from && !range.to) throw new TagQueryError("Empty size range", pos, value.length || 1);
+    return {
+      type: "size",
+      min: range.from ? parseSize(range.from, pos) : null,
+      max: range.to ? parseSize(range.to, pos + range.toOffset) : null,
+    };
+  }
+  const bytes = parseSize(value, pos);
+  switch (op) {
+    case ">": return { type: "size", min: bytes + 1, max: null };
+    case ">=": return { type: "size", min: bytes, max: null };
+    case "<": return { type: "size", min: null, max: bytes - 1 };
+    case "<=": return { type: "size", min: null, max: bytes };
+    default: return { type: "size", min: bytes, max: bytes };
+  }
+}
+
+function buildDateNode(field, op, value, pos) {
+  const range = op === ":" || op === "=" ? splitRange(value) : null;
+  if (range) {
+    if (!range.from && !range.to) throw new TagQueryError("Empty date range", pos, value.length || 1);
+    return {
+      type: "date",
+      field,
+      from: range.from ? parseDatePeriod(range.from, pos).start : null,
+      to: range.to ? parseDatePeriod(range.to, pos + range.toOffset).end : null,
+    };
+  }
+  const period = parseDatePeriod(value, pos);
+  switch (op) {
+    case ">": return { type: "date", field, from: period.end, to: null };
+    case ">=": return { type: "date", field, from: period.start, to: null };
+    case "<": return { type: "date", field, from: null, to: period.start };
+    case "<=": return { type: "date", field, from: null, to: period.end };
+    default: return { type: "date", field, from: period.start, to: period.end };
+  }
+}
+
+/* ============================================================
+   TERMS: tag / glob / field predicate
+============================================================ */
+function buildTerm(token) {
+  if (token.quoted) {
+    const slug = slugifyTagName(token.value);
+    if (!slug) throw new TagQueryError("Empty tag name", token.pos, token.text.length);
+    return { type: "tag", slug };
+  }
+
+  const m = /^([a-z]+)(>=|<=|>|<|=|:)(.*)$/i.exec(token.text);
+  if (m && FIELDS.includes(m[1].toLowerCase())) {
+    const field = m[1].toLowerCase();
+    const op = m[2];
+    const value = token.quotedValue != null ? token.quotedValue : m[3];
+    const valuePos = token.pos + m[1].length + op.length;
+    if (!value) throw new TagQueryError(`Missing value for "${field}"`, valuePos, 1);
+
+    const onlyMatch = () => {
+      if (op !== ":" && op !== "=") throw new TagQueryError(`"${field}" only supports ":"`, token.pos + m[1].length, op.length);
+    };
+
+    switch (field) {
+      case "tag": {
+        onlyMatch();
+        const slug = slugifyTagName(value);
+        if (!slug) throw new TagQueryError("Empty tag name", valuePos, value.length);
+        return { type: "tag", slug };
+      }
+      case "name":
+        onlyMatch();
+        return { type: "name", glob: value };
+      case "ext":
+        onlyMatch();
+        return { type: "name", glob: "*." + value.replace(/^\./, "") };
+      case "size":
+        return buildSizeNode(op, value, valuePos);
+      default:
+        return buildDateNode(field, op, value, valuePos);
+    }
+  }
+
+  if (m) {
+    throw new TagQueryError(`Unknown field "${m[1]}" (expected one of ${FIELDS.join(", ")})`, token.pos, m[1].length);
+  }
+
+  if (/[*?]/.test(token.text)) return { type: "name", glob: token.text };
+
+  const slug = slugifyTagName(token.text);
+  if (!slug) throw new TagQueryError(`"${token.text}" is not a valid tag`, token.pos, token.text.length);
+  return { type: "tag", slug };
+}
+
+/* ============================================================
+   PARSER
+   or   := and (OR and)*
+   and  := not ((AND)? not)*
+   not  := NOT not | atom
+   atom := "(" or ")" | term
+============================================================ */
+function parseTagQuery(input) {
+  const text = String(input || "");
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw new TagQueryError(`Query is too long (max ${MAX_QUERY_LENGTH} characters)`, MAX_QUERY_LENGTH, text.length - MAX_QUERY_LENGTH);
+  }
+  const tokens = tokenize(text);
+  if (!tokens.length) return null;
+
+  let i = 0;
+  const peek = () => tokens[i];
+  const describe = (tok) => (tok ? `"${tok.text}"` : "end of query");
+  const unexpected = (tok, expected) =>
+    new TagQueryError(`Unexpected ${describe(tok)}, expected ${expected}`, tok ? tok.pos : text.length, tok ? tok.text.length : 1);
+
+  function parseOr() {
+    let left = parseAnd();
+    while (peek() && peek().type === "OR") {
+      i++;
+      left = { type: "or", left, right: parseAnd() };
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseNot();
+    for (;;) {
+      const tok = peek();
+      if (!tok) break;
+      if (tok.type === "AND") {
+        i++;
+      } else if (tok.type !== "word" && tok.type !== "(" && tok.type !== "NOT") {
+        break;
+      }
+      left = { type: "and", left, right: parseNot() };
+    }
+    return left;
+  }
+
+  function parseNot() {
+    const tok = peek();
+    if (tok && tok.type === "NOT") {
+      i++;
+      return { type: "not", expr: parseNot() };
+    }
+    return parseAtom();
+  }
+
+  function parseAtom() {
+    const tok = peek();
+    if (!tok) throw unexpected(tok, "a tag, predicate or \"(\"");
+    if (tok.type === "(") {
+      i++;
+      const expr = parseOr();
+      const close = peek();
+      if (!close || close.type !== ")") {
+        throw close ? unexpected(close, "\")\"") : new TagQueryError("Missing \")\" for this \"(\"", tok.pos, 1);
+      }
+      i++;
+      return expr;
+    }
+    if (tok.type === "word") {
+      i++;
+      return buildTerm(tok);
+    }
+    throw unexpected(tok, "a tag, predicate or \"(\"");
+  }
+
+  const ast = parseOr();
+  if (i < tokens.length) throw unexpected(tokens[i], "AND, OR or end of query");
+  return ast;
+}
+
+// AND-combine several ASTs, skipping empty ones
+function andAll(...asts) {
+  return asts.filter(Boolean).reduce((acc, ast) => (acc ? { type: "and", left: acc, right: ast } : ast), null);
+}
+
+/* ============================================================
+   COMPILER
+   columns: { name, size, added, modified, tag(paramRef) => sql }
+============================================================ */
+function globToLike(glob) {
+  return String(glob)
+    .replace(/[\\%_\[]/g, (c) => "\\" + c)
+    .replace(/\*/g, "%")
+    .replace(/\?/g, "_");
+}
+
+function compileTagQuery(ast, columns, paramPrefix = "q") {
+  if (!ast) return null;
+  const params = {};
+  let n = 0;
+  const param = (value) => {
+    const name = `${paramPrefix}${n++}`;
+    params[name] = value;
+    return "@" + name;
+  };
+
+  function range(col, min, max) {
+    const parts = [];
+    if (min != null) parts.push(`${col} >= ${param(min)}`);
+    if (max != null) parts.push(`${col} <= ${param(max)}`);
+    return parts.length ? `(${parts.join(" AND ")})` : "(1=1)";
+  }
+
+  function walk(node) {
+    switch (node.type) {
+      case "and": return `(${walk(node.left)} AND ${walk(node.right)})`;
+      case "or": return `(${walk(node.left)} OR ${walk(node.right)})`;
+      case "not": return `(NOT ${walk(node.expr)})`;
+      case "tag": return columns.tag(param(node.slug));
+      case "name": return `(${columns.name} LIKE ${param(globToLike(node.glob))} ESCAPE '\\')`;
+      case "size": return range(columns.size, node.min, node.max);
+      case "date": {
+        const col = columns[node.field];
+        const parts = [];
+        if (node.from) parts.push(`${col} >= ${param(node.from)}`);
+        if (node.to) parts.push(`${col} < ${param(node.to)}`);
+        return `(${parts.join(" AND ")})`;
+      }
+      default:
+        throw new Error(`Unknown query node ${node.type}`);
+    }
+  }
+
+  return { sql: walk(ast), params };
+}
+
+module.exports = {
+  TagQueryError,
+  slugifyTagName,
+  parseTagQuery,
+  compileTagQuery,
+  andAll,
+};
@@ -0,0 +1,126 @@
+// test/httpRanges.test.js
+// parseRange, isNotModified and ifRangeMatches (run with `npm test`)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fileEtag, isNotModified, ifRangeMatches, parseRange } = require("../httpRanges");
+
+const mtime = new Date("2026-03-01T12:00:00.500Z");
+const validators = { etag: fileEtag({ size: 1000, mtimeMs: mtime.getTime() }), mtime };
+
+/* ============================================================
+   parseRange
+============================================================ */
+test("parseRange: single, open-ended and suffix ranges", () => {
+  assert.deepEqual(parseRange("bytes=0-99", 1000), { ranges: [{ start: 0, end: 99 }] });
+  assert.deepEqual(parseRange("bytes=900-", 1000), { ranges: [{ start: 900, end: 999 }] });
+  assert.deepEqual(parseRange("bytes=-50", 1000), { ranges: [{ start: 950, end: 999 }] });
+  // an end past the file and a suffix longer than it are cut to the file
+  assert.deepEqual(parseRange("bytes=990-5000", 1000), { ranges: [{ start: 990, end: 999 }] });
+  assert.deepEqual(parseRange("bytes=-5000", 1000), { ranges: [{ start: 0, end: 999 }] });
+  assert.deepEqual(parseRange(" Bytes = 1-2", 1000), { ranges: [{ start: 1, end: 2 }] });
+});
+
+test("parseRange: several ranges stay in request order", () => {
+  assert.deepEqual(parseRange("bytes=500-599, 0-99", 1000), {
+    ranges: [
+      { start: 500, end: 599 },
+      { start: 0, end: 99 },
+    ],
+  });
+  assert.deepEqual(parseRange("bytes=0-1,,5-6", 1000), {
+    ranges: [
+      { start: 0, end: 1 },
+      { start: 5, end: 6 },
+    ],
+  });
+});
+
+test("parseRange: overlapping and adjacent ranges are merged", () => {
+  assert.deepEqual(parseRange("bytes=0-99, 50-149", 1000), { ranges: [{ start: 0, end: 149 }] });
+  assert.deepEqual(parseRange("bytes=100-199, 0-99", 1000), { ranges: [{ start: 0, end: 199 }] });
+  assert.deepEqual(parseRange("bytes=1-, 0-0", 6), { ranges: [{ start: 0, end: 5 }] });
+  assert.deepEqual(parseRange("bytes=0-9, -5, 995-", 1000), {
+    ranges: [
+      { start: 0, end: 9 },
+      { start: 995, end: 999 },
+    ],
+  });
+});
+
+test("parseRange: malformed headers", () => {
+  for (const header of [
+    undefined,
+    "",
+    "0-99",
+    "items=0-99",
+    "bytes=",
+    "bytes=-",
+    "bytes=abc",
+    "bytes=1-2-3",
+    "bytes=0x10-20",
+    "bytes=99-10",
+    "bytes=0-99, nope",
+  ]) {
+    assert.deepEqual(parseRange(header, 1000), { malformed: true }, String(header));
+  }
+});
+
+test("parseRange: unsatisfiable ranges", () => {
+  assert.deepEqual(parseRange("bytes=1000-", 1000), { unsatisfiable: true });
+  assert.deepEqual(parseRange("bytes=2000-3000, 1500-", 1000), { unsatisfiable: true });
+  assert.deepEqual(parseRange("bytes=-0", 1000), { unsatisfiable: true });
+  // an empty file has no bytes to ask for
+  assert.deepEqual(parseRange("bytes=0-", 0), { unsatisfiable: true });
+  assert.deepEqual(parseRange("bytes=-10", 0), { unsatisfiable: true });
+  // satisfiable parts are kept, the others dropped
+  assert.deepEqual(parseRange("bytes=2000-, 0-9", 1000), { ranges: [{ start: 0, end: 9 }] });
+});
+
+test("parseRange: more than MAX_RANGES ranges after merging is treated as malformed", () => {
+  const disjoint = (n) => "bytes=" + Array.from({ length: n }, (_, i) => `${i * 10}-${i * 10 + 1}`).join(",");
+  assert.equal(parseRange(disjoint(50), 1000).ranges.length, 50);
+  assert.deepEqual(parseRange(disjoint(51), 1000), { malformed: true });
+  // many ranges that merge into a few are fine
+  const overlapping = "bytes=" + Array.from({ length: 200 }, (_, i) => `${i}-${i + 5}`).join(",");
+  assert.deepEqual(parseRange(overlapping, 1000), { ranges: [{ start: 0, end: 204 }] });
+});
+
+/* ============================================================
+   isNotModified
+============================================================ */
+test("isNotModified: If-None-Match", () => {
+  assert.equal(isNotModified({ "if-none-match": validators.etag }, validators), true);
+  assert.equal(isNotModified({ "if-none-match": `"other", ${validators.etag}` }, validators), true);
+  assert.equal(isNotModified({ "if-none-match": `W/${validators.etag}` }, validators), true);
+  assert.equal(isNotModified({ "if-none-match": "*" }, validators), true);
+  assert.equal(isNotModified({ "if-none-match": '"other"' }, validators), false);
+});
+
+test("isNotModified: If-Modified-Since, second precision", () => {
+  assert.equal(isNotModified({ "if-modified-since": mtime.toUTCString() }, validators), true);
+  assert.equal(isNotModified({ "if-modified-since": "Sun, 01 Mar 2026 13:00:00 GMT" }, validators), true);
+  assert.equal(isNotModified({ "if-modified-since": "Sun, 01 Mar 2026 11:59:59 GMT" }, validators), false);
+  assert.equal(isNotModified({ "if-modified-since": "not a date" }, validators), false);
+});
+
+test("isNotModified: If-None-Match wins over If-Modified-Since", () => {
+  const headers = { "if-none-match": '"other"', "if-modified-since": mtime.toUTCString() };
+  assert.equal(isNotModified(headers, validators), false);
+  assert.equal(isNotModified({}, validators), false);
+});
+
+/* ============================================================
+   ifRangeMatches
+============================================================ */
+test("ifRangeMatches: entity tags use the strong comparison", () => {
+  assert.equal(ifRangeMatches(undefined, validators), true);
+  assert.equal(ifRangeMatches(validators.etag, validators), true);
+  assert.equal(ifRangeMatches(`W/${validators.etag}`, validators), false);
+  assert.equal(ifRangeMatches('"other"', validators), false);
+});
+
+test("ifRangeMatches: dates must match to the second", () => {
+  assert.equal(ifRangeMatches(mtime.toUTCString(), validators), true);
+  assert.equal(ifRangeMatches("Sun, 01 Mar 2026 12:00:01 GMT", validators), false);
+  assert.equal(ifRangeMatches("garbage", validators), false);
+});
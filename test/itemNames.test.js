@@ -0,0 +1,29 @@
+// test/itemNames.test.js
+// validItemName (run with `npm test`)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validItemName } = require("../itemNames");
+
+test("validItemName: plain names", () => {
+  for (const name of ["a", "Holiday 2026", "report.final.pdf", "..hidden", "a..b", "ünïcödé", "x".repeat(255)]) {
+    assert.equal(validItemName(name), true, name);
+  }
+});
+
+test("validItemName: dot segments and separators are rejected", () => {
+  for (const name of [".", "..", "../secret", "../../escapedir", "a/b", "/", "a\\b", "\\", "..\\x"]) {
+    assert.equal(validItemName(name), false, name);
+  }
+});
+
+test("validItemName: control characters are rejected", () => {
+  for (const name of ["a\x00b", "a\nb", "a\rb", "tab\there", "\x1f"]) {
+    assert.equal(validItemName(name), false, JSON.stringify(name));
+  }
+});
+
+test("validItemName: empty, too long and non-string names are rejected", () => {
+  for (const name of ["", "x".repeat(256), null, undefined, 42, ["a"]]) {
+    assert.equal(validItemName(name), false, String(name));
+  }
+});
@@ -0,0 +1,206 @@
+// test/tagQuery.test.js
+// parseTagQuery, TagQueryError positions and compileTagQuery (run with `npm test`)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { TagQueryError, parseTagQuery, compileTagQuery, andAll } = require("../tagQuery");
+
+const tag = (slug) => ({ type: "tag", slug });
+const and = (left, right) => ({ type: "and", left, right });
+const or = (left, right) => ({ type: "or", left, right });
+const not = (expr) => ({ type: "not", expr });
+
+// the TagQueryError thrown for `query`, as { message, position, length }
+function parseError(query) {
+  try {
+    parseTagQuery(query);
+  } catch (err) {
+    assert.ok(err instanceof TagQueryError, `expected a TagQueryError, got ${err}`);
+    return { message: err.message, position: err.position, length: err.length };
+  }
+  assert.fail(`"${query}" parsed without an error`);
+}
+
+/* ============================================================
+   PARSER: operators, precedence, parentheses
+============================================================ */
+test("parseTagQuery: empty queries give no filter", () => {
+  assert.equal(parseTagQuery(""), null);
+  assert.equal(parseTagQuery("   "), null);
+  assert.equal(parseTagQuery(undefined), null);
+});
+
+test("parseTagQuery: juxtaposition is AND", () => {
+  assert.deepEqual(parseTagQuery("cats dogs"), and(tag("cats"), tag("dogs")));
+  assert.deepEqual(parseTagQuery("cats AND dogs"), parseTagQuery("cats dogs"));
+  assert.deepEqual(parseTagQuery("cats && dogs"), parseTagQuery("cats dogs"));
+  // operators are case-insensitive and chain to the left
+  assert.deepEqual(parseTagQuery("a and b c"), and(and(tag("a"), tag("b")), tag("c")));
+});
+
+test("parseTagQuery: NOT binds tighter than AND, AND tighter than OR", () => {
+  assert.deepEqual(parseTagQuery("a OR b c"), or(tag("a"), and(tag("b"), tag("c"))));
+  assert.deepEqual(parseTagQuery("a b || c"), or(and(tag("a"), tag("b")), tag("c")));
+  assert.deepEqual(parseTagQuery("NOT a b"), and(not(tag("a")), tag("b")));
+  assert.deepEqual(parseTagQuery("a OR ! b AND c"), or(tag("a"), and(not(tag("b")), tag("c"))));
+  assert.deepEqual(parseTagQuery("NOT NOT a"), not(not(tag("a"))));
+});
+
+test("parseTagQuery: parentheses override precedence", () => {
+  assert.deepEqual(parseTagQuery("(a OR b) c"), and(or(tag("a"), tag("b")), tag("c")));
+  assert.deepEqual(
+    parseTagQuery("cats AND (school OR work) AND NOT draft"),
+    and(and(tag("cats"), or(tag("school"), tag("work"))), not(tag("draft"))),
+  );
+  assert.deepEqual(parseTagQuery("NOT (a b)"), not(and(tag("a"), tag("b"))));
+});
+
+/* ============================================================
+   TERMS: tags, globs, sizes, dates
+============================================================ */
+test("parseTagQuery: tag words are slugified, nested tags keep their path", () => {
+  assert.deepEqual(parseTagQuery("School/Math"), tag("school/math"));
+  assert.deepEqual(parseTagQuery('"Holiday Photos"'), tag("holiday-photos"));
+  assert.deepEqual(parseTagQuery('tag:"Work Stuff/2026"'), tag("work-stuff/2026"));
+  // a quoted operator is a tag, not an operator
+  assert.deepEqual(parseTagQuery('"or"'), tag("or"));
+});
+
+test("parseTagQuery: words with * or ? and name:/ext: are name globs", () => {
+  assert.deepEqual(parseTagQuery("*.pdf"), { type: "name", glob: "*.pdf" });
+  assert.deepEqual(parseTagQuery("report-202?"), { type: "name", glob: "report-202?" });
+  assert.deepEqual(parseTagQuery('name:"holiday *"'), { type: "name", glob: "holiday *" });
+  assert.deepEqual(parseTagQuery("ext:.jpg"), { type: "name", glob: "*.jpg" });
+  assert.deepEqual(parseTagQuery("*.pdf cats"), and({ type: "name", glob: "*.pdf" }, tag("cats")));
+});
+
+test("parseTagQuery: size comparisons and ranges in 1024-based units", () => {
+  const size = (min, max) => ({ type: "size", min, max });
+  assert.deepEqual(parseTagQuery("size>10MB"), size(10 * 1024 ** 2 + 1, null));
+  assert.deepEqual(parseTagQuery("size>=10mb"), size(10 * 1024 ** 2, null));
+  assert.deepEqual(parseTagQuery("size<1k"), size(null, 1023));
+  assert.deepEqual(parseTagQuery("size<=500"), size(null, 500));
+  assert.deepEqual(parseTagQuery("size:1.5GB"), size(1.5 * 1024 ** 3, 1.5 * 1024 ** 3));
+  assert.deepEqual(parseTagQuery("size:1kb..2kb"), size(1024, 2048));
+  assert.deepEqual(parseTagQuery("size=..1tb"), size(null, 1024 ** 4));
+});
+
+test("parseTagQuery: dates are whole UTC periods", () => {
+  const date = (field, from, to) => ({
+    type: "date",
+    field,
+    from: from && new Date(from + "T00:00:00Z"),
+    to: to && new Date(to + "T00:00:00Z"),
+  });
+  assert.deepEqual(parseTagQuery("added:2026-01.."), date("added", "2026-01-01", null));
+  assert.deepEqual(parseTagQuery("modified:..2026-03"), date("modified", null, "2026-04-01"));
+  assert.deepEqual(parseTagQuery("added:2025..2026-02-28"), date("added", "2025-01-01", "2026-03-01"));
+  assert.deepEqual(parseTagQuery("added:2026-03-15"), date("added", "2026-03-15", "2026-03-16"));
+  assert.deepEqual(parseTagQuery("added>2026"), date("added", "2027-01-01", null));
+  assert.deepEqual(parseTagQuery("added>=2026"), date("added", "2026-01-01", null));
+  assert.deepEqual(parseTagQuery("modified<2026-03"), date("modified", null, "2026-03-01"));
+  assert.deepEqual(parseTagQuery("modified<=2026-12"), date("modified", null, "2027-01-01"));
+});
+
+/* ============================================================
+   ERRORS: message, position and length
+============================================================ */
+test("TagQueryError: structural errors point at the offending token", () => {
+  assert.deepEqual(parseError("cats AND (school OR work"), {
+    message: 'Missing ")" for this "("', position: 9, length: 1,
+  });
+  assert.deepEqual(parseError("cats OR"), {
+    message: 'Unexpected end of query, expected a tag, predicate or "("', position: 7, length: 1,
+  });
+  assert.deepEqual(parseError("cats ) dogs"), {
+    message: 'Unexpected ")", expected AND, OR or end of query', position: 5, length: 1,
+  });
+  assert.deepEqual(parseError("(cats AND)"), {
+    message: 'Unexpected ")", expected a tag, predicate or "("', position: 9, length: 1,
+  });
+  assert.deepEqual(parseError('a "unterminated'), {
+    message: "Unterminated quoted string", position: 2, length: 13,
+  });
+});
+
+test("TagQueryError: term errors point at the field or value", () => {
+  assert.deepEqual(parseError("cats color:red"), {
+    message: 'Unknown field "color" (expected one of tag, name, ext, size, added, modified)', position: 5, length: 5,
+  });
+  assert.deepEqual(parseError("size>10XB"), {
+    message: 'Invalid size "10XB" (use e.g. 500KB, 10MB, 1.5GB)', position: 5, length: 4,
+  });
+  assert.deepEqual(parseError("added:2026-01..2026-13"), {
+    message: 'Invalid date "2026-13" (use YYYY, YYYY-MM or YYYY-MM-DD)', position: 15, length: 7,
+  });
+  // 2026 is not a leap year
+  assert.deepEqual(parseError("added:2026-02-29"), {
+    message: 'Invalid date "2026-02-29" (use YYYY, YYYY-MM or YYYY-MM-DD)', position: 6, length: 10,
+  });
+  assert.deepEqual(parseError("name>foo"), { message: '"name" only supports ":"', position: 4, length: 1 });
+  assert.deepEqual(parseError("size:"), { message: 'Missing value for "size"', position: 5, length: 1 });
+  assert.deepEqual(parseError("size:.."), { message: "Empty size range", position: 5, length: 2 });
+  assert.deepEqual(parseError("a $$$"), { message: '"$$$" is not a valid tag', position: 2, length: 3 });
+});
+
+test("TagQueryError: overlong queries are refused before parsing", () => {
+  assert.deepEqual(parseError("a".repeat(1005)), {
+    message: "Query is too long (max 1000 characters)", position: 1000, length: 5,
+  });
+});
+
+/* ============================================================
+   COMPILER
+============================================================ */
+const columns = {
+  name: "f.Name",
+  size: "f.Size",
+  added: "f.CreatedAt",
+  modified: "f.UpdatedAt",
+  tag: (p) => `EXISTS (SELECT 1 FROM FileTags ft WHERE ft.FileId = f.Id AND ft.Slug = ${p})`,
+};
+
+test("compileTagQuery: no AST, no predicate", () => {
+  assert.equal(compileTagQuery(null, columns), null);
+});
+
+test("compileTagQuery: boolean structure and numbered parameters", () => {
+  const { sql, params } = compileTagQuery(parseTagQuery("(a OR b) NOT c"), columns);
+  assert.equal(
+    sql,
+    "((EXISTS (SELECT 1 FROM FileTags ft WHERE ft.FileId = f.Id AND ft.Slug = @q0)" +
+      " OR EXISTS (SELECT 1 FROM FileTags ft WHERE ft.FileId = f.Id AND ft.Slug = @q1))" +
+      " AND (NOT EXISTS (SELECT 1 FROM FileTags ft WHERE ft.FileId = f.Id AND ft.Slug = @q2)))",
+  );
+  assert.deepEqual(params, { q0: "a", q1: "b", q2: "c" });
+});
+
+test("compileTagQuery: globs become escaped LIKE patterns", () => {
+  const { sql, params } = compileTagQuery(parseTagQuery("50%_off[1]?.*"), columns, "p");
+  assert.equal(sql, "(f.Name LIKE @p0 ESCAPE '\\')");
+  assert.deepEqual(params, { p0: "50\\%\\_off\\[1]_.%" });
+});
+
+test("compileTagQuery: size and date ranges", () => {
+  assert.deepEqual(compileTagQuery(parseTagQuery("size:1k..2k"), columns), {
+    sql: "(f.Size >= @q0 AND f.Size <= @q1)",
+    params: { q0: 1024, q1: 2048 },
+  });
+  assert.deepEqual(compileTagQuery(parseTagQuery("size<1k"), columns), {
+    sql: "(f.Size <= @q0)",
+    params: { q0: 1023 },
+  });
+  assert.deepEqual(compileTagQuery(parseTagQuery("added:2026-01 modified:..2026"), columns), {
+    sql: "((f.CreatedAt >= @q0 AND f.CreatedAt < @q1) AND (f.UpdatedAt < @q2))",
+    params: {
+      q0: new Date("2026-01-01T00:00:00Z"),
+      q1: new Date("2026-02-01T00:00:00Z"),
+      q2: new Date("2027-01-01T00:00:00Z"),
+    },
+  });
+});
+
+test("andAll: skips empty queries", () => {
+  assert.equal(andAll(null, null), null);
+  assert.deepEqual(andAll(null, tag("a")), tag("a"));
+  assert.deepEqual(andAll(tag("a"), null, tag("b")), and(tag("a"), tag("b")));
+});
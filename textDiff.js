@@ -0,0 +1,126 @@
+// textDiff.js
+// Line diff (Myers' O(ND) algorithm) used by the file version history to compare
+// an older version with the current content. Output is grouped into hunks like `diff -u`.
+
+const DEFAULT_CONTEXT = 3;
+// edit distance (in lines) at which we give up; the trace grows with its square
+const DEFAULT_MAX_EDITS = 2000;
+
+function splitLines(text) {
+  const lines = String(text).split(/\r?\n/);
+  if (lines.length && lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+// a NUL byte in the first 8000 bytes means "not text" (same heuristic as git)
+function isBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+// shortest edit script between two line arrays as [{ op: " " | "-" | "+", text }],
+// or null when more than maxEdits lines differ
+function diffLines(a, b, maxEdits = DEFAULT_MAX_EDITS) {
+  // common prefix/suffix never take part in the edit, so keep them out of the search
+  let pre = 0;
+  while (pre < a.length && pre < b.length && a[pre] === b[pre]) pre++;
+  let suf = 0;
+  while (suf < a.length - pre && suf < b.length - pre && a[a.length - 1 - suf] === b[b.length - 1 - suf]) suf++;
+
+  const ops = a.slice(0, pre).map((text) => ({ op: " ", text }));
+  const middle = shortestEdit(a.slice(pre, a.length - suf), b.slice(pre, b.length - suf), maxEdits);
+  if (!middle) return null;
+  ops.push(...middle);
+  for (const text of a.slice(a.length - suf)) ops.push({ op: " ", text });
+  return ops;
+}
+
+function shortestEdit(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  if (max === 0) return [];
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // trace[d] holds v[-d..d] after round d, needed to walk the path back
+  const trace = [];
+  let found = -1;
+
+  for (let d = 0; d <= max && found < 0; d++) {
+    if (d > maxEdits) return null;
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = d;
+        break;
+      }
+    }
+    trace.push(v.slice(offset - d, offset + d + 1));
+  }
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = found; d > 0; d--) {
+    const prev = trace[d - 1];
+    const at = (k) => prev[k + d - 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push({ op: " ", text: a[--x] });
+      y--;
+    }
+    if (prevK === k + 1) ops.push({ op: "+", text: b[prevY] });
+    else ops.push({ op: "-", text: a[prevX] });
+    x = prevX;
+    y = prevY;
+  }
+  while (x > 0 && y > 0) {
+    ops.push({ op: " ", text: a[--x] });
+    y--;
+  }
+  return ops.reverse();
+}
+
+// number the lines and keep only changes plus `context` lines around them
+function toHunks(ops, context) {
+  let oldNo = 1;
+  let newNo = 1;
+  const rows = ops.map((o) => {
+    const row = { ...o, oldNo: o.op === "+" ? null : oldNo, newNo: o.op === "-" ? null : newNo };
+    if (o.op !== "+") oldNo++;
+    if (o.op !== "-") newNo++;
+    return row;
+  });
+
+  const ranges = [];
+  rows.forEach((row, i) => {
+    if (row.op === " ") return;
+    const start = Math.max(0, i - context);
+    const end = Math.min(rows.length, i + context + 1);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end) last.end = end;
+    else ranges.push({ start, end });
+  });
+  return ranges.map((r) => ({ lines: rows.slice(r.start, r.end) }));
+}
+
+// { hunks, added, removed } for two texts, or null when they differ too much to show
+function diffText(oldText, newText, { context = DEFAULT_CONTEXT, maxEdits = DEFAULT_MAX_EDITS } = {}) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText), maxEdits);
+  if (!ops) return null;
+  return {
+    hunks: toHunks(ops, context),
+    added: ops.filter((o) => o.op === "+").length,
+    removed: ops.filter((o) => o.op === "-").length,
+  };
+}
+
+module.exports = { isBinary, diffLines, diffText };
@@ -0,0 +1,214 @@
+// thumbnails.js
+// Small preview images for the grid view. Decoding and encoding are pure JS (jpeg-js, pngjs,
+// omggif and the BMP reader below), so no native image libraries are needed.
+const fsPromises = require("fs").promises;
+const jpeg = require("jpeg-js");
+const { PNG } = require("pngjs");
+const { GifReader } = require("omggif");
+
+// longest side of a thumbnail, in pixels
+const THUMB_SIZE = 256;
+// bigger sources are not decoded (the whole image is held in memory as RGBA)
+const MAX_SOURCE_BYTES = 50 * 1024 * 1024;
+const MAX_SOURCE_PIXELS = 40 * 1000 * 1000;
+const JPEG_QUALITY = 75;
+
+class ThumbnailError extends Error {}
+
+function checkPixels(width, height) {
+  if (!(width > 0 && height > 0)) throw new ThumbnailError("Invalid image size");
+  if (width * height > MAX_SOURCE_PIXELS) throw new ThumbnailError(`Image too large (${width}x${height})`);
+}
+
+function hasAlpha(data) {
+  for (let i = 3; i < data.length; i += 4) if (data[i] !== 255) return true;
+  return false;
+}
+
+/* ============================================================
+   DECODERS: buffer -> { width, height, data (RGBA), alpha }
+============================================================ */
+function decodeJpeg(buf) {
+  const img = jpeg.decode(buf, {
+    useTArray: true,
+    formatAsRGBA: true,
+    maxResolutionInMP: MAX_SOURCE_PIXELS / 1e6,
+    maxMemoryUsageInMB: 1024,
+  });
+  return { width: img.width, height: img.height, data: img.data, alpha: false };
+}
+
+function decodePng(buf) {
+  // IHDR is always the first chunk: check the size before inflating
+  if (buf.length >= 24) checkPixels(buf.readUInt32BE(16), buf.readUInt32BE(20));
+  const img = PNG.sync.read(buf);
+  return { width: img.width, height: img.height, data: img.data, alpha: hasAlpha(img.data) };
+}
+
+// first frame only
+function decodeGif(buf) {
+  const reader = new GifReader(buf);
+  checkPixels(reader.width, reader.height);
+  const data = Buffer.alloc(reader.width * reader.height * 4);
+  reader.decodeAndBlitFrameRGBA(0, data);
+  return { width: reader.width, height: reader.height, data, alpha: hasAlpha(data) };
+}
+
+// uncompressed BMP: 8-bit palette, 24-bit and 32-bit (BI_RGB / standard BI_BITFIELDS)
+function decodeBmp(buf) {
+  if (buf.length < 54) throw new ThumbnailError("Truncated BMP");
+  const dataOffset = buf.readUInt32LE(10);
+  const headerSize = buf.readUInt32LE(14);
+  const width = buf.readInt32LE(18);
+  const rawHeight = buf.readInt32LE(22);
+  const bpp = buf.readUInt16LE(28);
+  const compression = buf.readUInt32LE(30);
+  const height = Math.abs(rawHeight);
+  const bottomUp = rawHeight > 0;
+  checkPixels(width, height);
+  if (![8, 24, 32].includes(bpp) || !(compression === 0 || (compression === 3 && bpp === 32))) {
+    throw new ThumbnailError(`Unsupported BMP (${bpp} bpp, compression ${compression})`);
+  }
+
+  const palette = [];
+  if (bpp === 8) {
+    const colors = buf.readUInt32LE(46) || 256;
+    for (let i = 0; i < colors; i++) {
+      const o = 14 + headerSize + i * 4;
+      palette.push([buf[o + 2], buf[o + 1], buf[o]]);
+    }
+  }
+
+  const stride = Math.ceil((width * bpp) / 32) * 4;
+  if (dataOffset + stride * height > buf.length) throw new ThumbnailError("Truncated BMP");
+  const data = Buffer.alloc(width * height * 4);
+  let alphaUsed = false;
+  for (let y = 0; y < height; y++) {
+    const row = dataOffset + (bottomUp ? height - 1 - y : y) * stride;
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      if (bpp === 8) {
+        const [r, g, b] = palette[buf[row + x]] || [0, 0, 0];
+        data[out] = r;
+        data[out + 1] = g;
+        data[out + 2] = b;
+        data[out + 3] = 255;
+      } else {
+        const o = row + x * (bpp / 8);
+        data[out] = buf[o + 2];
+        data[out + 1] = buf[o + 1];
+        data[out + 2] = buf[o];
+        data[out + 3] = bpp === 32 ? buf[o + 3] : 255;
+        if (bpp === 32 && buf[o + 3]) alphaUsed = true;
+      }
+    }
+  }
+  // many 32-bit BMPs leave the fourth byte at 0: treat that as opaque
+  if (bpp === 32 && !alphaUsed) {
+    for (let i = 3; i < data.length; i += 4) data[i] = 255;
+  }
+  return { width, height, data, alpha: bpp === 32 && alphaUsed && hasAlpha(data) };
+}
+
+const DECODERS = {
+  "image/jpeg": decodeJpeg,
+  "image/png": decodePng,
+  "image/gif": decodeGif,
+  "image/bmp": decodeBmp,
+};
+
+function canThumbnail(mimeType) {
+  return Object.prototype.hasOwnProperty.call(DECODERS, mimeType);
+}
+
+/* ============================================================
+   RESIZE / ORIENT / ENCODE
+============================================================ */
+// box filter: each output pixel is the (alpha weighted) average of the source pixels it covers
+function downscale(img, maxSize) {
+  const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+  const tw = Math.max(1, Math.round(img.width * scale));
+  const th = Math.max(1, Math.round(img.height * scale));
+  if (tw === img.width && th === img.height) return img;
+
+  const src = img.data;
+  const data = Buffer.alloc(tw * th * 4);
+  for (let ty = 0; ty < th; ty++) {
+    const y0 = Math.floor((ty * img.height) / th);
+    const y1 = Math.max(y0 + 1, Math.floor(((ty + 1) * img.height) / th));
+    for (let tx = 0; tx < tw; tx++) {
+      const x0 = Math.floor((tx * img.width) / tw);
+      const x1 = Math.max(x0 + 1, Math.floor(((tx + 1) * img.width) / tw));
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let y = y0; y < y1; y++) {
+        let o = (y * img.width + x0) * 4;
+        for (let x = x0; x < x1; x++, o += 4) {
+          const alpha = src[o + 3];
+          r += src[o] * alpha;
+          g += src[o + 1] * alpha;
+          b += src[o + 2] * alpha;
+          a += alpha;
+        }
+      }
+      const out = (ty * tw + tx) * 4;
+      const count = (y1 - y0) * (x1 - x0);
+      if (a > 0) {
+        data[out] = Math.round(r / a);
+        data[out + 1] = Math.round(g / a);
+        data[out + 2] = Math.round(b / a);
+      }
+      data[out + 3] = Math.round(a / count);
+    }
+  }
+  return { width: tw, height: th, data, alpha: img.alpha };
+}
+
+// apply an EXIF Orientation (2..8) so the thumbnail is upright
+function orient(img, orientation) {
+  if (!(orientation >= 2 && orientation <= 8)) return img;
+  const { width: w, height: h } = img;
+  const swap = orientation >= 5;
+  const ow = swap ? h : w;
+  const oh = swap ? w : h;
+  // output (x, y) -> source (x, y)
+  const from = {
+    2: (x, y) => [w - 1 - x, y],
+    3: (x, y) => [w - 1 - x, h - 1 - y],
+    4: (x, y) => [x, h - 1 - y],
+    5: (x, y) => [y, x],
+    6: (x, y) => [y, h - 1 - x],
+    7: (x, y) => [w - 1 - y, h - 1 - x],
+    8: (x, y) => [w - 1 - y, x],
+  }[orientation];
+
+  const data = Buffer.alloc(ow * oh * 4);
+  for (let y = 0; y < oh; y++) {
+    for (let x = 0; x < ow; x++) {
+      const [sx, sy] = from(x, y);
+      img.data.copy(data, (y * ow + x) * 4, (sy * w + sx) * 4, (sy * w + sx) * 4 + 4);
+    }
+  }
+  return { width: ow, height: oh, data, alpha: img.alpha };
+}
+
+// transparent images stay PNG, everything else becomes JPEG
+function encode(img) {
+  if (img.alpha) {
+    return { data: PNG.sync.write({ width: img.width, height: img.height, data: Buffer.from(img.data) }), ext: "png", mimeType: "image/png" };
+  }
+  return { data: jpeg.encode(img, JPEG_QUALITY).data, ext: "jpg", mimeType: "image/jpeg" };
+}
+
+// { data, ext, mimeType, width, height } for an image file; throws ThumbnailError when
+// the format is not supported or the source is too large
+async function createThumbnail(physPath, mimeType, { orientation, size = THUMB_SIZE } = {}) {
+  const decode = DECODERS[mimeType];
+  if (!decode) throw new ThumbnailError(`No thumbnails for ${mimeType}`);
+  const { size: bytes } = await fsPromises.stat(physPath);
+  if (bytes > MAX_SOURCE_BYTES) throw new ThumbnailError(`Image too large (${bytes} bytes)`);
+
+  const img = orient(downscale(decode(await fsPromises.readFile(physPath)), size), Number(orientation));
+  return { ...encode(img), width: img.width, height: img.height };
+}
+
+module.exports = { THUMB_SIZE, ThumbnailError, canThumbnail, createThumbnail };
@@ -0,0 +1,121 @@
+// watcher.js
+// Tells which directories below a root changed on disk, in batches. Uses a recursive fs.watch
+// (inotify on Linux) and falls back to polling, a walk that compares directory mtimes, where
+// that is not available. Polling only sees entries being added, removed or renamed; content
+// edits in place are left to the caller's periodic full pass.
+const fs = require("fs");
+const fsPromises = fs.promises;
+const path = require("path");
+
+// the watch errors that mean "use polling instead" rather than a bug
+const WATCH_UNAVAILABLE = new Set(["ERR_FEATURE_UNAVAILABLE_ON_PLATFORM", "ENOSPC", "EMFILE", "ENOSYS"]);
+
+// directory -> mtimeMs for every directory below root (and root itself)
+async function snapshot(root) {
+  const dirs = new Map();
+  async function walk(dir) {
+    let stat, entries;
+    try {
+      stat = await fsPromises.stat(dir);
+      entries = await fsPromises.readdir(dir, { withFileTypes: true });
+    } catch {
+      return; // gone meanwhile; its parent changed too
+    }
+    dirs.set(dir, stat.mtimeMs);
+    for (const ent of entries) if (ent.isDirectory()) await walk(path.join(dir, ent.name));
+  }
+  await walk(root);
+  return dirs;
+}
+
+// watch the tree at root. onChange(dirs, { full }) gets the absolute paths of the directories
+// whose entries changed, at most once per debounceMs; full means events were lost and the
+// whole tree should be looked at. mode: "auto" (watch, else poll) | "watch" | "poll".
+// Returns { mode, close() }.
+function watchTree(root, { mode = "auto", debounceMs = 1000, pollIntervalMs = 10000, onChange }) {
+  let dirty = new Set();
+  let full = false;
+  let timer = null;
+  let watcher = null;
+  let poller = null;
+  let closed = false;
+
+  function flush() {
+    timer = null;
+    const batch = { dirs: [...dirty], full };
+    dirty = new Set();
+    full = false;
+    onChange(batch.dirs, { full: batch.full });
+  }
+
+  // null: something changed, but not known where
+  function mark(dir) {
+    if (dir === null) full = true;
+    else dirty.add(dir);
+    if (!timer && !closed) timer = setTimeout(flush, debounceMs);
+  }
+
+  function startPolling() {
+    let previous = null;
+    let busy = false;
+    const poll = async () => {
+      if (busy || closed) return;
+      busy = true;
+      try {
+        const current = await snapshot(root);
+        if (previous) {
+          for (const [dir, mtime] of current) if (previous.get(dir) !== mtime) mark(dir);
+          for (const dir of previous.keys()) if (!current.has(dir)) mark(path.dirname(dir));
+        }
+        previous = current;
+      } catch (err) {
+        console.error("Watcher poll error", err);
+      } finally {
+        busy = false;
+      }
+    };
+    poller = setInterval(poll, pollIntervalMs);
+    poll();
+  }
+
+  function fallBack(err) {
+    console.warn(`Watching ${root} failed (${err.code || err.message}), polling every ${pollIntervalMs} ms instead`);
+    if (watcher) watcher.close();
+    watcher = null;
+    mark(null);
+    startPolling();
+  }
+
+  if (mode === "poll") {
+    startPolling();
+  } else {
+    try {
+      watcher = fs.watch(root, { recursive: true }, (event, filename) => {
+        mark(filename ? path.dirname(path.join(root, filename.toString())) : null);
+      });
+      watcher.on("error", (err) => {
+        if (closed) return;
+        if (mode === "auto") return fallBack(err);
+        console.error("Watcher error", err);
+        mark(null);
+      });
+    } catch (err) {
+      if (mode !== "auto" || !WATCH_UNAVAILABLE.has(err.code)) throw err;
+      fallBack(err);
+    }
+  }
+
+  return {
+    get mode() {
+      return watcher ? "watch" : "poll";
+    },
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      clearInterval(poller);
+      if (watcher) watcher.close();
+    },
+  };
+}
+
+module.exports = { watchTree };